@@ -27,11 +27,15 @@ Ext.onReady(function() {
             ptype: 'cgxp_routing',
             routingService: {
               ENGINE_0: {
-                type: 'OSRM',
-                url: "http://router.project-osrm.org/",
+                type: 'OSRM5',
+                url: "https://router.project-osrm.org",
                 dynamic: true
               }
             },
+            enableAlternatives: true,
+            enableStops: true,
+            enableIsochrones: true,
+            enableRoadbook: true,
             searchOptions: {
               url: "http://mapfish-geoportal.demo-camptocamp.com/demo/wsgi/fulltextsearch",
               widgetOptions: {
@@ -0,0 +1,557 @@
+/**
+ * Copyright (c) 2012-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Protocol/HTTP.js
+ * @include OpenLayers/Format/JSON.js
+ * @include OpenLayers/Format/GeoJSON.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = EditingSession
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: EditingSession(config)
+ *
+ *  Keeps the changes of the features of an editing layer until they are
+ *  saved together: the created, modified and deleted features, and the
+ *  history of their geometries and attributes to undo and redo the
+ *  changes. Used by :class:`cgxp.plugins.Editing`.
+ *
+ *  The features have their layer id in the ``__layer_id__`` attribute,
+ *  and each of them is saved with its own request to the c2cgeoportal
+ *  "layers" web service, so a validation error is known by feature.
+ */
+cgxp.data.EditingSession = Ext.extend(Ext.util.Observable, {
+
+    /** api: config[url]
+     *  ``String``
+     *  URL to the layers web service.
+     */
+    url: null,
+
+    /** api: config[layer]
+     *  ``OpenLayers.Layer.Vector``
+     *  The editing layer. The ``featuremodified`` events of the features
+     *  of the session are recorded in the history.
+     */
+    layer: null,
+
+    /** api: config[historySize]
+     *  ``Number``
+     *  The maximum number of changes that can be undone. Default is 50.
+     */
+    historySize: 50,
+
+    /** api: property[committing]
+     *  ``Boolean``
+     *  Whether the changes are being saved.
+     */
+    committing: false,
+
+    /** private: property[features]
+     *  ``Array(OpenLayers.Feature.Vector)``
+     *  The features of the session.
+     */
+    features: null,
+
+    /** private: property[snapshots]
+     *  ``Object``
+     *  The last recorded geometry, attributes and state of the features,
+     *  by feature id.
+     */
+    snapshots: null,
+
+    /** private: property[undoStack]
+     *  ``Array(Array(Object))``
+     *  The changes that can be undone, each one is a list of changes of
+     *  features with the ``feature`` and its ``before`` and ``after``
+     *  snapshots. A ``null`` snapshot means that the feature isn't on the
+     *  layer.
+     */
+    undoStack: null,
+
+    /** private: property[redoStack]
+     *  ``Array(Array(Object))``
+     *  The changes that can be redone.
+     */
+    redoStack: null,
+
+    /** private: property[group]
+     *  ``Array(Object)``
+     *  The changes recorded in the running transaction.
+     */
+    group: null,
+
+    /** private: property[errors]
+     *  ``Object``
+     *  The errors of the last commit by feature id, with the HTTP
+     *  ``status`` and the ``validationError`` of the response.
+     */
+    errors: null,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+        cgxp.data.EditingSession.superclass.constructor.call(this, config);
+
+        this.addEvents(
+            /** api: event[change]
+             *  Fired when a feature is added, changed, undone, redone or
+             *  saved.
+             *
+             *  Listener arguments:
+             *
+             *  * ``cgxp.data.EditingSession`` This session.
+             */
+            'change',
+
+            /** api: event[commit]
+             *  Fired when all the requests of a commit are done.
+             *
+             *  Listener arguments:
+             *
+             *  * ``cgxp.data.EditingSession`` This session.
+             *  * ``Array(String)`` The ids of the saved layers.
+             *  * ``Array(OpenLayers.Feature.Vector)`` The features that
+             *    could not be saved, see ``getError``.
+             */
+            'commit'
+        );
+
+        this.features = [];
+        this.snapshots = {};
+        this.undoStack = [];
+        this.redoStack = [];
+        this.errors = {};
+
+        this.layer.events.on({
+            featuremodified: this.onFeatureModified,
+            scope: this
+        });
+    },
+
+    /** private: method[onFeatureModified]
+     */
+    onFeatureModified: function(e) {
+        if (this.contains(e.feature)) {
+            this.update(e.feature);
+        }
+    },
+
+    /** private: method[snapshot]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``Object`` A copy of the geometry, the attributes and the
+     *      state of the feature.
+     */
+    snapshot: function(feature) {
+        return {
+            geometry: feature.geometry.clone(),
+            attributes: Ext.apply({}, feature.attributes),
+            state: feature.state
+        };
+    },
+
+    /** private: method[equals]
+     *  :arg a: ``Object`` A snapshot.
+     *  :arg b: ``Object`` A snapshot.
+     *  :returns: ``Boolean``
+     */
+    equals: function(a, b) {
+        return a.state == b.state &&
+            a.geometry.toString() == b.geometry.toString() &&
+            Ext.encode(a.attributes) == Ext.encode(b.attributes);
+    },
+
+    /** api: method[contains]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``Boolean`` Whether the feature is in the session.
+     */
+    contains: function(feature) {
+        return this.features.indexOf(feature) != -1;
+    },
+
+    /** api: method[getFeature]
+     *  :arg layerId: ``String`` The layer id.
+     *  :arg fid: ``String`` The feature id on the server.
+     *  :returns: ``OpenLayers.Feature.Vector`` The feature of the session,
+     *      ``undefined`` if it isn't in the session.
+     */
+    getFeature: function(layerId, fid) {
+        for (var i = 0, len = this.features.length; i < len; i++) {
+            var feature = this.features[i];
+            if (feature.fid == fid &&
+                feature.attributes.__layer_id__ == layerId) {
+                return feature;
+            }
+        }
+    },
+
+    /** api: method[add]
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A feature of the layer,
+     *      read from the server or drawn.
+     *
+     *  Adds a feature to the session. The creation of a drawn feature,
+     *  with the ``INSERT`` state, can be undone.
+     */
+    add: function(feature) {
+        if (this.contains(feature)) {
+            return;
+        }
+        this.features.push(feature);
+        var snapshot = this.snapshot(feature);
+        this.snapshots[feature.id] = snapshot;
+        if (feature.state == OpenLayers.State.INSERT) {
+            this.record(feature, null, snapshot);
+        } else {
+            this.fireEvent('change', this);
+        }
+    },
+
+    /** api: method[update]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``Boolean`` Whether the feature changed since the last
+     *      recorded change.
+     *
+     *  Records the change of the geometry, the attributes or the state of
+     *  a feature of the session.
+     */
+    update: function(feature) {
+        var before = this.snapshots[feature.id];
+        var after = this.snapshot(feature);
+        if (before && this.equals(before, after)) {
+            return false;
+        }
+        this.snapshots[feature.id] = after;
+        this.record(feature, before, after);
+        return true;
+    },
+
+    /** private: method[record]
+     */
+    record: function(feature, before, after) {
+        delete this.errors[feature.id];
+        var change = {feature: feature, before: before, after: after};
+        if (this.group) {
+            this.group.push(change);
+        } else {
+            this.push([change]);
+        }
+    },
+
+    /** private: method[push]
+     *  :arg changes: ``Array(Object)`` Changes undone at once.
+     */
+    push: function(changes) {
+        this.undoStack.push(changes);
+        if (this.undoStack.length > this.historySize) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.fireEvent('change', this);
+    },
+
+    /** api: method[transaction]
+     *  :arg fn: ``Function`` Adds or updates features of the session.
+     *  :arg scope: ``Object`` The scope of the function.
+     *
+     *  Records the changes of the features done by the function as a
+     *  single change, undone and redone at once.
+     */
+    transaction: function(fn, scope) {
+        this.group = [];
+        try {
+            fn.call(scope);
+        } finally {
+            var changes = this.group;
+            this.group = null;
+            if (changes.length > 0) {
+                this.push(changes);
+            }
+        }
+    },
+
+    /** api: method[canUndo]
+     *  :returns: ``Boolean``
+     */
+    canUndo: function() {
+        return !this.committing && this.undoStack.length > 0;
+    },
+
+    /** api: method[canRedo]
+     *  :returns: ``Boolean``
+     */
+    canRedo: function() {
+        return !this.committing && this.redoStack.length > 0;
+    },
+
+    /** api: method[undo]
+     *  Undoes the last change.
+     */
+    undo: function() {
+        if (this.canUndo()) {
+            var changes = this.undoStack.pop();
+            this.redoStack.push(changes);
+            for (var i = changes.length - 1; i >= 0; i--) {
+                this.restore(changes[i].feature, changes[i].before);
+            }
+            this.fireEvent('change', this);
+        }
+    },
+
+    /** api: method[redo]
+     *  Redoes the last undone change.
+     */
+    redo: function() {
+        if (this.canRedo()) {
+            var changes = this.redoStack.pop();
+            this.undoStack.push(changes);
+            Ext.each(changes, function(change) {
+                this.restore(change.feature, change.after);
+            }, this);
+            this.fireEvent('change', this);
+        }
+    },
+
+    /** private: method[restore]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :arg snapshot: ``Object`` The snapshot to restore, ``null`` to
+     *      remove the feature from the layer.
+     */
+    restore: function(feature, snapshot) {
+        delete this.errors[feature.id];
+        this.snapshots[feature.id] = snapshot;
+        if (!snapshot) {
+            this.layer.removeFeatures([feature]);
+        } else {
+            // unrender the feature before changing its geometry, see
+            // GeoExt.ux.FeatureEditorGrid.cancel
+            if (feature.layer) {
+                this.layer.drawFeature(feature, {display: "none"});
+            }
+            feature.geometry = snapshot.geometry.clone();
+            feature.attributes = Ext.apply({}, snapshot.attributes);
+            feature.state = snapshot.state;
+            if (feature.layer) {
+                this.layer.drawFeature(feature);
+            } else {
+                this.layer.addFeatures([feature]);
+            }
+        }
+    },
+
+    /** api: method[getPendingFeatures]
+     *  :returns: ``Array(OpenLayers.Feature.Vector)`` The features to
+     *      save: the created, modified and deleted features. The deleted
+     *      features that were created in the session are not saved.
+     */
+    getPendingFeatures: function() {
+        var features = [];
+        Ext.each(this.features, function(feature) {
+            if (feature.layer && feature.state && !(!feature.fid &&
+                feature.state == OpenLayers.State.DELETE)) {
+                features.push(feature);
+            }
+        });
+        return features;
+    },
+
+    /** api: method[hasChanges]
+     *  :returns: ``Boolean`` Whether there are features to save.
+     */
+    hasChanges: function() {
+        return this.getPendingFeatures().length > 0;
+    },
+
+    /** api: method[getError]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``Object`` The HTTP ``status`` and the ``validationError``
+     *      of the last save of the feature, ``undefined`` if there's no
+     *      error.
+     */
+    getError: function(feature) {
+        return this.errors[feature.id];
+    },
+
+    /** api: method[release]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``Boolean`` Whether the feature has been removed from the
+     *      session.
+     *
+     *  Removes a feature that has no change to save or undo from the
+     *  session.
+     */
+    release: function(feature) {
+        if (!this.contains(feature)) {
+            return true;
+        }
+        if (feature.state && feature.layer) {
+            return false;
+        }
+        var stack = this.undoStack.concat(this.redoStack);
+        for (var i = 0, len = stack.length; i < len; i++) {
+            for (var j = 0, lenj = stack[i].length; j < lenj; j++) {
+                if (stack[i][j].feature === feature) {
+                    return false;
+                }
+            }
+        }
+        this.forget(feature);
+        return true;
+    },
+
+    /** private: method[forget]
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *
+     *  Removes a feature and its changes from the session.
+     */
+    forget: function(feature) {
+        this.features.remove(feature);
+        delete this.snapshots[feature.id];
+        var filter = function(stack) {
+            var result = [];
+            Ext.each(stack, function(changes) {
+                var kept = [];
+                Ext.each(changes, function(change) {
+                    if (change.feature !== feature) {
+                        kept.push(change);
+                    }
+                });
+                if (kept.length > 0) {
+                    result.push(kept);
+                }
+            });
+            return result;
+        };
+        this.undoStack = filter(this.undoStack);
+        this.redoStack = filter(this.redoStack);
+    },
+
+    /** api: method[commit]
+     *  Saves the pending features, each with its own request. The saved
+     *  features, and the deleted features created in the session, are
+     *  removed from the layer and from the session.
+     */
+    commit: function() {
+        if (this.committing) {
+            return;
+        }
+        var features = this.getPendingFeatures();
+        Ext.each(this.features.slice(), function(feature) {
+            if (feature.layer && !feature.fid &&
+                feature.state == OpenLayers.State.DELETE) {
+                this.layer.removeFeatures([feature]);
+                this.forget(feature);
+            }
+        }, this);
+        this.errors = {};
+        var layerIds = [];
+        var failures = [];
+        var count = features.length;
+        var done = function() {
+            if (--count <= 0) {
+                this.committing = false;
+                this.fireEvent('change', this);
+                this.fireEvent('commit', this, layerIds, failures);
+            }
+        };
+        this.committing = true;
+        this.fireEvent('change', this);
+        if (count === 0) {
+            done.call(this);
+            return;
+        }
+        Ext.each(features, function(feature) {
+            var layerId = feature.attributes.__layer_id__;
+            var protocol = new OpenLayers.Protocol.HTTP({
+                url: this.url + layerId,
+                format: new OpenLayers.Format.GeoJSON()
+            });
+            var error = {};
+            var callback = function(response) {
+                error.status = response.priv.status;
+                if (error.status == 400) {
+                    var json = new OpenLayers.Format.JSON().read(
+                        response.priv.responseText);
+                    if (json && json.validation_error) {
+                        error.validationError = json.validation_error;
+                    }
+                }
+            };
+            protocol.commit([feature], {
+                create: {
+                    callback: callback
+                },
+                update: {
+                    callback: callback
+                },
+                'delete': {
+                    callback: callback
+                },
+                callback: function(response) {
+                    if (response.code === OpenLayers.Protocol.Response.SUCCESS) {
+                        this.layer.removeFeatures([feature]);
+                        this.forget(feature);
+                        if (layerIds.indexOf(layerId) == -1) {
+                            layerIds.push(layerId);
+                        }
+                    } else {
+                        this.errors[feature.id] = error;
+                        failures.push(feature);
+                    }
+                    done.call(this);
+                },
+                scope: this
+            });
+        }, this);
+    },
+
+    /** api: method[clear]
+     *  Removes the features of the session from the layer and discards
+     *  their changes.
+     */
+    clear: function() {
+        var features = [];
+        Ext.each(this.features, function(feature) {
+            if (feature.layer) {
+                features.push(feature);
+            }
+        });
+        this.layer.removeFeatures(features);
+        this.features = [];
+        this.snapshots = {};
+        this.undoStack = [];
+        this.redoStack = [];
+        this.errors = {};
+        this.fireEvent('change', this);
+    },
+
+    /** api: method[destroy]
+     */
+    destroy: function() {
+        this.layer.events.un({
+            featuremodified: this.onFeatureModified,
+            scope: this
+        });
+        this.purgeListeners();
+    }
+});
@@ -0,0 +1,767 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Format/GeoJSON.js
+ * @include OpenLayers/Format/KML.js
+ * @include OpenLayers/Format/GPX.js
+ * @include OpenLayers/Format/WKT.js
+ * @include OpenLayers/Projection.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = FeaturesExporter
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: FeaturesExporter(config)
+ *
+ *  Writes features as files in the browser, in GeoJSON, KML, GPX, CSV with
+ *  the geometries in WKT, zipped Shapefile or XLSX. Used by
+ *  :class:`cgxp.plugins.FeaturesGrid`.
+ *
+ *  The attributes are written with their aliases, and the geometries are
+ *  transformed to ``projection``, except for KML and GPX that are always
+ *  in EPSG:4326.
+ */
+cgxp.data.FeaturesExporter = Ext.extend(Object, {
+
+    /** api: config[sourceProjection]
+     *  ``OpenLayers.Projection``
+     *  The projection of the features.
+     */
+    sourceProjection: null,
+
+    /** api: config[projection]
+     *  ``String``
+     *  The EPSG code of the exported geometries, by default the
+     *  ``sourceProjection``.
+     */
+    projection: null,
+
+    /** api: config[csvSeparator]
+     *  ``String`` The separator of the CSV files. Default is ``,``.
+     */
+    csvSeparator: ',',
+
+    /** api: config[quote]
+     *  ``String`` The strings delimiter of the CSV files. Default is ``"``.
+     */
+    quote: '"',
+
+    /** api: config[csvIncludeHeader]
+     *  ``Boolean`` Include the header row in the CSV files. Default is
+     *  true.
+     */
+    csvIncludeHeader: true,
+
+    /** api: config[csvExtension]
+     *  ``String`` The extension of the CSV files. Default is ``csv``.
+     */
+    csvExtension: 'csv',
+
+    /** api: config[prjs]
+     *  ``Object``
+     *  The ESRI WKT of the projections, by EPSG code, written in the
+     *  ``.prj`` file of the Shapefiles.
+     */
+    prjs: {
+        'EPSG:4326': 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+            'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+        'EPSG:21781': 'PROJCS["CH1903_LV03",GEOGCS["GCS_CH1903",' +
+            'DATUM["D_CH1903",SPHEROID["Bessel_1841",6377397.155,' +
+            '299.1528128]],PRIMEM["Greenwich",0.0],' +
+            'UNIT["Degree",0.0174532925199433]],' +
+            'PROJECTION["Hotine_Oblique_Mercator_Azimuth_Center"],' +
+            'PARAMETER["False_Easting",600000.0],' +
+            'PARAMETER["False_Northing",200000.0],' +
+            'PARAMETER["Scale_Factor",1.0],PARAMETER["Azimuth",90.0],' +
+            'PARAMETER["Longitude_Of_Center",7.439583333333333],' +
+            'PARAMETER["Latitude_Of_Center",46.95240555555556],' +
+            'UNIT["Meter",1.0]]',
+        'EPSG:2056': 'PROJCS["CH1903+_LV95",GEOGCS["GCS_CH1903+",' +
+            'DATUM["D_CH1903+",SPHEROID["Bessel_1841",6377397.155,' +
+            '299.1528128]],PRIMEM["Greenwich",0.0],' +
+            'UNIT["Degree",0.0174532925199433]],' +
+            'PROJECTION["Hotine_Oblique_Mercator_Azimuth_Center"],' +
+            'PARAMETER["False_Easting",2600000.0],' +
+            'PARAMETER["False_Northing",1200000.0],' +
+            'PARAMETER["Scale_Factor",1.0],PARAMETER["Azimuth",90.0],' +
+            'PARAMETER["Longitude_Of_Center",7.439583333333333],' +
+            'PARAMETER["Latitude_Of_Center",46.95240555555556],' +
+            'UNIT["Meter",1.0]]'
+    },
+
+    /** api: property[FORMATS]
+     *  ``Object``
+     *  The file extension and the MIME type of the formats.
+     */
+    FORMATS: {
+        geojson: {extension: 'geojson', mimeType: 'application/geo+json'},
+        kml: {extension: 'kml',
+            mimeType: 'application/vnd.google-earth.kml+xml'},
+        gpx: {extension: 'gpx', mimeType: 'application/gpx+xml'},
+        csv: {extension: 'csv', mimeType: 'text/csv;charset=utf-8'},
+        shapefile: {extension: 'zip', mimeType: 'application/zip'},
+        xlsx: {extension: 'xlsx', mimeType: 'application/' +
+            'vnd.openxmlformats-officedocument.spreadsheetml.sheet'}
+    },
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+    },
+
+    /** api: method[write]
+     *  Writes features.
+     *  :arg format: ``String`` ``geojson``, ``kml``, ``gpx``, ``csv``,
+     *      ``shapefile`` or ``xlsx``.
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     *  :arg columns: ``Array(Object)`` The exported attributes, objects with
+     *      the attribute ``name`` and its ``alias``.
+     *  :arg name: ``String`` The name of the file, without extension.
+     *  :returns: ``Object`` With the ``data``, a ``String`` or an
+     *      ``Uint8Array``, the ``filename`` and the ``mimeType``.
+     */
+    write: function(format, features, columns, name) {
+        var method = 'write' + format.charAt(0).toUpperCase() +
+            format.substr(1);
+        var extension = format == 'csv' ? this.csvExtension :
+            this.FORMATS[format].extension;
+        return {
+            data: this[method](features, columns, name),
+            filename: name + '.' + extension,
+            mimeType: this.FORMATS[format].mimeType
+        };
+    },
+
+    /** private: method[getProjection]
+     *  :returns: ``OpenLayers.Projection`` The projection of the export.
+     */
+    getProjection: function() {
+        return this.projection ?
+            new OpenLayers.Projection(this.projection) : this.sourceProjection;
+    },
+
+    /** private: method[transform]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :arg projection: ``OpenLayers.Projection``
+     *  :returns: ``OpenLayers.Geometry`` A transformed copy of the geometry.
+     */
+    transform: function(geometry, projection) {
+        if (!geometry) {
+            return null;
+        }
+        geometry = geometry.clone();
+        if (this.sourceProjection && projection &&
+                !projection.equals(this.sourceProjection)) {
+            geometry.transform(this.sourceProjection, projection);
+        }
+        return geometry;
+    },
+
+    /** private: method[getRows]
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     *  :arg columns: ``Array(Object)``
+     *  :returns: ``Array(Array(String))`` The attribute values.
+     */
+    getRows: function(features, columns) {
+        var rows = [];
+        Ext.each(features, function(feature) {
+            var row = [];
+            Ext.each(columns, function(column) {
+                var value = feature.attributes[column.name];
+                row.push(value === null || value === undefined ?
+                    '' : String(value));
+            });
+            rows.push(row);
+        });
+        return rows;
+    },
+
+    /** private: method[createFeatures]
+     *  Creates the features to write with OpenLayers formats.
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     *  :arg columns: ``Array(Object)``
+     *  :arg projection: ``OpenLayers.Projection``
+     *  :arg named: ``Boolean`` Add a ``name`` attribute, with the first
+     *      attribute value, if there is none.
+     *  :returns: ``Array(OpenLayers.Feature.Vector)``
+     */
+    createFeatures: function(features, columns, projection, named) {
+        var rows = this.getRows(features, columns);
+        var result = [];
+        Ext.each(features, function(feature, i) {
+            var attributes = {};
+            Ext.each(columns, function(column, j) {
+                attributes[column.alias] = rows[i][j];
+            });
+            if (named && !('name' in attributes) && columns.length > 0) {
+                attributes.name = rows[i][0];
+            }
+            result.push(new OpenLayers.Feature.Vector(
+                this.transform(feature.geometry, projection), attributes));
+        }, this);
+        return result;
+    },
+
+    /** private: method[writeGeojson]
+     *  :returns: ``String``
+     */
+    writeGeojson: function(features, columns, name) {
+        var projection = this.getProjection();
+        var collection = Ext.decode(new OpenLayers.Format.GeoJSON().write(
+            this.createFeatures(features, columns, projection)));
+        if (projection && projection.getCode() != 'EPSG:4326') {
+            collection.crs = {
+                type: 'name',
+                properties: {
+                    name: 'urn:ogc:def:crs:EPSG::' +
+                        projection.getCode().split(':').pop()
+                }
+            };
+        }
+        return Ext.encode(collection);
+    },
+
+    /** private: method[writeKml]
+     *  :returns: ``String``
+     */
+    writeKml: function(features, columns, name) {
+        return new OpenLayers.Format.KML({
+            foldersName: name,
+            foldersDesc: ''
+        }).write(this.createFeatures(features, columns,
+            new OpenLayers.Projection('EPSG:4326'), true));
+    },
+
+    /** private: method[writeGpx]
+     *  :returns: ``String``
+     */
+    writeGpx: function(features, columns, name) {
+        return new OpenLayers.Format.GPX().write(
+            this.createFeatures(features, columns,
+                new OpenLayers.Projection('EPSG:4326'), true),
+            {name: name});
+    },
+
+    /** private: method[writeCsv]
+     *  The geometries are written in the last column, in WKT.
+     *  :returns: ``String``
+     */
+    writeCsv: function(features, columns, name) {
+        var q = this.quote, separator = this.csvSeparator;
+        var line = function(values) {
+            var quoted = [];
+            Ext.each(values, function(value) {
+                quoted.push(q + value.split(q).join(q + q) + q);
+            });
+            return quoted.join(separator);
+        };
+        var projection = this.getProjection();
+        var wkt = new OpenLayers.Format.WKT();
+        var lines = [];
+        if (this.csvIncludeHeader) {
+            lines.push(line(Ext.pluck(columns, 'alias').concat(['WKT'])));
+        }
+        var rows = this.getRows(features, columns);
+        Ext.each(features, function(feature, i) {
+            var geometry = this.transform(feature.geometry, projection);
+            lines.push(line(rows[i].concat(
+                [geometry ? wkt.extractGeometry(geometry) : ''])));
+        }, this);
+        // the byte order mark lets the spreadsheets read UTF-8
+        return '\ufeff' + lines.join('\r\n');
+    },
+
+    /** private: method[writeShapefile]
+     *  Writes a zip with a Shapefile by shape type.
+     *  :returns: ``Uint8Array``
+     */
+    writeShapefile: function(features, columns, name) {
+        var projection = this.getProjection();
+        var rows = this.getRows(features, columns);
+        var groups = {}, count = 0;
+        Ext.each(features, function(feature, i) {
+            var geometry = this.transform(feature.geometry, projection);
+            var type = geometry && this.getShapeType(geometry);
+            if (type) {
+                if (!groups[type]) {
+                    groups[type] = {geometries: [], rows: []};
+                    count++;
+                }
+                groups[type].geometries.push(geometry);
+                groups[type].rows.push(rows[i]);
+            }
+        }, this);
+
+        var suffixes = {1: 'point', 3: 'line', 5: 'polygon', 8: 'multipoint'};
+        var prj = projection && this.prjs[projection.getCode()];
+        var files = [];
+        for (var type in groups) {
+            if (groups.hasOwnProperty(type)) {
+                var base = count > 1 ? name + '_' + suffixes[type] : name;
+                var shapes = this.writeShapes(parseInt(type, 10),
+                    groups[type].geometries);
+                files.push({name: base + '.shp', data: shapes.shp});
+                files.push({name: base + '.shx', data: shapes.shx});
+                files.push({name: base + '.dbf', data: this.writeDBF(
+                    Ext.pluck(columns, 'alias'), groups[type].rows)});
+                files.push({name: base + '.cpg', data: this.toBytes('UTF-8')});
+                if (prj) {
+                    files.push({name: base + '.prj', data: this.toBytes(prj)});
+                }
+            }
+        }
+        return this.zip(files);
+    },
+
+    /** private: method[getShapeType]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``Integer`` The Shapefile shape type.
+     */
+    getShapeType: function(geometry) {
+        switch (geometry.CLASS_NAME) {
+            case 'OpenLayers.Geometry.Point':
+                return 1;
+            case 'OpenLayers.Geometry.LineString':
+            case 'OpenLayers.Geometry.LinearRing':
+            case 'OpenLayers.Geometry.MultiLineString':
+                return 3;
+            case 'OpenLayers.Geometry.Polygon':
+            case 'OpenLayers.Geometry.MultiPolygon':
+                return 5;
+            case 'OpenLayers.Geometry.MultiPoint':
+                return 8;
+        }
+        return null;
+    },
+
+    /** private: method[getParts]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``Array(Array(OpenLayers.Geometry.Point))`` The parts of
+     *      the shape, the outer rings are clockwise and the holes counter
+     *      clockwise.
+     */
+    getParts: function(geometry) {
+        var parts = [];
+        switch (geometry.CLASS_NAME) {
+            case 'OpenLayers.Geometry.Point':
+                parts.push([geometry]);
+                break;
+            case 'OpenLayers.Geometry.MultiPoint':
+            case 'OpenLayers.Geometry.LineString':
+            case 'OpenLayers.Geometry.LinearRing':
+                parts.push(geometry.components);
+                break;
+            case 'OpenLayers.Geometry.MultiLineString':
+                Ext.each(geometry.components, function(line) {
+                    parts.push(line.components);
+                });
+                break;
+            case 'OpenLayers.Geometry.Polygon':
+                Ext.each(geometry.components, function(ring, i) {
+                    var points = ring.components.slice();
+                    var area = 0;
+                    for (var j = 0; j < points.length - 1; j++) {
+                        area += points[j].x * points[j + 1].y -
+                            points[j + 1].x * points[j].y;
+                    }
+                    // positive area: counter clockwise
+                    if ((i === 0) == (area > 0)) {
+                        points.reverse();
+                    }
+                    parts.push(points);
+                });
+                break;
+            case 'OpenLayers.Geometry.MultiPolygon':
+                Ext.each(geometry.components, function(polygon) {
+                    parts = parts.concat(this.getParts(polygon));
+                }, this);
+                break;
+        }
+        return parts;
+    },
+
+    /** private: method[writeShapes]
+     *  :arg shapeType: ``Integer``
+     *  :arg geometries: ``Array(OpenLayers.Geometry)``
+     *  :returns: ``Object`` The ``shp`` and ``shx`` files content.
+     */
+    writeShapes: function(shapeType, geometries) {
+        var records = [], shpLength = 100;
+        var bounds = new OpenLayers.Bounds();
+        Ext.each(geometries, function(geometry) {
+            var parts = this.getParts(geometry);
+            var nPoints = 0;
+            Ext.each(parts, function(part) {
+                nPoints += part.length;
+            });
+            var length;
+            if (shapeType == 1) {
+                length = 20;
+            } else if (shapeType == 8) {
+                length = 40 + 16 * nPoints;
+            } else {
+                length = 44 + 4 * parts.length + 16 * nPoints;
+            }
+            var recordBounds = geometry.getBounds();
+            bounds.extend(recordBounds);
+            records.push({
+                parts: parts,
+                nPoints: nPoints,
+                bounds: recordBounds,
+                offset: shpLength,
+                length: length
+            });
+            shpLength += 8 + length;
+        }, this);
+
+        var shxLength = 100 + 8 * records.length;
+        var shp = new DataView(new ArrayBuffer(shpLength));
+        var shx = new DataView(new ArrayBuffer(shxLength));
+        var writeHeader = function(view, length) {
+            view.setInt32(0, 9994);
+            view.setInt32(24, length / 2);
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, shapeType, true);
+            if (records.length > 0) {
+                view.setFloat64(36, bounds.left, true);
+                view.setFloat64(44, bounds.bottom, true);
+                view.setFloat64(52, bounds.right, true);
+                view.setFloat64(60, bounds.top, true);
+            }
+        };
+        writeHeader(shp, shpLength);
+        writeHeader(shx, shxLength);
+
+        Ext.each(records, function(record, i) {
+            var pos = record.offset;
+            shx.setInt32(100 + 8 * i, pos / 2);
+            shx.setInt32(104 + 8 * i, record.length / 2);
+            shp.setInt32(pos, i + 1);
+            shp.setInt32(pos + 4, record.length / 2);
+            shp.setInt32(pos + 8, shapeType, true);
+            pos += 12;
+            if (shapeType == 1) {
+                var point = record.parts[0][0];
+                shp.setFloat64(pos, point.x, true);
+                shp.setFloat64(pos + 8, point.y, true);
+                return;
+            }
+            shp.setFloat64(pos, record.bounds.left, true);
+            shp.setFloat64(pos + 8, record.bounds.bottom, true);
+            shp.setFloat64(pos + 16, record.bounds.right, true);
+            shp.setFloat64(pos + 24, record.bounds.top, true);
+            pos += 32;
+            if (shapeType != 8) {
+                shp.setInt32(pos, record.parts.length, true);
+                pos += 4;
+            }
+            shp.setInt32(pos, record.nPoints, true);
+            pos += 4;
+            if (shapeType != 8) {
+                var index = 0;
+                Ext.each(record.parts, function(part) {
+                    shp.setInt32(pos, index, true);
+                    pos += 4;
+                    index += part.length;
+                });
+            }
+            Ext.each(record.parts, function(part) {
+                Ext.each(part, function(point) {
+                    shp.setFloat64(pos, point.x, true);
+                    shp.setFloat64(pos + 8, point.y, true);
+                    pos += 16;
+                });
+            });
+        });
+        return {
+            shp: new Uint8Array(shp.buffer),
+            shx: new Uint8Array(shx.buffer)
+        };
+    },
+
+    /** private: method[writeDBF]
+     *  Writes a dBase file with character fields.
+     *  :arg names: ``Array(String)`` The field names.
+     *  :arg rows: ``Array(Array(String))``
+     *  :returns: ``Uint8Array``
+     */
+    writeDBF: function(names, rows) {
+        var fields = [], used = {};
+        Ext.each(names, function(name, i) {
+            // the field names have up to 10 ASCII characters
+            var fieldName = name.replace(/[^A-Za-z0-9_]/g, '_')
+                .substr(0, 10) || 'FIELD';
+            var n = 1;
+            while (used[fieldName.toUpperCase()]) {
+                var suffix = String(n++);
+                fieldName = fieldName.substr(0, 10 - suffix.length) + suffix;
+            }
+            used[fieldName.toUpperCase()] = true;
+            fields.push({name: fieldName, length: 1});
+        });
+        var values = [];
+        Ext.each(rows, function(row) {
+            var bytes = [];
+            Ext.each(fields, function(field, i) {
+                var value = row[i];
+                var data = this.toBytes(value);
+                while (data.length > 254) {
+                    value = value.substr(0, value.length - 1);
+                    data = this.toBytes(value);
+                }
+                field.length = Math.max(field.length, data.length);
+                bytes.push(data);
+            }, this);
+            values.push(bytes);
+        }, this);
+
+        var headerLength = 33 + 32 * fields.length;
+        var recordLength = 1;
+        Ext.each(fields, function(field) {
+            recordLength += field.length;
+        });
+        var buffer = new Uint8Array(headerLength +
+            recordLength * rows.length + 1);
+        var view = new DataView(buffer.buffer);
+        var now = new Date();
+        buffer[0] = 3;
+        buffer[1] = now.getFullYear() - 1900;
+        buffer[2] = now.getMonth() + 1;
+        buffer[3] = now.getDate();
+        view.setUint32(4, rows.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+        Ext.each(fields, function(field, i) {
+            var pos = 32 + 32 * i;
+            for (var j = 0; j < field.name.length; j++) {
+                buffer[pos + j] = field.name.charCodeAt(j);
+            }
+            buffer[pos + 11] = 'C'.charCodeAt(0);
+            buffer[pos + 16] = field.length;
+        });
+        buffer[headerLength - 1] = 0x0d;
+
+        var pos = headerLength;
+        Ext.each(values, function(bytes) {
+            buffer[pos++] = 0x20;
+            Ext.each(fields, function(field, i) {
+                for (var j = 0; j < field.length; j++) {
+                    buffer[pos + j] = j < bytes[i].length ? bytes[i][j] : 0x20;
+                }
+                pos += field.length;
+            });
+        });
+        buffer[pos] = 0x1a;
+        return buffer;
+    },
+
+    /** private: method[writeXlsx]
+     *  Writes a workbook with the attributes in one sheet.
+     *  :returns: ``Uint8Array``
+     */
+    writeXlsx: function(features, columns, name) {
+        var escape = function(value) {
+            return value.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        };
+        var cellName = function(column, row) {
+            var letters = '';
+            for (column++; column > 0; column = Math.floor((column - 1) / 26)) {
+                letters = String.fromCharCode(65 + (column - 1) % 26) + letters;
+            }
+            return letters + row;
+        };
+        var rows = [Ext.pluck(columns, 'alias')].concat(
+            this.getRows(features, columns));
+        var sheetData = [];
+        Ext.each(rows, function(row, i) {
+            var cells = [];
+            Ext.each(row, function(value, j) {
+                var ref = cellName(j, i + 1);
+                if (i > 0 && /^-?\d+(\.\d+)?$/.test(value)) {
+                    cells.push('<c r="' + ref + '"><v>' + value + '</v></c>');
+                } else {
+                    cells.push('<c r="' + ref + '" t="inlineStr"><is>' +
+                        '<t xml:space="preserve">' + escape(value) +
+                        '</t></is></c>');
+                }
+            });
+            sheetData.push('<row r="' + (i + 1) + '">' + cells.join('') +
+                '</row>');
+        });
+        var sheetName = name.replace(/[\[\]\*\?\/\\:]/g, '_')
+            .substr(0, 31) || 'Sheet1';
+
+        var header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        var main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        var rels = 'http://schemas.openxmlformats.org/package/2006/relationships';
+        var docRels = 'http://schemas.openxmlformats.org/officeDocument/' +
+            '2006/relationships';
+        var files = [{
+            name: '[Content_Types].xml',
+            data: header +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/' +
+                '2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/' +
+                'vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="' +
+                'application/vnd.openxmlformats-officedocument.' +
+                'spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+                'ContentType="application/vnd.openxmlformats-' +
+                'officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        }, {
+            name: '_rels/.rels',
+            data: header + '<Relationships xmlns="' + rels + '">' +
+                '<Relationship Id="rId1" Type="' + docRels +
+                '/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        }, {
+            name: 'xl/workbook.xml',
+            data: header + '<workbook xmlns="' + main + '" xmlns:r="' +
+                docRels + '"><sheets><sheet name="' + escape(sheetName) +
+                '" sheetId="1" r:id="rId1"/></sheets></workbook>'
+        }, {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: header + '<Relationships xmlns="' + rels + '">' +
+                '<Relationship Id="rId1" Type="' + docRels +
+                '/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        }, {
+            name: 'xl/worksheets/sheet1.xml',
+            data: header + '<worksheet xmlns="' + main + '"><sheetData>' +
+                sheetData.join('') + '</sheetData></worksheet>'
+        }];
+        Ext.each(files, function(file) {
+            file.data = this.toBytes(file.data);
+        }, this);
+        return this.zip(files);
+    },
+
+    /** private: method[toBytes]
+     *  :arg str: ``String``
+     *  :returns: ``Uint8Array`` The UTF-8 bytes.
+     */
+    toBytes: function(str) {
+        var utf8 = unescape(encodeURIComponent(str));
+        var bytes = new Uint8Array(utf8.length);
+        for (var i = 0; i < utf8.length; i++) {
+            bytes[i] = utf8.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    /** private: method[crc32]
+     *  :arg bytes: ``Uint8Array``
+     *  :returns: ``Integer``
+     */
+    crc32: function(bytes) {
+        var table = cgxp.data.FeaturesExporter.crcTable;
+        if (!table) {
+            table = cgxp.data.FeaturesExporter.crcTable = [];
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+        }
+        var crc = 0xffffffff;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /** private: method[zip]
+     *  Writes a zip archive, without compression.
+     *  :arg files: ``Array(Object)`` With the ``name`` and the ``data``
+     *      ``Uint8Array``.
+     *  :returns: ``Uint8Array``
+     */
+    zip: function(files) {
+        var now = new Date();
+        var time = now.getHours() << 11 | now.getMinutes() << 5 |
+            Math.floor(now.getSeconds() / 2);
+        var date = (now.getFullYear() - 1980) << 9 |
+            (now.getMonth() + 1) << 5 | now.getDate();
+        var entries = [], size = 0, centralSize = 0;
+        Ext.each(files, function(file) {
+            var name = this.toBytes(file.name);
+            entries.push({
+                name: name,
+                data: file.data,
+                crc: this.crc32(file.data),
+                offset: size
+            });
+            size += 30 + name.length + file.data.length;
+            centralSize += 46 + name.length;
+        }, this);
+
+        var buffer = new Uint8Array(size + centralSize + 22);
+        var view = new DataView(buffer.buffer);
+        var writeEntry = function(pos, entry, central) {
+            view.setUint32(pos, central ? 0x02014b50 : 0x04034b50, true);
+            if (central) {
+                view.setUint16(pos + 4, 20, true);
+                pos += 2;
+            }
+            view.setUint16(pos + 4, 20, true);
+            // the names are in UTF-8
+            view.setUint16(pos + 6, 0x0800, true);
+            view.setUint16(pos + 10, time, true);
+            view.setUint16(pos + 12, date, true);
+            view.setUint32(pos + 14, entry.crc, true);
+            view.setUint32(pos + 18, entry.data.length, true);
+            view.setUint32(pos + 22, entry.data.length, true);
+            view.setUint16(pos + 26, entry.name.length, true);
+            if (central) {
+                view.setUint32(pos + 40, entry.offset, true);
+                buffer.set(entry.name, pos + 44);
+                return pos + 44 + entry.name.length;
+            }
+            buffer.set(entry.name, pos + 30);
+            buffer.set(entry.data, pos + 30 + entry.name.length);
+            return pos + 30 + entry.name.length + entry.data.length;
+        };
+        var pos = 0;
+        Ext.each(entries, function(entry) {
+            pos = writeEntry(pos, entry, false);
+        });
+        Ext.each(entries, function(entry) {
+            pos = writeEntry(pos, entry, true);
+        });
+        view.setUint32(pos, 0x06054b50, true);
+        view.setUint16(pos + 8, entries.length, true);
+        view.setUint16(pos + 10, entries.length, true);
+        view.setUint32(pos + 12, centralSize, true);
+        view.setUint32(pos + 16, size, true);
+        return buffer;
+    }
+});
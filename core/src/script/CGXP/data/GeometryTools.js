@@ -0,0 +1,726 @@
+/**
+ * Copyright (c) 2012-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Geometry/Point.js
+ * @include OpenLayers/Geometry/LineString.js
+ * @include OpenLayers/Geometry/LinearRing.js
+ * @include OpenLayers/Geometry/Polygon.js
+ * @include OpenLayers/Geometry/MultiPoint.js
+ * @include OpenLayers/Geometry/MultiLineString.js
+ * @include OpenLayers/Geometry/MultiPolygon.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = GeometryTools
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: GeometryTools(config)
+ *
+ *  Geometry operations of the editing tools of
+ *  :class:`cgxp.plugins.Editing`: split a line or a polygon with a line,
+ *  merge adjacent polygons, add or remove a hole, offset a line, and
+ *  convert a geometry to the geometry type of a layer.
+ *
+ *  The polygons are merged along their common edges, so their vertices
+ *  should be snapped to each other. The line splitting a polygon must not
+ *  cross its holes.
+ */
+cgxp.data.GeometryTools = Ext.extend(Object, {
+
+    /** api: config[tolerance]
+     *  ``Number``
+     *  The distance under which two vertices are equal, in the map units.
+     *  Default is 0.01, one centimeter in a metric projection.
+     */
+    tolerance: 0.01,
+
+    /** api: config[miterLimit]
+     *  ``Number``
+     *  The maximum distance between a vertex of a line and the vertex of
+     *  its offset line, relative to the offset distance. Beyond it the
+     *  corner is beveled. Default is 4.
+     */
+    miterLimit: 4,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+    },
+
+    /** api: method[convert]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :arg type: ``String`` The geometry type of a layer, as read from
+     *      its ``md.xsd``: ``Point``, ``Line``, ``Curve``, ``Polygon``,
+     *      ``Surface`` or ``Geometry``, prefixed with ``Multi`` for the
+     *      multi geometries.
+     *  :returns: ``OpenLayers.Geometry`` A copy of the geometry with the
+     *      type, ``null`` if the geometry can't be converted.
+     */
+    convert: function(geometry, type) {
+        var multi = type.indexOf('Multi') === 0;
+        var simpleType = {
+            'Point': 'Point',
+            'Line': 'LineString',
+            'Curve': 'LineString',
+            'Polygon': 'Polygon',
+            'Surface': 'Polygon'
+        }[type.replace('Multi', '')];
+        if (!simpleType) {
+            return geometry.clone();
+        }
+        var components = [];
+        Ext.each(this.getComponents(geometry), function(component) {
+            if (component.CLASS_NAME != 'OpenLayers.Geometry.' + simpleType) {
+                components = null;
+                return false;
+            }
+            components.push(component.clone());
+        });
+        if (!components || components.length === 0) {
+            return null;
+        }
+        if (multi) {
+            return new OpenLayers.Geometry['Multi' + simpleType](components);
+        }
+        return components.length == 1 ? components[0] : null;
+    },
+
+    /** api: method[getType]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``String`` The geometry type of the geometry, as expected
+     *      by ``convert``.
+     */
+    getType: function(geometry) {
+        return geometry.CLASS_NAME.split('.').pop().replace('String', '');
+    },
+
+    /** private: method[getComponents]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``Array(OpenLayers.Geometry)`` The points, lines or
+     *      polygons of the geometry.
+     */
+    getComponents: function(geometry) {
+        return geometry.CLASS_NAME.indexOf('OpenLayers.Geometry.Multi') === 0 ?
+            geometry.components : [geometry];
+    },
+
+    /** private: method[getPoints]
+     *  :arg line: ``OpenLayers.Geometry.LineString`` A line or a ring.
+     *  :returns: ``Array(OpenLayers.Geometry.Point)`` The vertices, without
+     *      the last one of a ring.
+     */
+    getPoints: function(line) {
+        var points = line.components.slice();
+        if (line.CLASS_NAME == 'OpenLayers.Geometry.LinearRing') {
+            points.pop();
+        }
+        return points;
+    },
+
+    /** private: method[createPolygon]
+     *  :arg rings: ``Array(Array(OpenLayers.Geometry.Point))`` The outer
+     *      ring and the holes.
+     *  :returns: ``OpenLayers.Geometry.Polygon``
+     */
+    createPolygon: function(rings) {
+        var linearRings = [];
+        Ext.each(rings, function(points) {
+            var ring = [];
+            Ext.each(points, function(point) {
+                ring.push(point.clone());
+            });
+            linearRings.push(new OpenLayers.Geometry.LinearRing(ring));
+        });
+        return new OpenLayers.Geometry.Polygon(linearRings);
+    },
+
+    /** private: method[equals]
+     *  :arg a: ``OpenLayers.Geometry.Point``
+     *  :arg b: ``OpenLayers.Geometry.Point``
+     *  :returns: ``Boolean``
+     */
+    equals: function(a, b) {
+        return Math.abs(a.x - b.x) <= this.tolerance &&
+            Math.abs(a.y - b.y) <= this.tolerance;
+    },
+
+    /** private: method[getKey]
+     *  :arg point: ``OpenLayers.Geometry.Point``
+     *  :returns: ``String`` The point rounded to the tolerance.
+     */
+    getKey: function(point) {
+        return Math.round(point.x / this.tolerance) + ',' +
+            Math.round(point.y / this.tolerance);
+    },
+
+    /** private: method[intersect]
+     *  :arg a: ``OpenLayers.Geometry.Point`` First point of a segment.
+     *  :arg b: ``OpenLayers.Geometry.Point`` Last point of the segment.
+     *  :arg c: ``OpenLayers.Geometry.Point`` First point of another
+     *      segment.
+     *  :arg d: ``OpenLayers.Geometry.Point`` Last point of the other
+     *      segment.
+     *  :returns: ``Object`` The ``x`` and ``y`` of the intersection, and
+     *      its position ``t`` on the first segment and ``u`` on the other
+     *      one, between 0 and 1. ``null`` if the segments don't intersect
+     *      or are parallel.
+     */
+    intersect: function(a, b, c, d) {
+        var rx = b.x - a.x, ry = b.y - a.y;
+        var sx = d.x - c.x, sy = d.y - c.y;
+        var denominator = rx * sy - ry * sx;
+        if (denominator === 0) {
+            return null;
+        }
+        var t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denominator;
+        var u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denominator;
+        var epsilon = 1e-9;
+        if (t < -epsilon || t > 1 + epsilon || u < -epsilon || u > 1 + epsilon) {
+            return null;
+        }
+        return {x: a.x + t * rx, y: a.y + t * ry, t: t, u: u};
+    },
+
+    /** private: method[getSegmentDistance]
+     *  :arg point: ``OpenLayers.Geometry.Point``
+     *  :arg a: ``OpenLayers.Geometry.Point``
+     *  :arg b: ``OpenLayers.Geometry.Point``
+     *  :returns: ``Number`` The distance of the point to the segment.
+     */
+    getSegmentDistance: function(point, a, b) {
+        var dx = b.x - a.x, dy = b.y - a.y;
+        var length2 = dx * dx + dy * dy;
+        var t = length2 === 0 ? 0 :
+            ((point.x - a.x) * dx + (point.y - a.y) * dy) / length2;
+        t = Math.max(0, Math.min(1, t));
+        var x = a.x + t * dx - point.x, y = a.y + t * dy - point.y;
+        return Math.sqrt(x * x + y * y);
+    },
+
+    /** private: method[contains]
+     *  :arg ring: ``Array(OpenLayers.Geometry.Point)``
+     *  :arg point: ``OpenLayers.Geometry.Point``
+     *  :returns: ``Boolean`` Whether the point is inside the ring.
+     */
+    contains: function(ring, point) {
+        var inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            var a = ring[i], b = ring[j];
+            if ((a.y > point.y) != (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /** private: method[getArea]
+     *  :arg ring: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Number`` The signed area of the ring, positive if it's
+     *      counterclockwise.
+     */
+    getArea: function(ring) {
+        var area = 0;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j].x - ring[i].x) * (ring[j].y + ring[i].y);
+        }
+        return area / 2;
+    },
+
+    /** private: method[insertVertex]
+     *  :arg ring: ``Array(OpenLayers.Geometry.Point)``
+     *  :arg point: ``OpenLayers.Geometry.Point`` A point on the ring.
+     *  :returns: ``Number`` The index of the vertex at the point, inserted
+     *      if needed, -1 if the point isn't on the ring.
+     */
+    insertVertex: function(ring, point) {
+        var i, len = ring.length;
+        for (i = 0; i < len; i++) {
+            if (this.equals(ring[i], point)) {
+                return i;
+            }
+        }
+        for (i = 0; i < len; i++) {
+            if (this.getSegmentDistance(point, ring[i], ring[(i + 1) % len]) <=
+                this.tolerance) {
+                ring.splice(i + 1, 0, point);
+                return i + 1;
+            }
+        }
+        return -1;
+    },
+
+    /** api: method[split]
+     *  :arg geometry: ``OpenLayers.Geometry`` A line or a polygon, or a
+     *      multi geometry of them.
+     *  :arg line: ``OpenLayers.Geometry.LineString`` The splitting line.
+     *  :returns: ``Array(OpenLayers.Geometry)`` The lines or the polygons
+     *      of the split geometry, the components of a multi geometry are
+     *      separated. ``null`` if the line doesn't split the geometry.
+     */
+    split: function(geometry, line) {
+        var components = this.getComponents(geometry);
+        var parts = [];
+        Ext.each(components, function(component) {
+            var split = component.CLASS_NAME == 'OpenLayers.Geometry.Polygon' ?
+                this.splitPolygon(component, line) :
+                this.splitLine(component, line);
+            parts = parts.concat(split || [component.clone()]);
+        }, this);
+        return parts.length > components.length ? parts : null;
+    },
+
+    /** private: method[splitLine]
+     *  :arg geometry: ``OpenLayers.Geometry.LineString``
+     *  :arg line: ``OpenLayers.Geometry.LineString``
+     *  :returns: ``Array(OpenLayers.Geometry.LineString)``
+     */
+    splitLine: function(geometry, line) {
+        var points = geometry.components, cutter = line.components;
+        var parts = [], current = [points[0].clone()];
+        var add = function(point) {
+            if (!this.equals(current[current.length - 1], point)) {
+                current.push(point.clone());
+                return true;
+            }
+            return false;
+        };
+        for (var i = 0; i < points.length - 1; i++) {
+            var hits = [];
+            for (var j = 0; j < cutter.length - 1; j++) {
+                var hit = this.intersect(points[i], points[i + 1],
+                    cutter[j], cutter[j + 1]);
+                if (hit) {
+                    hits.push(hit);
+                }
+            }
+            hits.sort(function(a, b) {
+                return a.t - b.t;
+            });
+            Ext.each(hits, function(hit) {
+                var point = new OpenLayers.Geometry.Point(hit.x, hit.y);
+                if (add.call(this, point) &&
+                    !this.equals(point, points[points.length - 1])) {
+                    parts.push(current);
+                    current = [point.clone()];
+                }
+            }, this);
+            add.call(this, points[i + 1]);
+        }
+        if (current.length > 1) {
+            parts.push(current);
+        }
+        if (parts.length < 2) {
+            return null;
+        }
+        var lines = [];
+        Ext.each(parts, function(part) {
+            lines.push(new OpenLayers.Geometry.LineString(part));
+        });
+        return lines;
+    },
+
+    /** private: method[splitPolygon]
+     *  :arg polygon: ``OpenLayers.Geometry.Polygon``
+     *  :arg line: ``OpenLayers.Geometry.LineString``
+     *  :returns: ``Array(OpenLayers.Geometry.Polygon)``
+     */
+    splitPolygon: function(polygon, line) {
+        var ring = this.getPoints(polygon.components[0]);
+        var cutter = line.components;
+        var i, j, k;
+
+        // the intersections of the line with the outer ring, along the line
+        var hits = [];
+        for (j = 0; j < cutter.length - 1; j++) {
+            for (i = 0; i < ring.length; i++) {
+                var hit = this.intersect(cutter[j], cutter[j + 1],
+                    ring[i], ring[(i + 1) % ring.length]);
+                if (hit) {
+                    hit.point = new OpenLayers.Geometry.Point(hit.x, hit.y);
+                    hit.position = j + hit.t;
+                    hits.push(hit);
+                }
+            }
+        }
+        hits.sort(function(a, b) {
+            return a.position - b.position;
+        });
+        // the intersections at a vertex are found on two segments
+        for (k = hits.length - 1; k > 0; k--) {
+            if (this.equals(hits[k].point, hits[k - 1].point)) {
+                hits.splice(k, 1);
+            }
+        }
+
+        // the parts of the line inside the polygon
+        var chords = [];
+        for (k = 0; k < hits.length - 1; k++) {
+            var chord = [hits[k].point];
+            for (j = Math.floor(hits[k].position) + 1;
+                 j <= hits[k + 1].position; j++) {
+                if (!this.equals(cutter[j], chord[chord.length - 1])) {
+                    chord.push(cutter[j]);
+                }
+            }
+            if (!this.equals(hits[k + 1].point, chord[chord.length - 1])) {
+                chord.push(hits[k + 1].point);
+            }
+            if (chord.length > 1 && this.contains(ring,
+                this.getMiddle(chord[0], chord[1]))) {
+                chords.push(chord);
+            }
+        }
+
+        var pieces = [ring.slice()];
+        Ext.each(chords, function(chord) {
+            var middle = this.getMiddle(chord[0], chord[1]);
+            for (k = 0; k < pieces.length; k++) {
+                if (this.contains(pieces[k], middle)) {
+                    var split = this.splitRing(pieces[k], chord);
+                    if (split) {
+                        pieces.splice.apply(pieces, [k, 1].concat(split));
+                    }
+                    break;
+                }
+            }
+        }, this);
+        if (pieces.length < 2) {
+            return null;
+        }
+
+        var polygons = [];
+        Ext.each(pieces, function(piece) {
+            var rings = [piece];
+            for (k = 1; k < polygon.components.length; k++) {
+                var hole = this.getPoints(polygon.components[k]);
+                if (this.contains(piece, hole[0])) {
+                    rings.push(hole);
+                }
+            }
+            polygons.push(this.createPolygon(rings));
+        }, this);
+        return polygons;
+    },
+
+    /** private: method[splitRing]
+     *  :arg ring: ``Array(OpenLayers.Geometry.Point)``
+     *  :arg chord: ``Array(OpenLayers.Geometry.Point)`` A line inside the
+     *      ring, from a point of the ring to another one.
+     *  :returns: ``Array(Array(OpenLayers.Geometry.Point))`` The two rings
+     *      on each side of the chord.
+     */
+    splitRing: function(ring, chord) {
+        ring = ring.slice();
+        this.insertVertex(ring, chord[0]);
+        this.insertVertex(ring, chord[chord.length - 1]);
+        var start = this.insertVertex(ring, chord[0]);
+        var end = this.insertVertex(ring, chord[chord.length - 1]);
+        if (start == -1 || end == -1 || start == end) {
+            return null;
+        }
+        if (start > end) {
+            chord = chord.slice().reverse();
+            var index = start;
+            start = end;
+            end = index;
+        }
+        var inner = chord.slice(1, chord.length - 1);
+        return [
+            ring.slice(start, end + 1).concat(inner.slice().reverse()),
+            ring.slice(end).concat(ring.slice(0, start + 1), inner)
+        ];
+    },
+
+    /** private: method[getMiddle]
+     *  :returns: ``OpenLayers.Geometry.Point``
+     */
+    getMiddle: function(a, b) {
+        return new OpenLayers.Geometry.Point((a.x + b.x) / 2, (a.y + b.y) / 2);
+    },
+
+    /** api: method[merge]
+     *  :arg geometries: ``Array(OpenLayers.Geometry)`` Polygons or multi
+     *      polygons.
+     *  :returns: ``Array(OpenLayers.Geometry.Polygon)`` The polygons of
+     *      the union of the geometries, only one if they are adjacent.
+     */
+    merge: function(geometries) {
+        var polygons = [];
+        Ext.each(geometries, function(geometry) {
+            polygons = polygons.concat(this.getComponents(geometry));
+        }, this);
+        var rings = [], holes = [];
+        Ext.each(polygons, function(polygon) {
+            var ring = this.getPoints(polygon.components[0]);
+            rings.push(this.getArea(ring) < 0 ? ring.reverse() : ring);
+            for (var k = 1; k < polygon.components.length; k++) {
+                holes.push(this.getPoints(polygon.components[k]));
+            }
+        }, this);
+
+        // add the vertices of the other rings lying on an edge, to have
+        // the same common edges in both rings
+        var i, j, k;
+        for (i = 0; i < rings.length; i++) {
+            for (j = 0; j < rings.length; j++) {
+                if (i != j) {
+                    for (k = 0; k < rings[j].length; k++) {
+                        this.insertVertex(rings[i], rings[j][k]);
+                    }
+                }
+            }
+        }
+
+        // remove the common edges, in opposite directions in two rings
+        var edges = [], keys = {};
+        Ext.each(rings, function(ring) {
+            for (i = 0; i < ring.length; i++) {
+                var edge = {
+                    from: ring[i],
+                    to: ring[(i + 1) % ring.length]
+                };
+                edge.start = this.getKey(edge.from);
+                edge.end = this.getKey(edge.to);
+                if (edge.start != edge.end) {
+                    edges.push(edge);
+                    keys[edge.start + ' ' + edge.end] = true;
+                }
+            }
+        }, this);
+        var outgoing = {};
+        Ext.each(edges, function(edge) {
+            if (!keys[edge.end + ' ' + edge.start]) {
+                (outgoing[edge.start] = outgoing[edge.start] || []).push(edge);
+            }
+        });
+
+        // chain the remaining edges
+        var outers = [];
+        Ext.each(edges, function(edge) {
+            if (edge.used || keys[edge.end + ' ' + edge.start]) {
+                return;
+            }
+            var ring = [];
+            while (edge && !edge.used) {
+                edge.used = true;
+                ring.push(edge.from);
+                var next = null;
+                Ext.each(outgoing[edge.end], function(candidate) {
+                    if (!candidate.used) {
+                        next = candidate;
+                        return false;
+                    }
+                });
+                edge = next;
+            }
+            if (ring.length > 2) {
+                // the clockwise rings are the gaps between the polygons
+                (this.getArea(ring) > 0 ? outers : holes).push(ring);
+            }
+        }, this);
+
+        var result = [];
+        Ext.each(outers, function(outer) {
+            var polygonRings = [outer];
+            Ext.each(holes, function(hole) {
+                if (this.contains(outer, hole[0])) {
+                    polygonRings.push(hole);
+                }
+            }, this);
+            result.push(this.createPolygon(polygonRings));
+        }, this);
+        return result;
+    },
+
+    /** api: method[addHole]
+     *  :arg geometry: ``OpenLayers.Geometry`` A polygon or a multi polygon.
+     *  :arg hole: ``OpenLayers.Geometry.Polygon`` The hole.
+     *  :returns: ``OpenLayers.Geometry`` A copy of the geometry with the
+     *      hole, ``null`` if the hole isn't inside a polygon, outside of
+     *      its holes.
+     */
+    addHole: function(geometry, hole) {
+        var points = this.getPoints(hole.components[0]);
+        var added = false;
+        var polygons = [];
+        Ext.each(this.getComponents(geometry), function(polygon) {
+            var rings = [];
+            Ext.each(polygon.components, function(ring) {
+                rings.push(this.getPoints(ring));
+            }, this);
+            if (!added && this.isInside(points, rings)) {
+                rings.push(points);
+                added = true;
+            }
+            polygons.push(this.createPolygon(rings));
+        }, this);
+        return added ? this.createGeometry(geometry, polygons) : null;
+    },
+
+    /** private: method[isInside]
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)`` A ring.
+     *  :arg rings: ``Array(Array(OpenLayers.Geometry.Point))`` The rings of
+     *      a polygon.
+     *  :returns: ``Boolean`` Whether the ring is inside the polygon,
+     *      without crossing its rings.
+     */
+    isInside: function(points, rings) {
+        for (var i = 0; i < points.length; i++) {
+            if (!this.contains(rings[0], points[i])) {
+                return false;
+            }
+            for (var k = 1; k < rings.length; k++) {
+                if (this.contains(rings[k], points[i])) {
+                    return false;
+                }
+            }
+        }
+        for (k = 0; k < rings.length; k++) {
+            var ring = rings[k];
+            if (k > 0 && this.contains(points, ring[0])) {
+                return false;
+            }
+            for (i = 0; i < points.length; i++) {
+                for (var j = 0; j < ring.length; j++) {
+                    if (this.intersect(points[i], points[(i + 1) % points.length],
+                        ring[j], ring[(j + 1) % ring.length])) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    },
+
+    /** api: method[removeHole]
+     *  :arg geometry: ``OpenLayers.Geometry`` A polygon or a multi polygon.
+     *  :arg point: ``OpenLayers.Geometry.Point`` A point in the hole.
+     *  :returns: ``OpenLayers.Geometry`` A copy of the geometry without the
+     *      hole, ``null`` if there is no hole at the point.
+     */
+    removeHole: function(geometry, point) {
+        var removed = false;
+        var polygons = [];
+        Ext.each(this.getComponents(geometry), function(polygon) {
+            var rings = [];
+            Ext.each(polygon.components, function(ring, k) {
+                var points = this.getPoints(ring);
+                if (k > 0 && !removed && this.contains(points, point)) {
+                    removed = true;
+                } else {
+                    rings.push(points);
+                }
+            }, this);
+            polygons.push(this.createPolygon(rings));
+        }, this);
+        return removed ? this.createGeometry(geometry, polygons) : null;
+    },
+
+    /** private: method[createGeometry]
+     *  :arg geometry: ``OpenLayers.Geometry`` A polygon or a multi polygon.
+     *  :arg polygons: ``Array(OpenLayers.Geometry.Polygon)``
+     *  :returns: ``OpenLayers.Geometry`` The polygons with the type of the
+     *      geometry.
+     */
+    createGeometry: function(geometry, polygons) {
+        return geometry.CLASS_NAME == 'OpenLayers.Geometry.MultiPolygon' ?
+            new OpenLayers.Geometry.MultiPolygon(polygons) : polygons[0];
+    },
+
+    /** api: method[offset]
+     *  :arg geometry: ``OpenLayers.Geometry`` A line or a multi line.
+     *  :arg distance: ``Number`` The distance, positive on the left of the
+     *      line and negative on its right.
+     *  :returns: ``OpenLayers.Geometry`` The parallel line, of the same
+     *      type as the geometry, ``null`` if the line has less than two
+     *      distinct vertices.
+     */
+    offset: function(geometry, distance) {
+        if (geometry.CLASS_NAME == 'OpenLayers.Geometry.MultiLineString') {
+            var lines = [];
+            Ext.each(geometry.components, function(line) {
+                var offset = this.offset(line, distance);
+                if (offset) {
+                    lines.push(offset);
+                }
+            }, this);
+            return lines.length > 0 ?
+                new OpenLayers.Geometry.MultiLineString(lines) : null;
+        }
+        var points = [];
+        Ext.each(geometry.components, function(point) {
+            if (points.length === 0 ||
+                !this.equals(points[points.length - 1], point)) {
+                points.push(point);
+            }
+        }, this);
+        if (points.length < 2) {
+            return null;
+        }
+
+        // the segments moved along their normal
+        var segments = [];
+        for (var i = 0; i < points.length - 1; i++) {
+            var a = points[i], b = points[i + 1];
+            var length = Math.sqrt(Math.pow(b.x - a.x, 2) +
+                Math.pow(b.y - a.y, 2));
+            var dx = -(b.y - a.y) / length * distance;
+            var dy = (b.x - a.x) / length * distance;
+            segments.push([
+                new OpenLayers.Geometry.Point(a.x + dx, a.y + dy),
+                new OpenLayers.Geometry.Point(b.x + dx, b.y + dy)
+            ]);
+        }
+
+        // joined at the intersection of their lines, or beveled if it is
+        // too far from the vertex
+        var maxLength = this.miterLimit * Math.abs(distance);
+        var result = [segments[0][0]];
+        for (i = 1; i < segments.length; i++) {
+            var s1 = segments[i - 1], s2 = segments[i];
+            var rx = s1[1].x - s1[0].x, ry = s1[1].y - s1[0].y;
+            var sx = s2[1].x - s2[0].x, sy = s2[1].y - s2[0].y;
+            var denominator = rx * sy - ry * sx;
+            var miter = null;
+            if (Math.abs(denominator) >= 1e-12) {
+                var t = ((s2[0].x - s1[0].x) * sy - (s2[0].y - s1[0].y) * sx) /
+                    denominator;
+                miter = new OpenLayers.Geometry.Point(
+                    s1[0].x + t * rx, s1[0].y + t * ry);
+                if (miter.distanceTo(points[i]) > maxLength) {
+                    miter = null;
+                }
+            }
+            if (miter) {
+                result.push(miter);
+            } else if (this.equals(s1[1], s2[0])) {
+                result.push(s2[0]);
+            } else {
+                result.push(s1[1], s2[0]);
+            }
+        }
+        result.push(segments[segments.length - 1][1]);
+        return new OpenLayers.Geometry.LineString(result);
+    }
+});
@@ -0,0 +1,309 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires CGXP/data/RoutingService.js
+ * @include OpenLayers/Format/GeoJSON.js
+ * @include OpenLayers/Util.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = GraphHopper
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: GraphHopper(config)
+ *
+ *  Routing service for the GraphHopper routing API (``route``, ``matrix``
+ *  and ``isochrone``), see https://docs.graphhopper.com/. The API has no
+ *  nearest request, the locations are used as they are. The isochrones
+ *  are computed for evenly spaced times, up to the largest requested
+ *  one.
+ */
+cgxp.data.GraphHopper = Ext.extend(cgxp.data.RoutingService, {
+
+    /** api: config[profile]
+     *  ``String``
+     *  The GraphHopper profile (or vehicle). Default is ``car``.
+     */
+    profile: 'car',
+
+    /** api: config[key]
+     *  ``String``
+     *  The API key, optional.
+     */
+    key: null,
+
+    /** api: config[locale]
+     *  ``String``
+     *  The language of the server instructions. Default is ``en``.
+     */
+    locale: 'en',
+
+    /** api: property[avoidAreas]
+     *  ``Boolean``
+     *  The areas to avoid are sent as ``block_area``.
+     */
+    avoidAreas: true,
+
+    /** private: property[DIRECTIONS]
+     *  ``Object`` The direction types by instruction sign.
+     */
+    DIRECTIONS: {
+        '-98': 'DIRECTION_5',
+        '-8': 'DIRECTION_5',
+        '-7': 'DIRECTION_8',
+        '-3': 'DIRECTION_6',
+        '-2': 'DIRECTION_7',
+        '-1': 'DIRECTION_8',
+        '0': 'DIRECTION_1',
+        '1': 'DIRECTION_2',
+        '2': 'DIRECTION_3',
+        '3': 'DIRECTION_4',
+        '4': 'DIRECTION_15',
+        '7': 'DIRECTION_2',
+        '8': 'DIRECTION_5'
+    },
+
+    /** private: method[getRouteRequest]
+     */
+    getRouteRequest: function(options) {
+        var params = {
+            point: this.getPointParams([options.source].concat(
+                options.via || [], [options.target])),
+            profile: this.profile,
+            locale: this.locale,
+            instructions: !!options.instructions,
+            points_encoded: true
+        };
+        if (options.alternates) {
+            params.algorithm = 'alternative_route';
+        }
+        if (options.avoid && options.avoid.length > 0) {
+            params.block_area = this.getBlockArea(options.avoid);
+        }
+        if (params.algorithm || params.block_area) {
+            // not supported by the contraction hierarchies
+            params['ch.disable'] = true;
+        }
+        return this.createRequest('route', params);
+    },
+
+    /** private: method[readRoute]
+     */
+    readRoute: function(data, options) {
+        if (!data.paths || data.paths.length === 0) {
+            return this.createStatus(207, data.message);
+        }
+        var precision = Math.round(
+            Math.log(data.points_encoded_multiplier || 1e5) / Math.LN10);
+        var routes = [];
+        Ext.each(data.paths, function(path) {
+            var route = this.createStatus(0);
+            route.geometry = this.decodePolyline(path.points, precision,
+                path.points_dimension == 3 ? 3 : 2);
+            route.distance = path.distance;
+            route.time = path.time / 1000;
+            if (options.instructions) {
+                route.instructions = this.readInstructions(
+                    path.instructions, route.geometry);
+                route.legs = this.readLegs(path.instructions);
+            }
+            routes.push(route);
+        }, this);
+        var route = routes.shift();
+        if (options.alternates) {
+            route.alternatives = routes;
+        }
+        return route;
+    },
+
+    /** private: method[createRequest]
+     *  :arg path: ``String`` The API endpoint.
+     *  :arg params: ``Object`` The parameters, an array value is sent as a
+     *      repeated parameter.
+     *  :returns: ``Object`` The ``url`` and the ``params`` of the request.
+     *
+     *  ``OpenLayers.Util.getParameterString`` joins the array values with
+     *  commas, so the repeated parameters are added to the url.
+     */
+    createRequest: function(path, params) {
+        if (this.key) {
+            params.key = this.key;
+        }
+        var repeated = [];
+        for (var name in params) {
+            if (Ext.isArray(params[name])) {
+                Ext.each(params[name], function(value) {
+                    repeated.push(encodeURIComponent(name) + '=' +
+                        encodeURIComponent(value));
+                });
+                delete params[name];
+            }
+        }
+        return {
+            url: OpenLayers.Util.urlAppend(
+                this.url.replace(/\/$/, '') + '/' + path, repeated.join('&')),
+            params: params
+        };
+    },
+
+    /** private: method[getPointParams]
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Array(String)`` The ``point`` parameters.
+     */
+    getPointParams: function(points) {
+        var params = [];
+        Ext.each(points, function(point) {
+            params.push(point.y + ',' + point.x);
+        });
+        return params;
+    },
+
+    /** private: method[getBlockArea]
+     *  :arg polygons: ``Array(OpenLayers.Geometry.Polygon)``
+     *  :returns: ``String`` The polygons as ``lat1,lon1,lat2,lon2,...``,
+     *      separated by semicolons.
+     */
+    getBlockArea: function(polygons) {
+        var areas = [];
+        Ext.each(polygons, function(polygon) {
+            var coordinates = [];
+            Ext.each(polygon.components[0].components, function(point) {
+                coordinates.push(point.y, point.x);
+            });
+            areas.push(coordinates.join(','));
+        });
+        return areas.join(';');
+    },
+
+    /** private: method[readLegs]
+     *  :arg instructions: ``Array(Object)`` The path instructions.
+     *  :returns: ``Array(Object)`` The legs, ended by the instructions
+     *      reaching the via points and the destination.
+     */
+    readLegs: function(instructions) {
+        var legs = [];
+        var leg = {distance: 0, time: 0};
+        Ext.each(instructions, function(instruction) {
+            leg.distance += instruction.distance;
+            leg.time += instruction.time / 1000;
+            if (instruction.sign == 4 || instruction.sign == 5) {
+                legs.push(leg);
+                leg = {distance: 0, time: 0};
+            }
+        });
+        return legs;
+    },
+
+    /** private: method[getTableRequest]
+     */
+    getTableRequest: function(points) {
+        var params = {
+            point: this.getPointParams(points),
+            profile: this.profile,
+            out_array: ['times', 'distances']
+        };
+        return this.createRequest('matrix', params);
+    },
+
+    /** private: method[readTable]
+     */
+    readTable: function(data, points) {
+        if (!data.times) {
+            return this.createStatus(1, data.message);
+        }
+        var table = this.createStatus(0);
+        table.durations = data.times;
+        table.distances = data.distances || null;
+        return table;
+    },
+
+    /** private: method[getIsochroneRequest]
+     */
+    getIsochroneRequest: function(origin, times) {
+        var params = {
+            point: this.getPointParams([origin]),
+            profile: this.profile,
+            time_limit: times[times.length - 1],
+            buckets: times.length
+        };
+        return this.createRequest('isochrone', params);
+    },
+
+    /** private: method[readIsochrones]
+     */
+    readIsochrones: function(data, times) {
+        if (!data.polygons) {
+            return this.createStatus(1, data.message);
+        }
+        var result = this.createStatus(0);
+        result.isochrones = [];
+        var format = new OpenLayers.Format.GeoJSON();
+        Ext.each(data.polygons, function(polygon) {
+            var feature = format.read(polygon, 'Feature');
+            var bucket = feature.attributes.bucket;
+            result.isochrones.push({
+                time: times[times.length - 1] * (bucket + 1) / times.length,
+                geometry: feature.geometry
+            });
+        });
+        result.isochrones.sort(function(a, b) {
+            return a.time - b.time;
+        });
+        return result;
+    },
+
+    /** private: method[readInstructions]
+     *  :arg instructions: ``Array(Object)`` The path instructions.
+     *  :arg geometry: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Array(Object)``
+     */
+    readInstructions: function(instructions, geometry) {
+        var result = [];
+        Ext.each(instructions, function(instruction, i) {
+            // the via points are reached
+            if (instruction.sign == 5) {
+                return;
+            }
+            var position = instruction.interval[0];
+            var type;
+            if (i === 0) {
+                type = 'DIRECTION_10';
+            } else if (instruction.sign == 6) {
+                type = this.getRoundaboutType(instruction.exit_number);
+            } else {
+                type = this.DIRECTIONS[instruction.sign] || 'DIRECTION_0';
+            }
+            var bearing = this.getBearing(geometry, position);
+            result.push({
+                id: result.length,
+                directionType: type,
+                roadName: instruction.street_name,
+                distance: instruction.distance,
+                position: position,
+                time: instruction.time / 1000,
+                compassDirection: bearing === null ?
+                    '' : this.getCompassDirection(bearing)
+            });
+        }, this);
+        return result;
+    }
+});
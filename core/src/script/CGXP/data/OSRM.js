@@ -16,6 +16,7 @@
  */
 
 /**
+ * @requires CGXP/data/RoutingService.js
  * @include OpenLayers/Protocol/Script.js
  */
 
@@ -28,25 +29,16 @@ Ext.namespace("cgxp.data");
 
 /** api: constructor
  *  .. class:: OSRM(config)
+ *
+ *  Routing service for the legacy OSRM API (``viaroute`` and ``nearest``,
+ *  up to OSRM 4), see :class:`cgxp.data.OSRM5` for the current API.
  */
-cgxp.data.OSRM = Ext.extend(Ext.util.Observable, {
+cgxp.data.OSRM = Ext.extend(cgxp.data.RoutingService, {
 
     /** static OSRM coordinate precision
      */
     OSRM_PRECISION: 6,
 
-    /** api: config[url]
-     *  ``String``
-     *  The url to the OSRM server
-     */
-
-    /** api: config[dynamic]
-     *  ``Boolean``
-     *  Is the routing service supposed to issue requests dynamically
-     *  as the user drags a route marker?
-     */
-    dynamic: false,
-
     /** private: property[_cacheHints]
      *  Hints from previous OSRM requests
      */
@@ -223,6 +215,10 @@ cgxp.data.OSRM = Ext.extend(Ext.util.Observable, {
                                 }
                                 route.instructions = instructions;
                             }
+                            if (options.alternates) {
+                                route.alternatives = this.parseAlternatives(
+                                    data, options.instructions);
+                            }
                         }
 
                         callback.apply(scope, [data.status, route]);
@@ -253,31 +249,35 @@ cgxp.data.OSRM = Ext.extend(Ext.util.Observable, {
      *  :returns ``Array`` an array of [lng, lat] pairs
      */
     parseRouteGeometry: function(encoded) {
-        var precision = Math.pow(10, -this.OSRM_PRECISION);
-        var len = encoded.length;
-        var index = 0;
-        var lat = 0;
-        var lng = 0;
-        var coords = [];
-
-        var parseNext = function() {
-            var b;
-            var shift = 0;
-            var result = 0;
-            do {
-                b = encoded.charCodeAt(index++) - 63;
-                result |= (b & 0x1f) << shift;
-                shift += 5;
-            } while(b >= 0x20);
-            return (result & 1) ? ~(result >> 1) : result >> 1;
-        };
+        return this.decodePolyline(encoded, this.OSRM_PRECISION);
+    },
 
-        while (index<len) {
-            lat += parseNext();
-            lng += parseNext();
-            coords.push(new OpenLayers.Geometry.Point(lng*precision, lat*precision));
+    /** private: method[parseAlternatives]
+     *  Returns the alternative routes of the response.
+     */
+    parseAlternatives: function(data, withInstructions) {
+        var alternatives = [];
+        var geometries = data.alternative_geometries || [];
+        for (var i = 0, n = geometries.length; i < n; i++) {
+            var summary = data.alternative_summaries[i];
+            var alternative = {
+                status: 0,
+                message: OpenLayers.i18n("STATUS_0"),
+                geometry: this.parseRouteGeometry(geometries[i]),
+                distance: summary.total_distance,
+                time: summary.total_time
+            };
+            if (withInstructions) {
+                var instructions = [];
+                var infos = data.alternative_instructions[i];
+                for (var j = 0, m = infos.length; j < m; j++) {
+                    instructions.push(this.formatInstruction(j, infos[j]));
+                }
+                alternative.instructions = instructions;
+            }
+            alternatives.push(alternative);
         }
-        return coords;
+        return alternatives;
     },
 
     /** private: method[formatInstruction]
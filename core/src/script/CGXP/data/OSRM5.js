@@ -0,0 +1,233 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires CGXP/data/RoutingService.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = OSRM5
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: OSRM5(config)
+ *
+ *  Routing service for the OSRM HTTP API version 5 (``route/v1`` and
+ *  ``nearest/v1``), see http://project-osrm.org/docs/v5.5.1/api/.
+ */
+cgxp.data.OSRM5 = Ext.extend(cgxp.data.RoutingService, {
+
+    /** api: config[profile]
+     *  ``String``
+     *  The OSRM profile. Default is ``driving``.
+     */
+    profile: 'driving',
+
+    /** private: property[DIRECTIONS]
+     *  ``Object`` The direction types by maneuver modifier.
+     */
+    DIRECTIONS: {
+        'straight': 'DIRECTION_1',
+        'slight right': 'DIRECTION_2',
+        'right': 'DIRECTION_3',
+        'sharp right': 'DIRECTION_4',
+        'uturn': 'DIRECTION_5',
+        'sharp left': 'DIRECTION_6',
+        'left': 'DIRECTION_7',
+        'slight left': 'DIRECTION_8'
+    },
+
+    /** private: property[ERRORS]
+     *  ``Object`` The statuses by response code.
+     */
+    ERRORS: {
+        'InvalidUrl': 2,
+        'InvalidQuery': 2,
+        'InvalidValue': 3,
+        'InvalidOptions': 2,
+        'TooBig': 3,
+        'NoSegment': 208,
+        'NoRoute': 207
+    },
+
+    /** private: method[getServiceUrl]
+     *  :arg service: ``String`` ``route`` or ``nearest``.
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``String``
+     */
+    getServiceUrl: function(service, points) {
+        var coordinates = [];
+        Ext.each(points, function(point) {
+            coordinates.push(point.x + ',' + point.y);
+        });
+        return this.url.replace(/\/$/, '') + '/' + service + '/v1/' +
+            this.profile + '/' + coordinates.join(';');
+    },
+
+    /** private: method[getRouteRequest]
+     */
+    getRouteRequest: function(options) {
+        return {
+            url: this.getServiceUrl('route', [options.source].concat(
+                options.via || [], [options.target])),
+            params: {
+                overview: 'full',
+                geometries: 'polyline',
+                alternatives: !!options.alternates,
+                steps: !!options.instructions
+            }
+        };
+    },
+
+    /** private: method[readRoute]
+     */
+    readRoute: function(data, options) {
+        if (data.code != 'Ok') {
+            return this.createStatus(this.ERRORS[data.code] || 1, data.message);
+        }
+        var routes = [];
+        Ext.each(data.routes, function(result) {
+            var route = this.createStatus(0);
+            route.geometry = this.decodePolyline(result.geometry, 5);
+            route.distance = result.distance;
+            route.time = result.duration;
+            route.legs = [];
+            Ext.each(result.legs, function(leg) {
+                route.legs.push({
+                    distance: leg.distance,
+                    time: leg.duration
+                });
+            });
+            if (options.instructions) {
+                route.instructions = this.readInstructions(result.legs,
+                    route.geometry);
+            }
+            routes.push(route);
+        }, this);
+        var route = routes.shift();
+        if (options.alternates) {
+            route.alternatives = routes;
+        }
+        return route;
+    },
+
+    /** private: method[readInstructions]
+     *  :arg legs: ``Array(Object)`` The route legs.
+     *  :arg geometry: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Array(Object)``
+     */
+    readInstructions: function(legs, geometry) {
+        var instructions = [];
+        var position = 0;
+        Ext.each(legs, function(leg, i) {
+            Ext.each(leg.steps, function(step) {
+                var maneuver = step.maneuver;
+                var type = this.getDirectionType(maneuver,
+                    i === 0, i == legs.length - 1);
+                if (!type) {
+                    return;
+                }
+                position = this.getPosition(geometry, maneuver.location,
+                    position);
+                instructions.push({
+                    id: instructions.length,
+                    directionType: type,
+                    roadName: step.name,
+                    distance: step.distance,
+                    position: position,
+                    time: step.duration,
+                    compassDirection:
+                        this.getCompassDirection(maneuver.bearing_after)
+                });
+            }, this);
+        }, this);
+        return instructions;
+    },
+
+    /** private: method[getDirectionType]
+     *  :arg maneuver: ``Object``
+     *  :arg first: ``Boolean`` Whether it's a maneuver of the first leg.
+     *  :arg last: ``Boolean`` Whether it's a maneuver of the last leg.
+     *  :returns: ``String`` The direction type, ``null`` for the arrivals
+     *      and departures at the via points.
+     */
+    getDirectionType: function(maneuver, first, last) {
+        switch (maneuver.type) {
+            case 'depart':
+                return first ? 'DIRECTION_10' : null;
+            case 'arrive':
+                return last ? 'DIRECTION_15' : null;
+            case 'roundabout':
+            case 'rotary':
+                return this.getRoundaboutType(maneuver.exit);
+            case 'exit roundabout':
+            case 'exit rotary':
+                return null;
+            default:
+                return this.DIRECTIONS[maneuver.modifier] || 'DIRECTION_1';
+        }
+    },
+
+    /** private: method[getTableRequest]
+     */
+    getTableRequest: function(points) {
+        return {
+            url: this.getServiceUrl('table', points),
+            params: {
+                annotations: 'duration,distance'
+            }
+        };
+    },
+
+    /** private: method[readTable]
+     */
+    readTable: function(data, points) {
+        if (data.code != 'Ok') {
+            return this.createStatus(this.ERRORS[data.code] || 1, data.message);
+        }
+        var table = this.createStatus(0);
+        table.durations = data.durations;
+        table.distances = data.distances || null;
+        return table;
+    },
+
+    /** private: method[getNearestRequest]
+     */
+    getNearestRequest: function(loc) {
+        return {
+            url: this.getServiceUrl('nearest', [loc]),
+            params: {}
+        };
+    },
+
+    /** private: method[readNearest]
+     */
+    readNearest: function(data, loc) {
+        if (data.code != 'Ok') {
+            return this.createStatus(this.ERRORS[data.code] || 1, data.message);
+        }
+        var waypoint = data.waypoints[0];
+        var location = this.createStatus(0);
+        location.x = waypoint.location[0];
+        location.y = waypoint.location[1];
+        location.name = waypoint.name;
+        return location;
+    }
+});
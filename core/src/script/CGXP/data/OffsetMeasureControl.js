@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires CGXP/plugins/Measure.js
+ * @include OpenLayers/Geometry/LineString.js
+ * @include OpenLayers/Geometry/Point.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = OffsetMeasureControl
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: OffsetMeasureControl(config)
+ *
+ *  Control to measure the perpendicular offset of a point from a line,
+ *  and the chainage of the foot of the perpendicular along the line.
+ *  Used by :class:`cgxp.plugins.Measure`.
+ *
+ *  Inherits from: ``<cgxp.plugins.Measure.SegmentMeasureControl>``
+ */
+cgxp.data.OffsetMeasureControl = OpenLayers.Class(
+        cgxp.plugins.Measure.SegmentMeasureControl, {
+
+    /** private: method[initialize]
+     *  Create a new offset measure control
+     *
+     *  :arg options: ``Object`` An optional object whose properties will be used
+     *     to extend the control.
+     */
+    initialize: function(options) {
+        this.callbacks = {
+            point: this.startMeasuring,
+            modify: this.measureDrawing,
+            done: this.measureDone,
+            cancel: this.measureCancel
+        };
+        OpenLayers.Control.Measure.prototype.initialize.call(
+                this, cgxp.data.OffsetMeasureControl.Handler, options);
+    },
+
+    /** private: method[measure]
+     *
+     *  :arg geometry: ``<OpenLayers.Geometry>``
+     */
+    measure: function(geometry) {
+        var offset = this.getOffset(geometry);
+        if (!offset) {
+            return;
+        }
+        var components = geometry.components;
+        var offsetStat = this.getBestLength(new OpenLayers.Geometry.LineString(
+            [offset.foot.clone(), components[2].clone()]));
+        var chainageStat = this.getBestLength(new OpenLayers.Geometry.LineString(
+            [components[0].clone(), offset.foot.clone()]));
+        this.events.triggerEvent('measure', {
+            offset: offsetStat[0],
+            units: offsetStat[1],
+            chainage: offset.chainageSign * chainageStat[0],
+            chainageUnits: chainageStat[1],
+            side: offset.side,
+            geometry: geometry
+        });
+    },
+
+    /** private: method[getOffset]
+     *  Gets the foot of the perpendicular from the third point of the
+     *  geometry to the line of its two first points.
+     *
+     *  :arg geometry: ``<OpenLayers.Geometry.LineString>``
+     *
+     *  :returns: ``Object`` The ``foot`` point, the ``side`` of the line,
+     *     ``left`` or ``right``, and the ``chainageSign``, -1 if the foot is
+     *     before the first point. ``null`` if the line is not drawn.
+     */
+    getOffset: function(geometry) {
+        var components = geometry.components;
+        if (components.length < 3) {
+            return null;
+        }
+        // we consider that we don't use geodetic
+        var a = components[0], b = components[1], p = components[2];
+        var dx = b.x - a.x, dy = b.y - a.y;
+        var length2 = dx * dx + dy * dy;
+        if (length2 === 0) {
+            return null;
+        }
+        var t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / length2;
+        var cross = dx * (p.y - a.y) - dy * (p.x - a.x);
+        return {
+            foot: new OpenLayers.Geometry.Point(a.x + t * dx, a.y + t * dy),
+            side: cross > 0 ? 'left' : 'right',
+            chainageSign: t < 0 ? -1 : 1
+        };
+    },
+
+    CLASS_NAME: "cgxp.data.OffsetMeasureControl"
+});
+
+/** private: constructor
+ *  .. class:: cgxp.data.OffsetMeasureControl.Handler(config)
+ *
+ *  Handler to draw a line and a point on the map, the perpendicular from
+ *  the point to the line is drawn.
+ *
+ *  Inherits from: ``<cgxp.plugins.Measure.Segment>``
+ */
+cgxp.data.OffsetMeasureControl.Handler = OpenLayers.Class(cgxp.plugins.Measure.Segment, {
+
+    /** private: property[perpendicular]
+     *  ``<OpenLayers.Feature.Vector>`` The perpendicular from the point to
+     *     the line
+     */
+    perpendicular: null,
+
+    /**
+     * Constructor: cgxp.data.OffsetMeasureControl.Handler
+     */
+    initialize: function(control, callbacks, options) {
+        cgxp.plugins.Measure.Segment.prototype.initialize.apply(
+            this, [control, callbacks, options]);
+        // the two points of the line and the point
+        this.maxVertices = 3;
+    },
+
+    /** private: method[destroyPersistedFeature]
+     */
+    destroyPersistedFeature: function() {
+        cgxp.plugins.Measure.Segment.prototype.destroyPersistedFeature.apply(
+            this, arguments);
+        if (this.layer && this.perpendicular) {
+            this.perpendicular.destroy();
+            this.perpendicular = null;
+        }
+    },
+
+    /** private: method[modifyFeature]
+     */
+    modifyFeature: function() {
+        // no circle
+        OpenLayers.Handler.Path.prototype.modifyFeature.apply(
+            this, arguments);
+        if (this.perpendicular) {
+            this.layer.removeFeatures([this.perpendicular]);
+            this.perpendicular = null;
+        }
+        var offset = this.control.getOffset(this.line.geometry);
+        if (offset) {
+            this.perpendicular = new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    offset.foot,
+                    this.line.geometry.components[2].clone()
+                ]));
+            this.layer.addFeatures([this.perpendicular], {silent: true});
+        }
+    },
+
+    CLASS_NAME: "cgxp.data.OffsetMeasureControl.Handler"
+});
@@ -0,0 +1,245 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Format/GeoJSON.js
+ * @include OpenLayers/Format/JSON.js
+ * @include OpenLayers/Style.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = PrintVectorEncoder
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: PrintVectorEncoder(config)
+ *
+ *  Encodes vector layers for the MapFish print service as they are
+ *  rendered on the map. Used by :class:`cgxp.plugins.Print`.
+ *
+ *  The labels are encoded as separate point features, so the labels of
+ *  lines and polygons (e.g. the redlining measures) are printed at the
+ *  same place as on the screen, and are kept horizontal when the print
+ *  extent is rotated.
+ *
+ *  A layer can also have a ``printAnnotations`` property, an array of
+ *  objects with a point ``geometry``, a ``text`` and an optional label
+ *  ``style``, printed as text annotations (e.g. the measure popups).
+ */
+cgxp.data.PrintVectorEncoder = Ext.extend(Object, {
+
+    /** api: config[rotation]
+     *  ``Number``
+     *  The rotation of the print extent in degrees, the labels are rotated
+     *  the other way to stay horizontal. Default is 0.
+     */
+    rotation: 0,
+
+    /** private: property[LABEL_PROPERTIES]
+     *  ``Array(String)``
+     *  The symbolizer properties of the labels.
+     */
+    LABEL_PROPERTIES: [
+        'label', 'fontColor', 'fontOpacity', 'fontFamily', 'fontSize',
+        'fontWeight', 'fontStyle', 'labelAlign', 'labelXOffset',
+        'labelYOffset', 'labelOutlineColor', 'labelOutlineWidth',
+        'labelRotation'
+    ],
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+    },
+
+    /** api: method[encode]
+     *  Encodes a vector layer.
+     *  :arg layer: ``OpenLayers.Layer.Vector``
+     *  :arg printProvider: ``GeoExt.data.PrintProvider`` Used to get
+     *      absolute URLs of the external graphics (optional).
+     *  :returns: ``Object`` The encoded layer, without ``type`` if nothing
+     *      can be printed, with the number of ``dropped`` features.
+     */
+    encode: function(layer, printProvider) {
+        var geoJSONFormat = new OpenLayers.Format.GeoJSON();
+        var jsonFormat = new OpenLayers.Format.JSON();
+        var features = [];
+        var styles = {};
+        var styleNames = {};
+        var nextId = 1;
+        var dropped = 0;
+
+        function add(geometry, attributes, symbolizer) {
+            if (symbolizer.externalGraphic && printProvider) {
+                symbolizer.externalGraphic = printProvider.getAbsoluteUrl(
+                    symbolizer.externalGraphic);
+            }
+            var key = jsonFormat.write(symbolizer);
+            if (!styleNames[key]) {
+                styleNames[key] = String(nextId++);
+                styles[styleNames[key]] = symbolizer;
+            }
+            var feature = geoJSONFormat.extract.feature.call(geoJSONFormat,
+                new OpenLayers.Feature.Vector(geometry));
+            feature.properties = OpenLayers.Util.extend({
+                _gx_style: styleNames[key]
+            }, attributes);
+            features.push(feature);
+        }
+
+        Ext.each(layer.features, function(feature) {
+            if (!feature.geometry) {
+                return;
+            }
+            var symbolizer = this.getSymbolizer(layer, feature);
+            if (symbolizer.display == 'none') {
+                return;
+            }
+            var label = symbolizer.label;
+            var hasLabel = label !== undefined && label !== null &&
+                String(label) !== '';
+            if (!feature.isLabel && this.isPrintable(feature.geometry)) {
+                add(feature.geometry, feature.attributes,
+                    this.getShapeSymbolizer(symbolizer));
+            } else if (!hasLabel) {
+                dropped++;
+            }
+            if (hasLabel) {
+                add(this.getLabelGeometry(feature.geometry),
+                    feature.attributes, this.getLabelSymbolizer(symbolizer));
+            }
+        }, this);
+
+        Ext.each(layer.printAnnotations, function(annotation) {
+            add(annotation.geometry, {}, this.getLabelSymbolizer(
+                Ext.apply({}, {label: annotation.text}, annotation.style)));
+        }, this);
+
+        var encoded = {
+            dropped: dropped
+        };
+        if (features.length > 0) {
+            Ext.apply(encoded, {
+                type: 'Vector',
+                styles: styles,
+                styleProperty: '_gx_style',
+                geoJson: {
+                    type: 'FeatureCollection',
+                    features: features
+                },
+                name: layer.name,
+                opacity: layer.opacity !== null && layer.opacity !== undefined ?
+                    layer.opacity : 1.0
+            });
+        }
+        return encoded;
+    },
+
+    /** private: method[getSymbolizer]
+     *  Gets the symbolizer of a feature as it is rendered, the
+     *  ``${attribute}`` templates of the feature or layer style are
+     *  resolved.
+     *  :arg layer: ``OpenLayers.Layer.Vector``
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``Object``
+     */
+    getSymbolizer: function(layer, feature) {
+        var style = feature.style || layer.style;
+        if (!style) {
+            return layer.styleMap.createSymbolizer(feature,
+                feature.renderIntent);
+        }
+        var symbolizer = {};
+        for (var key in style) {
+            if (style.hasOwnProperty(key)) {
+                symbolizer[key] = OpenLayers.Style.createLiteral(
+                    style[key], feature.attributes, feature, key);
+            }
+        }
+        return symbolizer;
+    },
+
+    /** private: method[getShapeSymbolizer]
+     *  :arg symbolizer: ``Object``
+     *  :returns: ``Object`` The symbolizer without the label.
+     */
+    getShapeSymbolizer: function(symbolizer) {
+        var shape = Ext.apply({}, symbolizer);
+        Ext.each(this.LABEL_PROPERTIES, function(property) {
+            delete shape[property];
+        });
+        return shape;
+    },
+
+    /** private: method[getLabelSymbolizer]
+     *  :arg symbolizer: ``Object``
+     *  :returns: ``Object`` A symbolizer with only the label.
+     */
+    getLabelSymbolizer: function(symbolizer) {
+        var label = {
+            pointRadius: 0,
+            fillOpacity: 0,
+            strokeOpacity: 0,
+            strokeWidth: 0
+        };
+        Ext.each(this.LABEL_PROPERTIES, function(property) {
+            if (symbolizer[property] !== undefined) {
+                label[property] = symbolizer[property];
+            }
+        });
+        label.label = String(label.label);
+        if (typeof label.fontSize == 'number') {
+            label.fontSize = label.fontSize + 'px';
+        }
+        if (this.rotation) {
+            label.labelRotation = (label.labelRotation || 0) + this.rotation;
+        }
+        return label;
+    },
+
+    /** private: method[getLabelGeometry]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``OpenLayers.Geometry.Point`` Where the label is rendered.
+     */
+    getLabelGeometry: function(geometry) {
+        return geometry instanceof OpenLayers.Geometry.Point ?
+            geometry.clone() : geometry.getCentroid();
+    },
+
+    /** private: method[isPrintable]
+     *  Zero-length lines and flat polygons make the print service crash.
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``Boolean``
+     */
+    isPrintable: function(geometry) {
+        var bounds = geometry.getBounds();
+        if ((geometry instanceof OpenLayers.Geometry.LineString ||
+             geometry instanceof OpenLayers.Geometry.MultiLineString) &&
+            (!bounds || (bounds.getWidth() === 0 && bounds.getHeight() === 0))) {
+            return false;
+        }
+        if ((geometry instanceof OpenLayers.Geometry.Polygon ||
+             geometry instanceof OpenLayers.Geometry.MultiPolygon) &&
+            geometry.getArea() === 0) {
+            return false;
+        }
+        return true;
+    }
+});
@@ -0,0 +1,477 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Geometry/Point.js
+ * @include OpenLayers/Projection.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = ProfileExporter
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: ProfileExporter(config)
+ *
+ *  Writes the points returned by the profile service as files in the
+ *  browser: CSV, JSON, a 3D line in GeoJSON or GPX, and an image of the
+ *  chart in SVG or PNG. Used by :class:`cgxp.plugins.Profile`.
+ *
+ *  The points are objects with the distance ``dist``, the coordinates
+ *  ``x`` and ``y`` and the elevations by raster layer. The GeoJSON and
+ *  GPX lines are in EPSG:4326, the Z values are the elevations of the
+ *  ``elevationLayer``.
+ */
+cgxp.data.ProfileExporter = Ext.extend(Object, {
+
+    /** api: config[rasterLayers]
+     *  ``Array(String)``
+     *  The raster layers of the profile.
+     */
+    rasterLayers: null,
+
+    /** api: config[valuesProperty]
+     *  ``String``
+     *  The property of the points containing the elevations.
+     *  Default is ``values``.
+     */
+    valuesProperty: 'values',
+
+    /** api: config[elevationLayer]
+     *  ``String``
+     *  The raster layer of the Z values, by default the first one.
+     */
+    elevationLayer: null,
+
+    /** api: config[sourceProjection]
+     *  ``OpenLayers.Projection``
+     *  The projection of the points coordinates.
+     */
+    sourceProjection: null,
+
+    /** api: config[width]
+     *  ``Integer`` The width of the images. Default is 800.
+     */
+    width: 800,
+
+    /** api: config[height]
+     *  ``Integer`` The height of the images. Default is 400.
+     */
+    height: 400,
+
+    /** api: config[colors]
+     *  ``Array(String)`` The line colors of the raster layers in the images.
+     */
+    colors: ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd',
+        '#8c564b'],
+
+    /** api: config[xLabel]
+     *  ``String`` The label of the X axis of the images.
+     */
+    xLabel: "Distance (m)",
+
+    /** api: config[yLabel]
+     *  ``String`` The label of the Y axis of the images.
+     */
+    yLabel: "Elevation (m)",
+
+    /** api: property[FORMATS]
+     *  ``Object``
+     *  The file extension and the MIME type of the formats.
+     */
+    FORMATS: {
+        csv: {extension: 'csv', mimeType: 'text/csv;charset=utf-8'},
+        json: {extension: 'json', mimeType: 'application/json'},
+        geojson: {extension: 'geojson', mimeType: 'application/geo+json'},
+        gpx: {extension: 'gpx', mimeType: 'application/gpx+xml'},
+        svg: {extension: 'svg', mimeType: 'image/svg+xml'},
+        png: {extension: 'png', mimeType: 'image/png'}
+    },
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+        this.elevationLayer = this.elevationLayer || this.rasterLayers[0];
+    },
+
+    /** api: method[write]
+     *  Writes the profile, see :meth:`writePng` for the PNG images.
+     *  :arg format: ``String`` ``csv``, ``json``, ``geojson``, ``gpx`` or
+     *      ``svg``.
+     *  :arg data: ``Array(Object)`` The points of the profile.
+     *  :arg name: ``String`` The name of the file, without extension.
+     *  :returns: ``Object`` With the ``data`` ``String``, the ``filename``
+     *      and the ``mimeType``.
+     */
+    write: function(format, data, name) {
+        var method = 'write' + format.charAt(0).toUpperCase() +
+            format.substr(1);
+        return {
+            data: this[method](data, name),
+            filename: name + '.' + this.FORMATS[format].extension,
+            mimeType: this.FORMATS[format].mimeType
+        };
+    },
+
+    /** private: method[getElevation]
+     *  :arg datum: ``Object`` A point of the profile.
+     *  :arg layer: ``String``
+     *  :returns: ``Number`` The elevation, ``null`` if there is none.
+     */
+    getElevation: function(datum, layer) {
+        var value = parseFloat(datum[this.valuesProperty][layer]);
+        return isNaN(value) ? null : value;
+    },
+
+    /** private: method[getPoints]
+     *  :arg data: ``Array(Object)``
+     *  :returns: ``Array(Array(Number))`` The longitude, latitude and
+     *      elevation of the points with an elevation.
+     */
+    getPoints: function(data) {
+        var epsg4326 = new OpenLayers.Projection('EPSG:4326');
+        var transform = this.sourceProjection &&
+            !this.sourceProjection.equals(epsg4326);
+        var points = [];
+        Ext.each(data, function(datum) {
+            var z = this.getElevation(datum, this.elevationLayer);
+            if (z !== null) {
+                var point = new OpenLayers.Geometry.Point(
+                    parseFloat(datum.x), parseFloat(datum.y));
+                if (transform) {
+                    point.transform(this.sourceProjection, epsg4326);
+                }
+                points.push([
+                    Math.round(point.x * 1e7) / 1e7,
+                    Math.round(point.y * 1e7) / 1e7,
+                    z
+                ]);
+            }
+        }, this);
+        return points;
+    },
+
+    /** private: method[escape]
+     *  :arg str: ``String``
+     *  :returns: ``String`` The string escaped for XML.
+     */
+    escape: function(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    /** private: method[writeCsv]
+     *  :returns: ``String``
+     */
+    writeCsv: function(data, name) {
+        var lines = [
+            ['distance'].concat(this.rasterLayers, ['x', 'y']).join(',')
+        ];
+        Ext.each(data, function(datum) {
+            var values = [datum.dist];
+            Ext.each(this.rasterLayers, function(layer) {
+                var value = this.getElevation(datum, layer);
+                values.push(value === null ? '' : value);
+            }, this);
+            lines.push(values.concat([datum.x, datum.y]).join(','));
+        }, this);
+        // the byte order mark lets the spreadsheets read UTF-8
+        return '\ufeff' + lines.join('\r\n');
+    },
+
+    /** private: method[writeJson]
+     *  Writes the points as returned by the profile service.
+     *  :returns: ``String``
+     */
+    writeJson: function(data, name) {
+        return Ext.encode({profile: data});
+    },
+
+    /** private: method[writeGeojson]
+     *  :returns: ``String``
+     */
+    writeGeojson: function(data, name) {
+        return Ext.encode({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: {
+                    name: name,
+                    layer: this.elevationLayer
+                },
+                geometry: {
+                    type: 'LineString',
+                    coordinates: this.getPoints(data)
+                }
+            }]
+        });
+    },
+
+    /** private: method[writeGpx]
+     *  :returns: ``String``
+     */
+    writeGpx: function(data, name) {
+        var gpx = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1" ' +
+                'creator="CGXP">',
+            '<trk><name>' + this.escape(name) + '</name><trkseg>'
+        ];
+        Ext.each(this.getPoints(data), function(point) {
+            gpx.push('<trkpt lat="' + point[1] + '" lon="' + point[0] +
+                '"><ele>' + point[2] + '</ele></trkpt>');
+        });
+        gpx.push('</trkseg></trk></gpx>');
+        return gpx.join('\n');
+    },
+
+    /** private: method[getTicks]
+     *  :arg min: ``Number``
+     *  :arg max: ``Number``
+     *  :arg count: ``Integer`` The approximate number of intervals.
+     *  :returns: ``Array(Number)`` Round values covering the range.
+     */
+    getTicks: function(min, max, count) {
+        var step = (max - min) / count;
+        var magnitude = Math.pow(10, Math.floor(Math.log(step) / Math.LN10));
+        var factors = [1, 2, 5, 10];
+        for (var i = 0; i < factors.length; i++) {
+            if (factors[i] * magnitude >= step) {
+                step = factors[i] * magnitude;
+                break;
+            }
+        }
+        var ticks = [];
+        var last = Math.ceil(max / step - 1e-9);
+        for (var j = Math.floor(min / step + 1e-9); j <= last; j++) {
+            ticks.push(parseFloat((j * step).toFixed(10)));
+        }
+        return ticks;
+    },
+
+    /** private: method[writeSvg]
+     *  Draws the chart with the axes and the legend.
+     *  :returns: ``String``
+     */
+    writeSvg: function(data, name) {
+        var w = this.width, h = this.height;
+        var left = 60, right = 20, top = 30, bottom = 45;
+        var layers = this.rasterLayers;
+
+        var min = Infinity, max = -Infinity;
+        Ext.each(data, function(datum) {
+            Ext.each(layers, function(layer) {
+                var value = this.getElevation(datum, layer);
+                if (value !== null) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }, this);
+        }, this);
+        if (min > max) {
+            min = 0;
+            max = 1;
+        } else if (min == max) {
+            min -= 1;
+            max += 1;
+        }
+        var distance = data.length > 0 ?
+            parseFloat(data[data.length - 1].dist) || 1 : 1;
+        var xTicks = this.getTicks(0, distance, 8);
+        var yTicks = this.getTicks(min, max, 6);
+        var x0 = xTicks[0], x1 = xTicks[xTicks.length - 1];
+        var y0 = yTicks[0], y1 = yTicks[yTicks.length - 1];
+        var sx = function(x) {
+            return (left + (x - x0) / (x1 - x0) * (w - left - right))
+                .toFixed(1);
+        };
+        var sy = function(y) {
+            return (h - bottom - (y - y0) / (y1 - y0) * (h - top - bottom))
+                .toFixed(1);
+        };
+
+        var svg = [
+            '<svg xmlns="http://www.w3.org/2000/svg" width="' + w +
+                '" height="' + h + '" font-family="sans-serif" ' +
+                'font-size="11">',
+            '<rect width="' + w + '" height="' + h + '" fill="white"/>'
+        ];
+        Ext.each(xTicks, function(x) {
+            svg.push('<line x1="' + sx(x) + '" y1="' + top + '" x2="' +
+                sx(x) + '" y2="' + (h - bottom) + '" stroke="#ddd"/>');
+            svg.push('<text x="' + sx(x) + '" y="' + (h - bottom + 15) +
+                '" text-anchor="middle">' + x + '</text>');
+        });
+        Ext.each(yTicks, function(y) {
+            svg.push('<line x1="' + left + '" y1="' + sy(y) + '" x2="' +
+                (w - right) + '" y2="' + sy(y) + '" stroke="#ddd"/>');
+            svg.push('<text x="' + (left - 5) + '" y="' + sy(y) +
+                '" text-anchor="end" dy="4">' + y + '</text>');
+        });
+        svg.push('<path d="M' + left + ' ' + top + 'V' + (h - bottom) +
+            'H' + (w - right) + '" fill="none" stroke="black"/>');
+
+        Ext.each(layers, function(layer, i) {
+            var path = [], move = true;
+            Ext.each(data, function(datum) {
+                var value = this.getElevation(datum, layer);
+                if (value === null) {
+                    move = true;
+                } else {
+                    path.push((move ? 'M' : 'L') +
+                        sx(parseFloat(datum.dist)) + ' ' + sy(value));
+                    move = false;
+                }
+            }, this);
+            var color = this.colors[i % this.colors.length];
+            svg.push('<path d="' + path.join('') + '" fill="none" ' +
+                'stroke="' + color + '" stroke-width="1.5"/>');
+            svg.push('<text x="' + (left + 10 + i * 100) + '" y="' +
+                (top - 10) + '" fill="' + color + '">' +
+                this.escape(layer) + '</text>');
+        }, this);
+
+        svg.push('<text x="' + ((left + w - right) / 2) + '" y="' +
+            (h - 8) + '" text-anchor="middle">' + this.escape(this.xLabel) +
+            '</text>');
+        svg.push('<text transform="translate(15 ' + ((top + h - bottom) / 2) +
+            ') rotate(-90)" text-anchor="middle">' +
+            this.escape(this.yLabel) + '</text>');
+        svg.push('</svg>');
+        return svg.join('\n');
+    },
+
+    /** private: method[writeCanvas]
+     *  :arg canvas: ``HTMLCanvasElement``
+     *  :arg name: ``String`` The name of the file, without extension.
+     *  :returns: ``Object`` With the ``data`` ``Uint8Array``, the
+     *      ``filename``, the ``mimeType`` and the ``url``, a data URL of
+     *      the image, ``null`` if the browser can't export the canvas,
+     *      e.g. with excanvas in IE 8.
+     */
+    writeCanvas: function(canvas, name) {
+        var url;
+        try {
+            url = canvas.toDataURL('image/png');
+        } catch (e) {
+            // no toDataURL, or a tainted canvas
+            return null;
+        }
+        if (url.indexOf('data:image/png') !== 0) {
+            return null;
+        }
+        var binary = window.atob(url.split(',')[1]);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return {
+            data: bytes,
+            filename: name + '.png',
+            mimeType: 'image/png',
+            url: url
+        };
+    },
+
+    /** api: method[writeChartPng]
+     *  Draws the displayed Dygraph chart, as zoomed by the user, with
+     *  the tick labels, the axis labels and the legend that Dygraph
+     *  shows outside of its canvas.
+     *  :arg chart: ``Dygraph``
+     *  :arg name: ``String`` The name of the file, without extension.
+     *  :returns: ``Object`` As returned by :meth:`writeCanvas`, ``null``
+     *      if the browser can't export the chart.
+     */
+    writeChartPng: function(chart, name) {
+        // the canvas of the plot, without the highlight, in Dygraph 1.2
+        var plot = chart.hidden_;
+        var canvas = document.createElement('canvas');
+        if (!plot || !canvas.getContext || !canvas.toDataURL) {
+            return null;
+        }
+        var size = chart.size();
+        var area = chart.getArea();
+        canvas.width = size.width;
+        canvas.height = size.height;
+        var context = canvas.getContext('2d');
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, size.width, size.height);
+        context.drawImage(plot, 0, 0);
+
+        context.font = '11px sans-serif';
+        context.fillStyle = 'black';
+        context.textAlign = 'center';
+        Ext.each(chart.layout_.xticks, function(tick) {
+            context.fillText(Ext.util.Format.stripTags(tick[1]),
+                area.x + tick[0] * area.w, area.y + area.h + 15);
+        });
+        context.textAlign = 'right';
+        Ext.each(chart.layout_.yticks, function(tick) {
+            context.fillText(Ext.util.Format.stripTags(tick[2]),
+                area.x - 5, area.y + tick[1] * area.h + 4);
+        });
+        context.textAlign = 'center';
+        context.fillText(this.xLabel, area.x + area.w / 2, size.height - 5);
+        context.save();
+        context.translate(12, area.y + area.h / 2);
+        context.rotate(-Math.PI / 2);
+        context.fillText(this.yLabel, 0, 0);
+        context.restore();
+
+        context.textAlign = 'left';
+        var colors = chart.getColors();
+        Ext.each(this.rasterLayers, function(layer, i) {
+            context.fillStyle = colors[i % colors.length];
+            context.fillText(layer, area.x + 10 + i * 100, area.y + 15);
+        });
+        return this.writeCanvas(canvas, name);
+    },
+
+    /** api: method[writePng]
+     *  Draws the SVG image in a canvas, see :meth:`writeChartPng` to draw
+     *  the displayed chart.
+     *  :arg data: ``Array(Object)`` The points of the profile.
+     *  :arg name: ``String`` The name of the file, without extension.
+     *  :arg callback: ``Function`` Called with the ``Object`` returned by
+     *      :meth:`writeCanvas`, ``null`` if the browser can't draw the SVG
+     *      image.
+     *  :arg scope: ``Object``
+     */
+    writePng: function(data, name, callback, scope) {
+        var image = new Image();
+        image.onload = Ext.createDelegate(function() {
+            var canvas = document.createElement('canvas');
+            if (!canvas.getContext) {
+                callback.call(scope, null);
+                return;
+            }
+            canvas.width = this.width;
+            canvas.height = this.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            callback.call(scope, this.writeCanvas(canvas, name));
+        }, this);
+        image.onerror = function() {
+            callback.call(scope, null);
+        };
+        image.src = 'data:image/svg+xml;charset=utf-8,' +
+            encodeURIComponent(this.writeSvg(data, name));
+    }
+});
@@ -0,0 +1,191 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = RoadbookExporter
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: RoadbookExporter(config)
+ *
+ *  Writes the roadbook of a route as GPX or KML files in the browser: the
+ *  route line, the stops and a point by direction. Used by
+ *  :class:`cgxp.RoutingPanel`.
+ *
+ *  The roadbook is an object with:
+ *
+ *  * ``name`` - ``String`` The name of the route, by default the name of
+ *    the file.
+ *  * ``description`` - ``String`` The total distance and time.
+ *  * ``geometry`` - ``Array(OpenLayers.Geometry.Point)`` The route points.
+ *  * ``stops`` - ``Array(Object)`` The ``name``, ``x`` and ``y`` of the
+ *    source, the via points and the target.
+ *  * ``steps`` - ``Array(Object)`` The ``text``, ``x`` and ``y`` of the
+ *    directions, with their ``description``, the distance and the time
+ *    from the source.
+ *
+ *  The coordinates are in EPSG:4326.
+ */
+cgxp.data.RoadbookExporter = Ext.extend(Object, {
+
+    /** api: config[stopsText]
+     *  ``String`` The name of the KML folder of the stops.
+     */
+    stopsText: "Stops",
+
+    /** api: config[directionsText]
+     *  ``String`` The name of the KML folder of the directions.
+     */
+    directionsText: "Directions",
+
+    /** api: property[FORMATS]
+     *  ``Object``
+     *  The file extension and the MIME type of the formats.
+     */
+    FORMATS: {
+        gpx: {extension: 'gpx', mimeType: 'application/gpx+xml'},
+        kml: {extension: 'kml',
+            mimeType: 'application/vnd.google-earth.kml+xml'}
+    },
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+    },
+
+    /** api: method[write]
+     *  :arg format: ``String`` ``gpx`` or ``kml``.
+     *  :arg roadbook: ``Object`` The roadbook of the route.
+     *  :arg name: ``String`` The name of the file, without extension.
+     *  :returns: ``Object`` With the ``data`` ``String``, the ``filename``
+     *      and the ``mimeType``.
+     */
+    write: function(format, roadbook, name) {
+        var method = 'write' + format.charAt(0).toUpperCase() +
+            format.substr(1);
+        return {
+            data: this[method](roadbook, name),
+            filename: name + '.' + this.FORMATS[format].extension,
+            mimeType: this.FORMATS[format].mimeType
+        };
+    },
+
+    /** private: method[round]
+     *  :arg value: ``Number`` A longitude or a latitude.
+     *  :returns: ``Number``
+     */
+    round: function(value) {
+        return Math.round(value * 1e7) / 1e7;
+    },
+
+    /** private: method[escape]
+     *  :arg str: ``String``
+     *  :returns: ``String`` The string escaped for XML.
+     */
+    escape: function(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    /** private: method[writeGpx]
+     *  Writes the stops as waypoints, the directions as route points and
+     *  the route line as a track.
+     *  :returns: ``String``
+     */
+    writeGpx: function(roadbook, name) {
+        name = roadbook.name || name;
+        var point = function(tag, x, y, name, description) {
+            return '<' + tag + ' lat="' + this.round(y) + '" lon="' +
+                this.round(x) + '"><name>' + this.escape(name || '') +
+                '</name>' + (description ? '<desc>' +
+                this.escape(description) + '</desc>' : '') + '</' + tag +
+                '>';
+        };
+        var gpx = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1" ' +
+                'creator="CGXP">',
+            '<metadata><name>' + this.escape(name) + '</name><desc>' +
+                this.escape(roadbook.description || '') +
+                '</desc></metadata>'
+        ];
+        Ext.each(roadbook.stops, function(stop) {
+            gpx.push(point.call(this, 'wpt', stop.x, stop.y, stop.name));
+        }, this);
+        gpx.push('<rte><name>' + this.escape(name) + '</name>');
+        Ext.each(roadbook.steps, function(step) {
+            gpx.push(point.call(this, 'rtept', step.x, step.y, step.text,
+                step.description));
+        }, this);
+        gpx.push('</rte>', '<trk><name>' + this.escape(name) +
+            '</name><trkseg>');
+        Ext.each(roadbook.geometry, function(p) {
+            gpx.push('<trkpt lat="' + this.round(p.y) + '" lon="' +
+                this.round(p.x) + '"/>');
+        }, this);
+        gpx.push('</trkseg></trk></gpx>');
+        return gpx.join('\n');
+    },
+
+    /** private: method[writeKml]
+     *  Writes the route line, and the stops and the directions in two
+     *  folders.
+     *  :returns: ``String``
+     */
+    writeKml: function(roadbook, name) {
+        name = roadbook.name || name;
+        var placemark = function(name, description, geometry) {
+            return '<Placemark><name>' + this.escape(name || '') +
+                '</name>' + (description ? '<description>' +
+                this.escape(description) + '</description>' : '') +
+                geometry + '</Placemark>';
+        };
+        var point = function(x, y) {
+            return '<Point><coordinates>' + this.round(x) + ',' +
+                this.round(y) + '</coordinates></Point>';
+        };
+        var coordinates = [];
+        Ext.each(roadbook.geometry, function(p) {
+            coordinates.push(this.round(p.x) + ',' + this.round(p.y));
+        }, this);
+        var kml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+            '<name>' + this.escape(name) + '</name>',
+            placemark.call(this, name, roadbook.description,
+                '<LineString><coordinates>' + coordinates.join(' ') +
+                '</coordinates></LineString>'),
+            '<Folder><name>' + this.escape(this.stopsText) + '</name>'
+        ];
+        Ext.each(roadbook.stops, function(stop) {
+            kml.push(placemark.call(this, stop.name, null,
+                point.call(this, stop.x, stop.y)));
+        }, this);
+        kml.push('</Folder>', '<Folder><name>' +
+            this.escape(this.directionsText) + '</name>');
+        Ext.each(roadbook.steps, function(step) {
+            kml.push(placemark.call(this, step.text, step.description,
+                point.call(this, step.x, step.y)));
+        }, this);
+        kml.push('</Folder>', '</Document></kml>');
+        return kml.join('\n');
+    }
+});
@@ -0,0 +1,162 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = RouteOptimizer
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: RouteOptimizer(config)
+ *
+ *  Optimizes the visiting order of the stops of a route (travelling
+ *  salesman problem), the first and the last stops are kept. Used by
+ *  :class:`cgxp.RoutingPanel`.
+ *
+ *  The costs between the stops come from the duration table of the
+ *  routing service, or from the great circle distances when the service
+ *  has none. The order is built by visiting the nearest stop first, then
+ *  improved by reversing parts of it (2-opt).
+ */
+cgxp.data.RouteOptimizer = Ext.extend(Object, {
+
+    /** api: config[maxIterations]
+     *  ``Integer`` The maximum number of improvement passes. Default is 100.
+     */
+    maxIterations: 100,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+    },
+
+    /** api: method[optimize]
+     *  :arg matrix: ``Array(Array(Number))`` The costs between the stops,
+     *      ``matrix[i][j]`` is the cost from the stop ``i`` to the stop
+     *      ``j``, ``null`` if there is no route.
+     *  :returns: ``Array(Integer)`` The indexes of the stops in the
+     *      visiting order.
+     */
+    optimize: function(matrix) {
+        var n = matrix.length;
+        var order = [];
+        for (var i = 0; i < n; i++) {
+            order.push(i);
+        }
+        if (n <= 3) {
+            return order;
+        }
+        order = this.getNearestOrder(matrix);
+        var cost = this.getCost(matrix, order);
+        for (var iteration = 0; iteration < this.maxIterations; iteration++) {
+            var improved = false;
+            for (i = 1; i < n - 2; i++) {
+                for (var j = i + 1; j < n - 1; j++) {
+                    var candidate = order.slice(0, i).concat(
+                        order.slice(i, j + 1).reverse(), order.slice(j + 1));
+                    var candidateCost = this.getCost(matrix, candidate);
+                    if (candidateCost < cost) {
+                        order = candidate;
+                        cost = candidateCost;
+                        improved = true;
+                    }
+                }
+            }
+            if (!improved) {
+                break;
+            }
+        }
+        return order;
+    },
+
+    /** private: method[getNearestOrder]
+     *  :arg matrix: ``Array(Array(Number))``
+     *  :returns: ``Array(Integer)`` The order visiting the nearest stop
+     *      first.
+     */
+    getNearestOrder: function(matrix) {
+        var n = matrix.length;
+        var visited = {0: true};
+        var order = [0];
+        var current = 0;
+        while (order.length < n - 1) {
+            var next = null, min = Infinity;
+            for (var i = 1; i < n - 1; i++) {
+                var cost = this.getValue(matrix, current, i);
+                if (!visited[i] && (next === null || cost < min)) {
+                    next = i;
+                    min = cost;
+                }
+            }
+            visited[next] = true;
+            order.push(next);
+            current = next;
+        }
+        order.push(n - 1);
+        return order;
+    },
+
+    /** api: method[getCost]
+     *  :arg matrix: ``Array(Array(Number))``
+     *  :arg order: ``Array(Integer)``
+     *  :returns: ``Number`` The cost of the route visiting the stops in
+     *      this order.
+     */
+    getCost: function(matrix, order) {
+        var cost = 0;
+        for (var i = 1, n = order.length; i < n; i++) {
+            cost += this.getValue(matrix, order[i - 1], order[i]);
+        }
+        return cost;
+    },
+
+    /** private: method[getValue]
+     *  :returns: ``Number`` The cost from the stop ``i`` to the stop ``j``,
+     *      infinite if there is no route.
+     */
+    getValue: function(matrix, i, j) {
+        var value = matrix[i][j];
+        return value === null || value === undefined ? Infinity : value;
+    },
+
+    /** api: method[getDistanceMatrix]
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)`` in EPSG:4326.
+     *  :returns: ``Array(Array(Number))`` The great circle distances in
+     *      meters between the points.
+     */
+    getDistanceMatrix: function(points) {
+        var rad = Math.PI / 180;
+        var matrix = [];
+        for (var i = 0, n = points.length; i < n; i++) {
+            var row = [];
+            for (var j = 0; j < n; j++) {
+                var a = points[i], b = points[j];
+                var dLat = (b.y - a.y) * rad;
+                var dLon = (b.x - a.x) * rad;
+                var h = Math.pow(Math.sin(dLat / 2), 2) +
+                    Math.cos(a.y * rad) * Math.cos(b.y * rad) *
+                    Math.pow(Math.sin(dLon / 2), 2);
+                row.push(2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h))));
+            }
+            matrix.push(row);
+        }
+        return matrix;
+    }
+});
@@ -0,0 +1,575 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Request.js
+ * @include OpenLayers/Format/JSON.js
+ * @include OpenLayers/Geometry/Point.js
+ * @include OpenLayers/Geometry/LinearRing.js
+ * @include OpenLayers/Geometry/Polygon.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = RoutingService
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: RoutingService(config)
+ *
+ *  Base class of the routing services used by :class:`cgxp.RoutingPanel`.
+ *
+ *  The services answer with routes in the same structure, whatever the
+ *  routing engine:
+ *
+ *  * ``status`` - ``Integer`` 0 on success.
+ *  * ``message`` - ``String`` The status message.
+ *  * ``geometry`` - ``Array(OpenLayers.Geometry.Point)`` in EPSG:4326.
+ *  * ``distance`` - ``Number`` The total distance in meters.
+ *  * ``time`` - ``Number`` The total time in seconds.
+ *  * ``instructions`` - ``Array(Object)`` The driving directions, with the
+ *    ``id``, the ``directionType`` (``DIRECTION_<n>``), the ``roadName``,
+ *    the ``distance`` in meters, the ``position`` of the instruction in
+ *    the geometry, the ``time`` in seconds and the ``compassDirection``
+ *    (``N``, ``NE``, ...).
+ *  * ``legs`` - ``Array(Object)`` The ``distance`` and the ``time`` of
+ *    the route between each of its points, if the service gives them.
+ *  * ``alternatives`` - ``Array(Object)`` The alternative routes, with the
+ *    same properties, when they are requested.
+ *
+ *  The subclasses read the JSON responses of an HTTP API, they implement
+ *  ``getRouteRequest`` and ``readRoute``, and optionally
+ *  ``getNearestRequest`` and ``readNearest``, ``getTableRequest`` and
+ *  ``readTable``, ``getIsochroneRequest`` and ``readIsochrones``.
+ */
+cgxp.data.RoutingService = Ext.extend(Ext.util.Observable, {
+
+    /** api: config[url]
+     *  ``String``
+     *  The url to the routing server.
+     */
+    url: null,
+
+    /** api: config[dynamic]
+     *  ``Boolean``
+     *  Is the routing service supposed to issue requests dynamically
+     *  as the user drags a route marker?
+     */
+    dynamic: false,
+
+    /** api: property[avoidAreas]
+     *  ``Boolean``
+     *  Whether the service takes the areas to avoid into account.
+     */
+    avoidAreas: false,
+
+    /** api: config[isochroneSpeed]
+     *  ``Number``
+     *  The maximum speed in meters per second, used to sample the
+     *  reachable area when the isochrones are derived from the duration
+     *  table. Default is 30 (108 km/h).
+     */
+    isochroneSpeed: 30,
+
+    /** api: config[isochroneRays]
+     *  ``Integer``
+     *  The number of directions of the samples of the reachable area.
+     *  Default is 16.
+     */
+    isochroneRays: 16,
+
+    /** api: config[isochroneRings]
+     *  ``Integer``
+     *  The number of samples by direction. Default is 6.
+     */
+    isochroneRings: 6,
+
+    /** private: property[_current]
+     *  The running route request.
+     */
+    _current: null,
+
+    /** private: property[_next]
+     *  ``Function`` The route request waiting for the running one.
+     */
+    _next: null,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+        cgxp.data.RoutingService.superclass.constructor.call(this, config);
+    },
+
+    /** api: method[getRoute]
+     *  :arg options: ``Object`` object containing routing options with
+     *      the following properties:
+     *  :arg callback: ``Function`` Called with the status and the route.
+     *  :arg scope: ``Object``
+     *
+     *  :return ``Object`` a handle that can be used to cancel the
+     *      asynchronous method
+     *
+     *  * ``source`` - ``OpenLayers.Geometry.Point`` in EPSG:4326
+     *  * ``target`` - ``OpenLayers.Geometry.Point`` in EPSG:4326
+     *  * ``via`` - ``Array(OpenLayers.Geometry.Point)()`` in EPSG:4326
+     *  * ``alternates`` - ``Boolean`` optional, if true then compute
+     *    alternate routes
+     *  * ``instructions`` - ``Boolean`` optional, if true then include
+     *    turn-by-turn instructions
+     *  * ``avoid`` - ``Array(OpenLayers.Geometry.Polygon)`` optional, the
+     *    areas to avoid in EPSG:4326, see ``avoidAreas``
+     */
+    getRoute: function(options, callback, scope) {
+        if (this._current) {
+            this._next = OpenLayers.Function.bind(function() {
+                this.getRoute(options, callback, scope);
+            }, this);
+            return null;
+        }
+        var request = this.getRouteRequest(options);
+        var pending = true;
+        var handle = this.read(request, function(data, error) {
+            var route = error || this.readRoute(data, options);
+            pending = false;
+            this._current = null;
+            if (callback) {
+                callback.apply(scope, [route.status, route]);
+            }
+            if (this._next) {
+                var next = this._next;
+                this._next = null;
+                next();
+            }
+        });
+        if (pending) {
+            this._current = handle;
+        }
+        return handle;
+    },
+
+    /** api: method[getNearest]
+     *  Find the nearest location on the routing network, the location
+     *  itself if the service has no such request.
+     *  :arg loc: ``OpenLayers.Geometry.Point`` in EPSG:4326
+     *  :arg callback: ``Function`` Called with the status and the location.
+     *  :arg scope: ``Object``
+     *
+     *  :return ``Object`` a handle that can be used to cancel the
+     *      asynchronous method
+     */
+    getNearest: function(loc, callback, scope) {
+        var request = this.getNearestRequest(loc);
+        if (!request) {
+            callback.apply(scope, [0, {
+                x: loc.x,
+                y: loc.y,
+                status: 0,
+                message: OpenLayers.i18n("STATUS_0")
+            }]);
+            return null;
+        }
+        return this.read(request, function(data, error) {
+            var location = error || this.readNearest(data, loc);
+            callback.apply(scope, [location.status, location]);
+        });
+    },
+
+    /** api: method[getTable]
+     *  Compute the travel times between all the points, used to optimize
+     *  the order of the route stops.
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)`` in EPSG:4326
+     *  :arg callback: ``Function`` Called with the status and the table,
+     *      with the ``durations`` in seconds and the ``distances`` in
+     *      meters, ``durations[i][j]`` is the time from the point ``i``
+     *      to the point ``j``. The table is ``null`` if the service has no
+     *      such request.
+     *  :arg scope: ``Object``
+     *
+     *  :return ``Object`` a handle that can be used to cancel the
+     *      asynchronous method
+     */
+    getTable: function(points, callback, scope) {
+        var request = this.getTableRequest(points);
+        if (!request) {
+            callback.apply(scope, [0, null]);
+            return null;
+        }
+        return this.read(request, function(data, error) {
+            var table = error || this.readTable(data, points);
+            callback.apply(scope, [table.status, table]);
+        });
+    },
+
+    /** api: method[getIsochrones]
+     *  Compute the areas reachable from a point within some travel times.
+     *  Without isochrone request, the areas are derived from the duration
+     *  table between the point and samples around it, along
+     *  ``isochroneRays`` directions.
+     *  :arg origin: ``OpenLayers.Geometry.Point`` in EPSG:4326
+     *  :arg times: ``Array(Number)`` The travel times in seconds, ascending.
+     *  :arg callback: ``Function`` Called with the status and the result,
+     *      with the ``isochrones``, objects with the ``time`` and the
+     *      ``geometry``, a polygon or a multi polygon in EPSG:4326.
+     *  :arg scope: ``Object``
+     *
+     *  :return ``Object`` a handle that can be used to cancel the
+     *      asynchronous method
+     */
+    getIsochrones: function(origin, times, callback, scope) {
+        var request = this.getIsochroneRequest(origin, times);
+        if (request) {
+            return this.read(request, function(data, error) {
+                var result = error || this.readIsochrones(data, times);
+                callback.apply(scope, [result.status, result]);
+            });
+        }
+        var samples = this.getIsochroneSamples(origin,
+            times[times.length - 1]);
+        return this.getTable([origin].concat(samples), function(status, table) {
+            var result;
+            if (status) {
+                result = table;
+            } else if (!table) {
+                // neither isochrone nor table request
+                result = this.createStatus(6);
+            } else {
+                result = this.createStatus(0);
+                result.isochrones = this.createIsochrones(origin, samples,
+                    table.durations[0].slice(1), times);
+            }
+            callback.apply(scope, [result.status, result]);
+        }, this);
+    },
+
+    /** api: method[cancel]
+     *  :arg handle: ``Object`` The result of ``getRoute`` or ``getNearest``.
+     *
+     *  Cancels a request, and the route request waiting for it.
+     */
+    cancel: function(handle) {
+        this._next = null;
+        if (handle) {
+            handle.aborted = true;
+            handle.abort();
+            if (handle === this._current) {
+                this._current = null;
+            }
+        }
+    },
+
+    /** private: method[getRouteRequest]
+     *  :arg options: ``Object`` See ``getRoute``.
+     *  :returns: ``Object`` The ``url`` and the ``params`` of the request.
+     */
+    getRouteRequest: function(options) {
+        throw new Error("getRouteRequest is not implemented");
+    },
+
+    /** private: method[readRoute]
+     *  :arg data: ``Object`` The JSON response.
+     *  :arg options: ``Object`` See ``getRoute``.
+     *  :returns: ``Object`` The route.
+     */
+    readRoute: function(data, options) {
+        throw new Error("readRoute is not implemented");
+    },
+
+    /** private: method[getNearestRequest]
+     *  :arg loc: ``OpenLayers.Geometry.Point``
+     *  :returns: ``Object`` The ``url`` and the ``params`` of the request,
+     *      ``null`` if the service has no such request.
+     */
+    getNearestRequest: function(loc) {
+        return null;
+    },
+
+    /** private: method[readNearest]
+     *  :arg data: ``Object`` The JSON response.
+     *  :arg loc: ``OpenLayers.Geometry.Point``
+     *  :returns: ``Object`` The location, with ``x``, ``y``, ``name``,
+     *      ``status`` and ``message``.
+     */
+    readNearest: function(data, loc) {
+        return null;
+    },
+
+    /** private: method[getTableRequest]
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Object`` The ``url`` and the ``params`` of the request,
+     *      ``null`` if the service has no such request.
+     */
+    getTableRequest: function(points) {
+        return null;
+    },
+
+    /** private: method[readTable]
+     *  :arg data: ``Object`` The JSON response.
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Object`` The table, with ``durations``, ``distances``,
+     *      ``status`` and ``message``.
+     */
+    readTable: function(data, points) {
+        return null;
+    },
+
+    /** private: method[getIsochroneRequest]
+     *  :arg origin: ``OpenLayers.Geometry.Point``
+     *  :arg times: ``Array(Number)``
+     *  :returns: ``Object`` The ``url`` and the ``params`` of the request,
+     *      ``null`` if the service has no such request.
+     */
+    getIsochroneRequest: function(origin, times) {
+        return null;
+    },
+
+    /** private: method[readIsochrones]
+     *  :arg data: ``Object`` The JSON response.
+     *  :arg times: ``Array(Number)``
+     *  :returns: ``Object`` The result, with ``isochrones``, ``status``
+     *      and ``message``.
+     */
+    readIsochrones: function(data, times) {
+        return null;
+    },
+
+    /** private: method[getIsochroneSamples]
+     *  :arg origin: ``OpenLayers.Geometry.Point``
+     *  :arg time: ``Number`` The largest travel time.
+     *  :returns: ``Array(OpenLayers.Geometry.Point)`` The samples, by ring
+     *      then by direction, clockwise from the north.
+     */
+    getIsochroneSamples: function(origin, time) {
+        var rad = Math.PI / 180;
+        var radius = time * this.isochroneSpeed;
+        var samples = [];
+        for (var i = 1; i <= this.isochroneRings; i++) {
+            // meters to degrees
+            var distance = radius * i / this.isochroneRings / 111320;
+            for (var j = 0; j < this.isochroneRays; j++) {
+                var bearing = 2 * Math.PI * j / this.isochroneRays;
+                samples.push(new OpenLayers.Geometry.Point(
+                    origin.x + distance * Math.sin(bearing) /
+                        Math.cos(origin.y * rad),
+                    origin.y + distance * Math.cos(bearing)));
+            }
+        }
+        return samples;
+    },
+
+    /** private: method[createIsochrones]
+     *  :arg origin: ``OpenLayers.Geometry.Point``
+     *  :arg samples: ``Array(OpenLayers.Geometry.Point)``
+     *  :arg durations: ``Array(Number)`` The travel times to the samples.
+     *  :arg times: ``Array(Number)``
+     *  :returns: ``Array(Object)`` The isochrones, the polygons joining
+     *      the farthest reachable point in each direction, interpolated
+     *      between the samples.
+     */
+    createIsochrones: function(origin, samples, durations, times) {
+        var rays = this.isochroneRays, rings = this.isochroneRings;
+        var isochrones = [];
+        Ext.each(times, function(time) {
+            var points = [];
+            for (var j = 0; j < rays; j++) {
+                var previous = origin, previousDuration = 0;
+                var point = origin;
+                for (var i = 0; i < rings; i++) {
+                    var sample = samples[i * rays + j];
+                    var duration = durations[i * rays + j];
+                    if (duration === null || duration === undefined) {
+                        continue;
+                    }
+                    if (duration <= time) {
+                        point = sample;
+                        previous = sample;
+                        previousDuration = duration;
+                    } else {
+                        var ratio = duration > previousDuration ?
+                            (time - previousDuration) /
+                                (duration - previousDuration) : 0;
+                        if (previous === point) {
+                            point = new OpenLayers.Geometry.Point(
+                                previous.x + (sample.x - previous.x) * ratio,
+                                previous.y + (sample.y - previous.y) * ratio);
+                        }
+                    }
+                }
+                points.push(point.clone());
+            }
+            isochrones.push({
+                time: time,
+                geometry: new OpenLayers.Geometry.Polygon([
+                    new OpenLayers.Geometry.LinearRing(points)
+                ])
+            });
+        });
+        return isochrones;
+    },
+
+    /** private: method[read]
+     *  Sends a GET request and reads the JSON response.
+     *  :arg request: ``Object`` The ``url`` and the ``params``.
+     *  :arg callback: ``Function`` Called with the response data, or with
+     *      ``null`` and an error status.
+     *  :returns: ``XMLHttpRequest``
+     */
+    read: function(request, callback) {
+        var format = new OpenLayers.Format.JSON();
+        var parse = function(response) {
+            try {
+                return format.read(response.responseText);
+            } catch (e) {
+                return null;
+            }
+        };
+        return OpenLayers.Request.GET({
+            url: request.url,
+            params: request.params,
+            success: function(response) {
+                var data = parse(response);
+                if (data) {
+                    callback.call(this, data, null);
+                } else {
+                    callback.call(this, null, this.createStatus(1));
+                }
+            },
+            failure: function(response) {
+                if (response.aborted) {
+                    // see cancel
+                    return;
+                }
+                // status 0 on network errors
+                var data = parse(response);
+                callback.call(this, null, this.createStatus(
+                    response.status == 503 || response.status === 0 ? 5 : 1,
+                    data && (data.message || data.error)));
+            },
+            scope: this
+        });
+    },
+
+    /** private: method[createStatus]
+     *  :arg status: ``Integer`` 0 on success, see the ``STATUS_<n>``
+     *      translations.
+     *  :arg message: ``String`` The server message, optional.
+     *  :returns: ``Object`` With the ``status`` and the ``message``.
+     */
+    createStatus: function(status, message) {
+        return {
+            status: status,
+            message: message || OpenLayers.i18n("STATUS_" + status)
+        };
+    },
+
+    /** api: method[decodePolyline]
+     *  Decodes a line in the Google encoded polyline format.
+     *  :arg encoded: ``String``
+     *  :arg precision: ``Integer`` The number of decimals, 5 or 6.
+     *  :arg dimensions: ``Integer`` 3 if the points have an elevation,
+     *      default is 2.
+     *  :returns: ``Array(OpenLayers.Geometry.Point)``
+     */
+    decodePolyline: function(encoded, precision, dimensions) {
+        var factor = Math.pow(10, -precision);
+        dimensions = dimensions || 2;
+        var len = encoded.length;
+        var index = 0;
+        var values = [0, 0, 0];
+        var coords = [];
+
+        var parseNext = function() {
+            var b;
+            var shift = 0;
+            var result = 0;
+            do {
+                b = encoded.charCodeAt(index++) - 63;
+                result |= (b & 0x1f) << shift;
+                shift += 5;
+            } while(b >= 0x20);
+            return (result & 1) ? ~(result >> 1) : result >> 1;
+        };
+
+        while (index < len) {
+            for (var i = 0; i < dimensions; i++) {
+                values[i] += parseNext();
+            }
+            coords.push(new OpenLayers.Geometry.Point(
+                values[1] * factor, values[0] * factor));
+        }
+        return coords;
+    },
+
+    /** private: method[getCompassDirection]
+     *  :arg bearing: ``Number`` In degrees, clockwise from the north.
+     *  :returns: ``String`` ``N``, ``NE``, ``E``, ...
+     */
+    getCompassDirection: function(bearing) {
+        var directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        return directions[Math.round(((bearing % 360) + 360) % 360 / 45) % 8];
+    },
+
+    /** private: method[getBearing]
+     *  :arg geometry: ``Array(OpenLayers.Geometry.Point)``
+     *  :arg position: ``Integer``
+     *  :returns: ``Number`` The bearing in degrees of the segment starting
+     *      at the position, ``null`` at the end of the geometry.
+     */
+    getBearing: function(geometry, position) {
+        var from = geometry[position], to = geometry[position + 1];
+        if (!from || !to) {
+            return null;
+        }
+        var rad = Math.PI / 180;
+        var dx = (to.x - from.x) * Math.cos(from.y * rad);
+        var dy = to.y - from.y;
+        return Math.atan2(dx, dy) / rad;
+    },
+
+    /** private: method[getPosition]
+     *  :arg geometry: ``Array(OpenLayers.Geometry.Point)``
+     *  :arg location: ``Array(Number)`` The longitude and latitude.
+     *  :arg start: ``Integer`` The position to start searching from.
+     *  :returns: ``Integer`` The position of the nearest point.
+     */
+    getPosition: function(geometry, location, start) {
+        var position = start, min = Infinity;
+        for (var i = start, n = geometry.length; i < n; i++) {
+            var dx = geometry[i].x - location[0];
+            var dy = geometry[i].y - location[1];
+            var distance = dx * dx + dy * dy;
+            if (distance < min) {
+                min = distance;
+                position = i;
+                if (distance === 0) {
+                    break;
+                }
+            }
+        }
+        return position;
+    },
+
+    /** private: method[getRoundaboutType]
+     *  :arg exit: ``Integer`` The exit number.
+     *  :returns: ``String`` The direction type.
+     */
+    getRoundaboutType: function(exit) {
+        return 'DIRECTION_11-' + (exit > 0 && exit < 10 ? exit : 'x');
+    }
+});
@@ -0,0 +1,374 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Control/Snapping.js
+ * @include OpenLayers/Layer/Vector.js
+ * @include OpenLayers/Strategy/BBOX.js
+ * @include OpenLayers/Protocol/WFS/v1_0_0.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = SnapTargets
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: SnapTargets(config)
+ *
+ *  Manages the targets of an ``OpenLayers.Control.Snapping``: the WFS
+ *  layers corresponding to the WMS layers of the layer tree, loaded by
+ *  BBOX, and snapped only while the WMS layer is visible and in range.
+ *  Used by :class:`cgxp.plugins.Editing` and :class:`cgxp.plugins.Measure`.
+ */
+cgxp.data.SnapTargets = Ext.extend(Object, {
+
+    /** api: config[control]
+     *  ``OpenLayers.Control.Snapping``
+     *  The snapping control.
+     */
+    control: null,
+
+    /** api: config[map]
+     *  ``OpenLayers.Map``
+     */
+    map: null,
+
+    /** api: config[tree]
+     *  ``cgxp.tree.LayerTree``
+     *  The layer tree.
+     */
+    tree: null,
+
+    /** api: config[snapLayers]
+     *  ``Object``
+     *  The keys are the layer id and the values are configuration objects,
+     *  see the ``snapLayers`` option of :class:`cgxp.plugins.Editing`.
+     */
+    snapLayers: null,
+
+    /** api: config[url]
+     *  ``String``
+     *  The mapserver proxy URL.
+     */
+    url: null,
+
+    /** private: property[properties]
+     *  ``Object``
+     *  Store properties about the WMS layers corresponding to the snap targets.
+     */
+    properties: null,
+
+    /** private: property[treeNodes]
+     *  ``Array(String)``
+     *  List the names of the layer tree node which contain WMS layers
+     *  corresponding to the WFS snap targets.
+     */
+    treeNodes: null,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+
+        this.properties = {};
+        this.treeNodes = [];
+        for (var l in this.snapLayers) {
+            if (this.snapLayers.hasOwnProperty(l)) {
+                this.snapLayers[l] = this.snapLayers[l] || {};
+                this.snapLayers[l].layer = null;
+                this.properties[l] = {
+                    visibility: false,       // Whether the layer is visible
+                    inRange: false,          // Whether the layer is in range
+                    treeNodes: [],           // Tree nodes that have the WMS layer
+                    url: this.url            // Map server url
+                };
+            }
+        }
+
+        var treeNodes = this.treeNodes;
+
+        function browse(node, prop, local, parent) {
+            for (var i = 0, leni = node.length; i < leni; i++) {
+                var child = node[i];
+                if (child.children) {
+                    browse(child.children, prop, local);
+                } else {
+                    if (child.childLayers) {
+                        browse(child.childLayers, prop, local, child);
+                    }
+                    var name = child.name;
+                    if (name in prop) {
+                        if (child.url || (parent && parent.url)) {
+                            prop[name].url = child.url || parent.url;
+                        }
+                        if (!local) {
+                            prop[name].url +=
+                                (prop[name].url.indexOf('?') == -1 ? '?' : '&') +
+                                'EXTERNAL=true';
+                        }
+                        if (parent) {
+                            treeNodes.push(parent.name);
+                            prop[name].treeNodes.push(parent.name);
+                        } else {
+                            treeNodes.push(name);
+                            prop[name].treeNodes.push(name);
+                        }
+                    }
+                }
+            }
+        }
+
+        browse(this.tree.themes.local, this.properties, true);
+
+        if (this.tree.themes.external) {
+            browse(this.tree.themes.external, this.properties, false);
+        }
+
+        this.map.events.on({
+            zoomend: function() {
+                if (this.control.active) {
+                    this.checkInRange();
+                }
+            },
+            scope: this
+        });
+    },
+
+    /** api: method[activate]
+     *  Adds the visible targets and activates the snapping control.
+     */
+    activate: function() {
+        if (!this.control.active) {
+            var targets = [];
+
+            this.checkVisibility();
+            this.checkInRange();
+
+            for (var l in this.properties) {
+                if (this.properties.hasOwnProperty(l) &&
+                    this.properties[l].visibility &&
+                    this.properties[l].inRange) {
+                    var target = this.getTarget(l);
+                    this.map.addLayer(target.layer);
+                    targets.push(target);
+                }
+            }
+
+            this.control.setTargets(targets);
+            this.control.activate();
+        }
+    },
+
+    /** api: method[deactivate]
+     *  Removes the targets and deactivates the snapping control.
+     */
+    deactivate: function() {
+        if (this.control.active) {
+            for (var i = 0, len = this.control.targets.length; i < len; i++) {
+                this.map.removeLayer(this.control.targets[i].layer);
+            }
+            this.control.setTargets([]);
+            this.control.deactivate();
+        }
+    },
+
+    /** api: method[checkVisibility]
+     *  Updates the targets from the visibility of the layer tree nodes.
+     */
+    checkVisibility: function() {
+        var nodeVisibilities = {};
+        var toVisible = [];
+        var toHidden = [];
+
+        Ext.each(
+            this.treeNodes,
+            function(n) {
+                nodeVisibilities[n] = false;
+            }
+        );
+
+        // Compute the visibility for the current tree nodes
+        this.tree.root.cascade(function(node) {
+            var name = node.attributes.name;
+            if (name in nodeVisibilities) {
+                nodeVisibilities[name] = node.attributes.checked;
+            }
+        }, this);
+
+        // Compute the visibility for the WMS layers
+        for (var layer in this.properties) {
+            if (this.properties.hasOwnProperty(layer)) {
+                var visibility = false;
+                Ext.each(
+                    this.properties[layer].treeNodes,
+                    function(l) {
+                        visibility = visibility || nodeVisibilities[l];
+                    }
+                );
+                if (visibility != this.properties[layer].visibility) {
+                    this.properties[layer].visibility = visibility;
+                    if (this.properties[layer].inRange) {
+                        if (visibility) {
+                            toVisible.push(layer);
+                        } else {
+                            toHidden.push(layer);
+                        }
+                    }
+                }
+            }
+        }
+
+        this.update(toVisible, toHidden);
+    },
+
+    /** api: method[checkInRange]
+     *  Updates the targets from the scale range of the layer tree nodes.
+     */
+    checkInRange: function() {
+        var toVisible = [];
+        var toHidden = [];
+        var currentRes = this.map.getResolution();
+        var units = this.map.getUnits();
+        var nodeInRanges = {};
+
+        function checkInRange(l, res) {
+            if (!l.minResolutionHint && l.minScaleDenominator) {
+                l.minResolutionHint =
+                    OpenLayers.Util.getResolutionFromScale(l.minScaleDenominator, units);
+            }
+            if (!l.maxResolutionHint && l.maxScaleDenominator) {
+                l.maxResolutionHint =
+                    OpenLayers.Util.getResolutionFromScale(l.maxScaleDenominator, units);
+            }
+            return (!((l.minResolutionHint && res < l.minResolutionHint) ||
+                (l.maxResolutionHint && res > l.maxResolutionHint)));
+        }
+
+        Ext.each(
+            this.treeNodes,
+            function(n) {
+                nodeInRanges[n] = false;
+            }
+        );
+
+        // Compute the "inRange" for the current tree nodes
+        this.tree.root.cascade(function(node) {
+            var name = node.attributes.name;
+            if (name in nodeInRanges) {
+                nodeInRanges[name] = checkInRange(node.attributes, currentRes);
+            }
+        }, this);
+
+        // Compute the "inRange" for the WMS layers
+        for (var layer in this.properties) {
+            if (this.properties.hasOwnProperty(layer)) {
+                var inRange = false;
+                Ext.each(
+                    this.properties[layer].treeNodes,
+                    function(l) {
+                        inRange = inRange || nodeInRanges[l];
+                    }
+                );
+                if (inRange != this.properties[layer].inRange) {
+                    this.properties[layer].inRange = inRange;
+                    if (this.properties[layer].visibility) {
+                        if (inRange) {
+                            toVisible.push(layer);
+                        } else {
+                            toHidden.push(layer);
+                        }
+                    }
+                }
+            }
+        }
+
+        this.update(toVisible, toHidden);
+    },
+
+    /** private: method[update]
+     */
+    update: function(toVisible, toHidden) {
+        if (this.control.active) {
+            Ext.each(toVisible, function(name) {
+                var target = this.getTarget(name);
+                this.map.addLayer(target.layer);
+                this.control.addTarget(target);
+            }, this);
+
+            Ext.each(toHidden, function(name) {
+                var target = this.getTarget(name);
+                this.map.removeLayer(target.layer);
+                this.control.removeTarget(target);
+            }, this);
+        }
+    },
+
+    /** private: method[getTarget]
+     *  Allows to lazily create the WFS layers acting as snap targets.
+     */
+    getTarget: function(name) {
+        if (!this.snapLayers[name].layer) {
+            var layer = new OpenLayers.Layer.Vector(
+                "wfs-snap-target-" + name,
+                {
+                    displayInLayerSwitcher: false,
+                    visibility: false,
+                    strategies: [
+                        new OpenLayers.Strategy.BBOX({
+                            resFactor: this.snapLayers[name].resFactor || 1.0,
+                            update: function() {
+                                // Hack: the features would not be reloaded when
+                                // the layer is not visible.
+                                this.layer.visibility = true;
+                                OpenLayers.Strategy.BBOX.prototype.update.apply(this, arguments);
+                                this.layer.visibility = false;
+                            },
+                            merge: function() {
+                                // Hack: do not call merge when the layer is not
+                                // in the map
+                                if (this.layer.map) {
+                                    OpenLayers.Strategy.BBOX.prototype.merge.apply(this, arguments);
+                                }
+                            }
+                        })
+                    ],
+                    protocol: new OpenLayers.Protocol.WFS({
+                        version: "1.0.0",
+                        srsName: this.map.getProjection(),
+                        url: this.properties[name].url,
+                        featureType: name,
+                        featureNS: cgxp.WFS_FEATURE_NS || "http://mapserver.gis.umn.edu/mapserver"
+                    })
+                }
+            );
+            this.snapLayers[name].layer = layer;
+            // Hack: the BBOX strategy expects a moveend event on the layer
+            // which is not triggered when the layer is not visible
+            this.map.events.on({
+                "moveend": function() {
+                    layer.events.triggerEvent("moveend");
+                }
+            });
+
+        }
+
+        return this.snapLayers[name];
+    }
+});
@@ -0,0 +1,165 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires OpenLayers/Control/Snapping.js
+ * @include OpenLayers/Geometry/LineString.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = Snapping
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: Snapping(config)
+ *
+ *  Snapping control that also snaps to the intersections of the edges of
+ *  the target features, with a precedence between the nodes and the
+ *  vertices. The targets accept an ``intersection`` key, true by default,
+ *  and an ``intersectionTolerance`` key.
+ *
+ *  Used by :class:`cgxp.plugins.Measure`.
+ *
+ *  Inherits from: ``<OpenLayers.Control.Snapping>``
+ */
+cgxp.data.Snapping = OpenLayers.Class(OpenLayers.Control.Snapping, {
+
+    /** private: property[precedence]
+     */
+    precedence: ["node", "intersection", "vertex", "edge"],
+
+    /** private: method[testTarget]
+     *  :arg target: ``Object`` The target configuration.
+     *  :arg loc: ``OpenLayers.Geometry.Point``
+     *
+     *  :returns: ``Object`` The best snapping candidate, with the ``rank``
+     *     of its type in ``precedence``, or ``null``.
+     */
+    testTarget: function(target, loc) {
+        var result = OpenLayers.Control.Snapping.prototype.testTarget.apply(
+            this, [OpenLayers.Util.extend(OpenLayers.Util.extend({}, target),
+                {intersection: false}), loc]);
+        if (target.intersection === false) {
+            return result;
+        }
+        var resolution = this.layer.map.getResolution();
+        if (("minResolution" in target && resolution < target.minResolution) ||
+            ("maxResolution" in target && resolution >= target.maxResolution)) {
+            return result;
+        }
+        var rank = OpenLayers.Util.indexOf(this.precedence, "intersection");
+        var intersection = this.getIntersection(target, loc,
+            this.getGeoTolerance(target.intersectionTolerance ||
+                target.tolerance, resolution));
+        if (intersection && (!result || rank < result.rank ||
+            (rank == result.rank && intersection.dist < result.dist))) {
+            result = OpenLayers.Util.extend({rank: rank}, intersection);
+        }
+        return result;
+    },
+
+    /** private: method[getIntersection]
+     *  Gets the nearest intersection of the edges of the target features.
+     *
+     *  :arg target: ``Object`` The target configuration.
+     *  :arg loc: ``OpenLayers.Geometry.Point``
+     *  :arg tolerance: ``Number`` The tolerance in map units.
+     *
+     *  :returns: ``Object`` The ``x``, ``y`` and ``dist`` of the
+     *     intersection, or ``null``.
+     */
+    getIntersection: function(target, loc, tolerance) {
+        var segments = [];
+        var ll = new OpenLayers.LonLat(loc.x, loc.y);
+        var features = target.layer.features;
+        for (var i = 0, len = features.length; i < len; ++i) {
+            var feature = features[i];
+            if (feature !== this.feature && !feature._sketch &&
+                feature.state !== OpenLayers.State.DELETE &&
+                (!target.filter || target.filter.evaluate(feature)) &&
+                feature.atPoint(ll, tolerance, tolerance)) {
+                this.collectSegments(feature.geometry, loc, tolerance,
+                    segments);
+            }
+        }
+        var best = null;
+        for (i = 0, len = segments.length; i < len; ++i) {
+            var s1 = segments[i];
+            for (var j = i + 1; j < len; ++j) {
+                var s2 = segments[j];
+                var d = (s1.x2 - s1.x1) * (s2.y2 - s2.y1) -
+                    (s1.y2 - s1.y1) * (s2.x2 - s2.x1);
+                if (d === 0) {
+                    // parallel
+                    continue;
+                }
+                var t = ((s2.x1 - s1.x1) * (s2.y2 - s2.y1) -
+                    (s2.y1 - s1.y1) * (s2.x2 - s2.x1)) / d;
+                var u = ((s2.x1 - s1.x1) * (s1.y2 - s1.y1) -
+                    (s2.y1 - s1.y1) * (s1.x2 - s1.x1)) / d;
+                if (t < 0 || t > 1 || u < 0 || u > 1 ||
+                    // a vertex shared by the segments
+                    ((t === 0 || t === 1) && (u === 0 || u === 1))) {
+                    continue;
+                }
+                var x = s1.x1 + t * (s1.x2 - s1.x1);
+                var y = s1.y1 + t * (s1.y2 - s1.y1);
+                var dist = Math.sqrt(Math.pow(x - loc.x, 2) +
+                    Math.pow(y - loc.y, 2));
+                if (dist <= tolerance && (!best || dist < best.dist)) {
+                    best = {x: x, y: y, dist: dist};
+                }
+            }
+        }
+        return best;
+    },
+
+    /** private: method[collectSegments]
+     *  Collects the segments of a geometry near a location.
+     *
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :arg loc: ``OpenLayers.Geometry.Point``
+     *  :arg tolerance: ``Number``
+     *  :arg segments: ``Array(Object)`` The collected segments.
+     */
+    collectSegments: function(geometry, loc, tolerance, segments) {
+        var components = geometry.components;
+        if (!components) {
+            return;
+        }
+        if (geometry instanceof OpenLayers.Geometry.LineString) {
+            for (var i = 0, len = components.length - 1; i < len; ++i) {
+                var p1 = components[i], p2 = components[i + 1];
+                if (Math.min(p1.x, p2.x) - tolerance <= loc.x &&
+                    Math.max(p1.x, p2.x) + tolerance >= loc.x &&
+                    Math.min(p1.y, p2.y) - tolerance <= loc.y &&
+                    Math.max(p1.y, p2.y) + tolerance >= loc.y) {
+                    segments.push({x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y});
+                }
+            }
+        } else {
+            for (var j = 0, n = components.length; j < n; ++j) {
+                this.collectSegments(components[j], loc, tolerance, segments);
+            }
+        }
+    },
+
+    CLASS_NAME: "cgxp.data.Snapping"
+});
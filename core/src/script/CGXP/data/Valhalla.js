@@ -0,0 +1,351 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires CGXP/data/RoutingService.js
+ * @include OpenLayers/Format/GeoJSON.js
+ */
+
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = Valhalla
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: Valhalla(config)
+ *
+ *  Routing service for the Valhalla routing API (``route``, ``locate``,
+ *  ``sources_to_targets`` and ``isochrone``), see
+ *  https://valhalla.github.io/valhalla/api/.
+ */
+cgxp.data.Valhalla = Ext.extend(cgxp.data.RoutingService, {
+
+    /** api: config[costing]
+     *  ``String``
+     *  The Valhalla costing model. Default is ``auto``.
+     */
+    costing: 'auto',
+
+    /** api: config[language]
+     *  ``String``
+     *  The language of the server instructions. Default is ``en-US``.
+     */
+    language: 'en-US',
+
+    /** api: property[avoidAreas]
+     *  ``Boolean``
+     *  The areas to avoid are sent as ``exclude_polygons``.
+     */
+    avoidAreas: true,
+
+    /** api: config[alternates]
+     *  ``Integer``
+     *  The number of alternative routes to request. Default is 2.
+     */
+    alternates: 2,
+
+    /** private: property[DIRECTIONS]
+     *  ``Object`` The direction types by maneuver type.
+     */
+    DIRECTIONS: {
+        7: 'DIRECTION_1',
+        8: 'DIRECTION_1',
+        9: 'DIRECTION_2',
+        10: 'DIRECTION_3',
+        11: 'DIRECTION_4',
+        12: 'DIRECTION_5',
+        13: 'DIRECTION_5',
+        14: 'DIRECTION_6',
+        15: 'DIRECTION_7',
+        16: 'DIRECTION_8',
+        17: 'DIRECTION_1',
+        18: 'DIRECTION_2',
+        19: 'DIRECTION_8',
+        20: 'DIRECTION_2',
+        21: 'DIRECTION_8',
+        22: 'DIRECTION_1',
+        23: 'DIRECTION_2',
+        24: 'DIRECTION_8',
+        25: 'DIRECTION_1',
+        28: 'DIRECTION_1',
+        29: 'DIRECTION_1'
+    },
+
+    /** private: property[COMPASS_DIRECTIONS]
+     *  ``Object`` The compass directions by cardinal direction.
+     */
+    COMPASS_DIRECTIONS: {
+        'north': 'N',
+        'north_east': 'NE',
+        'east': 'E',
+        'south_east': 'SE',
+        'south': 'S',
+        'south_west': 'SW',
+        'west': 'W',
+        'north_west': 'NW'
+    },
+
+    /** private: method[getRequest]
+     *  :arg service: ``String`` ``route``, ``locate`` or
+     *      ``sources_to_targets``.
+     *  :arg options: ``Object`` The request options, with the locations.
+     *  :returns: ``Object``
+     */
+    getRequest: function(service, options) {
+        return {
+            url: this.url.replace(/\/$/, '') + '/' + service,
+            params: {
+                json: Ext.encode(Ext.apply({
+                    costing: this.costing
+                }, options))
+            }
+        };
+    },
+
+    /** private: method[getLocations]
+     *  :arg points: ``Array(OpenLayers.Geometry.Point)``
+     *  :returns: ``Array(Object)``
+     */
+    getLocations: function(points) {
+        var locations = [];
+        Ext.each(points, function(point) {
+            locations.push({lat: point.y, lon: point.x});
+        });
+        return locations;
+    },
+
+    /** private: method[getRouteRequest]
+     */
+    getRouteRequest: function(options) {
+        var polygons = [];
+        Ext.each(options.avoid, function(polygon) {
+            var ring = [];
+            Ext.each(polygon.components[0].components, function(point) {
+                ring.push([point.x, point.y]);
+            });
+            polygons.push(ring);
+        });
+        return this.getRequest('route', {
+            locations: this.getLocations([options.source].concat(
+                options.via || [], [options.target])),
+            alternates: options.alternates ? this.alternates : 0,
+            exclude_polygons: polygons,
+            directions_type: options.instructions ? 'instructions' : 'none',
+            directions_options: {
+                units: 'kilometers',
+                language: this.language
+            }
+        });
+    },
+
+    /** private: method[readRoute]
+     */
+    readRoute: function(data, options) {
+        var trip = data.trip;
+        if (!trip || trip.status !== 0) {
+            return this.createStatus(207, trip && trip.status_message);
+        }
+        var route = this.readTrip(trip, options);
+        if (options.alternates) {
+            route.alternatives = [];
+            Ext.each(data.alternates, function(alternate) {
+                route.alternatives.push(this.readTrip(alternate.trip, options));
+            }, this);
+        }
+        return route;
+    },
+
+    /** private: method[readTrip]
+     *  :arg trip: ``Object``
+     *  :arg options: ``Object`` See ``getRoute``.
+     *  :returns: ``Object`` The route.
+     */
+    readTrip: function(trip, options) {
+        var route = this.createStatus(0);
+        route.geometry = [];
+        route.legs = [];
+        route.distance = trip.summary.length * 1000;
+        route.time = trip.summary.time;
+        var instructions = [];
+        Ext.each(trip.legs, function(leg, i) {
+            // the first point of a leg is the last one of the previous leg
+            var offset = Math.max(route.geometry.length - 1, 0);
+            var points = this.decodePolyline(leg.shape, 6);
+            route.legs.push({
+                distance: leg.summary.length * 1000,
+                time: leg.summary.time
+            });
+            route.geometry = route.geometry.concat(
+                i === 0 ? points : points.slice(1));
+            if (options.instructions) {
+                this.readInstructions(leg.maneuvers, offset,
+                    i === 0, i == trip.legs.length - 1, instructions);
+            }
+        }, this);
+        if (options.instructions) {
+            route.instructions = instructions;
+        }
+        return route;
+    },
+
+    /** private: method[readInstructions]
+     *  :arg maneuvers: ``Array(Object)`` The leg maneuvers.
+     *  :arg offset: ``Integer`` The position of the leg in the geometry.
+     *  :arg first: ``Boolean`` Whether it's the first leg.
+     *  :arg last: ``Boolean`` Whether it's the last leg.
+     *  :arg instructions: ``Array(Object)`` The instructions to complete.
+     */
+    readInstructions: function(maneuvers, offset, first, last, instructions) {
+        Ext.each(maneuvers, function(maneuver) {
+            var type = this.getDirectionType(maneuver, first, last);
+            if (!type) {
+                return;
+            }
+            instructions.push({
+                id: instructions.length,
+                directionType: type,
+                roadName: (maneuver.street_names || []).join(', '),
+                distance: maneuver.length * 1000,
+                position: offset + maneuver.begin_shape_index,
+                time: maneuver.time,
+                compassDirection: this.COMPASS_DIRECTIONS[
+                    maneuver.begin_cardinal_direction] || ''
+            });
+        }, this);
+    },
+
+    /** private: method[getDirectionType]
+     *  :arg maneuver: ``Object``
+     *  :arg first: ``Boolean`` Whether it's a maneuver of the first leg.
+     *  :arg last: ``Boolean`` Whether it's a maneuver of the last leg.
+     *  :returns: ``String`` The direction type, ``null`` for the arrivals
+     *      and departures at the via points.
+     */
+    getDirectionType: function(maneuver, first, last) {
+        var type = maneuver.type;
+        if (type >= 1 && type <= 3) {
+            return first ? 'DIRECTION_10' : null;
+        }
+        if (type >= 4 && type <= 6) {
+            return last ? 'DIRECTION_15' : null;
+        }
+        if (type == 26) {
+            return this.getRoundaboutType(maneuver.roundabout_exit_count);
+        }
+        if (type == 27) {
+            // exit of the roundabout, already given by its entrance
+            return null;
+        }
+        return this.DIRECTIONS[type] || 'DIRECTION_1';
+    },
+
+    /** private: method[getTableRequest]
+     */
+    getTableRequest: function(points) {
+        var locations = this.getLocations(points);
+        return this.getRequest('sources_to_targets', {
+            sources: locations,
+            targets: locations,
+            units: 'kilometers'
+        });
+    },
+
+    /** private: method[readTable]
+     */
+    readTable: function(data, points) {
+        if (!data.sources_to_targets) {
+            return this.createStatus(1, data.error);
+        }
+        var table = this.createStatus(0);
+        table.durations = [];
+        table.distances = [];
+        Ext.each(data.sources_to_targets, function(row) {
+            var durations = [], distances = [];
+            Ext.each(row, function(cell) {
+                durations.push(cell.time);
+                distances.push(cell.distance === null ?
+                    null : cell.distance * 1000);
+            });
+            table.durations.push(durations);
+            table.distances.push(distances);
+        });
+        return table;
+    },
+
+    /** private: method[getIsochroneRequest]
+     */
+    getIsochroneRequest: function(origin, times) {
+        var contours = [];
+        Ext.each(times, function(time) {
+            contours.push({time: time / 60});
+        });
+        return this.getRequest('isochrone', {
+            locations: this.getLocations([origin]),
+            contours: contours,
+            polygons: true
+        });
+    },
+
+    /** private: method[readIsochrones]
+     */
+    readIsochrones: function(data, times) {
+        if (!data.features) {
+            return this.createStatus(1, data.error);
+        }
+        var result = this.createStatus(0);
+        result.isochrones = [];
+        var features = new OpenLayers.Format.GeoJSON().read(data);
+        Ext.each(features, function(feature) {
+            result.isochrones.push({
+                time: feature.attributes.contour * 60,
+                geometry: feature.geometry
+            });
+        });
+        result.isochrones.sort(function(a, b) {
+            return a.time - b.time;
+        });
+        return result;
+    },
+
+    /** private: method[getNearestRequest]
+     */
+    getNearestRequest: function(loc) {
+        return this.getRequest('locate', {
+            locations: this.getLocations([loc]),
+            verbose: true
+        });
+    },
+
+    /** private: method[readNearest]
+     */
+    readNearest: function(data, loc) {
+        var edges = data[0] && data[0].edges;
+        if (!edges || edges.length === 0) {
+            return this.createStatus(208);
+        }
+        var edge = edges[0];
+        var location = this.createStatus(0);
+        location.x = edge.correlated_lon;
+        location.y = edge.correlated_lat;
+        location.name = (edge.edge_info && edge.edge_info.names || [])
+            .join(', ');
+        return location;
+    }
+});
@@ -0,0 +1,243 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @include OpenLayers/Protocol/WFS/v1_1_0.js
+ * @include OpenLayers/Format/XML.js
+ */
+
+/** api: (define)
+ *  module = cgxp.data
+ *  class = WFSPager
+ */
+
+Ext.namespace("cgxp.data");
+
+/** api: constructor
+ *  .. class:: WFSPager(config)
+ *
+ *  Reads the pages of the results of a WFS GetFeature query, one feature
+ *  type at a time. Sent with the ``queryresults`` event by
+ *  :class:`cgxp.plugins.GetFeature` and :class:`cgxp.plugins.QueryBuilder`
+ *  to let :class:`cgxp.plugins.FeaturesGrid` page the results beyond
+ *  ``maxFeatures``.
+ *
+ *  The index of the first feature of a page is sent as the vendor
+ *  parameter configured with ``pagingParam``, e.g. ``STARTINDEX`` for
+ *  MapServer, or as the WFS 2.0 ``startIndex`` attribute of the
+ *  ``GetFeature`` request if the server accepts it, see ``useStartIndex``.
+ *  Without one of them the results can't be paged, see ``canPage``.
+ */
+cgxp.data.WFSPager = Ext.extend(Object, {
+
+    /** api: config[url]
+     *  ``String``
+     *  The WFS URL.
+     */
+    url: null,
+
+    /** api: config[params]
+     *  ``Object``
+     *  Additional parameters of the requests.
+     */
+    params: null,
+
+    /** api: config[filter]
+     *  ``OpenLayers.Filter``
+     *  The filter of the query.
+     */
+    filter: null,
+
+    /** api: config[featureNS]
+     *  ``String``
+     *  The feature namespace.
+     */
+    featureNS: null,
+
+    /** api: config[geometryName]
+     *  ``String``
+     *  The geometry name. Default is ``geom``.
+     */
+    geometryName: 'geom',
+
+    /** api: config[srsName]
+     *  ``String``
+     *  The projection of the features.
+     */
+    srsName: null,
+
+    /** api: config[pageSize]
+     *  ``Integer``
+     *  The number of features of a page. Default is 200.
+     */
+    pageSize: 200,
+
+    /** api: config[pagingParam]
+     *  ``String``
+     *  The vendor parameter of the index of the first feature.
+     */
+    pagingParam: null,
+
+    /** api: config[useStartIndex]
+     *  ``Boolean``
+     *  Send the index of the first feature as the ``startIndex`` attribute
+     *  of the WFS 1.1.0 requests. It isn't part of WFS 1.1.0, set it only
+     *  if the server supports it, as the WFS 2.0 servers. Default is false.
+     */
+    useStartIndex: false,
+
+    /** api: config[maxTotalFeatures]
+     *  ``Integer``
+     *  The maximum number of features read by ``readAll``. Default is
+     *  10000.
+     */
+    maxTotalFeatures: 10000,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        Ext.apply(this, config);
+    },
+
+    /** api: method[getParams]
+     *  Gets the parameters of the requests of a feature type, override it
+     *  to add parameters by feature type.
+     *  :arg featureType: ``String``
+     *  :returns: ``Object``
+     */
+    getParams: function(featureType) {
+        return Ext.apply({}, this.params);
+    },
+
+    /** api: method[canPage]
+     *  :returns: ``Boolean`` Whether the server can read the pages after
+     *      the first one, with ``pagingParam`` or ``useStartIndex``.
+     */
+    canPage: function() {
+        return !!this.pagingParam || this.useStartIndex;
+    },
+
+    /** private: method[createProtocol]
+     *  :arg featureType: ``String``
+     *  :arg startIndex: ``Integer`` The index of the first feature.
+     *  :returns: ``OpenLayers.Protocol.WFS``
+     */
+    createProtocol: function(featureType, startIndex) {
+        var protocol = new OpenLayers.Protocol.WFS({
+            url: this.url,
+            featureType: featureType,
+            featureNS: this.featureNS,
+            geometryName: this.geometryName,
+            srsName: this.srsName,
+            version: "1.1.0",
+            formatOptions: {
+                featureNS: this.featureNS,
+                autoconfig: false
+            }
+        });
+        if (startIndex && !this.pagingParam && this.useStartIndex) {
+            protocol.format.writeNode = function(name, obj, parent) {
+                var node = OpenLayers.Format.XML.prototype.writeNode.apply(
+                    this, arguments);
+                if (name == "wfs:GetFeature") {
+                    node.setAttribute("startIndex", startIndex);
+                }
+                return node;
+            };
+        }
+        return protocol;
+    },
+
+    /** api: method[read]
+     *  Reads a page of features.
+     *  :arg featureType: ``String``
+     *  :arg start: ``Integer`` The index of the first feature.
+     *  :arg limit: ``Integer`` The number of features, default is
+     *      ``pageSize``.
+     *  :arg callback: ``Function`` Called with the features, or ``null``
+     *      on error.
+     *  :arg scope: ``Object``
+     */
+    read: function(featureType, start, limit, callback, scope) {
+        var params = this.getParams(featureType);
+        if (start && this.pagingParam) {
+            params[this.pagingParam] = start;
+        }
+        this.createProtocol(featureType, start).read({
+            filter: this.filter,
+            maxFeatures: limit || this.pageSize,
+            params: params,
+            callback: function(response) {
+                var features = null;
+                if (response.success()) {
+                    features = response.features || [];
+                    Ext.each(features, function(feature) {
+                        feature.type = featureType;
+                    });
+                }
+                callback.call(scope, features);
+            }
+        });
+    },
+
+    /** api: method[readAll]
+     *  Reads all the features, page by page, up to ``maxTotalFeatures``,
+     *  or only the first page if the server can't page them.
+     *  :arg featureType: ``String``
+     *  :arg callback: ``Function`` Called with the features, or ``null``
+     *      on error.
+     *  :arg scope: ``Object``
+     */
+    readAll: function(featureType, callback, scope) {
+        var all = [];
+        var next = function(features) {
+            if (!features) {
+                callback.call(scope, null);
+                return;
+            }
+            all = all.concat(features);
+            if (features.length < this.pageSize || !this.canPage() ||
+                    all.length >= this.maxTotalFeatures) {
+                callback.call(scope, all);
+            } else {
+                this.read(featureType, all.length, null, next, this);
+            }
+        };
+        this.read(featureType, 0, null, next, this);
+    },
+
+    /** api: method[readHits]
+     *  Reads the number of features matching the filter.
+     *  :arg featureType: ``String``
+     *  :arg callback: ``Function`` Called with the number of features, or
+     *      ``null`` on error.
+     *  :arg scope: ``Object``
+     */
+    readHits: function(featureType, callback, scope) {
+        this.createProtocol(featureType).read({
+            filter: this.filter,
+            params: this.getParams(featureType),
+            readOptions: {output: "object"},
+            resultType: "hits",
+            maxFeatures: null,
+            callback: function(response) {
+                callback.call(scope, response.success() ?
+                    response.numberOfFeatures : null);
+            }
+        });
+    }
+});
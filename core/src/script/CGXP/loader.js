@@ -22,6 +22,8 @@
 
         "tools/tools.js",
 
+        "state/PermalinkProvider.js",
+
         "widgets/FullTextSearch.js",
         "widgets/MapPanel.js",
         "widgets/WMSLegend.js",
@@ -33,6 +35,7 @@
         "widgets/tool/Window.js",
 
         "plugins/AddKMLFile.js",
+        "plugins/Bookmarks.js",
         "plugins/ContextualData.js",
         "plugins/Disclaimer.js",
         "plugins/ModalDisclaimer.js",
@@ -61,7 +64,22 @@
         "plugins/QueryBuilder.js",
 
         "data/FeatureReader.js",
+        "data/RoutingService.js",
         "data/OSRM.js",
+        "data/OSRM5.js",
+        "data/GraphHopper.js",
+        "data/Valhalla.js",
+        "data/PrintVectorEncoder.js",
+        "data/WFSPager.js",
+        "data/FeaturesExporter.js",
+        "data/SnapTargets.js",
+        "data/Snapping.js",
+        "data/OffsetMeasureControl.js",
+        "data/EditingSession.js",
+        "data/GeometryTools.js",
+        "data/ProfileExporter.js",
+        "data/RouteOptimizer.js",
+        "data/RoadbookExporter.js",
 
         // <redlining dependencies>
         "../../../../ext/Ext/examples/ux/Spinner.js",
@@ -17,7 +17,50 @@ GeoExt.Lang.add("de", {
         lengthTooltip: "Länge messen",
         areaTooltip: "Fläche messen",
         azimuthTooltip: "Azimut messen",
-        measureTooltip: "Messen"
+        measureTooltip: "Messen",
+        totalText: "Total: ",
+        areaText: "Fläche: ",
+        perimeterText: "Umfang: ",
+        editMenuText: "Messungen bearbeiten",
+        deleteMenuText: "Ausgewählte Messung löschen",
+        clearMenuText: "Alle Messungen löschen",
+        circleMenuText: "Kreis",
+        bearingMenuText: "Punkt mit Azimut und Distanz",
+        offsetMenuText: "Lotrechter Abstand",
+        circleTooltip: "Kreis messen",
+        bearingTooltip: "Punkt mit Azimut und Distanz setzen",
+        offsetTooltip: "Lotrechten Abstand messen",
+        radiusText: "Radius: ",
+        circumferenceText: "Umfang: ",
+        offsetText: "Abstand: ",
+        chainageText: "Stationierung: ",
+        leftText: "links",
+        rightText: "rechts",
+        bearingAzimuthText: "Azimut (°)",
+        bearingDistanceText: "Distanz ({0})",
+        placePointText: "Punkt setzen",
+        snapMenuText: "An Objekten einrasten",
+        settingsMenuText: "Einstellungen",
+        lengthUnitsMenuText: "Längeneinheiten",
+        areaUnitsMenuText: "Flächeneinheiten",
+        coordinatesMenuText: "Koordinatensysteme",
+        automaticUnitText: "Automatisch",
+        metersText: "Meter",
+        kilometersText: "Kilometer",
+        feetText: "Fuss",
+        milesText: "Meilen",
+        nauticalMilesText: "Seemeilen",
+        squareMetersText: "Quadratmeter",
+        hectaresText: "Hektar",
+        squareKilometersText: "Quadratkilometer",
+        acresText: "Acres",
+        copyMenuText: "Koordinaten des Punktes kopieren",
+        copiedText: "Die Koordinaten wurden in die Zwischenablage kopiert.",
+        copyTitleText: "Koordinaten",
+        elevationText: "Höhe: ",
+        heightDifferenceText: "Höhendifferenz: ",
+        slopeText: "Neigung: ",
+        distance3dText: "3D-Distanz: "
     },
 
     "cgxp.FullTextSearch.prototype": {
@@ -57,7 +100,11 @@ GeoExt.Lang.add("de", {
         selectToggleText: "Umkehren",
         actionsText: "Auf Auswahl anwenden",
         zoomToSelectionText: "Zentrieren auf Ausdehnung",
-        csvSelectionExportText: "Als CSV Datei exportieren",
+        exportText: "Exportieren",
+        csvExportText: "CSV mit WKT Geometrie",
+        shapefileExportText: "Shapefile (zip)",
+        xlsxExportText: "Excel (XLSX)",
+        exportProjectionText: "Koordinatensystem",
         maxFeaturesText: "Maximale Anzahl Resultate erreicht",
         totalSurfaceText: "Gesamtfläche: ",
         totalLengthText: "Gesamtlänge: ",
@@ -66,7 +113,9 @@ GeoExt.Lang.add("de", {
         suggestionText: "Tipp",
         noLayerSelectedMessage: "Keine Ebene ausgewählt",
         totalNbOfFeaturesText: "Total Anzahl Resultate: ",
-        countingText: "(lädt...)"
+        countingText: "(lädt...)",
+        selectAllResultsText: "Alle Resultate (alle Seiten)",
+        profileText: "Profil anzeigen"
     },
 
     "cgxp.plugins.FeaturesWindow.prototype": {
@@ -76,7 +125,8 @@ GeoExt.Lang.add("de", {
         noFeatureFound: "Kein Resultat",
         loadingResults: "Laden der Resultate...",
         suggestionText: "Tipp",
-        noLayerSelectedMessage: "Keine Ebene ausgewählt"
+        noLayerSelectedMessage: "Keine Ebene ausgewählt",
+        profileText: "Profil anzeigen"
     },
 
     "cgxp.plugins.Print.prototype": {
@@ -97,7 +147,30 @@ GeoExt.Lang.add("de", {
         downloadText: 'Download',
         readyText: "Dokument ist bereit.",
         failureTitle: "Fehler beim Drucken",
-        failureText: "Es ist ein Fehler aufgetreten beim Drucken. Bitte prüfen Sie die Parameter."
+        failureText: "Es ist ein Fehler aufgetreten beim Drucken. Bitte prüfen Sie die Parameter.",
+        atlasText: "Atlas",
+        atlasNoneText: "Kein",
+        atlasFeaturesText: "Eine Seite pro Abfrageresultat",
+        atlasLineText: "Entlang einer Linie",
+        atlasPolygonText: "Über ein Polygon",
+        atlasScaleText: "Atlas-Massstab",
+        atlasOverviewText: "Übersichtsseite einfügen",
+        atlasSheetsText: "Anzahl Atlasseiten: {0}",
+        jobsTitle: "Druckaufträge",
+        jobRunningText: "Drucken... ({0} s)",
+        jobDoneText: "Bereit",
+        jobFailedText: "Fehlgeschlagen",
+        jobCancelledText: "Abgebrochen",
+        jobCancelText: "Abbrechen",
+        jobRetryText: "Wiederholen",
+        previewbuttonText: "Vorschau",
+        previewTitle: "Druckvorschau",
+        previewPageText: "Seite {0}",
+        previewWarningsText: "Warnungen",
+        previewEmptyLegendText: "Die Legende ist leer.",
+        previewDroppedFeaturesText: "Einige Objekte der Ebene «{0}» können nicht gedruckt werden.",
+        previewOutOfRangeText: "Die Ebene «{0}» ist im Massstab 1:{1} nicht sichtbar.",
+        includeroadbookText: "Roadbook der Route anzeigen"
     },
 
     "cgxp.plugins.Login.prototype": {
@@ -159,7 +232,33 @@ GeoExt.Lang.add("de", {
         saveServerErrorText: "Speichern nicht möglich wegen eines Serverfehlers.",
         queryServerErrorText: "Abfrage nicht möglich wegen eines Serverfehlers.",
         titleValidationErrorText: "Validierungsfehler",
-        saveValidationErrorText: "Die Validierung der Geometrie ist fehlgeschlagen. Grund:&nbsp;"
+        saveValidationErrorText: "Die Validierung der Geometrie ist fehlgeschlagen. Grund:&nbsp;",
+        pendingChangesText: "Ausstehende Änderungen",
+        undoText: "Rückgängig",
+        redoText: "Wiederholen",
+        saveAllText: "Alle speichern",
+        discardText: "Verwerfen",
+        discardConfirmText: "Möchten Sie alle ausstehenden Änderungen verwerfen?",
+        newFeatureText: "Neues Element",
+        insertStateText: "Erstellt",
+        updateStateText: "Geändert",
+        deleteStateText: "Gelöscht",
+        saveErrorsText: "Einige Änderungen konnten nicht gespeichert werden, siehe die ausstehenden Änderungen.",
+        splitText: "Teilen",
+        mergeText: "Zusammenführen",
+        addHoleText: "Loch hinzufügen",
+        removeHoleText: "Loch entfernen",
+        offsetText: "Parallele",
+        offsetPromptText: "Abstand, negativ rechts der Linie:",
+        copyText: "Abgefragtes Element kopieren",
+        noQueriedFeatureText: "Kein abgefragtes Element",
+        chooseLayerText: "Wählen Sie die Ebene des neuen Elements im Erstellungsmenü.",
+        incompatibleGeometryText: "Der Geometrietyp wird von der Ebene nicht unterstützt.",
+        splitFailedText: "Die Linie teilt das Element nicht.",
+        mergeFailedText: "Die Polygone sind nicht benachbart.",
+        holeFailedText: "Das Loch muss innerhalb des Polygons liegen.",
+        offsetFailedText: "Die Linie ist zu kurz, um sie zu versetzen.",
+        noHoleText: "An dieser Stelle gibt es kein Loch."
     },
 
     "cgxp.plugins.LayerTree.prototype": {
@@ -204,7 +303,33 @@ GeoExt.Lang.add("de", {
         directionsLabel: "Routenbeschreibung",
         loadingRouteLabel: "Ihre Route wird berechnet",
         noRouteFoundLabel: "Kein Routing möglich",
-        routeErrorTitle: "Ein Fehler ist aufgetreten bei der Berechnung der Route."
+        routeErrorTitle: "Ein Fehler ist aufgetreten bei der Berechnung der Route.",
+        profilebuttonLabel: "Profil",
+        avoidbuttonLabel: "Gebiet vermeiden",
+        clearAvoidbuttonLabel: "Gebiete löschen",
+        comparebuttonLabel: "Vergleichen",
+        routesLabel: "Routen",
+        alternativeLabel: "Alternative",
+        addStopfieldLabel: "Zwischenziel hinzufügen",
+        addStopButtonLabel: "Auswahl in Karte",
+        importStopsbuttonLabel: "CSV importieren",
+        optimizebuttonLabel: "Reihenfolge optimieren",
+        stopsLabel: "Zwischenziele",
+        invalidStopsFileText: "Die Datei enthält keine Koordinaten.",
+        isochronesLabel: "Erreichbare Gebiete",
+        isochroneTimesfieldLabel: "Minuten",
+        isochronebuttonLabel: "Berechnen",
+        exportIsochronesbuttonLabel: "Exportieren",
+        queryIsochronebuttonLabel: "Abfragen",
+        clearIsochronesbuttonLabel: "Löschen",
+        isochroneTimeText: "In {0} Min.",
+        geojsonExportText: "GeoJSON",
+        kmlExportText: "KML",
+        csvExportText: "CSV mit WKT Geometrie",
+        shapefileExportText: "Shapefile (zip)",
+        xlsxExportText: "Excel (XLSX)",
+        exportRoadbookbuttonLabel: "Roadbook",
+        gpxExportText: "GPX"
     },
 
     "cgxp.plugins.WMSBrowser.prototype": {
@@ -257,8 +382,24 @@ GeoExt.Lang.add("de", {
         xLabelText: "Abstand (m)",
         yLabelText: "Höhe (m)",
         errorMsg: "Ein Fehler ist aufgetreten mit dem Profil-Tool. Bitte versuchen Sie es erneut.",
-        exportCsvText: "Export als CSV",
-        menuText: "Höhenprofil"
+        exportText: "Exportieren",
+        menuText: "Höhenprofil",
+        nbPointsText: "Stützpunkte",
+        updateText: "Aktualisieren",
+        resetZoomText: "Zoom zurücksetzen",
+        layerText: "Ebene",
+        ascentText: "Aufstieg",
+        descentText: "Abstieg",
+        minText: "Min.",
+        maxText: "Max.",
+        meanText: "Mittel",
+        maxSlopeText: "Max. Neigung",
+        csvExportText: "CSV",
+        jsonExportText: "JSON",
+        geojsonExportText: "GeoJSON (3D-Linie)",
+        gpxExportText: "GPX (3D-Track)",
+        pngExportText: "PNG-Bild",
+        svgExportText: "SVG-Bild"
     },
 
     "cgxp.plugins.GoogleEarthView.prototype": {
@@ -295,7 +436,15 @@ GeoExt.Lang.add("de", {
         unqueriedLayerTitle: "Diese Ebene kann nicht abgefragt werden.",
         unqueriedLayerText: "Diese Ebene unterstützt nur Punkt-Abfragen.",
         queryResultMessage: "Informationen in einem Rechteck können mit der " +
-            "{key} Taste abgefragt werden."
+            "{key} Taste abgefragt werden.",
+        polygonTooltipText: "Objekte in einem Polygon abfragen",
+        polygonMenuText: "In einem Polygon abfragen",
+        circleTooltipText: "Objekte in einem Kreis abfragen",
+        circleMenuText: "In einem Kreis abfragen",
+        bufferTooltipText: "Objekte um einen Punkt abfragen",
+        bufferMenuText: "Um einen Punkt abfragen",
+        corridorTooltipText: "Objekte entlang einer Linie abfragen",
+        corridorMenuText: "Entlang einer Linie abfragen"
     },
 
     "cgxp.plugins.MyPosition.prototype": {
@@ -310,7 +459,8 @@ GeoExt.Lang.add("de", {
         fontSizeFieldText: "Grösse",
         coordsFieldText: "Koordinaten anzeigen",
         lengthFieldText: "Distanz anzeigen",
-        areaFieldText: "Fläche anzeigen"
+        areaFieldText: "Fläche anzeigen",
+        profileText: "Profil anzeigen"
     },
 
     "GeoExt.ux.FeatureEditorGrid.prototype": {
@@ -326,5 +476,25 @@ GeoExt.Lang.add("de", {
         saveButtonTooltip: "Die Änderungen speichern",
         nameHeader: "Name",
         valueHeader: "Wert"
+    },
+
+    "cgxp.plugins.Bookmarks.prototype": {
+        menuText: "Lesezeichen",
+        tooltipText: "Kartenansichten speichern und wiederherstellen",
+        addText: "Lesezeichen hinzufügen...",
+        addTitle: "Lesezeichen hinzufügen",
+        nameText: "Name:",
+        importText: "Importieren...",
+        exportText: "Exportieren...",
+        deleteText: "Löschen",
+        emptyText: "Keine Lesezeichen",
+        importTitle: "Lesezeichen importieren",
+        importHelpText: "Exportierte Lesezeichen einfügen:",
+        exportTitle: "Lesezeichen exportieren",
+        exportHelpText: "Lesezeichen kopieren, um sie in einem anderen Browser zu importieren:",
+        importButtonText: "Importieren",
+        closeText: "Schliessen",
+        invalidText: "Die Lesezeichen sind ungültig.",
+        storageErrorText: "Die Lesezeichen können in diesem Browser nicht gespeichert werden."
     }
 });
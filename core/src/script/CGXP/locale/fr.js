@@ -21,7 +21,50 @@ GeoExt.Lang.add("fr", {
         lengthTooltip: "Mesure de longueur",
         areaTooltip: "Mesure de surface",
         azimuthTooltip: "Mesure d'azimut",
-        measureTooltip: "Mesurer"
+        measureTooltip: "Mesurer",
+        totalText: "Total&nbsp;: ",
+        areaText: "Surface&nbsp;: ",
+        perimeterText: "Périmètre&nbsp;: ",
+        editMenuText: "Modifier les mesures",
+        deleteMenuText: "Supprimer la mesure sélectionnée",
+        clearMenuText: "Supprimer toutes les mesures",
+        circleMenuText: "Cercle",
+        bearingMenuText: "Point à un azimut et une distance",
+        offsetMenuText: "Distance perpendiculaire",
+        circleTooltip: "Mesure de cercle",
+        bearingTooltip: "Placer un point à un azimut et une distance",
+        offsetTooltip: "Mesure de distance perpendiculaire",
+        radiusText: "Rayon&nbsp;: ",
+        circumferenceText: "Circonférence&nbsp;: ",
+        offsetText: "Distance&nbsp;: ",
+        chainageText: "Abscisse&nbsp;: ",
+        leftText: "gauche",
+        rightText: "droite",
+        bearingAzimuthText: "Azimut (°)",
+        bearingDistanceText: "Distance ({0})",
+        placePointText: "Placer le point",
+        snapMenuText: "Accrocher aux objets",
+        settingsMenuText: "Paramètres",
+        lengthUnitsMenuText: "Unités de longueur",
+        areaUnitsMenuText: "Unités de surface",
+        coordinatesMenuText: "Systèmes de coordonnées",
+        automaticUnitText: "Automatique",
+        metersText: "Mètres",
+        kilometersText: "Kilomètres",
+        feetText: "Pieds",
+        milesText: "Miles",
+        nauticalMilesText: "Milles marins",
+        squareMetersText: "Mètres carrés",
+        hectaresText: "Hectares",
+        squareKilometersText: "Kilomètres carrés",
+        acresText: "Acres",
+        copyMenuText: "Copier les coordonnées du point",
+        copiedText: "Les coordonnées ont été copiées dans le presse-papiers.",
+        copyTitleText: "Coordonnées",
+        elevationText: "Altitude&nbsp;: ",
+        heightDifferenceText: "Dénivelé&nbsp;: ",
+        slopeText: "Pente&nbsp;: ",
+        distance3dText: "Distance 3D&nbsp;: "
     },
 
    "cgxp.FullTextSearch.prototype": {
@@ -61,7 +104,11 @@ GeoExt.Lang.add("fr", {
         selectToggleText: "Inverser la sélection",
         actionsText: "Actions sur la sélection",
         zoomToSelectionText: "Zoomer sur la sélection",
-        csvSelectionExportText: "Exporter en CSV",
+        exportText: "Exporter",
+        csvExportText: "CSV avec géométrie WKT",
+        shapefileExportText: "Shapefile (zip)",
+        xlsxExportText: "Excel (XLSX)",
+        exportProjectionText: "Système de coordonnées",
         maxFeaturesText: "Nombre maximum de résultats",
         totalSurfaceText: "Surface totale&nbsp;: ",
         totalLengthText: "Longueur totale&nbsp;: ",
@@ -70,7 +117,9 @@ GeoExt.Lang.add("fr", {
         suggestionText: "Suggestion",
         noLayerSelectedMessage: "Pas de couche sélectionnée",
         totalNbOfFeaturesText: "Nombre total de résultats&nbsp;: ",
-        countingText: "(en cours de calcul...)"
+        countingText: "(en cours de calcul...)",
+        selectAllResultsText: "Tous les résultats (toutes les pages)",
+        profileText: "Afficher le profil"
     },
 
     "cgxp.plugins.FeaturesWindow.prototype": {
@@ -80,7 +129,8 @@ GeoExt.Lang.add("fr", {
         suggestionText: "Suggestion",
         noFeatureFound: "Aucun résultat",
         loadingResults: "Chargement des résultats...",
-        noLayerSelectedMessage: "Pas de couche sélectionnée"
+        noLayerSelectedMessage: "Pas de couche sélectionnée",
+        profileText: "Afficher le profil"
     },
 
     "cgxp.plugins.Print.prototype": {
@@ -101,7 +151,30 @@ GeoExt.Lang.add("fr", {
         downloadText: "Télécharger",
         readyText: "Votre document est prêt.",
         failureTitle: "Echec de l'impression",
-        failureText: "L'impression a échoué. Merci de vérifier les paramètres."
+        failureText: "L'impression a échoué. Merci de vérifier les paramètres.",
+        atlasText: "Atlas",
+        atlasNoneText: "Aucun",
+        atlasFeaturesText: "Une page par résultat de requête",
+        atlasLineText: "Le long d'une ligne",
+        atlasPolygonText: "Sur un polygone",
+        atlasScaleText: "Échelle de l'atlas",
+        atlasOverviewText: "Inclure une page de vue d'ensemble",
+        atlasSheetsText: "Nombre de pages de l'atlas&nbsp;: {0}",
+        jobsTitle: "Impressions",
+        jobRunningText: "Impression... ({0} s)",
+        jobDoneText: "Prêt",
+        jobFailedText: "Échec",
+        jobCancelledText: "Annulé",
+        jobCancelText: "Annuler",
+        jobRetryText: "Réessayer",
+        previewbuttonText: "Aperçu",
+        previewTitle: "Aperçu avant impression",
+        previewPageText: "Page {0}",
+        previewWarningsText: "Avertissements",
+        previewEmptyLegendText: "La légende est vide.",
+        previewDroppedFeaturesText: "Certains objets de la couche « {0} » ne peuvent pas être imprimés.",
+        previewOutOfRangeText: "La couche « {0} » n'est pas visible à l'échelle 1:{1}.",
+        includeroadbookText: "Inclure la feuille de route de l'itinéraire"
     },
 
     "cgxp.plugins.Login.prototype": {
@@ -163,7 +236,33 @@ GeoExt.Lang.add("fr", {
         saveServerErrorText: "L'enregistrement a échoué en raison d'une erreur du serveur.",
         queryServerErrorText: "L'interrogation a échoué en raison d'une erreur du serveur.",
         titleValidationErrorText: "Erreur de validation",
-        saveValidationErrorText: "Les géométries ne sont pas valides. Raison&nbsp;:&nbsp;"
+        saveValidationErrorText: "Les géométries ne sont pas valides. Raison&nbsp;:&nbsp;",
+        pendingChangesText: "Modifications en attente",
+        undoText: "Annuler",
+        redoText: "Rétablir",
+        saveAllText: "Tout enregistrer",
+        discardText: "Abandonner",
+        discardConfirmText: "Voulez-vous abandonner toutes les modifications en attente&nbsp;?",
+        newFeatureText: "Nouvel objet",
+        insertStateText: "Créé",
+        updateStateText: "Modifié",
+        deleteStateText: "Supprimé",
+        saveErrorsText: "Certaines modifications n'ont pas pu être enregistrées, voir les modifications en attente.",
+        splitText: "Découper",
+        mergeText: "Fusionner",
+        addHoleText: "Ajouter un trou",
+        removeHoleText: "Supprimer un trou",
+        offsetText: "Parallèle",
+        offsetPromptText: "Distance, négative à droite de la ligne&nbsp;:",
+        copyText: "Copier un objet interrogé",
+        noQueriedFeatureText: "Aucun objet interrogé",
+        chooseLayerText: "Choisir la couche du nouvel objet dans le menu de création.",
+        incompatibleGeometryText: "Le type de géométrie n'est pas supporté par la couche.",
+        splitFailedText: "La ligne ne découpe pas l'objet.",
+        mergeFailedText: "Les polygones ne sont pas adjacents.",
+        holeFailedText: "Le trou doit être à l'intérieur du polygone.",
+        offsetFailedText: "La ligne est trop courte pour être décalée.",
+        noHoleText: "Il n'y a pas de trou à cet endroit."
     },
 
     "cgxp.plugins.LayerTree.prototype": {
@@ -208,7 +307,33 @@ GeoExt.Lang.add("fr", {
         directionsLabel: "Directions",
         loadingRouteLabel: "Votre itinéraire est en cours de calcul",
         noRouteFoundLabel: "Pas d'itinéraire possible",
-        routeErrorTitle: "Une erreur s'est produite avec l'outil de calcul d'itinéraire."
+        routeErrorTitle: "Une erreur s'est produite avec l'outil de calcul d'itinéraire.",
+        profilebuttonLabel: "Profil",
+        avoidbuttonLabel: "Éviter une zone",
+        clearAvoidbuttonLabel: "Effacer les zones",
+        comparebuttonLabel: "Comparer",
+        routesLabel: "Itinéraires",
+        alternativeLabel: "Variante",
+        addStopfieldLabel: "Ajouter une étape",
+        addStopButtonLabel: "Via la carte",
+        importStopsbuttonLabel: "Importer un CSV",
+        optimizebuttonLabel: "Optimiser l'ordre",
+        stopsLabel: "Étapes",
+        invalidStopsFileText: "Le fichier ne contient pas de coordonnées.",
+        isochronesLabel: "Zones accessibles",
+        isochroneTimesfieldLabel: "Minutes",
+        isochronebuttonLabel: "Calculer",
+        exportIsochronesbuttonLabel: "Exporter",
+        queryIsochronebuttonLabel: "Interroger",
+        clearIsochronesbuttonLabel: "Effacer",
+        isochroneTimeText: "En {0} min",
+        geojsonExportText: "GeoJSON",
+        kmlExportText: "KML",
+        csvExportText: "CSV avec géométrie WKT",
+        shapefileExportText: "Shapefile (zip)",
+        xlsxExportText: "Excel (XLSX)",
+        exportRoadbookbuttonLabel: "Feuille de route",
+        gpxExportText: "GPX"
     },
 
     "cgxp.plugins.WMSBrowser.prototype": {
@@ -261,9 +386,25 @@ GeoExt.Lang.add("fr", {
         xLabelText: "Distance (m)",
         yLabelText: "Altitude (m)",
         errorMsg: "Une erreur s'est produite avec l'outil de profil. Veuillez recommencer.",
-        exportCsvText: "Exporter en CSV",
+        exportText: "Exporter",
         tooltipText: "Afficher le profil altimétrique",
-        menuText: "Profil altimétrique"
+        menuText: "Profil altimétrique",
+        nbPointsText: "Points d'échantillonnage",
+        updateText: "Mettre à jour",
+        resetZoomText: "Réinitialiser le zoom",
+        layerText: "Couche",
+        ascentText: "Montée",
+        descentText: "Descente",
+        minText: "Min.",
+        maxText: "Max.",
+        meanText: "Moyenne",
+        maxSlopeText: "Pente max.",
+        csvExportText: "CSV",
+        jsonExportText: "JSON",
+        geojsonExportText: "GeoJSON (ligne 3D)",
+        gpxExportText: "GPX (trace 3D)",
+        pngExportText: "Image PNG",
+        svgExportText: "Image SVG"
     },
 
     "cgxp.plugins.GoogleEarthView.prototype": {
@@ -300,7 +441,15 @@ GeoExt.Lang.add("fr", {
         unqueriedLayerTitle: "Impossible d'interroger cette couche",
         unqueriedLayerText: "Seules les interrogations par simple clic sont " +
             "possibles pour cette couche.",
-        queryResultMessage: "Utilisez la touche {key} pour faire des sélections rectangulaires."
+        queryResultMessage: "Utilisez la touche {key} pour faire des sélections rectangulaires.",
+        polygonTooltipText: "Interroger les objets dans un polygone",
+        polygonMenuText: "Interroger dans un polygone",
+        circleTooltipText: "Interroger les objets dans un cercle",
+        circleMenuText: "Interroger dans un cercle",
+        bufferTooltipText: "Interroger les objets autour d'un point",
+        bufferMenuText: "Interroger autour d'un point",
+        corridorTooltipText: "Interroger les objets le long d'une ligne",
+        corridorMenuText: "Interroger le long d'une ligne"
     },
 
     "cgxp.plugins.MyPosition.prototype": {
@@ -321,7 +470,8 @@ GeoExt.Lang.add("fr", {
         radiusFieldText: "Rayon",
         coordsFieldText: "Afficher les coordonnées",
         lengthFieldText: "Afficher la longueur",
-        areaFieldText: "Afficher la surface"
+        areaFieldText: "Afficher la surface",
+        profileText: "Afficher le profil"
     },
 
     "GeoExt.ux.FeatureEditorGrid.prototype": {
@@ -337,6 +487,26 @@ GeoExt.Lang.add("fr", {
         saveButtonTooltip: "Enregistrer les modifications",
         nameHeader: "Nom",
         valueHeader: "Valeur"
+    },
+
+    "cgxp.plugins.Bookmarks.prototype": {
+        menuText: "Favoris",
+        tooltipText: "Enregistrer et restaurer des vues de la carte",
+        addText: "Ajouter un favori...",
+        addTitle: "Ajouter un favori",
+        nameText: "Nom&nbsp;:",
+        importText: "Importer...",
+        exportText: "Exporter...",
+        deleteText: "Supprimer",
+        emptyText: "Aucun favori",
+        importTitle: "Importer des favoris",
+        importHelpText: "Collez les favoris exportés&nbsp;:",
+        exportTitle: "Exporter les favoris",
+        exportHelpText: "Copiez les favoris pour les importer dans un autre navigateur&nbsp;:",
+        importButtonText: "Importer",
+        closeText: "Fermer",
+        invalidText: "Les favoris ne sont pas valides.",
+        storageErrorText: "Les favoris ne peuvent pas être enregistrés dans ce navigateur."
     }
 });
 
@@ -347,6 +517,7 @@ OpenLayers.Lang["fr"] = OpenLayers.Util.applyDefaults({
   "STATUS_3": "Parameter out of range",
   "STATUS_4": "Required parameter missing",
   "STATUS_5": "Service unavailable",
+  "STATUS_6": "Non supporté par le service d'itinéraire",
   "STATUS_202": "Route is blocked",
   "STATUS_205": "DB corrupted",
   "STATUS_206": "DB is not open",
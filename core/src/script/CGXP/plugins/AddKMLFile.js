@@ -20,6 +20,8 @@
  * @include CGXP/widgets/GoogleEarthPanel.js
  * @include Ext/examples/ux/fileuploadfield/FileUploadField.js
  * @include Ext/ux/base64.js
+ * @include OpenLayers/Format/KML.js
+ * @include OpenLayers/Format/GPX.js
  */
 
 /** api: (define)
@@ -43,6 +45,10 @@ Ext.namespace("cgxp.plugins");
  *  this requires an "echo" service to be running on the server that reflects a
  *  file back to the client.
  *
+ *  A GPX file (``.gpx`` extension) is added to the 2D map only. If the
+ *  ``profileId`` option is set, the profile of the first track or route of
+ *  the file is shown.
+ *
  *  Beware that the plugin may behave incorrectly (ie. not showing) if
  *  nested in a panel not visible at application launch. For example, the
  *  button may not show up if put in collapsed panel in an accordion.
@@ -142,6 +148,13 @@ cgxp.plugins.AddKMLFile = Ext.extend(gxp.plugins.Tool, {
      */
     autoloadGoogleEarth: false,
 
+    /** api: config[profileId]
+     *  ``String``
+     *  The id of a :class:`cgxp.plugins.Profile` plugin. If set, the profile
+     *  of the first line of the loaded file is shown.
+     */
+    profileId: null,
+
     /** private: method[addActions]
      */
     addActions: function() {
@@ -175,16 +188,30 @@ cgxp.plugins.AddKMLFile = Ext.extend(gxp.plugins.Tool, {
                 var filename = action.result.filename;
                 var kmlString = Ext.ux.base64.decode(action.result.data);
 
-                // Add KML file to map
+                // Add KML or GPX file to map
                 var map = this.target.mapPanel.map;
-                var kmlFormat = new OpenLayers.Format.KML({
-                    extractStyles: true,
-                    internalProjection: map.getProjectionObject()
-                });
+                var isGPX = /\.gpx$/i.test(filename);
+                var format = isGPX ?
+                    new OpenLayers.Format.GPX({
+                        internalProjection: map.getProjectionObject()
+                    }) :
+                    new OpenLayers.Format.KML({
+                        extractStyles: true,
+                        internalProjection: map.getProjectionObject()
+                    });
+                var features = format.read(kmlString);
                 var layer = new OpenLayers.Layer.Vector(filename);
-                layer.addFeatures(kmlFormat.read(kmlString));
+                layer.addFeatures(features);
                 map.addLayer(layer);
 
+                if (this.profileId) {
+                    this.showProfile(features);
+                }
+                if (isGPX) {
+                    form.reset();
+                    return;
+                }
+
                 var googleEarthPanel = Ext.getCmp("googleearthpanel");
                 // Autoload GoogleEarthPanel
                 if (!googleEarthPanel && this.autoloadGoogleEarth) {
@@ -215,6 +242,20 @@ cgxp.plugins.AddKMLFile = Ext.extend(gxp.plugins.Tool, {
 
             }).createDelegate(this)
         });
+    },
+
+    /** private: method[showProfile]
+     *  Shows the profile of the first line.
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     */
+    showProfile: function(features) {
+        var profile = this.target.tools[this.profileId];
+        for (var i = 0, len = features.length; i < len; i++) {
+            var geometry = features[i].geometry;
+            if (geometry && profile.showProfile(geometry)) {
+                break;
+            }
+        }
     }
 
 });
@@ -0,0 +1,403 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires plugins/Tool.js
+ */
+
+/** api: (define)
+ *  module = cgxp.plugins
+ *  class = Bookmarks
+ */
+
+Ext.namespace("cgxp.plugins");
+
+/** api: example
+ *  Sample code showing how to add a Bookmarks plugin to a
+ *  `gxp.Viewer`:
+ *
+ *  .. code-block:: javascript
+ *
+ *      new gxp.Viewer({
+ *          ...
+ *          tools: [{
+ *              ptype: 'cgxp_bookmarks',
+ *              actionTarget: 'center.tbar'
+ *          }]
+ *          ...
+ *      });
+ */
+
+/** api: constructor
+ *  .. class:: Bookmarks(config)
+ *
+ *  Provides a menu to save named views of the map and to restore them.
+ *
+ *  A bookmark contains the state of the stateful components that can
+ *  restore a state, the same state as in the permalink:
+ *
+ *   - `cgxp.MapPanel <../widgets/MapPanel.html>`_: the extent,
+ *   - `cgxp.tree.LayerTree <../widgets/tree/LayerTree.html>`_: the loaded
+ *     groups, the layers visibility and opacity,
+ *   - `cgxp.MapOpacitySlider <../widgets/MapOpacitySlider.html>`_: the base
+ *     layer and its opacity,
+ *   - `cgxp.RedLiningPanel <../widgets/RedLiningPanel.html>`_: the drawing.
+ *
+ *  The bookmarks are stored in the ``localStorage`` of the browser, and
+ *  can be exported and imported as JSON.
+ */
+cgxp.plugins.Bookmarks = Ext.extend(gxp.plugins.Tool, {
+
+    /** api: ptype = cgxp_bookmarks */
+    ptype: "cgxp_bookmarks",
+
+    /** api: config[actionConfig]
+     *  ``Object``
+     *  Configuration object for the action created by this plugin.
+     */
+    actionConfig: null,
+
+    /** api: config[storageKey]
+     *  ``String``
+     *  The ``localStorage`` key of the bookmarks. Default is
+     *  ``cgxp_bookmarks``.
+     */
+    storageKey: 'cgxp_bookmarks',
+
+    /** api: config[stateIds]
+     *  ``Array(String)``
+     *  The ids of the states saved in the bookmarks, e.g.
+     *  ``['map', 'tree']``. By default all the states that can be restored.
+     */
+    stateIds: null,
+
+    /** private: property[bookmarks]
+     *  ``Array(Object)``
+     *  The bookmarks, objects with a ``name``, a ``date``, the permalink
+     *  ``version`` and the ``state``.
+     */
+    bookmarks: null,
+
+    /** private: property[menu]
+     *  ``Ext.menu.Menu``
+     */
+    menu: null,
+
+    /* i18n */
+    menuText: "Bookmarks",
+    tooltipText: "Save and restore map views",
+    addText: "Add bookmark...",
+    addTitle: "Add bookmark",
+    nameText: "Name:",
+    importText: "Import...",
+    exportText: "Export...",
+    deleteText: "Delete",
+    emptyText: "No bookmarks",
+    importTitle: "Import bookmarks",
+    importHelpText: "Paste the exported bookmarks:",
+    exportTitle: "Export bookmarks",
+    exportHelpText: "Copy the bookmarks to import them in an other browser:",
+    importButtonText: "Import",
+    closeText: "Close",
+    invalidText: "The bookmarks are not valid.",
+    storageErrorText: "The bookmarks can't be saved in this browser.",
+
+    /** private: method[init]
+     */
+    init: function() {
+        cgxp.plugins.Bookmarks.superclass.init.apply(this, arguments);
+        this.bookmarks = this.read();
+    },
+
+    /** private: method[addActions]
+     */
+    addActions: function() {
+        this.menu = new Ext.menu.Menu({
+            cls: 'cgxp-menu-bookmarks'
+        });
+        this.updateMenu();
+
+        var button = new Ext.Button(Ext.apply({
+            iconCls: 'cgxp-icon-bookmarks',
+            tooltip: this.tooltipText,
+            menuText: this.menuText,
+            menu: this.menu
+        }, this.actionConfig));
+
+        return cgxp.plugins.Bookmarks.superclass.addActions.apply(this,
+            [button]);
+    },
+
+    /** private: method[updateMenu]
+     *  Fills the menu with the bookmarks.
+     */
+    updateMenu: function() {
+        this.menu.removeAll();
+        this.menu.add({
+            text: this.addText,
+            handler: this.promptBookmark,
+            scope: this
+        }, {
+            text: this.importText,
+            handler: this.showImportWindow,
+            scope: this
+        }, {
+            text: this.exportText,
+            disabled: this.bookmarks.length === 0,
+            handler: this.showExportWindow,
+            scope: this
+        }, '-');
+        if (this.bookmarks.length === 0) {
+            this.menu.add({
+                text: this.emptyText,
+                disabled: true
+            });
+        }
+        Ext.each(this.bookmarks, function(bookmark) {
+            this.menu.add({
+                text: Ext.util.Format.htmlEncode(bookmark.name),
+                handler: this.restoreBookmark.createDelegate(this,
+                    [bookmark]),
+                menu: [{
+                    text: this.deleteText,
+                    iconCls: 'cgxp-icon-bookmarks-delete',
+                    handler: this.removeBookmark.createDelegate(this,
+                        [bookmark]),
+                    scope: this
+                }]
+            });
+        }, this);
+    },
+
+    /** private: method[getStatefulComponents]
+     *  :returns: ``Array(Ext.Component)`` The components with a state to
+     *      save in the bookmarks.
+     */
+    getStatefulComponents: function() {
+        var stateIds = this.stateIds;
+        return Ext.ComponentMgr.all.filterBy(function(cmp) {
+            return !!cmp.stateId && Ext.isFunction(cmp.restoreState) &&
+                (!stateIds || stateIds.indexOf(cmp.stateId) >= 0);
+        }).getRange();
+    },
+
+    /** api: method[getCurrentState]
+     *  :returns: ``Object`` The state of the components, by state id.
+     */
+    getCurrentState: function() {
+        var state = {};
+        Ext.each(this.getStatefulComponents(), function(cmp) {
+            var cmpState = cmp.getState();
+            if (cmpState) {
+                state[cmp.stateId] = cmpState;
+            }
+        });
+        // copy the values
+        return Ext.decode(Ext.encode(state));
+    },
+
+    /** private: method[promptBookmark]
+     *  Asks the name of a new bookmark.
+     */
+    promptBookmark: function() {
+        Ext.Msg.prompt(this.addTitle, this.nameText, function(button, name) {
+            name = Ext.util.Format.trim(name || '');
+            if (button == 'ok' && name) {
+                this.addBookmark(name);
+            }
+        }, this);
+    },
+
+    /** api: method[addBookmark]
+     *  Saves the current view, an existing bookmark with the same name is
+     *  replaced.
+     *  :arg name: ``String``
+     *  :returns: ``Object`` The bookmark.
+     */
+    addBookmark: function(name) {
+        var provider = Ext.state.Manager.getProvider();
+        var bookmark = {
+            name: name,
+            date: new Date().getTime(),
+            version: provider && provider.version,
+            state: this.getCurrentState()
+        };
+        this.merge([bookmark]);
+        return bookmark;
+    },
+
+    /** api: method[restoreBookmark]
+     *  :arg bookmark: ``Object``
+     */
+    restoreBookmark: function(bookmark) {
+        Ext.each(this.getStatefulComponents(), function(cmp) {
+            var state = bookmark.state[cmp.stateId];
+            if (state) {
+                cmp.restoreState(Ext.apply({}, state), bookmark.version);
+            }
+        });
+    },
+
+    /** api: method[removeBookmark]
+     *  :arg bookmark: ``Object``
+     */
+    removeBookmark: function(bookmark) {
+        this.bookmarks.remove(bookmark);
+        this.write();
+        this.updateMenu();
+    },
+
+    /** private: method[merge]
+     *  Adds bookmarks, the existing ones with the same names are replaced.
+     *  :arg bookmarks: ``Array(Object)``
+     */
+    merge: function(bookmarks) {
+        Ext.each(bookmarks, function(bookmark) {
+            var i;
+            for (i = 0; i < this.bookmarks.length; i++) {
+                if (this.bookmarks[i].name == bookmark.name) {
+                    break;
+                }
+            }
+            this.bookmarks[i] = bookmark;
+        }, this);
+        this.write();
+        if (this.menu) {
+            this.updateMenu();
+        }
+    },
+
+    /** private: method[parse]
+     *  :arg json: ``String``
+     *  :returns: ``Array(Object)`` The bookmarks, ``null`` if not valid.
+     */
+    parse: function(json) {
+        var bookmarks;
+        try {
+            bookmarks = Ext.decode(json);
+        } catch (e) {
+            return null;
+        }
+        if (!Ext.isArray(bookmarks)) {
+            return null;
+        }
+        for (var i = 0; i < bookmarks.length; i++) {
+            var bookmark = bookmarks[i];
+            if (!bookmark || !Ext.isString(bookmark.name) ||
+                !Ext.isObject(bookmark.state)) {
+                return null;
+            }
+        }
+        return bookmarks;
+    },
+
+    /** private: method[read]
+     *  :returns: ``Array(Object)`` The stored bookmarks.
+     */
+    read: function() {
+        var json = null;
+        try {
+            json = window.localStorage.getItem(this.storageKey);
+        } catch (e) {
+            // no localStorage
+        }
+        return (json && this.parse(json)) || [];
+    },
+
+    /** private: method[write]
+     *  Stores the bookmarks.
+     */
+    write: function() {
+        try {
+            window.localStorage.setItem(this.storageKey,
+                Ext.encode(this.bookmarks));
+        } catch (e) {
+            Ext.Msg.alert(this.menuText, this.storageErrorText);
+        }
+    },
+
+    /** private: method[showExportWindow]
+     */
+    showExportWindow: function() {
+        var win = new Ext.Window({
+            title: this.exportTitle,
+            cls: 'bookmarks',
+            width: 400,
+            modal: true,
+            layout: 'form',
+            labelAlign: 'top',
+            items: [{
+                xtype: 'textarea',
+                fieldLabel: this.exportHelpText,
+                labelSeparator: '',
+                anchor: '100%',
+                height: 150,
+                readOnly: true,
+                selectOnFocus: true,
+                value: Ext.encode(this.bookmarks)
+            }],
+            buttons: [{
+                text: this.closeText,
+                handler: function() {
+                    win.close();
+                }
+            }]
+        });
+        win.show();
+    },
+
+    /** private: method[showImportWindow]
+     */
+    showImportWindow: function() {
+        var textarea = new Ext.form.TextArea({
+            fieldLabel: this.importHelpText,
+            labelSeparator: '',
+            anchor: '100%',
+            height: 150
+        });
+        var win = new Ext.Window({
+            title: this.importTitle,
+            cls: 'bookmarks',
+            width: 400,
+            modal: true,
+            layout: 'form',
+            labelAlign: 'top',
+            items: [textarea],
+            buttons: [{
+                text: this.importButtonText,
+                handler: function() {
+                    var bookmarks = this.parse(textarea.getValue());
+                    if (!bookmarks) {
+                        Ext.Msg.alert(this.importTitle, this.invalidText);
+                        return;
+                    }
+                    this.merge(bookmarks);
+                    win.close();
+                },
+                scope: this
+            }, {
+                text: this.closeText,
+                handler: function() {
+                    win.close();
+                }
+            }]
+        });
+        win.show();
+    }
+});
+
+Ext.preg(cgxp.plugins.Bookmarks.prototype.ptype, cgxp.plugins.Bookmarks);
@@ -30,9 +30,9 @@
  * @include GeoExt/data/AttributeStore.js
  * @include GeoExt.ux/FeatureEditorGrid.js
  * @include OpenLayers/Control/Snapping.js
- * @include OpenLayers/Layer/Vector.js
- * @include OpenLayers/Strategy/BBOX.js
- * @include OpenLayers/Protocol/WFS/v1_0_0.js
+ * @include CGXP/data/SnapTargets.js
+ * @include CGXP/data/EditingSession.js
+ * @include CGXP/data/GeometryTools.js
  */
 
 /** api: (define)
@@ -73,6 +73,9 @@ Ext.namespace("cgxp.plugins");
  *              ptype: 'cgxp_editing',
  *              layerTreeId: 'layertree',
  *              layersURL: "${request.route_url('layers_root')}",
+ *              enableSession: true,
+ *              enableGeometryTools: true,
+ *              events: EVENTS,
  *              mapserverUrl: "${request.route_url('mapserverproxy', path='')}",
  *              snapLayers: {
  *                  "layer_A": {
@@ -149,6 +152,42 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
      */
     readParams: {},
 
+    /** api: config[enableSession]
+     *  ``Boolean``
+     *  Whether to edit the features in a session: the changes of several
+     *  features are listed in the editing window, can be undone and
+     *  redone, and are saved together. Default false, the changes of a
+     *  feature are saved when its attributes popup is closed.
+     */
+    enableSession: false,
+
+    /** api: config[enableGeometryTools]
+     *  ``Boolean``
+     *  Whether to add geometry tools to the attributes popup: split a line
+     *  or a polygon with a drawn line, merge a polygon with an adjacent
+     *  polygon of the same layer, add or remove a hole, and create a
+     *  parallel line. The features created or deleted by the tools are
+     *  saved with the edited feature. With ``events``, a feature of the
+     *  query results can also be copied into a new feature of the layer
+     *  chosen in the create menu. Default false.
+     */
+    enableGeometryTools: false,
+
+    /** api: config[geometryToolsOptions]
+     *  ``Object``
+     *  Options of the :class:`cgxp.data.GeometryTools`, e.g. the
+     *  ``tolerance`` under which the vertices are equal.
+     */
+    geometryToolsOptions: null,
+
+    /** api: config[events]
+     *  ``Ext.util.Observable``
+     *  The observable receiving the ``queryresults`` events of
+     *  :class:`cgxp.plugins.GetFeature`, required to copy the queried
+     *  features.
+     */
+    events: null,
+
     /** private: property[editingLayer]
      *  ``OpenLayers.Layer.Vector``
      *  The vector editing layer
@@ -274,24 +313,233 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
      */
     snapControl: null,
 
-    /** private: property[snapWMSProperties]
-     *  ``Object`̀
-     *  Store properties about the WMS layers corresponding to the snap targets.
+    /** private: property[snapTargets]
+     *  ``cgxp.data.SnapTargets``
+     */
+    snapTargets: null,
+
+    /** private: property[session]
+     *  ``cgxp.data.EditingSession``
+     *  The editing session, when ``enableSession`` is true.
+     */
+    session: null,
+
+    /** private: property[sessionStore]
+     *  ``Ext.data.ArrayStore``
+     *  The pending changes of the session.
+     */
+    sessionStore: null,
+
+    /** private: property[sessionPanel]
+     *  ``Ext.grid.GridPanel``
+     *  The list of the pending changes.
+     */
+    sessionPanel: null,
+
+    /** private: property[geometryTools]
+     *  ``cgxp.data.GeometryTools``
+     */
+    geometryTools: null,
+
+    /** private: property[getFeatureControl]
+     *  ``OpenLayers.Control.GetFeature``
+     *  The control querying the features to edit.
+     */
+    getFeatureControl: null,
+
+    /** private: property[featurePicker]
+     *  ``Function``
+     *  Called with the queried feature instead of editing it, while a tool
+     *  picks a feature.
+     */
+    featurePicker: null,
+
+    /** private: property[toolControls]
+     *  ``Array(OpenLayers.Control)``
+     *  The controls of the geometry tools of the attributes popup.
      */
-    snapWMSProperties: null,
+    toolControls: null,
 
-    /** private: property[snapTreeNodes]
-     *  ``Array{String}`̀
-     *  List the names of the layer tree node which contain WMS layers
-     *  corresponding to the WFS snap targets.
+    /** private: property[linkedFeatures]
+     *  ``Array(OpenLayers.Feature.Vector)``
+     *  The features created or deleted by the geometry tools, saved with
+     *  the edited feature when there's no session.
      */
-    snapTreeNodes: [],
+    linkedFeatures: null,
+
+    /** private: property[queriedFeatures]
+     *  ``Array(OpenLayers.Feature.Vector)``
+     *  The features of the query results.
+     */
+    queriedFeatures: null,
+
+    /** api: config[pendingChangesText]
+     *  ``String``
+     *  The title of the pending changes list (i18n).
+     */
+    pendingChangesText: 'Pending changes',
+
+    /** api: config[undoText]
+     *  ``String``
+     *  The text of the undo button (i18n).
+     */
+    undoText: 'Undo',
+
+    /** api: config[redoText]
+     *  ``String``
+     *  The text of the redo button (i18n).
+     */
+    redoText: 'Redo',
+
+    /** api: config[saveAllText]
+     *  ``String``
+     *  The text of the button saving the pending changes (i18n).
+     */
+    saveAllText: 'Save all',
+
+    /** api: config[discardText]
+     *  ``String``
+     *  The text of the button discarding the pending changes (i18n).
+     */
+    discardText: 'Discard',
+
+    /** api: config[discardConfirmText]
+     *  ``String``
+     *  The confirmation message of the discard button (i18n).
+     */
+    discardConfirmText: 'Do you want to discard all the pending changes?',
+
+    /** api: config[newFeatureText]
+     *  ``String``
+     *  The name of the created features in the pending changes list (i18n).
+     */
+    newFeatureText: 'New feature',
+
+    /** api: config[insertStateText]
+     *  ``String``
+     *  The state of the created features (i18n).
+     */
+    insertStateText: 'Created',
+
+    /** api: config[updateStateText]
+     *  ``String``
+     *  The state of the modified features (i18n).
+     */
+    updateStateText: 'Modified',
+
+    /** api: config[deleteStateText]
+     *  ``String``
+     *  The state of the deleted features (i18n).
+     */
+    deleteStateText: 'Deleted',
+
+    /** api: config[saveErrorsText]
+     *  ``String``
+     *  Message displayed when some changes of the session could not be
+     *  saved (i18n).
+     */
+    saveErrorsText: 'Some changes could not be saved, see the pending changes.',
+
+    /** api: config[splitText]
+     *  ``String``
+     *  The text of the split tool (i18n).
+     */
+    splitText: 'Split',
+
+    /** api: config[mergeText]
+     *  ``String``
+     *  The text of the merge tool (i18n).
+     */
+    mergeText: 'Merge',
+
+    /** api: config[addHoleText]
+     *  ``String``
+     *  The text of the tool adding a hole (i18n).
+     */
+    addHoleText: 'Add a hole',
+
+    /** api: config[removeHoleText]
+     *  ``String``
+     *  The text of the tool removing a hole (i18n).
+     */
+    removeHoleText: 'Remove a hole',
+
+    /** api: config[offsetText]
+     *  ``String``
+     *  The text of the tool creating a parallel line (i18n).
+     */
+    offsetText: 'Parallel',
+
+    /** api: config[offsetPromptText]
+     *  ``String``
+     *  The prompt of the distance of the parallel line (i18n).
+     */
+    offsetPromptText: 'Distance, negative on the right of the line:',
+
+    /** api: config[copyText]
+     *  ``String``
+     *  The text of the button copying a queried feature (i18n).
+     */
+    copyText: 'Copy a queried feature',
+
+    /** api: config[noQueriedFeatureText]
+     *  ``String``
+     *  The menu item displayed when there's no queried feature (i18n).
+     */
+    noQueriedFeatureText: 'No queried feature',
+
+    /** api: config[chooseLayerText]
+     *  ``String``
+     *  Message displayed when a feature is copied without a layer chosen
+     *  in the create menu (i18n).
+     */
+    chooseLayerText: 'Choose the layer of the new feature in the create menu.',
+
+    /** api: config[incompatibleGeometryText]
+     *  ``String``
+     *  Message displayed when the geometry of a copied feature doesn't fit
+     *  the layer (i18n).
+     */
+    incompatibleGeometryText: 'The geometry type is not supported by the layer.',
+
+    /** api: config[splitFailedText]
+     *  ``String``
+     *  Message displayed when the line doesn't split the feature (i18n).
+     */
+    splitFailedText: 'The line does not split the feature.',
+
+    /** api: config[mergeFailedText]
+     *  ``String``
+     *  Message displayed when the polygons can't be merged (i18n).
+     */
+    mergeFailedText: 'The polygons are not adjacent.',
+
+    /** api: config[holeFailedText]
+     *  ``String``
+     *  Message displayed when the hole isn't inside the polygon (i18n).
+     */
+    holeFailedText: 'The hole must be inside the polygon.',
+
+    /** api: config[offsetFailedText]
+     *  ``String``
+     *  Message displayed when the line is too short to be offset (i18n).
+     */
+    offsetFailedText: 'The line is too short to be offset.',
+
+    /** api: config[noHoleText]
+     *  ``String``
+     *  Message displayed when there's no hole to remove (i18n).
+     */
+    noHoleText: 'There is no hole at this location.',
 
     /** private: method[constructor]
      */
     constructor: function(config) {
         cgxp.plugins.Editing.superclass.constructor.apply(this, arguments);
         this.pendingRequests = [];
+        this.toolControls = [];
+        this.linkedFeatures = [];
+        this.queriedFeatures = [];
     },
 
     /** private: method[init]
@@ -304,6 +552,31 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
         this.createGetFeatureControl();
 
         this.newFeatureBtn = this.createNewFeatureBtn();
+        var items = [{
+            xtype: 'box',
+            html: this.helpText + '<hr />'
+        }, this.newFeatureBtn];
+        if (this.enableSession) {
+            this.session = new cgxp.data.EditingSession({
+                url: this.layersURL,
+                layer: this.editingLayer,
+                listeners: {
+                    change: this.updateSessionPanel,
+                    commit: this.onSessionCommit,
+                    scope: this
+                }
+            });
+            this.sessionPanel = this.createSessionPanel();
+            items.push(this.sessionPanel);
+        }
+        if (this.enableGeometryTools) {
+            this.geometryTools = new cgxp.data.GeometryTools(
+                this.geometryToolsOptions);
+            if (this.events) {
+                this.events.on('queryresults', this.onQueryResults, this);
+                items.splice(2, 0, this.createCopyButton());
+            }
+        }
         var win = this.win = new Ext.Window(Ext.apply({
             width: 300,
             border: false,
@@ -312,10 +585,7 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
             resizable: false,
             disabled: true,
             constrainHeader: true,
-            items: [{
-                xtype: 'box',
-                html: this.helpText + '<hr />'
-            }, this.newFeatureBtn]
+            items: items
         }, this.layersWindowOptions));
         this.target.mapPanel.on({
             'render': function() {
@@ -354,8 +624,8 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
         // cancel the query, query agane, cancel it again,
         // and finally do the right query ...
         this.manageLayersTimer = setTimeout(function() {
-            if (this.snapControl && this.snapControl.active) {
-                this.checkSnapLayerVisibility();
+            if (self.snapControl && self.snapControl.active) {
+                self.checkSnapLayerVisibility();
             }
             var layers = self.getEditableLayers();
             var size = 0;
@@ -405,6 +675,15 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
                 strokeWidth: 1,
                 strokeOpacity: 1,
                 strokeColor: "#333333"
+            }),
+            // the deleted features of the editing session
+            'delete': new OpenLayers.Style({
+                pointRadius: 5,
+                fillColor: "#ff0000",
+                fillOpacity: 0.1,
+                strokeWidth: 2,
+                strokeColor: "#ff0000",
+                strokeDashstyle: "dash"
             })
         });
         this.editingLayer = new OpenLayers.Layer.Vector(
@@ -487,14 +766,7 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
                     control.deactivate();
                     this.deactivateSnap();
                     this.newFeatureBtn.toggle(false);
-                    f.attributes.__layer_id__ =
-                        layer.attributes.layer_id;
-                    var store = this.getAttributesStore(
-                        layer.attributes.layer_id, f,
-                        function(store) {
-                            this.showAttributesEditingWindow(store);
-                        }
-                    );
+                    this.editNewFeature(f, layer.attributes.layer_id);
                 }, this),
                 handlerOptions: {
                     multi: geometryType != simpleType
@@ -508,6 +780,7 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
             group: 'create_layer',
             enableToggle: true,
             layerId: layer.attributes.layer_id,
+            geometryType: geometryType,
             control: control,
             listeners: {
                 checkchange: function(item, checked) {
@@ -527,6 +800,23 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
         });
     },
 
+    /** private: method[editNewFeature]
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A new feature of the
+     *      editing layer.
+     *  :arg layerId: ``String`` The id of its layer.
+     *
+     *  Shows the attributes popup of a drawn or copied feature.
+     */
+    editNewFeature: function(feature, layerId) {
+        feature.attributes.__layer_id__ = layerId;
+        if (this.session) {
+            this.session.add(feature);
+        }
+        this.getAttributesStore(layerId, feature, function(store) {
+            this.showAttributesEditingWindow(store);
+        });
+    },
+
     /** private: method[closeEditing]
      */
     closeEditing: function() {
@@ -538,7 +828,24 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
                 this.attributePopup.removeAll();
             }
             this.editorGrid = null;
-            this.editingLayer.removeFeatures(this.editingLayer.features);
+            Ext.each(this.toolControls, function(control) {
+                control.deactivate();
+                control.destroy();
+            });
+            this.toolControls = [];
+            this.featurePicker = null;
+            this.linkedFeatures = [];
+            if (this.getFeatureControl) {
+                this.getFeatureControl.activate();
+            }
+            // keep the features with changes of the session
+            var features = [];
+            Ext.each(this.editingLayer.features, function(feature) {
+                if (!this.session || this.session.release(feature)) {
+                    features.push(feature);
+                }
+            }, this);
+            this.editingLayer.removeFeatures(features);
             delete arguments.callee._in;
         }
     },
@@ -589,14 +896,20 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
                     }
                 });
                 options.params['queryable'] = queryable;
+                // a tool picks a feature, keep the edited one
+                if (self.featurePicker) {
+                    OpenLayers.Protocol.HTTP.prototype.read.call(this, options);
+                    return;
+                }
                 // ensure that there's no unsaved modification before sending
                 // the request.
                 function doRead(options) {
-                    self.editorGrid && self.editorGrid.cancel();
+                    !self.session && self.editorGrid && self.editorGrid.cancel();
                     self.closeEditing();
                     OpenLayers.Protocol.HTTP.prototype.read.call(this, options);
                 }
-                if (self.editorGrid && self.editorGrid.dirty) {
+                // the changes of the session are already recorded
+                if (!self.session && self.editorGrid && self.editorGrid.dirty) {
                     Ext.Msg.show({
                         title: self.editorGrid.cancelMsgTitle,
                         msg: self.editorGrid.cancelMsg,
@@ -669,11 +982,28 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
         });
         this.map.addControl(control);
         control.activate();
+        this.getFeatureControl = control;
         control.events.on({
             'featureselected': function(e) {
+                if (this.featurePicker) {
+                    this.featurePicker.call(this, e.feature);
+                    return;
+                }
                 this.activateSnap();
                 var f = e.feature;
-                this.editingLayer.addFeatures([f]);
+                if (this.session) {
+                    // edit the feature of the session if it has changes
+                    var feature = this.session.getFeature(
+                        f.attributes.__layer_id__, f.fid);
+                    if (feature) {
+                        f = feature;
+                    } else {
+                        this.editingLayer.addFeatures([f]);
+                        this.session.add(f);
+                    }
+                } else {
+                    this.editingLayer.addFeatures([f]);
+                }
                 var store = this.getAttributesStore(f.attributes.__layer_id__, f, function(store) {
                     this.showAttributesEditingWindow(store);
                 });
@@ -744,6 +1074,7 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
             viewConfig: {
                 forceFit: true
             },
+            tbar: this.createGeometryToolbar(store.feature),
             modifyControlOptions: {
                 vertexRenderIntent: 'vertices',
                 mode: OpenLayers.Control.ModifyFeature.RESHAPE |
@@ -753,12 +1084,21 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
                 done: function(panel, e) {
                     this.deactivateSnap();
                     var feature = e.feature;
-                    this.save(feature);
+                    if (this.session) {
+                        this.session.update(feature);
+                        this.closeEditing();
+                    } else {
+                        this.save(feature);
+                    }
                 },
                 cancel: function(panel, e) {
                     this.deactivateSnap();
                     var feature = e.feature, modified = e.modified;
                     panel.cancel();
+                    if (this.session) {
+                        // the cancel can be undone
+                        this.session.update(feature);
+                    }
                     this.closeEditing();
                     // we call cancel() ourselves so return false here
                     return false;
@@ -810,6 +1150,8 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
      *  Saves the modifications or addition to the server
      */
     save: function(feature) {
+        // with the features created or deleted by the geometry tools
+        var features = [feature].concat(this.linkedFeatures);
         var protocol = new OpenLayers.Protocol.HTTP({
             url: this.layersURL + feature.attributes.__layer_id__,
             format: new OpenLayers.Format.GeoJSON()
@@ -831,7 +1173,7 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
                 }
             }
         }
-        protocol.commit([feature], {
+        protocol.commit(features, {
             create: {
                 callback: callback
             },
@@ -860,309 +1202,635 @@ cgxp.plugins.Editing = Ext.extend(gxp.plugins.Tool, {
         });
     },
 
-    /** private: method[initSnapping]
-     *  Creates the snapping control and initializes data structures when
-     *  snapping is enabled.
+    /** private: method[createSessionPanel]
+     *  Creates the list of the pending changes of the session, with the
+     *  undo, redo, discard and save buttons.
+     *  :returns: ``Ext.grid.GridPanel``
      */
-    initSnapping: function() {
-        if (this.snapLayers) {
-            var options = Ext.apply(
-                {},
-                {
-                    layer: this.editingLayer,
-                    targets: []
+    createSessionPanel: function() {
+        this.sessionStore = new Ext.data.ArrayStore({
+            fields: ['id', 'name', 'state', 'error']
+        });
+        var stateTexts = {};
+        stateTexts[OpenLayers.State.INSERT] = this.insertStateText;
+        stateTexts[OpenLayers.State.UPDATE] = this.updateStateText;
+        stateTexts[OpenLayers.State.DELETE] = this.deleteStateText;
+        return new Ext.grid.GridPanel({
+            title: this.pendingChangesText,
+            height: 150,
+            cls: 'editing-session',
+            store: this.sessionStore,
+            hideHeaders: true,
+            viewConfig: {
+                forceFit: true
+            },
+            columns: [{
+                dataIndex: 'name',
+                renderer: function(value, metaData, record) {
+                    var error = record.get('error');
+                    return Ext.util.Format.htmlEncode(value) + (error ?
+                        '<div class="editing-error">' + error + '</div>' : '');
+                }
+            }, {
+                dataIndex: 'state',
+                width: 60,
+                renderer: function(value) {
+                    return stateTexts[value];
+                }
+            }],
+            tbar: [{
+                text: this.undoText,
+                itemId: 'undo',
+                disabled: true,
+                handler: this.undo,
+                scope: this
+            }, {
+                text: this.redoText,
+                itemId: 'redo',
+                disabled: true,
+                handler: this.redo,
+                scope: this
+            }, '->', {
+                text: this.discardText,
+                itemId: 'discard',
+                disabled: true,
+                handler: this.discard,
+                scope: this
+            }, {
+                text: this.saveAllText,
+                itemId: 'save',
+                disabled: true,
+                handler: this.commit,
+                scope: this
+            }],
+            listeners: {
+                rowclick: function(grid, rowIndex) {
+                    var record = grid.getStore().getAt(rowIndex);
+                    this.editFeature(
+                        this.editingLayer.getFeatureById(record.get('id')));
                 },
-                this.snapOptions
-            );
+                scope: this
+            }
+        });
+    },
 
-            this.snapControl = new OpenLayers.Control.Snapping(options);
+    /** private: method[updateSessionPanel]
+     *  Lists the pending changes, with their save errors, and updates the
+     *  buttons.
+     */
+    updateSessionPanel: function() {
+        var session = this.session;
+        var data = [];
+        Ext.each(session.getPendingFeatures(), function(feature) {
+            var error = session.getError(feature);
+            data.push([
+                feature.id,
+                this.getLayerName(feature.attributes.__layer_id__) + ' - ' +
+                    (feature.fid ? '#' + feature.fid : this.newFeatureText),
+                feature.state,
+                error ? this.getErrorText(error) : null
+            ]);
+        }, this);
+        this.sessionStore.loadData(data);
+
+        Ext.each(session.features, function(feature) {
+            var renderIntent = feature.state == OpenLayers.State.DELETE ?
+                'delete' : 'default';
+            if (feature.layer && feature.renderIntent != renderIntent) {
+                feature.renderIntent = renderIntent;
+                this.editingLayer.drawFeature(feature);
+            }
+        }, this);
+
+        var toolbar = this.sessionPanel.getTopToolbar();
+        var changes = data.length > 0;
+        toolbar.getComponent('undo').setDisabled(!session.canUndo());
+        toolbar.getComponent('redo').setDisabled(!session.canRedo());
+        toolbar.getComponent('discard').setDisabled(session.committing ||
+            !(changes || session.canUndo() || session.canRedo()));
+        toolbar.getComponent('save').setDisabled(session.committing ||
+            !changes);
+    },
 
-            this.snapWMSProperties = {};
-            for (l in this.snapLayers) {
-                if (this.snapLayers.hasOwnProperty(l)) {
-                    this.snapLayers[l] = this.snapLayers[l] || {};
-                    this.snapLayers[l].layer = null;
-                    this.snapWMSProperties[l] = {
-                        visibility: false,       // Whether the layer is visible
-                        inRange: false,          // Whether the layer is in range
-                        treeNodes: [],           // Tree nodes that have the WMS layer
-                        url: this.mapserverUrl   // Map server url
-                    }
-                }
+    /** private: method[getLayerName]
+     *  :arg id: ``String`` The layer id.
+     *  :returns: ``String`` The name of the layer in the layer tree.
+     */
+    getLayerName: function(id) {
+        var name = id;
+        var tree = this.target.tools[this.layerTreeId].tree;
+        tree.root.cascade(function(node) {
+            if (node.attributes.layer_id == id) {
+                name = node.attributes.text;
+                return false;
             }
+        });
+        return name;
+    },
 
-            var treeNodes = this.snapTreeNodes;
+    /** private: method[getErrorText]
+     *  :arg error: ``Object`` The save error of a feature, see
+     *      :class:`cgxp.data.EditingSession`.
+     *  :returns: ``String``
+     */
+    getErrorText: function(error) {
+        if (error.status == 403) {
+            return this.forbiddenText;
+        } else if (error.validationError) {
+            return this.saveValidationErrorText +
+                Ext.util.Format.htmlEncode(error.validationError);
+        }
+        return this.saveServerErrorText;
+    },
 
-            function browse(node, prop, local, parent) {
-                for (var i = 0, leni = node.length; i < leni; i++) {
-                    var child = node[i];
-                    if (child.children) {
-                        browse(child.children, prop, local);
-                    } else {
-                        if (child.childLayers) {
-                            browse(child.childLayers, prop, local, child);
-                        }
-                        var name = child.name;
-                        if (name in prop) {
-                            if (child.url || (parent && parent.url)) {
-                                prop[name].url = child.url || parent.url;
-                            }
-                            if (!local) {
-                                prop[name].url +=
-                                    (prop[name].url.indexOf('?') == -1 ? '?' : '&') +
-                                    'EXTERNAL=true'
-                            }
-                            if (parent) {
-                                treeNodes.push(parent.name);
-                                prop[name].treeNodes.push(parent.name);
-                            } else {
-                                treeNodes.push(name);
-                                prop[name].treeNodes.push(name);
-                            }
-                        }
-                    }
-                }
-            }
+    /** private: method[editFeature]
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A feature of the
+     *      session.
+     *
+     *  Centers the map on a pending feature and shows its attributes
+     *  popup, if its layer is editable and it's not deleted.
+     */
+    editFeature: function(feature) {
+        this.closeEditing();
+        this.map.panTo(feature.geometry.getBounds().getCenterLonLat());
+        var layerId = feature.attributes.__layer_id__;
+        if (feature.state != OpenLayers.State.DELETE &&
+            this.getEditableLayers()[layerId]) {
+            this.activateSnap();
+            this.getAttributesStore(layerId, feature, function(store) {
+                this.showAttributesEditingWindow(store);
+            });
+        }
+    },
+
+    /** private: method[undo]
+     */
+    undo: function() {
+        this.deactivateSnap();
+        this.closeEditing();
+        this.session.undo();
+    },
 
-            var tree = this.target.tools[this.layerTreeId].tree;
+    /** private: method[redo]
+     */
+    redo: function() {
+        this.deactivateSnap();
+        this.closeEditing();
+        this.session.redo();
+    },
 
-            browse(tree.themes.local, this.snapWMSProperties, true);
+    /** private: method[discard]
+     *  Discards the changes of the session after confirmation.
+     */
+    discard: function() {
+        Ext.Msg.show({
+            title: this.titleText,
+            msg: this.discardConfirmText,
+            buttons: Ext.Msg.YESNO,
+            icon: Ext.MessageBox.QUESTION,
+            fn: function(button) {
+                if (button === "yes") {
+                    this.deactivateSnap();
+                    this.closeEditing();
+                    this.session.clear();
+                }
+            },
+            scope: this
+        });
+    },
 
-            if (tree.themes.external) {
-                browse(tree.themes.external, this.snapWMSProperties, false);
-            }
+    /** private: method[commit]
+     *  Saves the changes of the session.
+     */
+    commit: function() {
+        this.deactivateSnap();
+        this.closeEditing();
+        this.session.commit();
+    },
 
-            this.map.events.on({
-                zoomend: function() {
-                    if (this.snapControl.active) {
-                        this.checkSnapLayerInRange();
-                    }
-                },
-                scope: this
-            });
+    /** private: method[onSessionCommit]
+     *  :arg session: ``cgxp.data.EditingSession``
+     *  :arg layerIds: ``Array(String)`` The ids of the saved layers.
+     *  :arg failures: ``Array(OpenLayers.Feature.Vector)`` The features
+     *      that could not be saved.
+     */
+    onSessionCommit: function(session, layerIds, failures) {
+        Ext.each(layerIds, this.redrawWMSLayers, this);
+        if (failures.length > 0) {
+            Ext.MessageBox.alert(this.titleText, this.saveErrorsText);
         }
     },
 
-    /** private: method[activateSnap]
+    /** private: method[createGeometryToolbar]
+     *  :arg feature: ``OpenLayers.Feature.Vector`` The edited feature.
+     *  :returns: ``Array(Ext.Button)`` The buttons of the geometry tools
+     *      of the feature, ``undefined`` if there is none.
      */
-    activateSnap: function() {
-        if (this.snapControl && !this.snapControl.active) {
-            var targets = [];
-
-            this.checkSnapLayerVisibility();
-            this.checkSnapLayerInRange();
-
-            for (l in this.snapWMSProperties) {
-                if (this.snapWMSProperties.hasOwnProperty(l) &&
-                    this.snapWMSProperties[l].visibility &&
-                    this.snapWMSProperties[l].inRange) {
-                    var target = this.getSnapTarget(l);
-                    this.map.addLayer(target.layer);
-                    targets.push(target);
+    createGeometryToolbar: function(feature) {
+        if (!this.geometryTools) {
+            return undefined;
+        }
+        var type = this.geometryTools.getType(feature.geometry)
+            .replace('Multi', '');
+        if (type == 'Line') {
+            return [
+                this.createDrawTool(this.splitText, OpenLayers.Handler.Path,
+                    this.splitFeature),
+                {
+                    text: this.offsetText,
+                    handler: this.offsetFeature,
+                    scope: this
                 }
-            }
-
-            this.snapControl.setTargets(targets);
-            this.snapControl.activate();
+            ];
+        } else if (type == 'Polygon') {
+            return [
+                this.createDrawTool(this.splitText, OpenLayers.Handler.Path,
+                    this.splitFeature),
+                new Ext.Button({
+                    text: this.mergeText,
+                    enableToggle: true,
+                    toggleGroup: 'editing-geometry-tools',
+                    toggleHandler: function(button, pressed) {
+                        this.featurePicker = pressed ? this.mergeFeature : null;
+                        this.toggleTool(null, pressed);
+                    },
+                    scope: this
+                }),
+                this.createDrawTool(this.addHoleText,
+                    OpenLayers.Handler.Polygon, this.addHole),
+                this.createDrawTool(this.removeHoleText,
+                    OpenLayers.Handler.Point, this.removeHole)
+            ];
         }
     },
 
-    /** private: method[deactivateSnap]
+    /** private: method[createDrawTool]
+     *  :arg text: ``String`` The text of the button.
+     *  :arg handler: ``Function`` The handler of the drawn geometry.
+     *  :arg callback: ``Function`` Called with the drawn geometry.
+     *  :returns: ``Ext.Button``
+     *
+     *  Creates a button drawing a geometry on the editing layer, with the
+     *  snapping of the editing tools.
      */
-    deactivateSnap: function() {
-        if (this.snapControl && this.snapControl.active) {
-            for (var i = 0, len = this.snapControl.targets.length; i < len; i++) {
-                this.map.removeLayer(this.snapControl.targets[i].layer);
+    createDrawTool: function(text, handler, callback) {
+        var button;
+        var control = new OpenLayers.Control.DrawFeature(
+            this.editingLayer, handler, {
+                featureAdded: OpenLayers.Function.bind(function(f) {
+                    var geometry = f.geometry;
+                    this.editingLayer.destroyFeatures([f]);
+                    callback.call(this, geometry);
+                    button.toggle(false);
+                }, this)
+            }
+        );
+        this.map.addControl(control);
+        this.toolControls.push(control);
+        button = new Ext.Button({
+            text: text,
+            enableToggle: true,
+            toggleGroup: 'editing-geometry-tools',
+            toggleHandler: function(button, pressed) {
+                this.toggleTool(control, pressed);
+            },
+            scope: this
+        });
+        return button;
+    },
+
+    /** private: method[toggleTool]
+     *  :arg control: ``OpenLayers.Control`` The control of the tool,
+     *      ``null`` if it picks a queried feature.
+     *  :arg pressed: ``Boolean``
+     *
+     *  Stops modifying the edited feature while a tool is active.
+     */
+    toggleTool: function(control, pressed) {
+        var modifyControl = this.editorGrid.modifyControl;
+        if (pressed) {
+            modifyControl.deactivate();
+            if (control) {
+                this.getFeatureControl.deactivate();
+                control.activate();
             }
-            this.snapControl.setTargets([]);
-            this.snapControl.deactivate();
+        } else {
+            if (control) {
+                control.deactivate();
+                this.getFeatureControl.activate();
+            }
+            modifyControl.activate();
+            modifyControl.selectFeature(this.editorGrid.store.feature);
         }
     },
 
-    /** private: method[checkSnapLayerVisibility]
+    /** private: method[applyGeometryChange]
+     *  :arg geometry: ``OpenLayers.Geometry`` The new geometry of the
+     *      edited feature, ``null`` to keep it.
+     *  :arg created: ``Array(OpenLayers.Feature.Vector)`` The new features,
+     *      with the attributes of the edited feature.
+     *  :arg deleted: ``Array(OpenLayers.Feature.Vector)`` The features to
+     *      delete.
+     *
+     *  Applies the result of a geometry tool, undone at once in a session.
      */
-    checkSnapLayerVisibility: function() {
-        if (this.snapControl) {
-            var nodeVisibilities = {};
-            var toVisible = [];
-            var toHidden = [];
-            var tree = this.target.tools[this.layerTreeId].tree;
-
-            Ext.each(
-                this.snapTreeNodes,
-                function(n) {
-                    nodeVisibilities[n] = false;
+    applyGeometryChange: function(geometry, created, deleted) {
+        var grid = this.editorGrid;
+        var feature = grid.store.feature;
+        var layer = this.editingLayer;
+        var change = function() {
+            if (geometry) {
+                // see GeoExt.ux.FeatureEditorGrid.cancel
+                layer.drawFeature(feature, {display: "none"});
+                feature.geometry = geometry;
+                grid.setFeatureState(grid.getDirtyState());
+            }
+            Ext.each(created, function(f) {
+                f.attributes = Ext.apply({}, feature.attributes);
+                f.state = OpenLayers.State.INSERT;
+                layer.addFeatures([f]);
+                if (this.session) {
+                    this.session.add(f);
+                } else {
+                    this.linkedFeatures.push(f);
                 }
-            );
-
-            // Compute the visibility for the current tree nodes
-            tree.root.cascade(function(node) {
-                var name = node.attributes.name;
-                if (name in nodeVisibilities) {
-                    nodeVisibilities[name] = node.attributes.checked;
+            }, this);
+            Ext.each(deleted, function(f) {
+                if (!f.layer) {
+                    layer.addFeatures([f]);
+                }
+                if (this.session) {
+                    this.session.add(f);
+                }
+                f.state = OpenLayers.State.DELETE;
+                f.renderIntent = 'delete';
+                layer.drawFeature(f);
+                if (this.session) {
+                    this.session.update(f);
+                } else {
+                    this.linkedFeatures.push(f);
                 }
             }, this);
+        };
+        if (this.session) {
+            this.session.transaction(change, this);
+        } else {
+            change.call(this);
+        }
+        // a feature created from the edited one can be saved without
+        // changing it
+        if (!geometry) {
+            grid.dirty = true;
+            grid.saveButton.enable();
+        }
+    },
 
-            // Compute the visibility for the WMS layers
-            for (layer in this.snapWMSProperties) {
-                if (this.snapWMSProperties.hasOwnProperty(layer)) {
-                    var visibility = false;
-                    Ext.each(
-                        this.snapWMSProperties[layer].treeNodes,
-                        function(l) {
-                            visibility = visibility || nodeVisibilities[l]
-                        }
-                    )
-                    if (visibility != this.snapWMSProperties[layer].visibility) {
-                        this.snapWMSProperties[layer].visibility = visibility;
-                        if (this.snapWMSProperties[layer].inRange) {
-                            if (visibility) {
-                                toVisible.push(layer);
-                            } else {
-                                toHidden.push(layer);
-                            }
-                        }
-                    }
+    /** private: method[splitFeature]
+     *  :arg line: ``OpenLayers.Geometry.LineString``
+     *
+     *  Splits the edited feature, the first part keeps the feature and the
+     *  other ones are new features.
+     */
+    splitFeature: function(line) {
+        var tools = this.geometryTools;
+        var geometry = this.editorGrid.store.feature.geometry;
+        var parts = tools.split(geometry, line);
+        if (!parts) {
+            Ext.MessageBox.alert(this.titleText, this.splitFailedText);
+            return;
+        }
+        var type = tools.getType(geometry);
+        var created = [];
+        for (var i = 1; i < parts.length; i++) {
+            created.push(new OpenLayers.Feature.Vector(
+                tools.convert(parts[i], type)));
+        }
+        this.applyGeometryChange(tools.convert(parts[0], type), created, []);
+    },
+
+    /** private: method[mergeFeature]
+     *  :arg other: ``OpenLayers.Feature.Vector`` A queried feature.
+     *
+     *  Merges a polygon of the layer of the edited feature into it, and
+     *  deletes it.
+     */
+    mergeFeature: function(other) {
+        var feature = this.editorGrid.store.feature;
+        var layerId = feature.attributes.__layer_id__;
+        if (other.attributes.__layer_id__ != layerId ||
+            other.fid == feature.fid) {
+            return;
+        }
+        var linked = this.session ?
+            [this.session.getFeature(layerId, other.fid)] :
+            this.linkedFeatures;
+        for (var i = 0; i < linked.length; i++) {
+            if (linked[i] && linked[i].fid == other.fid) {
+                if (linked[i].state == OpenLayers.State.DELETE) {
+                    return;
                 }
+                other = linked[i];
             }
-
-            this.updateSnapTargets(toVisible, toHidden);
         }
+        var tools = this.geometryTools;
+        var polygons = tools.merge([feature.geometry, other.geometry]);
+        var geometry = polygons.length == 1 ? tools.convert(
+            new OpenLayers.Geometry.MultiPolygon(polygons),
+            tools.getType(feature.geometry)) : null;
+        if (!geometry) {
+            Ext.MessageBox.alert(this.titleText, this.mergeFailedText);
+            return;
+        }
+        this.applyGeometryChange(geometry, [], [other]);
     },
 
-    /** private: method[checkSnapLayerInRange]
+    /** private: method[addHole]
+     *  :arg polygon: ``OpenLayers.Geometry.Polygon`` The drawn hole.
      */
-    checkSnapLayerInRange: function() {
-        if (this.snapControl) {
-            var tree = this.target.tools[this.layerTreeId].tree;
-            var toVisible = [];
-            var toHidden = [];
-            var currentRes = this.map.getResolution();
-            var nodeInRanges = {};
+    addHole: function(polygon) {
+        var geometry = this.geometryTools.addHole(
+            this.editorGrid.store.feature.geometry, polygon);
+        if (!geometry) {
+            Ext.MessageBox.alert(this.titleText, this.holeFailedText);
+            return;
+        }
+        this.applyGeometryChange(geometry, [], []);
+    },
 
-            function checkInRange(l, res) {
-                if (!l.minResolutionHint && l.minScaleDenominator) {
-                    l.minResolutionHint =
-                        OpenLayers.Util.getResolutionFromScale(l.minScaleDenominator, units);
-                }
-                if (!l.maxResolutionHint && l.maxScaleDenominator) {
-                    l.maxResolutionHint =
-                        OpenLayers.Util.getResolutionFromScale(l.maxScaleDenominator, units);
-                }
-                return (!((l.minResolutionHint && res < l.minResolutionHint) ||
-                    (l.maxResolutionHint && res > l.maxResolutionHint)));
-            }
+    /** private: method[removeHole]
+     *  :arg point: ``OpenLayers.Geometry.Point`` The clicked point.
+     */
+    removeHole: function(point) {
+        var geometry = this.geometryTools.removeHole(
+            this.editorGrid.store.feature.geometry, point);
+        if (!geometry) {
+            Ext.MessageBox.alert(this.titleText, this.noHoleText);
+            return;
+        }
+        this.applyGeometryChange(geometry, [], []);
+    },
 
-            Ext.each(
-                this.snapTreeNodes,
-                function(n) {
-                    nodeInRanges[n] = false;
+    /** private: method[offsetFeature]
+     *  Asks the distance and creates a line parallel to the edited one.
+     */
+    offsetFeature: function() {
+        Ext.Msg.prompt(this.offsetText, this.offsetPromptText,
+            function(button, value) {
+                var distance = parseFloat(value);
+                if (button != 'ok' || isNaN(distance) || distance === 0 ||
+                    !this.editorGrid) {
+                    return;
                 }
-            );
-
-            // Compute the "inRange" for the current tree nodes
-            tree.root.cascade(function(node) {
-                var name = node.attributes.name;
-                if (name in nodeInRanges) {
-                    nodeInRanges[name] = checkInRange(node.attributes, currentRes);
+                var geometry = this.geometryTools.offset(
+                    this.editorGrid.store.feature.geometry, distance);
+                if (!geometry) {
+                    Ext.MessageBox.alert(this.titleText,
+                        this.offsetFailedText);
+                    return;
                 }
+                this.applyGeometryChange(null,
+                    [new OpenLayers.Feature.Vector(geometry)], []);
             }, this);
+    },
 
-            // Compute the "inRange" for the WMS layers
-            for (layer in this.snapWMSProperties) {
-                if (this.snapWMSProperties.hasOwnProperty(layer)) {
-                    var inRange = false;
-                    Ext.each(
-                        this.snapWMSProperties[layer].treeNodes,
-                        function(l) {
-                            inRange = inRange || nodeInRanges[l]
-                        }
-                    )
-                    if (inRange != this.snapWMSProperties[layer].inRange) {
-                        this.snapWMSProperties[layer].inRange = inRange;
-                        if (this.snapWMSProperties[layer].visibility) {
-                            if (inRange) {
-                                toVisible.push(layer);
-                            } else {
-                                toHidden.push(layer);
-                            }
-                        }
-                    }
+    /** private: method[onQueryResults]
+     *  :arg queryResult: ``Object`` The result of a query, with the
+     *      ``features`` and the ``selectionMode``.
+     */
+    onQueryResults: function(queryResult) {
+        var features = queryResult.features || [];
+        if (queryResult.selectionMode == 'add') {
+            this.queriedFeatures = this.queriedFeatures.concat(features);
+        } else if (queryResult.selectionMode == 'remove') {
+            var removed = {};
+            Ext.each(features, function(feature) {
+                removed[feature.type + feature.fid] = true;
+            });
+            var kept = [];
+            Ext.each(this.queriedFeatures, function(feature) {
+                if (!removed[feature.type + feature.fid]) {
+                    kept.push(feature);
                 }
-            }
-
-            this.updateSnapTargets(toVisible, toHidden);
+            });
+            this.queriedFeatures = kept;
+        } else {
+            this.queriedFeatures = features;
         }
     },
 
-    /** private: method[updateSnapTargets]
+    /** private: method[createCopyButton]
+     *  :returns: ``Ext.Button`` The button with the menu of the queried
+     *      features.
      */
-    updateSnapTargets: function(toVisible, toHidden) {
-        if (this.snapControl.active) {
-            Ext.each(toVisible, function(name) {
-                var target = this.getSnapTarget(name);
-                this.map.addLayer(target.layer);
-                this.snapControl.addTarget(target);
-            }, this);
+    createCopyButton: function() {
+        return new Ext.Button({
+            text: this.copyText,
+            menuAlign: 'tr-br',
+            menu: new Ext.menu.Menu({
+                listeners: {
+                    beforeshow: function(menu) {
+                        menu.removeAll();
+                        Ext.each(this.queriedFeatures, function(feature) {
+                            menu.add({
+                                text: Ext.util.Format.htmlEncode(
+                                    (feature.type ?
+                                        OpenLayers.i18n(feature.type) + ' ' : '') +
+                                    (feature.fid || feature.id)),
+                                handler: function() {
+                                    this.copyFeature(feature);
+                                },
+                                scope: this
+                            });
+                        }, this);
+                        if (this.queriedFeatures.length === 0) {
+                            menu.add({
+                                text: this.noQueriedFeatureText,
+                                disabled: true
+                            });
+                        }
+                    },
+                    scope: this
+                }
+            })
+        });
+    },
 
-            Ext.each(toHidden, function(name) {
-                var target = this.getSnapTarget(name);
-                this.map.removeLayer(target.layer);
-                this.snapControl.removeTarget(target);
-            }, this);
+    /** private: method[copyFeature]
+     *  :arg source: ``OpenLayers.Feature.Vector`` A queried feature.
+     *
+     *  Creates a feature with the geometry of a queried feature in the
+     *  layer chosen in the create menu.
+     */
+    copyFeature: function(source) {
+        var item = this.newFeatureBtn.activeItem;
+        if (!item) {
+            Ext.MessageBox.alert(this.titleText, this.chooseLayerText);
+            return;
+        }
+        var geometry = this.geometryTools.convert(source.geometry,
+            item.geometryType);
+        if (!geometry) {
+            Ext.MessageBox.alert(this.titleText, this.incompatibleGeometryText);
+            return;
         }
+        this.newFeatureBtn.toggle(false);
+        this.closeEditing();
+        var feature = new OpenLayers.Feature.Vector(geometry);
+        feature.state = OpenLayers.State.INSERT;
+        this.editingLayer.addFeatures([feature]);
+        this.activateSnap();
+        this.editNewFeature(feature, item.layerId);
     },
 
-    /** private: method[getSnapTarget]
-     *  Allows to lazily create the WFS layers acting as snap targets.
+    /** private: method[initSnapping]
+     *  Creates the snapping control and its targets when snapping is
+     *  enabled.
      */
-    getSnapTarget: function(name) {
-        if (!this.snapLayers[name].layer) {
-            var layer = new OpenLayers.Layer.Vector(
-                "wfs-snap-target-" + name,
+    initSnapping: function() {
+        if (this.snapLayers) {
+            var options = Ext.apply(
+                {},
                 {
-                    displayInLayerSwitcher: false,
-                    visibility: false,
-                    strategies: [
-                        new OpenLayers.Strategy.BBOX({
-                            resFactor: this.snapLayers[name].resFactor || 1.0,
-                            update: function() {
-                                // Hack: the features would not be reloaded when
-                                // the layer is not visible.
-                                this.layer.visibility = true;
-                                OpenLayers.Strategy.BBOX.prototype.update.apply(this, arguments);
-                                this.layer.visibility = false;
-                            },
-                            merge: function() {
-                                // Hack: do not call merge when the layer is not
-                                // in the map
-                                if (this.layer.map) {
-                                    OpenLayers.Strategy.BBOX.prototype.merge.apply(this, arguments);
-                                }
-                            }
-                        })
-                    ],
-                    protocol: new OpenLayers.Protocol.WFS({
-                        version: "1.0.0",
-                        srsName: this.map.getProjection(),
-                        url: this.snapWMSProperties[name].url,
-                        featureType: name,
-                        featureNS: cgxp.WFS_FEATURE_NS || "http://mapserver.gis.umn.edu/mapserver"
-                    })
-                }
+                    layer: this.editingLayer,
+                    targets: []
+                },
+                this.snapOptions
             );
-            this.snapLayers[name].layer = layer;
-            // Hack: the BBOX strategy expects a moveend event on the layer
-            // which is not triggered when the layer is not visible
-            this.map.events.on({
-                "moveend": function() {
-                    layer.events.triggerEvent("moveend");
-                }
+
+            this.snapControl = new OpenLayers.Control.Snapping(options);
+
+            this.snapTargets = new cgxp.data.SnapTargets({
+                control: this.snapControl,
+                map: this.map,
+                tree: this.target.tools[this.layerTreeId].tree,
+                snapLayers: this.snapLayers,
+                url: this.mapserverUrl
             });
+        }
+    },
 
+    /** private: method[activateSnap]
+     */
+    activateSnap: function() {
+        if (this.snapTargets) {
+            this.snapTargets.activate();
         }
+    },
 
-        return this.snapLayers[name];
+    /** private: method[deactivateSnap]
+     */
+    deactivateSnap: function() {
+        if (this.snapTargets) {
+            this.snapTargets.deactivate();
+        }
+    },
+
+    /** private: method[checkSnapLayerVisibility]
+     */
+    checkSnapLayerVisibility: function() {
+        if (this.snapTargets) {
+            this.snapTargets.checkVisibility();
+        }
     }
 });
 
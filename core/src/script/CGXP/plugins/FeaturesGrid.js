@@ -30,6 +30,8 @@
  * @include OpenLayers/Feature/Vector.js
  * @include OpenLayers/Control/SelectFeature.js
  * @include OpenLayers/Filter.js
+ * @include CGXP/data/FeaturesExporter.js
+ * @include CGXP/tools/tools.js
  */
 
 /** api: (define)
@@ -53,7 +55,6 @@ Ext.namespace("cgxp.plugins");
  *          tools: [{
  *              ptype: "cgxp_featuresgrid",
  *              id: "featuresProvider",
- *              csvURL: "${request.route_url('csvecho')}",
  *              outputTarget: "featuresgrid-container",
  *              themes: THEMES,
  *              events: EVENTS
@@ -81,6 +82,11 @@ Ext.namespace("cgxp.plugins");
  *      This plugin is used to display results from query plugins such as
  *      :class:`cgxp.plugins.GetFeature` and :class:`cgxp.plugins.QueryBuilder`.
  *
+ *      When a WFS query reaches ``maxFeatures`` the tabs of the feature
+ *      types with more results get a paging toolbar, and the "All results"
+ *      selection loads all the pages, so the zoom and the export act on
+ *      the full result set.
+ *
  *      For the queryable Base layer the ``identifierAttribute`` can be
  *      provide by the ``queryLayers`` option in a layer config:
  *
@@ -154,9 +160,15 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
      *
      *  * ``queryopen``: sent on open query tool.
      *  * ``queryclose``: sent on closequery tool.
-     *  * ``querystarts``: sent when the query button is pressed.
+     *  * ``querystarts(options)``: sent when the query button is pressed.
      *  * ``nolayer``: sent when no layer to query.
      *  * ``queryresults(features)``: sent when the result is received.
+     *
+     *  The ``options`` of ``querystarts`` and the result of
+     *  ``queryresults`` can have a ``selectionMode``: ``add`` to add the
+     *  features to the displayed ones, ``remove`` to remove them, and
+     *  ``replace`` (default) to replace them.
+     *
      *  * ``queryinfos``: sent when additional infos about the query are available.
      */
     events: null,
@@ -182,11 +194,6 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
      */
     autoSelectFirst: true,
 
-    /** private: attribute[dummyForm]
-     *  ``Object`` Fake form used for csv export.
-     */
-    dummyForm: null,
-
     /** api: config[pointRecenterZoom]
      *  ``Integer`` Zoom level to use when recentering on point items (optional).
      */
@@ -201,15 +208,30 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
      */
     maxFeatures: 200,
 
+    /** api: config[profileId]
+     *  ``String`` The id of a :class:`cgxp.plugins.Profile` plugin. If set,
+     *  the actions menu shows the profile of the first selected line.
+     */
+    profileId: null,
+
     /* i18n */
     clearAllText: "Clear all",
     selectText: "Select",
     selectAllText: "All",
     selectNoneText: "None",
     selectToggleText: "Toggle",
+    selectAllResultsText: "All results (all pages)",
     actionsText: "Actions on selected results",
     zoomToSelectionText: "Zoom on selection",
-    csvSelectionExportText: "Export as CSV",
+    profileText: "Show the profile",
+    exportText: "Export",
+    geojsonExportText: "GeoJSON",
+    kmlExportText: "KML",
+    gpxExportText: "GPX",
+    csvExportText: "CSV with WKT geometry",
+    shapefileExportText: "Shapefile (zip)",
+    xlsxExportText: "Excel (XLSX)",
+    exportProjectionText: "Coordinate system",
     maxFeaturesText: "The maximum number of results is reached",
     resultText: "Total number of features: ",
     totalSurfaceText: "Total surface: ",
@@ -270,12 +292,44 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
      */
     csvExtension: 'csv',
 
+    /** api: config[csvURL]
+     *  ``String``  Deprecated, the URL of the CSV echo service. If set,
+     *  the CSV files are sent to it to be encoded in ``csvEncoding``,
+     *  instead of being written in UTF-8 in the browser.
+     */
+    csvURL: null,
+
     /** api: config[csvEncoding]
-     *  ``String``  The encoding to use for the exported csv file.
-     *  Default is 'UTF-8'.
+     *  ``String``  Deprecated, the encoding of the CSV files sent to the
+     *  ``csvURL`` echo service. Default is 'UTF-8'.
      */
     csvEncoding: 'UTF-8',
 
+    /** private: attribute[dummyForm]
+     *  ``Object`` Fake form used for the csv export with ``csvURL``.
+     */
+    dummyForm: null,
+
+    /** api: config[exportFormats]
+     *  ``Array(String)``  The export formats, in ``geojson``, ``kml``,
+     *  ``gpx``, ``csv``, ``shapefile`` and ``xlsx``. Default is all.
+     *  The files are generated in the browser, the CSV files are in
+     *  UTF-8 unless ``csvURL`` is set.
+     */
+    exportFormats: ['geojson', 'kml', 'gpx', 'csv', 'shapefile', 'xlsx'],
+
+    /** api: config[exportProjections]
+     *  ``Array(String)``  The EPSG codes the user can choose for the
+     *  exported geometries. Default is the map projection and
+     *  ``EPSG:4326``. The KML and GPX files are always in ``EPSG:4326``.
+     */
+    exportProjections: null,
+
+    /** private: attribute[exportProjection]
+     *  ``String`` The chosen projection of the exports.
+     */
+    exportProjection: null,
+
     /** private: attribute[selectAll]
      */
 
@@ -295,6 +349,13 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
      */
     enableTotalHits: false,
 
+    /** private: attribute[hitsGrid]
+     *  ``Ext.grid.GridPanel`` The paged grid of the last query results, if
+     *  they have a single feature type, paged with the number of hits of
+     *  the ``queryinfos`` event.
+     */
+    hitsGrid: null,
+
     /** private: method[init]
      */
     init: function() {
@@ -313,7 +374,6 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
                 strokeWidth: 2
             }, OpenLayers.Feature.Vector.style['default']
         );
-        this.dummyForm = Ext.DomHelper.append(document.body, {tag : 'form'});
         cgxp.plugins.FeaturesGrid.superclass.init.apply(this, arguments);
         this.target.on('ready', this.viewerReady, this);
     },
@@ -324,59 +384,147 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
         this.target.mapPanel.map.addLayer(this.vectorLayer);
     },
 
-    /** private: method[csvExport]
-     *  Export as a CSV by default using the rfc4180 recommendation.
-     *  http://tools.ietf.org/html/rfc4180
+    /** private: method[exportFeatures]
+     *  Exports the selected features of the current grid, or all its
+     *  features if none is selected.
+     *  :arg format: ``String`` See :class:`cgxp.data.FeaturesExporter`.
      */
-    csvExport: function() {
-        if (this.tabpan.activeTab) {
-            var csv = [];
-            var records = this.currentGrid.getSelectionModel().getSelections();
+    exportFeatures: function(format) {
+        if (!this.currentGrid) {
+            return;
+        }
+        var records = this.currentGrid.getSelectionModel().getSelections();
+        if (records.length === 0) {
+            records = this.currentGrid.getStore().getRange();
+        }
+        if (records.length === 0) {
+            return;
+        }
+        var features = [];
+        Ext.each(records, function(record) {
+            features.push(record.getFeature());
+        });
+        // the column headers are the attribute aliases
+        var cm = this.currentGrid.getColumnModel();
+        var columns = [];
+        for (var i = 0, len = cm.getColumnCount(); i < len; i++) {
+            columns.push({
+                name: cm.getDataIndex(i),
+                alias: cm.getColumnHeader(i)
+            });
+        }
+        var exporter = new cgxp.data.FeaturesExporter({
+            sourceProjection: this.target.mapPanel.map.getProjectionObject(),
+            projection: this.exportProjection,
+            csvSeparator: this.csvSeparator,
+            csvIncludeHeader: this.csvIncludeHeader,
+            csvExtension: this.csvExtension,
+            quote: this.quote
+        });
+        var file = exporter.write(format, features, columns,
+            this.currentGrid.title);
+        if (format == 'csv' && this.csvURL) {
+            this.echoCsv(file.data);
+        } else {
+            cgxp.tools.download(file.data, file.filename, file.mimeType);
+        }
+    },
 
-            if (records.length === 0) {
-                records = this.currentGrid.getStore().getRange();
-            }
-            if (records.length === 0) {
-                return;
-            }
-            Ext.each(records, function(r, index) {
-                var attributes = r.getFeature().attributes;
-                var properties = [];
-                var q = this.quote;
-                // Include header row
-                if (this.csvIncludeHeader && index==0) {
-                    var header = [];
-                    Ext.iterate(attributes, function iter(key, attr) {
-                        header.push(q + OpenLayers.i18n(key).replace(q, q+q) + q);
-                    }, this);
-                    csv.push(header.join(this.csvSeparator));
-                }
-                for (var prop in attributes) {
-                    if (attributes.hasOwnProperty(prop)) {
-                        // special IE as it doesn't handle null element as string
-                        if (attributes[prop] !== null) {
-                            properties.push(q + attributes[prop].replace(q, q+q) + q);
-                        } else {
-                            properties.push(q + q);
-                        }
-                    }
+    /** private: method[echoCsv]
+     *  Sends the CSV file to the deprecated ``csvURL`` echo service, which
+     *  returns it in ``csvEncoding``.
+     *  :arg csv: ``String``
+     */
+    echoCsv: function(csv) {
+        if (!this.dummyForm) {
+            this.dummyForm = Ext.DomHelper.append(document.body,
+                {tag: 'form'});
+        }
+        Ext.Ajax.request({
+            url: this.csvURL,
+            method: 'POST',
+            params: {
+                name: this.currentGrid.title,
+                // the byte order mark is written by the browser exports only
+                csv: csv.replace(/^\ufeff/, ''),
+                csv_extension: this.csvExtension,
+                csv_encoding: this.csvEncoding
+            },
+            form: this.dummyForm,
+            isUpload: true
+        });
+    },
+
+    /** private: method[getSelectedLine]
+     *  :returns: ``OpenLayers.Geometry.LineString`` The first selected line
+     *      of the current grid, ``null`` if none is selected.
+     */
+    getSelectedLine: function() {
+        if (this.currentGrid) {
+            var profile = this.target.tools[this.profileId];
+            var records = this.currentGrid.getSelectionModel().getSelections();
+            for (var i = 0, len = records.length; i < len; i++) {
+                var geometry = records[i].getFeature().geometry;
+                var line = geometry && profile.getProfileLine(geometry);
+                if (line) {
+                    return line;
                 }
-                csv.push(properties.join(this.csvSeparator));
-            }, this);
+            }
+        }
+        return null;
+    },
 
-            Ext.Ajax.request({
-                url: this.csvURL,
-                method: 'POST',
-                params: {
-                    name: this.currentGrid.title,
-                    csv: csv.join('\n'),
-                    csv_extension: this.csvExtension,
-                    csv_encoding: this.csvEncoding
+    /** private: method[showProfile]
+     *  Shows the profile of the first selected line.
+     */
+    showProfile: function() {
+        var line = this.getSelectedLine();
+        if (line) {
+            this.target.tools[this.profileId].showProfile(line);
+        }
+    },
+
+    /** private: method[createExportMenu]
+     *  :returns: ``Ext.menu.Menu`` The menu of the export formats and
+     *      projections.
+     */
+    createExportMenu: function() {
+        var items = [];
+        Ext.each(this.exportFormats, function(format) {
+            items.push({
+                text: this[format + 'ExportText'],
+                handler: function() {
+                    this.exportFeatures(format);
                 },
-                form: this.dummyForm,
-                isUpload: true
+                scope: this
+            });
+        }, this);
+        var projections = this.exportProjections || [
+            this.target.mapPanel.map.getProjection(), 'EPSG:4326'];
+        if (projections.length > 1) {
+            this.exportProjection = projections[0];
+            var projectionItems = [];
+            var group = Ext.id(null, 'cgxp-export-projection');
+            Ext.each(projections, function(projection, i) {
+                projectionItems.push({
+                    text: projection,
+                    checked: i === 0,
+                    group: group,
+                    checkHandler: function(item, checked) {
+                        if (checked) {
+                            this.exportProjection = projection;
+                        }
+                    },
+                    scope: this
+                });
+            }, this);
+            items.push('-', {
+                text: this.exportProjectionText,
+                hideOnClick: false,
+                menu: projectionItems
             });
         }
+        return new Ext.menu.Menu({items: items});
     },
 
     /** private: method[printExport]
@@ -458,6 +606,28 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
         return groupedRecords;
     },
 
+    /** private: method[printFeatures]
+     *  Gets the features to print, the selected features of the current
+     *  grid or all its features if none is selected.
+     *  :returns: ``Array(OpenLayers.Feature.Vector)``
+     */
+    printFeatures: function() {
+        var features = [];
+        if (this.tabpan && this.tabpan.activeTab && this.currentGrid) {
+            var records = this.currentGrid.getSelectionModel().getSelections();
+            if (records.length === 0) {
+                records = this.currentGrid.getStore().getRange();
+            }
+            Ext.each(records, function(r) {
+                var feature = r.getFeature();
+                if (feature.geometry) {
+                    features.push(feature);
+                }
+            });
+        }
+        return features;
+    },
+
     /** private: method[setMessage]
      *  Set the queryResult message, check if there is enough space to display it all
      */
@@ -555,6 +725,140 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
         }, this);
     },
 
+    /** private: method[readHits]
+     *  Reads the number of results of a paged grid, and shows its paging
+     *  toolbar if there are more results than displayed.
+     *  :arg grid: ``Ext.grid.GridPanel``
+     */
+    readHits: function(grid) {
+        grid.pager.readHits(grid.featureType, function(hits) {
+            this.setHits(grid, hits);
+        }, this);
+    },
+
+    /** private: method[setHits]
+     *  Shows the paging toolbar of a paged grid if there are more results
+     *  than displayed.
+     *  :arg grid: ``Ext.grid.GridPanel``
+     *  :arg hits: ``Integer`` The number of results.
+     */
+    setHits: function(grid, hits) {
+        var store = grid.getStore();
+        if (!hits || hits <= store.getCount() || grid.isDestroyed) {
+            return;
+        }
+        grid.hits = hits;
+        store.totalLength = hits;
+        var toolbar = grid.getBottomToolbar();
+        toolbar.show();
+        toolbar.onLoad(store, null, {params: {start: 0}});
+        if (grid.rendered) {
+            grid.syncSize();
+        }
+    },
+
+    /** private: method[onBeforePageChange]
+     *  Loads the page from the WFS server instead of the store.
+     *  :arg grid: ``Ext.grid.GridPanel``
+     *  :arg toolbar: ``Ext.PagingToolbar``
+     *  :arg params: ``Object``
+     */
+    onBeforePageChange: function(grid, toolbar, params) {
+        this.loadPage(grid, params[toolbar.getParams().start]);
+        return false;
+    },
+
+    /** private: method[loadPage]
+     *  Loads a page of results in a paged grid.
+     *  :arg grid: ``Ext.grid.GridPanel``
+     *  :arg start: ``Integer`` The index of the first feature.
+     */
+    loadPage: function(grid, start) {
+        grid.getEl().mask(Ext.LoadMask.prototype.msg, 'x-mask-loading');
+        grid.pager.read(grid.featureType, start, null, function(features) {
+            grid.getEl().unmask();
+            if (features) {
+                this.replaceFeatures(grid, features);
+                grid.getStore().totalLength = grid.hits;
+                grid.getBottomToolbar().onLoad(grid.getStore(), null,
+                    {params: {start: start}});
+            }
+        }, this);
+    },
+
+    /** private: method[selectAllResults]
+     *  Selects all the results of the current grid, all the pages are
+     *  loaded first if it is paged.
+     */
+    selectAllResults: function() {
+        var grid = this.currentGrid;
+        var toolbar = grid.getBottomToolbar();
+        if (!grid.pager || !toolbar || toolbar.hidden) {
+            grid.getSelectionModel().selectAll();
+            return;
+        }
+        grid.getEl().mask(Ext.LoadMask.prototype.msg, 'x-mask-loading');
+        grid.pager.readAll(grid.featureType, function(features) {
+            grid.getEl().unmask();
+            if (features) {
+                this.replaceFeatures(grid, features);
+                toolbar.hide();
+                grid.syncSize();
+                grid.getSelectionModel().selectAll();
+            }
+        }, this);
+    },
+
+    /** private: method[replaceFeatures]
+     *  Replaces the features of a paged grid.
+     *  :arg grid: ``Ext.grid.GridPanel``
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     */
+    replaceFeatures: function(grid, features) {
+        grid.getSelectionModel().clearSelections();
+        var previous = [];
+        Ext.each(this.vectorLayer.features, function(feature) {
+            if (feature.type == grid.featureType) {
+                previous.push(feature);
+            }
+        });
+        this.vectorLayer.destroyFeatures(previous);
+        Ext.each(features, function(feature) {
+            if (!feature.geometry && feature.bounds) {
+                feature.geometry = feature.bounds.toGeometry();
+            }
+        });
+        this.vectorLayer.addFeatures(features);
+        grid.getStore().filterBy(function(record) {
+            var recordFeature = record.getFeature();
+            return recordFeature.type == grid.featureType &&
+                recordFeature.layer;
+        });
+        this.textItem.setText(this.getCount());
+    },
+
+    /** private: method[hideEmptyTabs]
+     *  Hides the tabs of the grids without features, after a remove
+     *  selection.
+     */
+    hideEmptyTabs: function() {
+        var activeGrid = null;
+        for (var gridName in this.gridByType) {
+            if (this.gridByType.hasOwnProperty(gridName)) {
+                var grid = this.gridByType[gridName];
+                if (grid.getStore().getCount() === 0) {
+                    this.tabpan.hideTabStripItem(grid);
+                } else if (!activeGrid) {
+                    activeGrid = grid;
+                }
+            }
+        }
+        if (activeGrid && this.currentGrid &&
+                this.currentGrid.getStore().getCount() === 0) {
+            this.tabpan.setActiveTab(activeGrid);
+        }
+    },
+
     /** private: method[getTabName]
      * Returns the name of the tab that contains the given featureType
      * or the featureType.
@@ -595,7 +899,20 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
             })
         });
 
-        this.events.on('querystarts', function() {
+        this.events.on('querystarts', function(options) {
+            // reset counter when new query is triggered
+            this.numberOfFeatures = 0;
+            this.numberOfReturnedFeatures = 0;
+            this.enableTotalHits = false;
+            this.messageItem.setText('');
+
+            var selectionMode = options && options.selectionMode;
+            if ((selectionMode == 'add' || selectionMode == 'remove') &&
+                    this.vectorLayer.features.length > 0) {
+                // keep the current results
+                return;
+            }
+
             if (this.currentGrid && this.currentGrid.getSelectionModel &&
                 this.currentGrid.getStore()) {
                 this.currentGrid.getSelectionModel().clearSelections();
@@ -603,11 +920,6 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
             this.currentGrid = null;
             this.vectorLayer.destroyFeatures();
 
-            // reset counter when new query is triggered
-            this.numberOfFeatures = 0;
-            this.numberOfReturnedFeatures = 0;
-            this.enableTotalHits = false;
-
             /* this is important, if the grid are not cleared and created a new,
                the event viewready is not triggered and we fall on an ext bug
                when we try to act on the grid before it is ready to be modified */
@@ -629,7 +941,6 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
             }
 
             this.textItem.setText(this.getCount());
-            this.messageItem.setText('');
         }, this);
 
         this.events.on('nolayer', function() {
@@ -652,6 +963,9 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
                 }
                 msg += this.totalNbOfFeaturesText + this.numberOfFeatures;
                 this.setMessage(msg);
+                if (this.hitsGrid) {
+                    this.setHits(this.hitsGrid, infos.numberOfFeatures);
+                }
             }
         }, this);
 
@@ -666,6 +980,12 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
             }
             this.selectAll = selectAll;
 
+            features = this.mergeFeatures(features, queryResult.selectionMode);
+            if (queryResult.selectionMode == 'remove') {
+                this.hideEmptyTabs();
+                this.textItem.setText(this.getCount());
+            }
+
             var previouslyNoFeature = this.vectorLayer.features.length === 0;
 
             // if no feature do nothing
@@ -681,6 +1001,7 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
             }
 
             var currentType = {};
+            var pagedGrids = [];
             for (var i = 0, len = features.length ; i < len ; i++) {
                 var feature = features[i];
                 var hasAttributes = false;
@@ -739,8 +1060,18 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
                         })
                     });
 
+                    // only the tabs of one feature type can be paged
+                    var paged = queryResult.pager &&
+                        queryResult.pager.canPage() &&
+                        tabName == feature.type;
                     grid = new Ext.grid.GridPanel({
                         store: store,
+                        bbar: paged ? {
+                            xtype: 'paging',
+                            pageSize: queryResult.pager.pageSize,
+                            store: store,
+                            hidden: true
+                        } : undefined,
                         viewConfig: {
                             // we add an horizontal scroll bar in case
                             // there are too many attributes to display:
@@ -767,6 +1098,14 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
                         title: OpenLayers.i18n(tabName),
                         ready: false
                     });
+                    if (paged) {
+                        grid.pager = queryResult.pager;
+                        grid.featureType = feature.type;
+                        grid.getBottomToolbar().on('beforechange',
+                            this.onBeforePageChange.createDelegate(this,
+                                [grid], 0));
+                        pagedGrids.push(grid);
+                    }
                     grid.getSelectionModel().on({
                         'rowdeselect': this.onRowDeselect,
                         'rowselect': this.onRowSelect,
@@ -800,7 +1139,24 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
                     this.tabpan.unhideTabStripItem(grid);
                 }
             }
-            var type;
+            // more results than displayed, page them with the number of
+            // hits of the queryinfos event, the hits are read by feature
+            // type only if the query doesn't count them
+            var type, nbTypes = 0;
+            for (type in currentType) {
+                if (currentType.hasOwnProperty(type)) {
+                    nbTypes++;
+                }
+            }
+            this.hitsGrid = null;
+            if (this.numberOfReturnedFeatures == this.maxFeatures) {
+                if (!this.enableTotalHits) {
+                    Ext.each(pagedGrids, this.readHits, this);
+                } else if (nbTypes == 1 && pagedGrids.length == 1) {
+                    this.hitsGrid = pagedGrids[0];
+                }
+            }
+
             for (type in currentType) {
                 if (currentType.hasOwnProperty(type)) {
                     this.gridByType[type].getStore().filterBy(function(record) {
@@ -898,6 +1254,9 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
                         sm.selectAll();
                     },
                     scope: this},
+                    {text: this.selectAllResultsText,
+                    handler: this.selectAllResults,
+                    scope: this},
                     {text: this.selectNoneText, handler: function() {
                         if (this.globalSelection) {
                             // update selection list for all grids
@@ -953,37 +1312,55 @@ cgxp.plugins.FeaturesGrid = Ext.extend(cgxp.plugins.FeaturesResult, {
             scope: this
         });
 
+        var actionItems = [{
+            text: this.zoomToSelectionText,
+            handler: function() {
+                var sm = this.currentGrid.getSelectionModel();
+                var bbox = new OpenLayers.Bounds();
+                Ext.each(sm.getSelections(), function(r){
+                    bbox.extend(r.getFeature().geometry.getBounds());
+                });
+                // has selection
+                if (bbox.left !== null) {
+                    // is a point
+                    if (bbox.getWidth() + bbox.getHeight() == 0) {
+                        map.setCenter(bbox.getCenterLonLat(),
+                            this.pointRecenterZoom);
+                    }
+                    else {
+                        map.zoomToExtent(bbox.scale(1.05));
+                    }
+                }
+            },
+            scope: this
+        }, {
+            text: this.exportText,
+            hideOnClick: false,
+            menu: this.createExportMenu()
+        }];
+        var profileItem;
+        if (this.profileId) {
+            profileItem = new Ext.menu.Item({
+                text: this.profileText,
+                handler: this.showProfile,
+                scope: this
+            });
+            actionItems.splice(1, 0, profileItem);
+        }
+
         this.selectionActionButton = {
             text: this.actionsText,
             menu: new Ext.menu.Menu ({
                 plain: true,
-                items: [{
-                    text: this.zoomToSelectionText,
-                    handler: function() {
-                        var sm = this.currentGrid.getSelectionModel();
-                        var bbox = new OpenLayers.Bounds();
-                        Ext.each(sm.getSelections(), function(r){
-                            bbox.extend(r.getFeature().geometry.getBounds());
-                        });
-                        // has selection
-                        if (bbox.left !== null) {
-                            // is a point
-                            if (bbox.getWidth() + bbox.getHeight() == 0) {
-                                map.setCenter(bbox.getCenterLonLat(),
-                                    this.pointRecenterZoom);
-                            }
-                            else {
-                                map.zoomToExtent(bbox.scale(1.05));
-                            }
+                items: actionItems,
+                listeners: {
+                    beforeshow: function() {
+                        if (profileItem) {
+                            profileItem.setDisabled(!this.getSelectedLine());
                         }
                     },
                     scope: this
-                }, {
-                    text: this.csvSelectionExportText,
-                    handler: this.csvExport,
-                    target: this,
-                    scope: this
-                }]
+                }
             })
         };
 
@@ -111,6 +111,77 @@ cgxp.plugins.FeaturesResult = Ext.extend(gxp.plugins.Tool, {
         }, this);
     },
 
+    /** private: method[printFeatures]
+     *  Gets the features to print, e.g. as atlas pages.
+     *  :returns: ``Array(OpenLayers.Feature.Vector)``
+     */
+    printFeatures: function() {
+        var features = [];
+        if (this.vectorLayer) {
+            Ext.each(this.vectorLayer.features, function(feature) {
+                if (feature.geometry) {
+                    features.push(feature);
+                }
+            });
+        }
+        return features;
+    },
+
+    /** private: method[getFeatureKey]
+     *  Gets the key of a feature to de-duplicate the results, the key is
+     *  computed once as the attributes may be changed to be displayed.
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :returns: ``String`` The key of the feature in its layer.
+     */
+    getFeatureKey: function(feature) {
+        if (feature.selectionKey === undefined) {
+            feature.selectionKey = feature.type + '|' +
+                (feature.fid || Ext.encode(feature.attributes));
+        }
+        return feature.selectionKey;
+    },
+
+    /** private: method[mergeFeatures]
+     *  Applies the selection mode of a query result to the displayed
+     *  features.
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)`` The received
+     *      features.
+     *  :arg selectionMode: ``String`` ``replace``, ``add`` or ``remove``.
+     *  :returns: ``Array(OpenLayers.Feature.Vector)`` The received features
+     *      that are not yet displayed, empty in ``remove`` mode.
+     */
+    mergeFeatures: function(features, selectionMode) {
+        var displayed = {};
+        Ext.each(this.vectorLayer.features, function(feature) {
+            displayed[this.getFeatureKey(feature)] = feature;
+        }, this);
+        var added = [], removed = [];
+        Ext.each(features, function(feature) {
+            var key = this.getFeatureKey(feature);
+            if (displayed.hasOwnProperty(key)) {
+                if (selectionMode == 'remove') {
+                    removed.push(displayed[key]);
+                    delete displayed[key];
+                }
+            } else if (selectionMode != 'remove') {
+                displayed[key] = feature;
+                added.push(feature);
+            }
+        }, this);
+        if (removed.length > 0) {
+            this.removeFeatures(removed);
+        }
+        return added;
+    },
+
+    /** private: method[removeFeatures]
+     *  Removes features from the selection.
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     */
+    removeFeatures: function(features) {
+        this.vectorLayer.destroyFeatures(features);
+    },
+
     /** private: method[createVectorLayer]
      * ``Object``
      */
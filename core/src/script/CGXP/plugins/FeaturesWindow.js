@@ -164,6 +164,10 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
      *  ``String`` No layer selected message (i18n).
      */
     noLayerSelectedMessage: "No layer selected",
+    /** api: config[profileText]
+     *  ``String`` Text for the profile menu item (i18n).
+     */
+    profileText: "Show the profile",
 
     /** private: attribute[store]
      *  ``Ext.data.Store``
@@ -208,6 +212,17 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
      */
     openFeatures: 1,
 
+    /** api: config[profileId]
+     *  ``String`` The id of a :class:`cgxp.plugins.Profile` plugin. If set,
+     *  the context menu of the line features shows their profile.
+     */
+    profileId: null,
+
+    /** private: attribute[profileMenu]
+     *  ``Ext.menu.Menu`` The context menu of the line features.
+     */
+    profileMenu: null,
+
     /** private: method[init]
      */
     init: function(target) {
@@ -245,7 +260,14 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
             })
         });
 
-        this.events.on('querystarts', function() {
+        this.events.on('querystarts', function(options) {
+            var selectionMode = options && options.selectionMode;
+            if ((selectionMode == 'add' || selectionMode == 'remove') &&
+                    this.featuresWindow && this.featuresWindow.isVisible()) {
+                // keep the current results, hiding the window clears them
+                cgxp.tools.notification.show(this.loadingResults);
+                return;
+            }
             if (this.featuresWindow) {
                 this.store.removeAll();
                 this.vectorLayer.destroyFeatures();
@@ -368,6 +390,23 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
         return featuresWithAttributes;
     },
 
+    /** private: method[removeFeatures]
+     *  Removes features from the selection.
+     *  :arg features: ``Array(OpenLayers.Feature.Vector)``
+     */
+    removeFeatures: function(features) {
+        if (this.store) {
+            Ext.each(features, function(feature) {
+                var record = this.store.getRecordFromFeature(feature);
+                if (record) {
+                    this.store.remove(record);
+                }
+            }, this);
+        }
+        cgxp.plugins.FeaturesWindow.superclass.removeFeatures.apply(this,
+            arguments);
+    },
+
     /** private: method[showNotification]
      *  Shows the notification window
      */
@@ -402,9 +441,23 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
             }, features);
         }
 
+        features = this.mergeFeatures(features, queryResult.selectionMode);
+        if (queryResult.selectionMode == 'remove') {
+            cgxp.tools.notification.close();
+            if (this.featuresWindow && this.store.getCount() === 0) {
+                this.featuresWindow.hide();
+            }
+            return;
+        }
+
         features = this.extendFeaturesAttributes(features);
         if (features.length == 0) {
-            this.showNotification(this.noFeatureFound, 5000);
+            if (this.featuresWindow && this.featuresWindow.isVisible()) {
+                // the features are already displayed
+                cgxp.tools.notification.close();
+            } else {
+                this.showNotification(this.noFeatureFound, 5000);
+            }
             return;
         }
 
@@ -565,6 +618,12 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
                     var feature = grid.getStore().getAt(row).getFeature();
                     this.vectorLayer.drawFeature(feature, 'default');
                 },
+                rowcontextmenu: function(grid, row, e) {
+                    if (this.profileId) {
+                        var feature = grid.getStore().getAt(row).getFeature();
+                        this.showProfileMenu(feature, e);
+                    }
+                },
                 scope: this
             },
             plugins: [
@@ -586,6 +645,31 @@ cgxp.plugins.FeaturesWindow = Ext.extend(cgxp.plugins.FeaturesResult, {
         }, this);
     },
 
+    /** private: method[showProfileMenu]
+     *  Shows the context menu of a line feature.
+     *  :arg feature: ``OpenLayers.Feature.Vector``
+     *  :arg e: ``Ext.EventObject``
+     */
+    showProfileMenu: function(feature, e) {
+        var profile = this.target.tools[this.profileId];
+        var line = feature.geometry && profile.getProfileLine(feature.geometry);
+        if (line) {
+            e.stopEvent();
+            if (!this.profileMenu) {
+                this.profileMenu = new Ext.menu.Menu({
+                    items: [{
+                        text: this.profileText,
+                        handler: function(item) {
+                            profile.showProfile(item.parentMenu.line);
+                        }
+                    }]
+                });
+            }
+            this.profileMenu.line = line;
+            this.profileMenu.showAt(e.getXY());
+        }
+    },
+
     /** private: method[setMessage]
      *  Set the queryResult message, check if there is enough space to display it all
      */
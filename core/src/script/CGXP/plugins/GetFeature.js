@@ -18,12 +18,18 @@
 /*
  * @requires plugins/Tool.js
  * @include OpenLayers/Control/GetFeature.js
+ * @include OpenLayers/Handler/Point.js
+ * @include OpenLayers/Handler/Path.js
+ * @include OpenLayers/Handler/Polygon.js
+ * @include OpenLayers/Handler/RegularPolygon.js
+ * @include OpenLayers/Filter/Spatial.js
  * @include OpenLayers/Control/WMSGetFeatureInfo.js
  * @include OpenLayers/Protocol/WFS/v1_1_0.js
  * @include OpenLayers/Format/WMSGetFeatureInfo.js
  * @include OpenLayers/Format/GML/v3.js
  * @include GeoExt/widgets/Action.js
  * @include CGXP/plugins/ToolActivateMgr.js
+ * @include CGXP/data/WFSPager.js
  */
 
 
@@ -81,6 +87,15 @@ Ext.namespace("cgxp.plugins");
  *  (WFS GetFeature).
  *  We can optionally (with actionTarget) add a toggle button
  *  to a toolbar to do a box query without pressing the CTRL key.
+ *  Other selection modes can be added with ``selectionModes``: a freehand
+ *  polygon, a circle, a buffer around a clicked point or a corridor along a
+ *  drawn line.
+ *
+ *  By default the results of a query replace the previous ones. Keep the
+ *  SHIFT key pressed to add the results to the current selection, or the
+ *  ALT key to remove them from it. The ``querystarts`` and ``queryresults``
+ *  events get a ``selectionMode`` option, ``replace``, ``add`` or
+ *  ``remove``.
  *
  *  Only the currently visible layers are queried.
  *
@@ -147,6 +162,28 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
      */
     actionOptions: {},
 
+    /** api: config[selectionModes]
+     *  ``Array(String)``
+     *  The selection modes with a tool button, in ``box``, ``polygon``
+     *  (freehand polygon), ``circle``, ``buffer`` (around a clicked point)
+     *  and ``corridor`` (along a drawn line). Default is ``['box']``.
+     */
+    selectionModes: ['box'],
+
+    /** api: config[bufferDistance]
+     *  ``Number``
+     *  The distance in meters around the clicked point of the ``buffer``
+     *  mode. Default is 50.
+     */
+    bufferDistance: 50,
+
+    /** api: config[corridorWidth]
+     *  ``Number``
+     *  The width in meters of the corridor of the ``corridor`` mode.
+     *  Default is 50.
+     */
+    corridorWidth: 50,
+
     /** api: config[events]
      *  ``Object``
      *  An Observer used to send events.
@@ -214,6 +251,22 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
      */
     enableTotalHits: true,
 
+    /** api: config[pagingParam]
+     *  ``String``
+     *  The vendor parameter of the index of the first feature of a page of
+     *  results, e.g. ``STARTINDEX``. See :class:`cgxp.data.WFSPager`.
+     */
+    pagingParam: null,
+
+    /** api: config[useStartIndex]
+     *  ``Boolean``
+     *  Send the index of the first feature of a page of results as the
+     *  WFS 2.0 ``startIndex`` attribute, if the server supports it.
+     *  Without it and ``pagingParam`` the results aren't paged. Default is
+     *  false.
+     */
+    useStartIndex: false,
+
     /** api: config[disableGetFeatureInfo]
      *  ``Boolean``
      *  Set to true to make point requests handled by WFS GetFeature instead of
@@ -227,12 +280,42 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
     unqueriedLayerTitle: "Unable to query this layer",
     unqueriedLayerText: "This Layer only support single click query.",
     queryResultMessage: "Use the {key} key to perform a rectangular selection.",
+    polygonTooltipText: "Query the objects in a polygon",
+    polygonMenuText: "Query in a polygon",
+    circleTooltipText: "Query the objects in a circle",
+    circleMenuText: "Query in a circle",
+    bufferTooltipText: "Query the objects around a point",
+    bufferMenuText: "Query around a point",
+    corridorTooltipText: "Query the objects along a line",
+    corridorMenuText: "Query along a line",
 
     /** private: attribute[filter]
      *  ``OpenLayers.Filter``
      */
     filter: null,
 
+    /** private: attribute[actions]
+     *  ``Array(GeoExt.Action)`` The actions of the selection modes.
+     */
+    actions: null,
+
+    /** private: attribute[selectionControls]
+     *  ``Object`` The drawing controls of the selection modes by mode,
+     *  except ``box``.
+     */
+    selectionControls: null,
+
+    /** private: attribute[selectionMode]
+     *  ``String`` The selection mode of the last mouse down on the map,
+     *  ``replace``, ``add`` or ``remove``.
+     */
+    selectionMode: 'replace',
+
+    /** private: attribute[querySelectionMode]
+     *  ``String`` The selection mode of the running query.
+     */
+    querySelectionMode: 'replace',
+
     /** private: method[activate]
      */
     activate: function() {
@@ -266,17 +349,45 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
      */
     addActions: function() {
         if (this.actionTarget) {
-            this.action = new GeoExt.Action(Ext.applyIf({
-                allowDepress: true,
-                enableToggle: true,
-                iconCls: 'info',
-                tooltip: this.tooltipText,
-                menuText: this.menuText,
-                toggleGroup: this.toggleGroup,
-                control: this.toolWFSControl
-            }, this.actionOptions));
+            this.actions = [];
+            Ext.each(this.selectionModes, function(mode) {
+                var action;
+                if (mode == 'box') {
+                    action = this.action = new GeoExt.Action(Ext.applyIf({
+                        allowDepress: true,
+                        enableToggle: true,
+                        iconCls: 'info',
+                        tooltip: this.tooltipText,
+                        menuText: this.menuText,
+                        toggleGroup: this.toggleGroup,
+                        control: this.toolWFSControl
+                    }, this.actionOptions));
+                } else {
+                    action = new GeoExt.Action(Ext.applyIf({
+                        allowDepress: true,
+                        enableToggle: true,
+                        iconCls: 'cgxp-icon-getfeature-' + mode,
+                        tooltip: this[mode + 'TooltipText'],
+                        menuText: this[mode + 'MenuText'],
+                        toggleGroup: this.toggleGroup,
+                        control: this.selectionControls[mode]
+                    }, this.actionOptions));
+                }
+                this.actions.push(action);
+            }, this);
             return cgxp.plugins.GetFeature.superclass.addActions.apply(this,
-                    [[this.action]]);
+                    [this.actions]);
+        }
+    },
+
+    /** private: method[untoggleActions]
+     *  Untoggles the tool buttons after a query if ``autoDeactivate``.
+     */
+    untoggleActions: function() {
+        if (this.autoDeactivate) {
+            Ext.each(this.actions, function(action) {
+                action.items[0].toggle(false);
+            });
         }
     },
 
@@ -305,6 +416,46 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
             this.buildWMSControl(map);
         }
         this.buildWFSControls(map);
+
+        // the modifier keys are read on mouse down, the handlers may stop
+        // the OpenLayers event
+        Ext.EventManager.on(map.viewPortDiv, 'mousedown', function(e) {
+            this.selectionMode = this.getSelectionMode(e);
+        }, this);
+    },
+
+    /** private: method[getSelectionMode]
+     *  :arg e: ``Ext.EventObject``
+     *  :returns: ``String`` ``add`` with the SHIFT key, ``remove`` with the
+     *      ALT key, ``replace`` otherwise.
+     */
+    getSelectionMode: function(e) {
+        if (e.shiftKey) {
+            return 'add';
+        }
+        if (e.altKey) {
+            return 'remove';
+        }
+        return 'replace';
+    },
+
+    /** private: method[startQuery]
+     *  Fires the ``querystarts`` event with the selection mode.
+     */
+    startQuery: function() {
+        this.querySelectionMode = this.selectionMode;
+        this.events.fireEvent('querystarts', {
+            selectionMode: this.querySelectionMode
+        });
+    },
+
+    /** private: method[fireQueryResults]
+     *  Fires the ``queryresults`` event with the selection mode.
+     *  :arg queryResult: ``Object``
+     */
+    fireQueryResults: function(queryResult) {
+        queryResult.selectionMode = this.querySelectionMode;
+        this.events.fireEvent('queryresults', queryResult);
     },
 
     /** private method[getQueryableWMSLayers]
@@ -392,7 +543,7 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
                 // modified to support WMTS layers, external parameter,
                 // add a message on no layers selected
                 // and lunch querystarts event
-                self.events.fireEvent('querystarts');
+                self.startQuery();
                 var layers = this.findLayers();
                 if (layers.length === 0) {
                     self.events.fireEvent("nolayer");
@@ -485,21 +636,19 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
                 queryDone = query(internalServices);
                 queryDone = query(externalServices) || queryDone;
                 if (!queryDone) {
-                    self.events.fireEvent('queryresults', {
+                    self.fireQueryResults({
                         features: []
                     });
                     // Reset the cursor.
                     OpenLayers.Element.removeClass(this.map.viewPortDiv, "olCursorWait");
                 }
 
-                if (self.autoDeactivate && self.action) {
-                    self.action.items[0].toggle(false);
-                }
+                self.untoggleActions();
             },
 
             eventListeners: {
                 getfeatureinfo: function(e) {
-                    this.events.fireEvent('queryresults', {
+                    this.fireQueryResults({
                         features: this.filterFeatures(e.features),
                         maxFeatures: self.maxFeatures,
                         message: self.getMessage()
@@ -513,7 +662,7 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
                 },
                 clickout: function() {
                     // the GetFeature control converts empty result to clickout.
-                    this.events.fireEvent('queryresults', {
+                    this.fireQueryResults({
                         features: []
                     });
                 },
@@ -564,6 +713,7 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
                 autoconfig: false
             },
             read: function(options) {
+                self.filter = 'filter' in options ? options.filter : null;
                 options.params = options.params || {};
                 Ext.apply(options.params, self.target.mapPanel.params);
                 Ext.apply(options.params, {'EXTERNAL': 'true'});
@@ -573,10 +723,11 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
 
         var listeners = {
             featuresselected: function(e) {
-                this.events.fireEvent('queryresults', {
+                this.fireQueryResults({
                     features: this.filterFeatures(e.features),
                     enableTotalHits: this.enableTotalHits, 
-                    maxFeatures: this.maxFeatures
+                    maxFeatures: this.maxFeatures,
+                    pager: this.createPager()
                 });
                 if (this.enableTotalHits &&
                     e.features.length == this.maxFeatures) {
@@ -603,44 +754,52 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
             },
             clickout: function() {
                 // the GetFeature control converts empty result to clickout.
-                this.events.fireEvent('queryresults', {
+                this.fireQueryResults({
                     features: []
                 });
             },
             scope: this
         };
-        var request = function() {
-            self.events.fireEvent('querystarts');
+        var request = function(bounds, options) {
+            self.startQuery();
 
             var olLayers = self.target.mapPanel.map.
                     getLayersByClass("OpenLayers.Layer.WMS");
 
+            // the other selection modes give their own filter
+            var filter = options && options.filter;
             var l = self.getLayers.call(self);
             if (l.internalLayers.length > 0) {
                 protocol.format.featureType = l.internalLayers;
                 this.protocol = protocol;
-                OpenLayers.Control.GetFeature.prototype.request.apply(this, arguments);
+                if (filter) {
+                    self.readFeatures(this, filter);
+                } else {
+                    OpenLayers.Control.GetFeature.prototype.request.apply(this, arguments);
+                }
             }
             if (l.externalLayers.length > 0) {
                 externalProtocol.format.featureType = l.externalLayers;
                 this.protocol = externalProtocol;
-                OpenLayers.Control.GetFeature.prototype.request.apply(this, arguments);
+                if (filter) {
+                    self.readFeatures(this, filter);
+                } else {
+                    OpenLayers.Control.GetFeature.prototype.request.apply(this, arguments);
+                }
             }
             if (l.unqueriedLayers.length > 0) {
-                self.events.fireEvent('queryresults', {
+                self.fireQueryResults({
                     features: [],
                     unqueriedLayers: l.unqueriedLayers
                 });
             }
             if (l.internalLayers.length == 0 && l.externalLayers.length == 0 &&
                     l.unqueriedLayers.length == 0) {
-                self.events.fireEvent('queryresults', {
+                self.fireQueryResults({
                     features: []
                 });
             }
-            if (self.autoDeactivate && self.action) {
-                self.action.items[0].toggle(false);
-            }
+            self.untoggleActions();
         };
 
         if (this.actionTarget) {
@@ -673,7 +832,159 @@ cgxp.plugins.GetFeature = Ext.extend(gxp.plugins.Tool, {
             eventListeners: listeners,
             request: request
         });
+        // SHIFT and ALT are used to add to or remove from the selection
+        this.ctrlWFSControl.handlers.box.dragHandler.checkModifiers =
+            function(evt) {
+                return OpenLayers.Handler.prototype.checkModifiers.call(this, {
+                    ctrlKey: evt.ctrlKey,
+                    metaKey: evt.metaKey
+                });
+            };
         map.addControl(this.ctrlWFSControl);
+
+        this.selectionControls = {};
+        Ext.each(this.selectionModes, function(mode) {
+            if (mode != 'box') {
+                this.selectionControls[mode] = this.createSelectionControl(mode);
+                map.addControl(this.selectionControls[mode]);
+            }
+        }, this);
+    },
+
+    /** private: method[createSelectionControl]
+     *  Creates the drawing control of a selection mode.
+     *  :arg mode: ``String`` ``polygon``, ``circle``, ``buffer`` or
+     *      ``corridor``.
+     *  :returns: ``OpenLayers.Control``
+     */
+    createSelectionControl: function(mode) {
+        var control = new OpenLayers.Control({
+            eventListeners: {
+                // the clicks are used to draw
+                activate: function() {
+                    if (this.clickWMSControl) {
+                        this.clickWMSControl.deactivate();
+                    }
+                },
+                deactivate: function() {
+                    if (this.clickWMSControl && this.active) {
+                        this.clickWMSControl.activate();
+                    }
+                },
+                scope: this
+            }
+        });
+        var callbacks = {
+            done: (function(geometry) {
+                this.ctrlWFSControl.request(null, {
+                    filter: this.getSelectionFilter(mode, geometry)
+                });
+            }).createDelegate(this)
+        };
+        switch (mode) {
+            case 'polygon':
+                control.handler = new OpenLayers.Handler.Polygon(control,
+                    callbacks, {freehand: true});
+                break;
+            case 'circle':
+                control.handler = new OpenLayers.Handler.RegularPolygon(
+                    control, callbacks, {sides: 40});
+                break;
+            case 'buffer':
+                control.handler = new OpenLayers.Handler.Point(control,
+                    callbacks);
+                break;
+            case 'corridor':
+                control.handler = new OpenLayers.Handler.Path(control,
+                    callbacks);
+                break;
+        }
+        return control;
+    },
+
+    /** private: method[getSelectionFilter]
+     *  :arg mode: ``String`` The selection mode.
+     *  :arg geometry: ``OpenLayers.Geometry`` The drawn geometry.
+     *  :returns: ``OpenLayers.Filter.Spatial`` The WFS filter.
+     */
+    getSelectionFilter: function(mode, geometry) {
+        if (mode == 'buffer' || mode == 'corridor') {
+            return new OpenLayers.Filter.Spatial({
+                type: OpenLayers.Filter.Spatial.DWITHIN,
+                value: geometry,
+                distance: mode == 'buffer' ?
+                    this.bufferDistance : this.corridorWidth / 2,
+                distanceUnits: 'm'
+            });
+        }
+        return new OpenLayers.Filter.Spatial({
+            type: OpenLayers.Filter.Spatial.INTERSECTS,
+            value: geometry
+        });
+    },
+
+    /** api: method[queryGeometry]
+     *  Queries the features intersecting a geometry, replacing the current
+     *  selection.
+     *  :arg geometry: ``OpenLayers.Geometry`` In the map projection.
+     */
+    queryGeometry: function(geometry) {
+        this.selectionMode = 'replace';
+        this.ctrlWFSControl.request(null, {
+            filter: this.getSelectionFilter('polygon', geometry)
+        });
+    },
+
+    /** private: method[readFeatures]
+     *  Reads the features matching a filter, as
+     *  ``OpenLayers.Control.GetFeature.request`` does for a box.
+     *  :arg control: ``OpenLayers.Control.GetFeature``
+     *  :arg filter: ``OpenLayers.Filter``
+     */
+    readFeatures: function(control, filter) {
+        OpenLayers.Element.addClass(control.map.viewPortDiv, "olCursorWait");
+        control.protocol.read({
+            filter: filter,
+            callback: function(result) {
+                if (result.success()) {
+                    if (result.features.length) {
+                        control.select(result.features);
+                    } else {
+                        control.events.triggerEvent("clickout");
+                        if (control.clickout) {
+                            control.unselectAll();
+                        }
+                    }
+                }
+                OpenLayers.Element.removeClass(control.map.viewPortDiv,
+                    "olCursorWait");
+            }
+        });
+    },
+
+    /** private: method[createPager]
+     *  :returns: ``cgxp.data.WFSPager`` The pager of the last WFS query.
+     */
+    createPager: function() {
+        var self = this;
+        return new cgxp.data.WFSPager({
+            url: this.mapserverURL,
+            filter: this.filter,
+            featureNS: cgxp.WFS_FEATURE_NS,
+            geometryName: this.geometryName,
+            srsName: this.target.mapPanel.map.getProjection(),
+            pageSize: this.maxFeatures,
+            pagingParam: this.pagingParam,
+            useStartIndex: this.useStartIndex,
+            getParams: function(featureType) {
+                var params = Ext.apply({}, self.target.mapPanel.params);
+                if (self.externalWFSTypes &&
+                        self.externalWFSTypes.indexOf(featureType) >= 0) {
+                    params.EXTERNAL = 'true';
+                }
+                return params;
+            }
+        });
     },
 
     /** private: method[getLayers]
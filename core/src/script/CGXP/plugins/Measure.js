@@ -10,9 +10,19 @@
  * @requires plugins/Tool.js
  * @requires OpenLayers/Control.js
  * @requires OpenLayers/Control/Measure.js
+ * @requires OpenLayers/Format/URLCompressed.js
  * @include OpenLayers/Handler/Point.js
  * @include OpenLayers/Handler/Path.js
  * @include OpenLayers/Handler/Polygon.js
+ * @include OpenLayers/Control/ModifyFeature.js
+ * @include OpenLayers/Layer/Vector.js
+ * @include OpenLayers/Filter/Comparison.js
+ * @include CGXP/data/Snapping.js
+ * @include CGXP/data/OffsetMeasureControl.js
+ * @include CGXP/data/SnapTargets.js
+ * @include CGXP/tools/tools.js
+ * @include OpenLayers/Format/GeoJSON.js
+ * @include OpenLayers/Format/JSON.js
  * @include OpenLayers/StyleMap.js
  * @include OpenLayers/Style.js
  * @include OpenLayers/Rule.js
@@ -37,7 +47,29 @@ Ext.namespace("cgxp.plugins");
  *          tools: [{
  *              ptype: 'cgxp_measure',
  *              actionTarget: 'center.tbar',
- *              toggleGroup: 'maptools'
+ *              toggleGroup: 'maptools',
+ *              keepMeasures: true,
+ *              stateId: 'measure' // to save the measures in the permalink
+ *          }]
+ *          ...
+ *      });
+ *
+ *  With snapping to the features of queryable layers:
+ *
+ *  .. code-block:: javascript
+ *
+ *      new gxp.Viewer({
+ *          ...
+ *          tools: [{
+ *              ptype: 'cgxp_measure',
+ *              actionTarget: 'center.tbar',
+ *              toggleGroup: 'maptools',
+ *              layerTreeId: 'layertree',
+ *              mapserverUrl: "${request.route_url('mapserverproxy', path='')}",
+ *              snapLayers: {
+ *                  'buildings': {tolerance: 10},
+ *                  'roads': {tolerance: 10, vertex: false}
+ *              }
  *          }]
  *          ...
  *      });
@@ -46,10 +78,37 @@ Ext.namespace("cgxp.plugins");
 /** api: constructor
  *  .. class:: Measure(config)
  *
- *    This plugin adds a menu with menu items for selecting measure tools.
+ *    This plugin adds a menu with menu items for selecting measure tools:
+ *    point, length, area, azimuth, circle (radius, area and circumference),
+ *    point at a typed bearing and distance from a clicked origin, and
+ *    perpendicular offset of a point from a line.
  *
  *    The menu div is assigned the ``cgxp-menu-measure`` class name, which
  *    can be useful for styling.
+ *
+ *    With ``keepMeasures`` the finished measures are kept on a vector
+ *    layer, instead of the popup of the last one, labelled with the length
+ *    of the segments, the total length, the area and the
+ *    perimeter. They are printed with the map, and the menu has items to
+ *    modify them, to delete the selected one or to delete them all.
+ *
+ *    With ``snapLayers`` the menu has an item to snap the measures to the
+ *    nodes, vertices, edges and intersections of the features of the
+ *    visible layers, read by WFS like the snapping of
+ *    :class:`cgxp.plugins.Editing`.
+ *
+ *    The settings sub menu allows to choose the length units, the area
+ *    units and the coordinate systems displayed with the points, see
+ *    ``coordinateSystems``. The coordinates of the last measured point can
+ *    be copied to the clipboard.
+ *
+ *    With ``profileServiceUrl`` and ``rasterLayers`` the length and azimuth
+ *    measures also display, for each raster layer, the start and end
+ *    elevations, the height difference, the slope and the 3D distance along
+ *    the terrain, read from the profile service of
+ *    :class:`cgxp.plugins.Profile`. With ``rasterServiceUrl`` the
+ *    elevations of the ends of the azimuth measures are read from the
+ *    raster service instead.
  */
 cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
 
@@ -61,6 +120,106 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      */
     minAzimuth: 0,
 
+    /** api: config[keepMeasures]
+     *  ``Boolean`` Keep the finished measures on a labelled layer instead of
+     *  showing the last one in a popup. Default is false.
+     */
+    keepMeasures: false,
+
+    /** api: config[stateId]
+     *  ``String`` Used to save the kept measures in the permalink.
+     */
+    stateId: null,
+
+    /** api: config[layerTreeId]
+     *  ``String``
+     *  Id of the layertree tool, required when snapping is used.
+     */
+    layerTreeId: null,
+
+    /** api: config[mapserverUrl]
+     *  ``String``
+     *  The mapserver proxy URL, required when snapping is used. Typically set to
+     *  ``"${request.route_url('mapserverproxy', path='')}"``
+     */
+    mapserverUrl: null,
+
+    /** api: config[snapLayers]
+     *  ``Object``
+     *  The layers to snap to, see the ``snapLayers`` option of
+     *  :class:`cgxp.plugins.Editing`. The targets also accept an
+     *  *intersection* key, true by default, to snap to the intersections
+     *  of the edges of the features, and an *intersectionTolerance* key.
+     */
+    snapLayers: null,
+
+    /** api: config[snapOptions]
+     *  ``Object``
+     *  An object containing the options for the snap control, see the
+     *  ``snapOptions`` option of :class:`cgxp.plugins.Editing`.
+     */
+    snapOptions: null,
+
+    /** api: config[snapping]
+     *  ``Boolean`` Whether snapping is initially on. Default is false.
+     */
+    snapping: false,
+
+    /** api: config[lengthUnits]
+     *  ``Array(String)`` The length units of the settings menu, in
+     *  ``m``, ``km``, ``ft``, ``mi`` and ``nmi``.
+     */
+    lengthUnits: ['m', 'km', 'ft', 'mi', 'nmi'],
+
+    /** api: config[lengthUnit]
+     *  ``String`` The length unit, one of ``lengthUnits``. Default is null,
+     *  the most suitable unit between meters and kilometers.
+     */
+    lengthUnit: null,
+
+    /** api: config[areaUnits]
+     *  ``Array(String)`` The area units of the settings menu, in ``m``
+     *  (square meters), ``ha``, ``km`` (square kilometers) and ``ac``.
+     */
+    areaUnits: ['m', 'ha', 'km', 'ac'],
+
+    /** api: config[areaUnit]
+     *  ``String`` The area unit, one of ``areaUnits``. Default is null, the
+     *  most suitable unit between square meters and square kilometers.
+     */
+    areaUnit: null,
+
+    /** api: config[coordinateSystems]
+     *  ``Array(Object)`` The coordinate systems that can be displayed with
+     *  the points. An object has a ``name``, a ``projection`` code, default
+     *  is ``EPSG:4326``, a ``format`` and ``checked`` to display it by
+     *  default. The formats are ``metric``, ``dd`` (decimal degrees),
+     *  ``dms`` (degrees, minutes and seconds), ``dm`` (degrees and decimal
+     *  minutes), ``utm`` and ``mgrs``, default is ``metric`` for the
+     *  projections in meters and ``dd`` otherwise. The definitions of the
+     *  projections other than ``EPSG:4326`` and ``EPSG:900913`` must be
+     *  loaded with proj4js.
+     *
+     *  Default is:
+     *
+     *  .. code-block:: javascript
+     *
+     *      [
+     *          {name: 'WGS 84', format: 'dd', checked: true},
+     *          {name: 'WGS 84 (DMS)', format: 'dms'},
+     *          {name: 'WGS 84 (DM)', format: 'dm'},
+     *          {name: 'UTM', format: 'utm'},
+     *          {name: 'MGRS', format: 'mgrs'}
+     *      ]
+     *
+     *  Example of a projected coordinate system:
+     *
+     *  .. code-block:: javascript
+     *
+     *      {name: 'CH1903+ / LV95', projection: 'EPSG:2056'}
+     */
+    coordinateSystems: null,
+
     /** api: config[actionConfig]
      *  ``Object``
      *  Config object for the action created by this plugin.
@@ -96,6 +255,24 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      */
     azimuthMenuText: "Azimuth",
 
+    /** api: config[circleMenuText]
+     *  ``String``
+     *  Text for circle menu item (i18n).
+     */
+    circleMenuText: "Circle",
+
+    /** api: config[bearingMenuText]
+     *  ``String``
+     *  Text for point at bearing and distance menu item (i18n).
+     */
+    bearingMenuText: "Point at bearing and distance",
+
+    /** api: config[offsetMenuText]
+     *  ``String``
+     *  Text for perpendicular offset menu item (i18n).
+     */
+    offsetMenuText: "Perpendicular offset",
+
     /** api: config[coordinateText]
      *  ``String``
      *  Text to display in point mesure tooltip.
@@ -128,6 +305,224 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      */
     azimuthText: "Azimuth: ",
 
+    /** api: config[totalText]
+     *  ``String``
+     *  Text of the total length label of a kept measure (i18n).
+     */
+    totalText: "Total: ",
+
+    /** api: config[areaText]
+     *  ``String``
+     *  Text of the area label of a kept measure (i18n).
+     */
+    areaText: "Area: ",
+
+    /** api: config[perimeterText]
+     *  ``String``
+     *  Text of the perimeter label of a kept measure (i18n).
+     */
+    perimeterText: "Perimeter: ",
+
+    /** api: config[radiusText]
+     *  ``String``
+     *  Text to display in circle tooltip (i18n).
+     */
+    radiusText: "Radius: ",
+
+    /** api: config[circumferenceText]
+     *  ``String``
+     *  Text to display in circle tooltip (i18n).
+     */
+    circumferenceText: "Circumference: ",
+
+    /** api: config[offsetText]
+     *  ``String``
+     *  Text to display in perpendicular offset tooltip (i18n).
+     */
+    offsetText: "Offset: ",
+
+    /** api: config[chainageText]
+     *  ``String``
+     *  Text to display in perpendicular offset tooltip, for the distance
+     *  from the first point of the line to the foot of the perpendicular
+     *  (i18n).
+     */
+    chainageText: "Chainage: ",
+
+    /** api: config[leftText]
+     *  ``String``
+     *  Side of the line of a perpendicular offset (i18n).
+     */
+    leftText: "left",
+
+    /** api: config[rightText]
+     *  ``String``
+     *  Side of the line of a perpendicular offset (i18n).
+     */
+    rightText: "right",
+
+    /** api: config[bearingAzimuthText]
+     *  ``String``
+     *  Label of the azimuth field of the point at bearing and distance
+     *  form (i18n).
+     */
+    bearingAzimuthText: "Azimuth (°)",
+
+    /** api: config[bearingDistanceText]
+     *  ``String``
+     *  Label of the distance field of the point at bearing and distance
+     *  form, ``{0}`` is replaced by the map units (i18n).
+     */
+    bearingDistanceText: "Distance ({0})",
+
+    /** api: config[placePointText]
+     *  ``String``
+     *  Text of the button of the point at bearing and distance form (i18n).
+     */
+    placePointText: "Place the point",
+
+    /** api: config[editMenuText]
+     *  ``String``
+     *  Text for the modify measures menu item (i18n).
+     */
+    editMenuText: "Modify the measures",
+
+    /** api: config[deleteMenuText]
+     *  ``String``
+     *  Text for the delete the selected measure menu item (i18n).
+     */
+    deleteMenuText: "Delete the selected measure",
+
+    /** api: config[clearMenuText]
+     *  ``String``
+     *  Text for the delete all the measures menu item (i18n).
+     */
+    clearMenuText: "Delete all the measures",
+
+    /** api: config[snapMenuText]
+     *  ``String``
+     *  Text for the snapping menu item (i18n).
+     */
+    snapMenuText: "Snap to the features",
+
+    /** api: config[elevationText]
+     *  ``String``
+     *  Text for the start and end elevations (i18n).
+     */
+    elevationText: "Elevation: ",
+
+    /** api: config[heightDifferenceText]
+     *  ``String``
+     *  Text for the height difference (i18n).
+     */
+    heightDifferenceText: "Height difference: ",
+
+    /** api: config[slopeText]
+     *  ``String``
+     *  Text for the slope (i18n).
+     */
+    slopeText: "Slope: ",
+
+    /** api: config[distance3dText]
+     *  ``String``
+     *  Text for the 3D distance (i18n).
+     */
+    distance3dText: "3D distance: ",
+
+    /** api: config[settingsMenuText]
+     *  ``String``
+     *  Text for the settings menu item (i18n).
+     */
+    settingsMenuText: "Settings",
+
+    /** api: config[lengthUnitsMenuText]
+     *  ``String``
+     *  Text for the length units menu item (i18n).
+     */
+    lengthUnitsMenuText: "Length units",
+
+    /** api: config[areaUnitsMenuText]
+     *  ``String``
+     *  Text for the area units menu item (i18n).
+     */
+    areaUnitsMenuText: "Area units",
+
+    /** api: config[coordinatesMenuText]
+     *  ``String``
+     *  Text for the coordinate systems menu item (i18n).
+     */
+    coordinatesMenuText: "Coordinate systems",
+
+    /** api: config[automaticUnitText]
+     *  ``String``
+     *  Text for the most suitable unit menu item (i18n).
+     */
+    automaticUnitText: "Automatic",
+
+    /** api: config[metersText]
+     *  ``String`` (i18n).
+     */
+    metersText: "Meters",
+
+    /** api: config[kilometersText]
+     *  ``String`` (i18n).
+     */
+    kilometersText: "Kilometers",
+
+    /** api: config[feetText]
+     *  ``String`` (i18n).
+     */
+    feetText: "Feet",
+
+    /** api: config[milesText]
+     *  ``String`` (i18n).
+     */
+    milesText: "Miles",
+
+    /** api: config[nauticalMilesText]
+     *  ``String`` (i18n).
+     */
+    nauticalMilesText: "Nautical miles",
+
+    /** api: config[squareMetersText]
+     *  ``String`` (i18n).
+     */
+    squareMetersText: "Square meters",
+
+    /** api: config[hectaresText]
+     *  ``String`` (i18n).
+     */
+    hectaresText: "Hectares",
+
+    /** api: config[squareKilometersText]
+     *  ``String`` (i18n).
+     */
+    squareKilometersText: "Square kilometers",
+
+    /** api: config[acresText]
+     *  ``String`` (i18n).
+     */
+    acresText: "Acres",
+
+    /** api: config[copyMenuText]
+     *  ``String``
+     *  Text for the copy the point coordinates menu item (i18n).
+     */
+    copyMenuText: "Copy the point coordinates",
+
+    /** api: config[copiedText]
+     *  ``String``
+     *  Text of the notification of the copied coordinates (i18n).
+     */
+    copiedText: "The coordinates have been copied to the clipboard.",
+
+    /** api: config[copyTitleText]
+     *  ``String``
+     *  Title of the window of the coordinates to copy when the clipboard
+     *  is not available (i18n).
+     */
+    copyTitleText: "Coordinates",
+
     /** api: config[pointTooltip]
      *  ``String``
      *  Text for measure point action tooltip (i18n).
@@ -152,6 +547,24 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      */
     azimuthTooltip: "Measure azimuth",
 
+    /** api: config[circleTooltip]
+     *  ``String``
+     *  Text for circle action tooltip (i18n).
+     */
+    circleTooltip: "Measure circle",
+
+    /** api: config[bearingTooltip]
+     *  ``String``
+     *  Text for point at bearing and distance action tooltip (i18n).
+     */
+    bearingTooltip: "Place a point at a bearing and a distance",
+
+    /** api: config[offsetTooltip]
+     *  ``String``
+     *  Text for perpendicular offset action tooltip (i18n).
+     */
+    offsetTooltip: "Measure perpendicular offset",
+
     /** api: config[measureTooltip]
      *  ``String``
      *  Text for measure action tooltip (i18n).
@@ -192,10 +605,11 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      *              '<table class="measure point"><tr>',
      *              '<td>', this.coordinateText, '</td>',
      *              '<td>{lonm}  {latm} m</td>',
-     *              '</tr><tr>',
-     *              '<td>WGS 84: </td>',
-     *              '<td>{lond} {latd}</td>',
-     *              '</tr></table>', {compiled: true});
+     *              '</tr>{coordinates}</table>', {compiled: true});
+     *
+     *  ``{coordinates}`` are the table rows of the checked
+     *  ``coordinateSystems``, ``{lond}`` and ``{latd}`` the WGS 84
+     *  coordinates, kept for the existing templates.
      */
     pointMeterTemplate: null,
 
@@ -214,6 +628,38 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      */
     pointTemplate: null,
 
+    /** api: config[rasterServiceUrl]
+     *  ``String`` The url of the raster service, gets the elevations of the
+     *  ends of the azimuth measure, see ``azimuthTemplate``. Typically set to
+     *  ``"${request.route_url('raster')}"``.
+     */
+    rasterServiceUrl: null,
+
+    /** api: config[profileServiceUrl]
+     *  ``String`` The url of the profile service, used to display the
+     *  elevations of the length and azimuth measures. Typically set to
+     *  ``"${request.route_url('profile.json')}"``.
+     */
+    profileServiceUrl: null,
+
+    /** api: config[rasterLayers]
+     *  ``Array(String)`` The raster layers of the elevations, e.g.
+     *  ``['mnt', 'mns']``.
+     */
+    rasterLayers: null,
+
+    /** api: config[nbPoints]
+     *  ``Integer`` The number of points of the profile used to compute the
+     *  3D distance. Default is 100.
+     */
+    nbPoints: 100,
+
+    /** api: config[valuesProperty]
+     *  ``String`` The property of the elevations in the profile service
+     *  responses. Default is ``values``.
+     */
+    valuesProperty: 'values',
+
     /** api: config[controlOptions]
      *  ``Object``
      *  Allow to customise the handler behavior.
@@ -235,6 +681,11 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
 
     popup: null,
 
+    /** private: property[printAnnotationLayer]
+     *  ``OpenLayers.Layer.Vector`` The layer with the printed measure.
+     */
+    printAnnotationLayer: null,
+
     /** api: config[popupPosition]
      *  ``Object``
      *  (optional) Set the position behaviour for the popup.
@@ -300,10 +751,134 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
      */
     azimuthSymbolizers: {},
 
+    /** api: config[labelSymbolizer]
+     *  ``Object``
+     *  (optional) Style of the labels of the kept measures. If provided it
+     *  will override the default style.
+     */
+    labelSymbolizer: {},
+
+    /** private: property[measureLayer]
+     *  ``OpenLayers.Layer.Vector`` The layer of the kept measures and of
+     *  their labels.
+     */
+    measureLayer: null,
+
+    /** private: property[modifyControl]
+     *  ``OpenLayers.Control.ModifyFeature`` The control to modify the kept
+     *  measures.
+     */
+    modifyControl: null,
+
+    /** private: property[calculator]
+     *  ``OpenLayers.Control.Measure`` Used to measure the kept measures.
+     */
+    calculator: null,
+
+    /** private: property[urlCompressed]
+     *  ``OpenLayers.Format.URLCompressed`` The format of the kept measures
+     *  in the permalink.
+     */
+    urlCompressed: null,
+
+    /** private: property[bearingPopup]
+     *  ``GeoExt.Popup`` The popup with the point at bearing and distance
+     *  form.
+     */
+    bearingPopup: null,
+
+    /** private: property[bearingForm]
+     *  ``Ext.form.FormPanel`` The point at bearing and distance form.
+     */
+    bearingForm: null,
+
+    /** private: property[bearingOrigin]
+     *  ``OpenLayers.Geometry.Point`` The clicked origin of the point at
+     *  bearing and distance.
+     */
+    bearingOrigin: null,
+
+    /** private: property[snapControl]
+     *  ``cgxp.data.Snapping``
+     */
+    snapControl: null,
+
+    /** private: property[snapTargets]
+     *  ``cgxp.data.SnapTargets``
+     */
+    snapTargets: null,
+
+    /** private: property[snapItem]
+     *  ``Ext.menu.CheckItem`` The snapping menu item.
+     */
+    snapItem: null,
+
+    /** private: property[lengthFactors]
+     *  ``Object`` The length units in meters.
+     */
+    lengthFactors: {m: 1, km: 1000, ft: 0.3048, mi: 1609.344, nmi: 1852},
+
+    /** private: property[areaFactors]
+     *  ``Object`` The area units in square meters.
+     */
+    areaFactors: {m: 1, ha: 10000, km: 1000000, ac: 4046.8564224},
+
+    /** private: property[areaSymbols]
+     *  ``Object``
+     */
+    areaSymbols: {m: 'm²', ha: 'ha', km: 'km²', ac: 'ac'},
+
+    /** private: property[lastPoint]
+     *  ``OpenLayers.Geometry.Point`` The last measured point.
+     */
+    lastPoint: null,
+
+    /** private: property[elevationRequest]
+     *  ``Object`` The pending profile request of the popup.
+     */
+    elevationRequest: null,
+
+    /** private: property[copyItem]
+     *  ``Ext.menu.Item`` The copy the point coordinates menu item.
+     */
+    copyItem: null,
+
+    /** private: property[activeControl]
+     *  ``OpenLayers.Control`` The active measure control.
+     */
+    activeControl: null,
+
     /** private: method[constructor]
      */
     constructor: function(config) {
         cgxp.plugins.Measure.superclass.constructor.apply(this, arguments);
+        this.coordinateSystems = this.coordinateSystems || [
+            {name: 'WGS 84', format: 'dd', checked: true},
+            {name: 'WGS 84 (DMS)', format: 'dms'},
+            {name: 'WGS 84 (DM)', format: 'dm'},
+            {name: 'UTM', format: 'utm'},
+            {name: 'MGRS', format: 'mgrs'}
+        ];
+    },
+
+    /** private: method[init]
+     */
+    init: function() {
+        cgxp.plugins.Measure.superclass.init.apply(this, arguments);
+        this.target.on('ready', this.viewerReady, this);
+    },
+
+    /** private: method[viewerReady]
+     */
+    viewerReady: function() {
+        this.initSnapping();
+        if (this.measureLayer) {
+            this.target.mapPanel.map.addLayer(this.measureLayer);
+            var state = this.stateId && Ext.state.Manager.get(this.stateId);
+            if (state) {
+                this.applyState(state);
+            }
+        }
     },
 
     /** private: method[destroy]
@@ -314,10 +889,14 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
     },
 
     cleanup: function() {
+        this.abortElevation();
         if (this.popup) {
             this.popup.destroy();
             delete this.popup;
         }
+        if (this.bearingPopup) {
+            this.bearingPopup.hide();
+        }
     },
 
     /** private: method[createMeasureControl]
@@ -362,17 +941,34 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
         });
 
 
+        var measureType = handlerType == OpenLayers.Handler.Point ? 'point' :
+            handlerType == OpenLayers.Handler.Polygon ? 'area' : 'length';
         var controlOptions = Ext.apply({}, this.initialConfig.controlOptions);
         Ext.applyIf(controlOptions, {
             geodesic: true,
-            persist: true,
-            handlerOptions: {layerOptions: {styleMap: styleMap}},
+            // the kept measures replace the sketch
+            persist: !this.keepMeasures,
+            handlerOptions: {
+                persist: !this.keepMeasures,
+                layerOptions: {styleMap: styleMap}
+            },
             eventListeners: {
                 measurepartial: function(event) {
+                    this.abortElevation();
                     this.showPopup(event, title);
                 },
                 measure: function(event) {
-                    this.showPopup(event, title);
+                    if (measureType == 'point') {
+                        this.setLastPoint(event.geometry);
+                    }
+                    if (this.keepMeasures) {
+                        this.keepMeasure(event, measureType);
+                    } else {
+                        this.showPopup(event, title);
+                        if (measureType == 'length') {
+                            this.showElevation(event, title);
+                        }
+                    }
                 },
                 deactivate: function() {
                     this.popup && this.popup.hide();
@@ -384,7 +980,7 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
             new cgxp.plugins.Measure.LocatorControl(controlOptions) :
             new OpenLayers.Control.Measure(handlerType, controlOptions);
 
-        return measureControl;
+        return this.registerSnapping(measureControl);
     },
 
     /** private: method[showPopup]
@@ -425,40 +1021,908 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
                 // IE7 needs an explicit width.
                 this.popup.setWidth(200);
             }
+            this.popup.on('hide', this.clearPrintAnnotation, this);
+        }
+        if (!this.controlOptions.immediate) {
+            this.popup.hide();
+        }
+        this.popup.setTitle(title);
+
+        var order = event.order,
+            geom = event.geometry;
+
+        var measure = (order) ?
+            event.measure.toFixed(2) : event.measure;
+
+        if (!order || measure > 0) {
+            if (order == 2) {
+                geom = geom.getCentroid();
+            } else if (order == 1 || event.azimuth !== undefined ||
+                    event.offset !== undefined) {
+                geom = geom.components[geom.components.length - 1];
+            }
+            if (!this.popup.fixed) {
+                this.popup.location = new OpenLayers.LonLat(geom.x, geom.y);
+                this.popup.position();
+            }
+            if (this.popup.hidden) {
+                this.popup.show();
+            }
+            var html = this.makeString(event);
+            this.popup.update({
+                html: html
+            });
+            this.setPrintAnnotation(event.object, geom, html);
+        }
+    },
+
+    /** private: method[setPrintAnnotation]
+     *  Add the measure as a text annotation to the sketch layer, to have it
+     *  on the printed map, see :class:`cgxp.data.PrintVectorEncoder`.
+     *  :arg control: ``OpenLayers.Control.Measure``
+     *  :arg geometry: ``OpenLayers.Geometry.Point`` The popup location.
+     *  :arg html: ``String`` The popup content.
+     */
+    setPrintAnnotation: function(control, geometry, html) {
+        var layer = control && control.handler && control.handler.layer;
+        if (!layer) {
+            return;
+        }
+        this.clearPrintAnnotation();
+        this.printAnnotationLayer = layer;
+        layer.printAnnotations = [{
+            geometry: new OpenLayers.Geometry.Point(geometry.x, geometry.y),
+            text: this.htmlToText(html),
+            style: {
+                labelAlign: 'lb',
+                fontSize: '11px'
+            }
+        }];
+    },
+
+    /** private: method[clearPrintAnnotation]
+     *  The measure is not printed once its popup is closed.
+     */
+    clearPrintAnnotation: function() {
+        if (this.printAnnotationLayer) {
+            delete this.printAnnotationLayer.printAnnotations;
+            this.printAnnotationLayer = null;
+        }
+    },
+
+    /** private: method[htmlToText]
+     *  :arg html: ``String`` The content of a popup.
+     *  :returns: ``String`` The text, with a line by table row.
+     */
+    htmlToText: function(html) {
+        var div = document.createElement('div');
+        div.innerHTML = html.replace(/<\/tr>|<br\s*\/?>/gi, '\n')
+            .replace(/<\/td>/gi, ' ');
+        return (div.textContent || div.innerText || '')
+            .replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n')
+            .replace(/^\s+|\s+$/g, '');
+    },
+
+    /** private: method[createMeasureLayer]
+     *  Creates the layer of the kept measures and the control to modify
+     *  them.
+     */
+    createMeasureLayer: function() {
+        var map = this.target.mapPanel.map;
+        var style = new OpenLayers.Style(null, {
+            rules: [
+                new OpenLayers.Rule({
+                    filter: new OpenLayers.Filter.Comparison({
+                        type: OpenLayers.Filter.Comparison.EQUAL_TO,
+                        property: 'measureLabel',
+                        value: true
+                    }),
+                    symbolizer: Ext.apply({
+                        pointRadius: 0,
+                        fillOpacity: 0,
+                        strokeOpacity: 0,
+                        label: "${label}",
+                        labelAlign: "${labelAlign}",
+                        fontSize: "11px",
+                        fontColor: "#333333",
+                        labelOutlineColor: "white",
+                        labelOutlineWidth: 3
+                    }, this.labelSymbolizer)
+                }),
+                new OpenLayers.Rule({
+                    filter: new OpenLayers.Filter.Comparison({
+                        type: OpenLayers.Filter.Comparison.EQUAL_TO,
+                        property: 'measureGraphic',
+                        value: true
+                    }),
+                    symbolizer: {
+                        "Point": {
+                            pointRadius: 6,
+                            graphicName: "cross",
+                            fillColor: "#666666",
+                            fillOpacity: 1,
+                            strokeWidth: 1,
+                            strokeOpacity: 1,
+                            strokeColor: "#333333"
+                        },
+                        "Line": {
+                            strokeWidth: 2,
+                            strokeOpacity: 1,
+                            strokeColor: "#666666",
+                            strokeDashstyle: "dash"
+                        }
+                    }
+                }),
+                new OpenLayers.Rule({
+                    // drawn with its graphics, but still selectable
+                    filter: new OpenLayers.Filter.Comparison({
+                        type: OpenLayers.Filter.Comparison.EQUAL_TO,
+                        property: 'measureType',
+                        value: 'offset'
+                    }),
+                    symbolizer: {
+                        strokeWidth: 6,
+                        strokeOpacity: 0
+                    }
+                }),
+                new OpenLayers.Rule({
+                    elseFilter: true,
+                    symbolizer: Ext.apply({
+                        "Point": {
+                            pointRadius: 4,
+                            graphicName: "square",
+                            fillColor: "white",
+                            fillOpacity: 1,
+                            strokeWidth: 1,
+                            strokeOpacity: 1,
+                            strokeColor: "#333333"
+                        },
+                        "Line": {
+                            strokeWidth: 3,
+                            strokeOpacity: 1,
+                            strokeColor: "#666666"
+                        },
+                        "Polygon": {
+                            strokeWidth: 2,
+                            strokeOpacity: 1,
+                            strokeColor: "#666666",
+                            fillColor: "white",
+                            fillOpacity: 0.3
+                        }
+                    }, this.symbolizers)
+                })
+            ]
+        });
+        this.measureLayer = new OpenLayers.Layer.Vector(
+            OpenLayers.Util.createUniqueID("cgxp"), {
+                displayInLayerSwitcher: false,
+                alwaysInRange: true,
+                styleMap: new OpenLayers.StyleMap({"default": style})
+            }
+        );
+        this.measureLayer.events.on({
+            beforefeaturemodified: function(event) {
+                var attributes = event.feature.attributes;
+                if (attributes.measureLabel) {
+                    // the labels follow their measure
+                    return false;
+                }
+                // a circle stays a circle
+                this.modifyControl.mode = attributes.measureType == 'circle' ?
+                    OpenLayers.Control.ModifyFeature.RESIZE |
+                        OpenLayers.Control.ModifyFeature.DRAG :
+                    OpenLayers.Control.ModifyFeature.RESHAPE;
+            },
+            vertexmodified: function(event) {
+                // the pending elevations are outdated
+                event.feature.elevation = null;
+                event.feature.elevationToken = null;
+                this.updateLabels(event.feature);
+            },
+            featuremodified: function(event) {
+                this.updateLabels(event.feature);
+                this.updateElevation(event.feature);
+                this.saveState();
+            },
+            scope: this
+        });
+        this.modifyControl = new OpenLayers.Control.ModifyFeature(
+            this.measureLayer);
+
+        this.calculator = new OpenLayers.Control.Measure(
+            OpenLayers.Handler.Path, {
+                geodesic: this.controlOptions.geodesic !== false
+            });
+        this.calculator.setMap(map);
+    },
+
+    /** private: method[keepMeasure]
+     *  Keeps a finished measure.
+     *  :arg event: ``Object`` The ``measure`` event of the control.
+     *  :arg measureType: ``String`` ``point``, ``length``, ``area``,
+     *      ``azimuth``, ``circle``, ``bearing`` or ``offset``.
+     *  :returns: ``OpenLayers.Feature.Vector`` The kept measure.
+     */
+    keepMeasure: function(event, measureType) {
+        var control = event.object;
+        var geometry = event.geometry.clone();
+        if (control.displayProjection) {
+            geometry.transform(control.displayProjection,
+                this.target.mapPanel.map.getProjectionObject());
+        }
+        if (measureType == 'circle') {
+            geometry = OpenLayers.Geometry.Polygon.createRegularPolygon(
+                geometry.components[0], geometry.getLength(), 40);
+        }
+        if (this.popup) {
+            this.popup.hide();
+        }
+        if (measureType == 'azimuth' && event.raster === false &&
+            this.rasterServiceUrl) {
+            // the segment measure control reads the elevations, see
+            // createSegmentMeasureControl
+            var feature = this.createMeasure(geometry, measureType);
+            this.startElevation(feature);
+            return feature;
+        }
+        return this.addMeasure(geometry, measureType);
+    },
+
+    /** api: method[addMeasure]
+     *  Adds a labelled measure.
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :arg measureType: ``String`` ``point``, ``length``, ``area``,
+     *      ``azimuth``, ``circle``, ``bearing`` or ``offset``.
+     *  :returns: ``OpenLayers.Feature.Vector``
+     */
+    addMeasure: function(geometry, measureType) {
+        var feature = this.createMeasure(geometry, measureType);
+        this.updateElevation(feature);
+        return feature;
+    },
+
+    /** private: method[createMeasure]
+     *  Adds a labelled measure without its elevations.
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :arg measureType: ``String`` See ``addMeasure``.
+     *  :returns: ``OpenLayers.Feature.Vector``
+     */
+    createMeasure: function(geometry, measureType) {
+        var feature = new OpenLayers.Feature.Vector(geometry, {
+            measureType: measureType
+        });
+        this.measureLayer.addFeatures([feature]);
+        this.updateLabels(feature);
+        this.saveState();
+        return feature;
+    },
+
+    /** private: method[updateElevation]
+     *  Reads the elevations of a kept length or azimuth measure and
+     *  updates its labels. The elevations of an azimuth measure are read
+     *  from the raster service if there is one, from the profile service
+     *  otherwise.
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A kept measure.
+     */
+    updateElevation: function(feature) {
+        var measureType = feature.attributes.measureType;
+        if (measureType != 'length' && measureType != 'azimuth') {
+            return;
+        }
+        var token = this.startElevation(feature);
+        if (measureType == 'azimuth' && this.rasterServiceUrl) {
+            cgxp.plugins.Measure.SegmentMeasureControl.prototype.requestRaster
+                .call(this, feature.geometry, function(raster) {
+                    this.setElevation(feature, token, raster ?
+                        this.getRasterElevationStats(raster,
+                            this.calculator.getBestLength(feature.geometry)) :
+                        []);
+                }, this);
+        } else {
+            this.requestElevation(feature.geometry, function(elevation) {
+                this.setElevation(feature, token, elevation);
+            }, this);
+        }
+    },
+
+    /** private: method[startElevation]
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A kept measure.
+     *  :returns: ``Object`` The token of the elevation request, the
+     *      responses of the previous requests are ignored.
+     */
+    startElevation: function(feature) {
+        feature.elevation = null;
+        feature.elevationToken = {};
+        return feature.elevationToken;
+    },
+
+    /** private: method[setElevation]
+     *  Sets the elevations of a kept measure and updates its labels,
+     *  unless the measure was removed or modified since the request.
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A kept measure.
+     *  :arg token: ``Object`` The result of ``startElevation``.
+     *  :arg elevation: ``Array(Object)`` See ``getElevationStats``.
+     */
+    setElevation: function(feature, token, elevation) {
+        if (feature.layer && feature.elevationToken === token) {
+            feature.elevationToken = null;
+            feature.elevation = elevation;
+            this.updateLabels(feature);
+        }
+    },
+
+    /** private: method[showElevation]
+     *  Adds the elevations of a finished measure to the popup.
+     *  :arg event: ``Object`` The ``measure`` event of the control.
+     *  :arg title: ``String`` The title of the popup.
+     */
+    showElevation: function(event, title) {
+        this.abortElevation();
+        this.elevationRequest = this.requestElevation(event.geometry,
+            function(elevation) {
+                this.elevationRequest = null;
+                if (this.popup && !this.popup.hidden) {
+                    this.showPopup(Ext.apply({elevation: elevation}, event),
+                        title);
+                }
+            }, this);
+    },
+
+    /** private: method[abortElevation]
+     *  Aborts the pending profile request of the popup.
+     */
+    abortElevation: function() {
+        if (this.elevationRequest) {
+            Ext.Ajax.abort(this.elevationRequest);
+            this.elevationRequest = null;
+        }
+    },
+
+    /** api: method[requestElevation]
+     *  Reads the elevations along a line from the profile service.
+     *  :arg geometry: ``OpenLayers.Geometry.LineString``
+     *  :arg callback: ``Function`` Called with the result of
+     *      ``getElevationStats``, with no stats if the request fails.
+     *  :arg scope: ``Object``
+     *  :returns: ``Number`` The request id, or null without profile service.
+     */
+    requestElevation: function(geometry, callback, scope) {
+        if (!this.profileServiceUrl || !this.rasterLayers) {
+            return null;
+        }
+        return Ext.Ajax.request({
+            url: this.profileServiceUrl,
+            method: 'POST',
+            params: {
+                layers: this.rasterLayers.join(','),
+                geom: new OpenLayers.Format.GeoJSON().write(geometry),
+                nbPoints: this.nbPoints
+            },
+            success: function(response) {
+                var data = new OpenLayers.Format.JSON().read(
+                    response.responseText);
+                callback.call(scope, this.getElevationStats(data.profile));
+            },
+            failure: function(response) {
+                if (!response.isAbort) {
+                    callback.call(scope, []);
+                }
+            },
+            scope: this
+        });
+    },
+
+    /** api: method[getElevationStats]
+     *  :arg profile: ``Array(Object)`` The points of a profile, with their
+     *      ``dist`` from the start in meters and their elevations by raster
+     *      layer.
+     *  :returns: ``Array(Object)`` By raster layer, the ``layer``, the
+     *      ``start`` and ``end`` elevations, the height difference
+     *      ``diff``, the ``slope`` in percent and the ``angle`` in degrees,
+     *      and the ``distance3d`` in meters.
+     *
+     *  Without ``rasterLayers``, the stats are computed for the raster
+     *  layers of the first point.
+     */
+    getElevationStats: function(profile) {
+        var stats = [];
+        var layers = this.rasterLayers;
+        if (!layers) {
+            layers = [];
+            var values = profile.length ? profile[0][this.valuesProperty] : {};
+            for (var name in values) {
+                layers.push(name);
+            }
+        }
+        Ext.each(layers, function(layer) {
+            var points = [];
+            Ext.each(profile, function(point) {
+                var elevation = point[this.valuesProperty][layer];
+                if (elevation !== null && elevation !== undefined) {
+                    points.push({dist: point.dist, elevation: elevation});
+                }
+            }, this);
+            if (points.length < 2) {
+                return;
+            }
+            var first = points[0], last = points[points.length - 1];
+            var distance3d = 0;
+            for (var i = 1; i < points.length; i++) {
+                var dd = points[i].dist - points[i - 1].dist;
+                var dh = points[i].elevation - points[i - 1].elevation;
+                distance3d += Math.sqrt(dd * dd + dh * dh);
+            }
+            var horizontal = last.dist - first.dist;
+            var diff = last.elevation - first.elevation;
+            stats.push({
+                layer: layer,
+                start: first.elevation,
+                end: last.elevation,
+                diff: diff,
+                slope: horizontal ? diff / horizontal * 100 : 0,
+                angle: Math.atan2(diff, horizontal) * 180 / Math.PI,
+                distance3d: distance3d
+            });
+        }, this);
+        return stats;
+    },
+
+    /** private: method[getRasterElevationStats]
+     *  :arg raster: ``Array(Object)`` The responses of the raster service
+     *      for the ends of a segment, see
+     *      ``SegmentMeasureControl.requestRaster``.
+     *  :arg length: ``Array`` The length of the segment and its units.
+     *  :returns: ``Array(Object)`` See ``getElevationStats``.
+     */
+    getRasterElevationStats: function(raster, length) {
+        var start = {dist: 0}, end = {
+            dist: length[0] * OpenLayers.INCHES_PER_UNIT[length[1]] /
+                OpenLayers.INCHES_PER_UNIT.m
+        };
+        start[this.valuesProperty] = raster[0];
+        end[this.valuesProperty] = raster[1];
+        return this.getElevationStats([start, end]);
+    },
+
+    /** api: method[removeMeasure]
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A kept measure.
+     */
+    removeMeasure: function(feature) {
+        if (this.modifyControl.feature == feature) {
+            this.modifyControl.unselectFeature(feature);
+        }
+        this.measureLayer.destroyFeatures(feature.labels.concat([feature]));
+        this.saveState();
+    },
+
+    /** private: method[removeSelectedMeasure]
+     */
+    removeSelectedMeasure: function() {
+        if (this.modifyControl.feature) {
+            this.removeMeasure(this.modifyControl.feature);
+        }
+    },
+
+    /** api: method[clearMeasures]
+     *  Removes all the kept measures.
+     */
+    clearMeasures: function() {
+        Ext.each(this.getMeasures(), this.removeMeasure, this);
+    },
+
+    /** api: method[getMeasures]
+     *  :returns: ``Array(OpenLayers.Feature.Vector)`` The kept measures.
+     */
+    getMeasures: function() {
+        var measures = [];
+        Ext.each(this.measureLayer.features, function(feature) {
+            // not the labels nor the vertices of the modify control
+            if (feature.attributes.measureType) {
+                measures.push(feature);
+            }
+        });
+        return measures;
+    },
+
+    /** private: method[updateLabels]
+     *  Recomputes the labels of a measure.
+     *  :arg feature: ``OpenLayers.Feature.Vector`` A kept measure.
+     */
+    updateLabels: function(feature) {
+        if (!feature.attributes.measureType) {
+            return;
+        }
+        if (feature.labels) {
+            this.measureLayer.destroyFeatures(feature.labels);
+        }
+        feature.labels = [];
+        Ext.each(this.getLabels(feature.geometry,
+                feature.attributes.measureType, feature.elevation), function(label) {
+            feature.labels.push(new OpenLayers.Feature.Vector(label.geometry, {
+                measureLabel: true,
+                measureGraphic: !!label.graphic,
+                label: label.text || '',
+                labelAlign: label.align || 'cm'
+            }));
+        });
+        this.measureLayer.addFeatures(feature.labels);
+    },
+
+    /** private: method[getLabels]
+     *  :arg geometry: ``OpenLayers.Geometry`` The geometry of a measure.
+     *  :arg measureType: ``String``
+     *  :arg elevation: ``Array(Object)`` The elevation stats of a length
+     *      or azimuth measure, see ``getElevationStats``.
+     *  :returns: ``Array(Object)`` The labels, with a point ``geometry``, a
+     *      ``text`` and an ``align``, and the graphics, with a ``geometry``
+     *      and ``graphic`` true.
+     */
+    getLabels: function(geometry, measureType, elevation) {
+        var labels = [];
+        var elevationText = elevation ?
+            '\n' + this.htmlToText(this.makeElevationString(elevation)) : '';
+        var vertices = geometry.getVertices();
+        var last = vertices[vertices.length - 1];
+        switch (measureType) {
+            case 'point':
+                labels.push({
+                    geometry: last.clone(),
+                    text: this.htmlToText(this.makePointString(geometry,
+                        this.target.mapPanel.map.getUnits())),
+                    align: 'lb'
+                });
+                break;
+            case 'length':
+                if (vertices.length > 2) {
+                    for (var i = 1; i < vertices.length; i++) {
+                        var a = vertices[i - 1], b = vertices[i];
+                        labels.push({
+                            geometry: new OpenLayers.Geometry.Point(
+                                (a.x + b.x) / 2, (a.y + b.y) / 2),
+                            text: this.formatLength(
+                                new OpenLayers.Geometry.LineString(
+                                    [a.clone(), b.clone()])),
+                            align: 'cm'
+                        });
+                    }
+                }
+                labels.push({
+                    geometry: last.clone(),
+                    text: this.htmlToText(
+                        this.totalText + this.formatLength(geometry)) +
+                        elevationText,
+                    align: 'lb'
+                });
+                break;
+            case 'area':
+                labels.push({
+                    geometry: geometry.getCentroid(),
+                    text: this.htmlToText(
+                        this.areaText + this.formatArea(geometry) + '<br>' +
+                        this.perimeterText + this.formatLength(geometry)),
+                    align: 'cm'
+                });
+                break;
+            case 'azimuth':
+                labels.push({
+                    geometry: last.clone(),
+                    text: this.getAzimuthLabel(vertices[0], last) +
+                        elevationText,
+                    align: 'lb'
+                });
+                break;
+            case 'circle':
+                var center = geometry.getCentroid();
+                var radius = new OpenLayers.Geometry.LineString(
+                    [center.clone(), vertices[0].clone()]);
+                var stat = this.calculator.getBestLength(radius);
+                labels.push({
+                    geometry: radius,
+                    graphic: true
+                }, {
+                    geometry: center,
+                    text: this.htmlToText(this.makeCircleString({
+                        distance: stat[0],
+                        units: stat[1]
+                    })),
+                    align: 'cm'
+                });
+                break;
+            case 'bearing':
+                var origin = vertices[0];
+                labels.push({
+                    geometry: last.clone(),
+                    graphic: true
+                }, {
+                    geometry: new OpenLayers.Geometry.Point(
+                        (origin.x + last.x) / 2, (origin.y + last.y) / 2),
+                    text: this.getAzimuthLabel(origin, last),
+                    align: 'cm'
+                }, {
+                    geometry: last.clone(),
+                    text: this.htmlToText(this.makePointString(last,
+                        this.target.mapPanel.map.getUnits())),
+                    align: 'lb'
+                });
+                break;
+            case 'offset':
+                var offset = cgxp.data.OffsetMeasureControl
+                    .prototype.getOffset(geometry);
+                if (offset) {
+                    var foot = offset.foot, point = vertices[2];
+                    var offsetStat = this.calculator.getBestLength(
+                        new OpenLayers.Geometry.LineString(
+                            [foot.clone(), point.clone()]));
+                    var chainageStat = this.calculator.getBestLength(
+                        new OpenLayers.Geometry.LineString(
+                            [vertices[0].clone(), foot.clone()]));
+                    labels.push({
+                        geometry: new OpenLayers.Geometry.LineString(
+                            [vertices[0].clone(), vertices[1].clone()]),
+                        graphic: true
+                    }, {
+                        geometry: new OpenLayers.Geometry.LineString(
+                            [foot.clone(), point.clone()]),
+                        graphic: true
+                    }, {
+                        geometry: new OpenLayers.Geometry.Point(
+                            (foot.x + point.x) / 2, (foot.y + point.y) / 2),
+                        text: this.htmlToText(this.makeOffsetString({
+                            offset: offsetStat[0],
+                            units: offsetStat[1],
+                            chainage: offset.chainageSign * chainageStat[0],
+                            chainageUnits: chainageStat[1],
+                            side: offset.side
+                        })),
+                        align: 'cm'
+                    });
+                }
+                break;
+        }
+        return labels;
+    },
+
+    /** private: method[getAzimuthLabel]
+     *  :arg origin: ``OpenLayers.Geometry.Point``
+     *  :arg target: ``OpenLayers.Geometry.Point``
+     *  :returns: ``String`` The distance and the azimuth of the segment.
+     */
+    getAzimuthLabel: function(origin, target) {
+        var segment = new OpenLayers.Geometry.LineString(
+            [origin.clone(), target.clone()]);
+        var stat = this.calculator.getBestLength(segment);
+        return this.htmlToText(this.makeAzimuthString({
+            distance: stat[0],
+            units: stat[1],
+            mapUnits: this.target.mapPanel.map.getUnits(),
+            azimuth: cgxp.plugins.Measure.SegmentMeasureControl
+                .prototype.getAzimuth.call(this, segment),
+            raster: false,
+            geometry: segment
+        }));
+    },
+
+    /** private: method[formatLength]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``String``
+     */
+    formatLength: function(geometry) {
+        var stat = this.convertLength(this.calculator.getBestLength(geometry));
+        return stat[0].toFixed(2) + " " + stat[1];
+    },
+
+    /** private: method[formatArea]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``String``
+     */
+    formatArea: function(geometry) {
+        var stat = this.convertArea(this.calculator.getBestArea(geometry));
+        return stat[0].toFixed(2) + " " + stat[1];
+    },
+
+    /** api: method[convertLength]
+     *  Converts a length to the chosen length unit.
+     *
+     *  :arg stat: ``Array`` The length and its unit, as returned by
+     *      ``OpenLayers.Control.Measure.getBestLength``.
+     *  :returns: ``Array`` The converted length and its unit.
+     */
+    convertLength: function(stat) {
+        var factor = this.lengthFactors[stat[1]];
+        if (!this.lengthUnit || !factor) {
+            return stat;
+        }
+        return [stat[0] * factor / this.lengthFactors[this.lengthUnit],
+            this.lengthUnit];
+    },
+
+    /** api: method[convertArea]
+     *  Converts an area to the chosen area unit.
+     *
+     *  :arg stat: ``Array`` The area and the unit of its side, as returned
+     *      by ``OpenLayers.Control.Measure.getBestArea``.
+     *  :returns: ``Array`` The converted area and its unit symbol.
+     */
+    convertArea: function(stat) {
+        var factor = this.lengthFactors[stat[1]];
+        if (!this.areaUnit || !factor) {
+            return [stat[0], stat[1] + "²"];
+        }
+        return [stat[0] * factor * factor / this.areaFactors[this.areaUnit],
+            this.areaSymbols[this.areaUnit]];
+    },
+
+    /** private: method[setLengthUnit]
+     *  :arg unit: ``String`` The length unit, null for the most suitable.
+     */
+    setLengthUnit: function(unit) {
+        this.lengthUnit = unit;
+        this.updateAllLabels();
+    },
+
+    /** private: method[setAreaUnit]
+     *  :arg unit: ``String`` The area unit, null for the most suitable.
+     */
+    setAreaUnit: function(unit) {
+        this.areaUnit = unit;
+        this.updateAllLabels();
+    },
+
+    /** private: method[updateAllLabels]
+     *  Updates the labels of the kept measures with the new settings.
+     */
+    updateAllLabels: function() {
+        if (this.measureLayer) {
+            Ext.each(this.getMeasures(), this.updateLabels, this);
+        }
+    },
+
+    /** private: method[getURLCompressed]
+     *  :returns: ``OpenLayers.Format.URLCompressed``
+     */
+    getURLCompressed: function() {
+        if (!this.urlCompressed) {
+            this.urlCompressed = new OpenLayers.Format.URLCompressed({
+                attributes: {
+                    point: {'measureType': true},
+                    line: {'measureType': true},
+                    polygon: {'measureType': true}
+                },
+                accuracy: 0.1
+            });
+        }
+        return this.urlCompressed;
+    },
+
+    /** private: method[getState]
+     *  :returns: ``Object`` The kept measures.
+     */
+    getState: function() {
+        return {
+            features: this.getURLCompressed().write(this.getMeasures())
+        };
+    },
+
+    /** private: method[applyState]
+     *  :arg state: ``Object`` A state returned by ``getState``.
+     */
+    applyState: function(state) {
+        if (state.features) {
+            Ext.each(this.getURLCompressed().read(state.features),
+                function(feature) {
+                    if (feature.attributes.measureType) {
+                        this.addMeasure(feature.geometry,
+                            feature.attributes.measureType);
+                    }
+                }, this);
+        }
+    },
+
+    /** private: method[saveState]
+     *  Saves the kept measures in the permalink.
+     */
+    saveState: function() {
+        if (this.stateId) {
+            if (this.getMeasures().length > 0) {
+                Ext.state.Manager.set(this.stateId, this.getState());
+            } else {
+                Ext.state.Manager.clear(this.stateId);
+            }
         }
-        if (!this.controlOptions.immediate) {
-            this.popup.hide();
-        }
-        this.popup.setTitle(title);
-
-        var order = event.order,
-            geom = event.geometry;
+    },
 
-        var measure = (order) ?
-            event.measure.toFixed(2) : event.measure;
+    /** private: method[initSnapping]
+     *  Creates the snapping control and its targets when snapping is
+     *  configured.
+     */
+    initSnapping: function() {
+        if (this.snapLayers) {
+            var map = this.target.mapPanel.map;
+            this.snapControl = new cgxp.data.Snapping(Ext.apply(
+                {targets: []},
+                this.snapOptions
+            ));
+            this.snapTargets = new cgxp.data.SnapTargets({
+                control: this.snapControl,
+                map: map,
+                tree: this.target.tools[this.layerTreeId].tree,
+                snapLayers: this.snapLayers,
+                url: this.mapserverUrl
+            });
+            map.events.on({
+                removelayer: function(event) {
+                    // the sketch layer is destroyed with the handler
+                    if (event.layer == this.snapControl.layer) {
+                        this.snapTargets.deactivate();
+                    }
+                },
+                scope: this
+            });
+            this.updateSnapping();
+        }
+    },
 
-        if (!order || measure > 0) {
-            if (!this.popup.fixed) {
-                if (order == 2) {
-                    geom = geom.getCentroid();
-                } else if (order == 1 || event.azimuth !== undefined) {
-                    geom = geom.components[geom.components.length - 1];
+    /** private: method[registerSnapping]
+     *  Snaps the sketch of a measure control while it is active.
+     *  :arg control: ``OpenLayers.Control``
+     *  :returns: ``OpenLayers.Control`` The control.
+     */
+    registerSnapping: function(control) {
+        var handler = control.handler;
+        if (handler && handler.callbacks) {
+            // the snapping control listens to the sketchmodified event
+            // triggered by OpenLayers.Control.DrawFeature
+            var modify = handler.callbacks.modify;
+            handler.callbacks.modify = function(vertex, feature) {
+                if (handler.layer) {
+                    handler.layer.events.triggerEvent("sketchmodified", {
+                        vertex: vertex,
+                        feature: feature
+                    });
                 }
-                this.popup.location = new OpenLayers.LonLat(geom.x, geom.y);
-                this.popup.position();
-            }
-            if (this.popup.hidden) {
-                this.popup.show();
-            }
-            this.popup.update({
-                html: this.makeString(event)
-            });
+                if (modify) {
+                    modify.apply(this, arguments);
+                }
+            };
+        }
+        control.events.on({
+            activate: function() {
+                this.activeControl = control;
+                this.updateSnapping();
+            },
+            deactivate: function() {
+                if (this.activeControl == control) {
+                    this.activeControl = null;
+                }
+                this.updateSnapping();
+            },
+            scope: this
+        });
+        return control;
+    },
+
+    /** private: method[updateSnapping]
+     *  Activates the snapping on the layer of the active control, or
+     *  deactivates it.
+     */
+    updateSnapping: function() {
+        if (!this.snapTargets) {
+            return;
+        }
+        var control = this.activeControl;
+        if (this.snapping && control) {
+            this.snapControl.setLayer(control == this.modifyControl ?
+                this.measureLayer : control.handler.layer);
+            this.snapTargets.activate();
+        } else {
+            this.snapTargets.deactivate();
         }
     },
 
-    /** private: method[createSegmentMeasureControl]
+    /** private: method[createSegmentStyleMap]
+     *  :returns: ``OpenLayers.StyleMap`` The style of the segment sketches.
      */
-    createSegmentMeasureControl: function() {
+    createSegmentStyleMap: function() {
         // style the sketch fancy
         var azimuthSymbolizers = Ext.apply({
             "Point": {
@@ -486,35 +1950,214 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
         style.addRules([
             new OpenLayers.Rule({symbolizer: azimuthSymbolizers})
         ]);
-        var styleMap = new OpenLayers.StyleMap({"default": style});
+        return new OpenLayers.StyleMap({"default": style});
+    },
+
+    /** private: method[createSegmentMeasureControl]
+     *  :arg title: ``String`` The title of the popup.
+     *  :arg measureType: ``String`` ``azimuth`` or ``circle``, default is
+     *      ``azimuth``.
+     */
+    createSegmentMeasureControl: function(title, measureType) {
+        measureType = measureType || 'azimuth';
         var control = new cgxp.plugins.Measure.SegmentMeasureControl({
             geodesic: true,
             minAzimuth: this.minAzimuth,
             rasterServiceUrl: this.rasterServiceUrl,
+            rasterLayers: this.rasterLayers,
             handlerOptions: {
-                layerOptions: {styleMap: styleMap}
+                layerOptions: {styleMap: this.createSegmentStyleMap()}
             }
         });
+        // the kept measure waiting for the elevations read by the control
+        var pending = null;
         control.events.on({
             "measure": function(event) {
-                this.showPopup(event, this.azimuthTooltip);
+                event.measureType = measureType;
+                if (event.object.measuring) {
+                    this.abortElevation();
+                    this.showPopup(event, title);
+                } else if (event.raster === false) {
+                    if (this.keepMeasures) {
+                        var feature = this.keepMeasure(event, measureType);
+                        pending = measureType == 'azimuth' &&
+                            this.rasterServiceUrl ? {
+                                feature: feature,
+                                token: feature.elevationToken
+                            } : null;
+                    } else {
+                        this.showPopup(event, title);
+                        if (measureType == 'azimuth' && !this.rasterServiceUrl) {
+                            this.showElevation(event, title);
+                        }
+                    }
+                } else if (measureType == 'azimuth') {
+                    // the raster service responses
+                    var elevation = this.getRasterElevationStats(event.raster,
+                        [event.distance, event.units]);
+                    if (this.keepMeasures) {
+                        if (pending) {
+                            this.setElevation(pending.feature, pending.token,
+                                elevation);
+                            pending = null;
+                        }
+                    } else if (this.popup && !this.popup.hidden) {
+                        this.showPopup(Ext.apply({elevation: elevation},
+                            event), title);
+                    }
+                }
             },
             scope: this
         });
-        return control;
+        return this.registerSnapping(control);
+    },
+
+    /** private: method[createOffsetMeasureControl]
+     */
+    createOffsetMeasureControl: function() {
+        var control = new cgxp.data.OffsetMeasureControl({
+            geodesic: true,
+            handlerOptions: {
+                layerOptions: {styleMap: this.createSegmentStyleMap()}
+            }
+        });
+        control.events.on({
+            "measure": function(event) {
+                if (this.keepMeasures && !event.object.measuring) {
+                    this.keepMeasure(event, 'offset');
+                } else {
+                    this.showPopup(event, this.offsetTooltip);
+                }
+            },
+            scope: this
+        });
+        return this.registerSnapping(control);
+    },
+
+    /** private: method[createBearingControl]
+     *  The clicked point is the origin of the point at bearing and
+     *  distance.
+     */
+    createBearingControl: function() {
+        return this.registerSnapping(new cgxp.plugins.Measure.LocatorControl({
+            eventListeners: {
+                measure: function(event) {
+                    this.showBearingForm(event.geometry);
+                },
+                deactivate: function() {
+                    if (this.bearingPopup) {
+                        this.bearingPopup.hide();
+                    }
+                },
+                scope: this
+            }
+        }));
+    },
+
+    /** private: method[showBearingForm]
+     *  :arg origin: ``OpenLayers.Geometry.Point``
+     */
+    showBearingForm: function(origin) {
+        var map = this.target.mapPanel.map;
+        if (!this.bearingPopup) {
+            this.bearingForm = new Ext.form.FormPanel({
+                border: false,
+                labelWidth: 90,
+                bodyStyle: 'padding: 5px',
+                defaults: {
+                    xtype: 'numberfield',
+                    allowBlank: false,
+                    anchor: '100%'
+                },
+                items: [{
+                    name: 'azimuth',
+                    fieldLabel: this.bearingAzimuthText
+                }, {
+                    name: 'distance',
+                    fieldLabel: String.format(this.bearingDistanceText,
+                        map.getUnits()),
+                    minValue: 0
+                }],
+                keys: [{
+                    key: Ext.EventObject.ENTER,
+                    fn: this.placeBearingPoint,
+                    scope: this
+                }]
+            });
+            this.bearingPopup = new GeoExt.Popup({
+                title: this.bearingTooltip,
+                border: false,
+                map: map,
+                unpinnable: false,
+                closeAction: 'hide',
+                width: 240,
+                location: new OpenLayers.LonLat(0, 0),
+                items: [this.bearingForm],
+                buttons: [{
+                    text: this.placePointText,
+                    handler: this.placeBearingPoint,
+                    scope: this
+                }]
+            });
+        }
+        this.bearingOrigin = origin;
+        this.bearingPopup.location = new OpenLayers.LonLat(origin.x, origin.y);
+        this.bearingPopup.position();
+        if (this.bearingPopup.hidden) {
+            this.bearingPopup.show();
+        }
+        this.bearingForm.getForm().findField('azimuth').focus(true, 100);
+    },
+
+    /** private: method[placeBearingPoint]
+     *  Places the point of the typed bearing and distance.
+     */
+    placeBearingPoint: function() {
+        var form = this.bearingForm.getForm();
+        if (!form.isValid()) {
+            return;
+        }
+        var values = form.getFieldValues();
+        var origin = this.bearingOrigin;
+        var target = this.getPointAtBearing(origin, values.azimuth,
+            values.distance);
+        this.bearingPopup.hide();
+        if (this.keepMeasures) {
+            this.addMeasure(new OpenLayers.Geometry.LineString(
+                [origin.clone(), target]), 'bearing');
+        } else {
+            this.showPopup({
+                measure: {x: target.x, y: target.y},
+                units: this.target.mapPanel.map.getUnits(),
+                geometry: target
+            }, this.bearingTooltip);
+        }
+    },
+
+    /** api: method[getPointAtBearing]
+     *  :arg origin: ``OpenLayers.Geometry.Point``
+     *  :arg azimuth: ``Number`` The azimuth in degrees, clockwise from the
+     *      north.
+     *  :arg distance: ``Number`` The distance in map units.
+     *  :returns: ``OpenLayers.Geometry.Point``
+     */
+    getPointAtBearing: function(origin, azimuth, distance) {
+        // as getAzimuth we consider that we don't use geodetic
+        var rad = azimuth * Math.PI / 180;
+        return new OpenLayers.Geometry.Point(
+            origin.x + distance * Math.sin(rad),
+            origin.y + distance * Math.cos(rad));
     },
 
     makePointString: function(metric, unit) {
+        var coordinates = this.makeCoordinatesString(metric);
         if (unit == 'm') {
             if (!this.pointMeterTemplate) {
                 this.pointMeterTemplate = new Ext.Template(
                         '<table class="measure point"><tr>',
                         '<td>', this.coordinateText, '</td>',
                         '<td>{lonm}  {latm} m</td>',
-                        '</tr><tr>',
-                        '<td>WGS 84: </td>',
-                        '<td>{lond} {latd}°</td>',
-                        '</tr></table>', {compiled: true});
+                        '</tr>{coordinates}</table>', {compiled: true});
             }
 
             var metricLonLat = new OpenLayers.LonLat(metric.x, metric.y).transform(
@@ -522,7 +2165,8 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
                     new OpenLayers.Projection("EPSG:4326"));
             return this.pointMeterTemplate.apply({
                 lonm: metric.x.toFixed(1), latm: metric.y.toFixed(1),
-                lond: metricLonLat.lon.toFixed(5), latd: metricLonLat.lat.toFixed(5)
+                lond: metricLonLat.lon.toFixed(5), latd: metricLonLat.lat.toFixed(5),
+                coordinates: coordinates
             });
         }
         else {
@@ -532,16 +2176,235 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
                         this.northernText, ' {lat} {unit}',
                         {compiled: true});
             }
-            return this.pointTemplate.apply({
+            var html = this.pointTemplate.apply({
                 lon: metric.x.toFixed(5),
                 lat: metric.y.toFixed(5),
-                unit: metricUnit
+                unit: unit
             });
+            if (coordinates) {
+                html += '<table class="measure point">' + coordinates +
+                    '</table>';
+            }
+            return html;
+        }
+    },
+
+    /** private: method[makeCoordinatesString]
+     *  :arg metric: ``Object`` The ``x`` and ``y`` of a point in the map
+     *      projection.
+     *  :returns: ``String`` The table rows of the checked coordinate
+     *      systems.
+     */
+    makeCoordinatesString: function(metric) {
+        var tpl = new Ext.Template('<tr><td>{name}: </td><td>{value}</td></tr>');
+        var rows = [];
+        Ext.each(this.coordinateSystems, function(system) {
+            if (system.checked) {
+                rows.push(tpl.apply({
+                    name: system.name,
+                    value: this.formatCoordinates(metric, system)
+                }));
+            }
+        }, this);
+        return rows.join('');
+    },
+
+    /** api: method[formatCoordinates]
+     *  :arg metric: ``Object`` The ``x`` and ``y`` of a point in the map
+     *      projection.
+     *  :arg system: ``Object`` A coordinate system, see
+     *      ``coordinateSystems``.
+     *  :returns: ``String`` The formatted coordinates.
+     */
+    formatCoordinates: function(metric, system) {
+        var projection = new OpenLayers.Projection(
+            system.projection || "EPSG:4326");
+        var point = new OpenLayers.Geometry.Point(metric.x, metric.y).transform(
+            this.target.mapPanel.map.getProjectionObject(), projection);
+        var format = system.format ||
+            (projection.getUnits() == 'm' ? 'metric' : 'dd');
+        switch (format) {
+            case 'metric':
+                return point.x.toFixed(1) + ' ' + point.y.toFixed(1) + ' m';
+            case 'dms':
+            case 'dm':
+                return this.formatDegrees(point.y, 'lat', format) + ' ' +
+                    this.formatDegrees(point.x, 'lon', format);
+            case 'utm':
+                var utm = this.getUTM(point.x, point.y);
+                return utm ? utm.zone + utm.band + ' ' +
+                    Math.floor(utm.easting) + ' ' +
+                    Math.floor(utm.northing) : '-';
+            case 'mgrs':
+                return this.getMGRS(point.x, point.y) || '-';
+            default:
+                return point.x.toFixed(5) + ' ' + point.y.toFixed(5) + '°';
+        }
+    },
+
+    /** api: method[formatDegrees]
+     *  :arg value: ``Number`` The decimal degrees.
+     *  :arg axis: ``String`` ``lon`` or ``lat``.
+     *  :arg format: ``String`` ``dms`` or ``dm``.
+     *  :returns: ``String`` E.g. ``46°57'08.12"N`` or ``46°57.1353'N``.
+     */
+    formatDegrees: function(value, axis, format) {
+        var hemisphere = axis == 'lat' ?
+            (value < 0 ? 'S' : 'N') : (value < 0 ? 'W' : 'E');
+        var abs = Math.abs(value);
+        var degrees = Math.floor(abs);
+        var minutes = (abs - degrees) * 60;
+        var pad = function(number, decimals) {
+            var str = number.toFixed(decimals);
+            return number < 10 ? '0' + str : str;
+        };
+        if (format == 'dm') {
+            // rounded to 0.0001 minute
+            minutes = Math.round(minutes * 10000) / 10000;
+            if (minutes >= 60) {
+                minutes -= 60;
+                degrees += 1;
+            }
+            return degrees + '°' + pad(minutes, 4) + "'" + hemisphere;
+        }
+        var seconds = Math.round((minutes - Math.floor(minutes)) * 6000) / 100;
+        minutes = Math.floor(minutes);
+        if (seconds >= 60) {
+            seconds -= 60;
+            minutes += 1;
+        }
+        if (minutes >= 60) {
+            minutes -= 60;
+            degrees += 1;
+        }
+        return degrees + '°' + pad(minutes, 0) + "'" + pad(seconds, 2) + '"' +
+            hemisphere;
+    },
+
+    /** api: method[getUTM]
+     *  Converts WGS 84 coordinates to UTM, with the Norway and Svalbard
+     *  zone exceptions.
+     *
+     *  :arg lon: ``Number``
+     *  :arg lat: ``Number``
+     *  :returns: ``Object`` The ``zone``, the latitude ``band`` letter, the
+     *      ``easting`` and the ``northing``, or null out of the UTM
+     *      latitudes.
+     */
+    getUTM: function(lon, lat) {
+        if (lat < -80 || lat > 84) {
+            return null;
+        }
+        lon = cgxp.tools.modulo(lon + 180, 360) - 180;
+        var zone = Math.floor((lon + 180) / 6) + 1;
+        if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) {
+            zone = 32;
+        } else if (lat >= 72) {
+            if (lon >= 0 && lon < 9) {
+                zone = 31;
+            } else if (lon >= 9 && lon < 21) {
+                zone = 33;
+            } else if (lon >= 21 && lon < 33) {
+                zone = 35;
+            } else if (lon >= 33 && lon < 42) {
+                zone = 37;
+            }
+        }
+        var band = "CDEFGHJKLMNPQRSTUVWXX".charAt(Math.floor((lat + 80) / 8));
+
+        var a = 6378137, f = 1 / 298.257223563, k0 = 0.9996;
+        var e2 = f * (2 - f), e4 = e2 * e2, e6 = e4 * e2;
+        var ep2 = e2 / (1 - e2);
+        var phi = lat * Math.PI / 180;
+        var lambda0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+        var sin = Math.sin(phi), cos = Math.cos(phi), tan = Math.tan(phi);
+        var N = a / Math.sqrt(1 - e2 * sin * sin);
+        var T = tan * tan;
+        var C = ep2 * cos * cos;
+        var A = cos * (lon * Math.PI / 180 - lambda0);
+        var M = a * ((1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+            (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+            (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+            (35 * e6 / 3072) * Math.sin(6 * phi));
+        var easting = k0 * N * (A + (1 - T + C) * Math.pow(A, 3) / 6 +
+            (5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5) / 120) +
+            500000;
+        var northing = k0 * (M + N * tan * (A * A / 2 +
+            (5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4) / 24 +
+            (61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6) / 720));
+        if (lat < 0) {
+            northing += 10000000;
+        }
+        return {zone: zone, band: band, easting: easting, northing: northing};
+    },
+
+    /** api: method[getMGRS]
+     *  :arg lon: ``Number``
+     *  :arg lat: ``Number``
+     *  :returns: ``String`` The MGRS coordinates with a precision of one
+     *      meter, e.g. ``31U DQ 48251 11932``, or null out of the UTM
+     *      latitudes.
+     */
+    getMGRS: function(lon, lat) {
+        var utm = this.getUTM(lon, lat);
+        if (!utm) {
+            return null;
+        }
+        var set = utm.zone % 6 || 6;
+        var columns = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'][(set - 1) % 3];
+        var rows = 'ABCDEFGHJKLMNPQRSTUV';
+        var column = columns.charAt(Math.floor(utm.easting / 100000) - 1);
+        var row = rows.charAt(cgxp.tools.modulo(
+            Math.floor(utm.northing / 100000) + (set % 2 ? 0 : 5), 20));
+        var pad = function(value) {
+            var str = String(Math.floor(value % 100000));
+            while (str.length < 5) {
+                str = '0' + str;
+            }
+            return str;
+        };
+        return utm.zone + utm.band + ' ' + column + row + ' ' +
+            pad(utm.easting) + ' ' + pad(utm.northing);
+    },
+
+    /** private: method[setLastPoint]
+     *  :arg geometry: ``OpenLayers.Geometry.Point``
+     */
+    setLastPoint: function(geometry) {
+        this.lastPoint = geometry.clone();
+        if (this.copyItem) {
+            this.copyItem.enable();
         }
     },
 
+    /** private: method[copyLastPoint]
+     *  Copies the coordinates of the last measured point to the clipboard.
+     */
+    copyLastPoint: function() {
+        if (!this.lastPoint) {
+            return;
+        }
+        var text = this.htmlToText(this.makePointString(this.lastPoint,
+            this.target.mapPanel.map.getUnits()));
+        cgxp.tools.copyToClipboard(text, function(copied) {
+            if (copied) {
+                cgxp.tools.notification.show(this.copiedText, 3000);
+            } else {
+                Ext.Msg.show({
+                    title: this.copyTitleText,
+                    prompt: true,
+                    multiline: true,
+                    value: text,
+                    buttons: Ext.Msg.OK,
+                    width: 300
+                });
+            }
+        }, this);
+    },
+
     makeAzimuthString: function(e) {
-        e.distance = e.distance.toFixed(3);
+        var stat = this.convertLength([e.distance, e.units]);
+        e = Ext.apply({}, {distance: stat[0].toFixed(3), units: stat[1]}, e);
         var tpl = new Ext.XTemplate(this.azimuthTemplate ||
             '<table class="measure">' +
             '<tr><td>' + this.distanceText + '</td><td>{distance} {units}</td></tr>' +
@@ -551,20 +2414,175 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
         return tpl.apply(e);
     },
 
+    makeCircleString: function(e) {
+        var radius = e.distance;
+        var tpl = new Ext.Template(
+            '<table class="measure">',
+            '<tr><td>', this.radiusText, '</td><td>{radius} {units}</td></tr>',
+            '<tr><td>', this.areaText, '</td><td>{area} {areaUnits}</td></tr>',
+            '<tr><td>', this.circumferenceText, '</td><td>{circumference} {units}</td></tr>',
+            '</table>'
+        );
+        var radiusStat = this.convertLength([radius, e.units]);
+        var area = this.convertArea([Math.PI * radius * radius, e.units]);
+        return tpl.apply({
+            radius: radiusStat[0].toFixed(3),
+            area: area[0].toFixed(3),
+            areaUnits: area[1],
+            circumference: (2 * Math.PI * radiusStat[0]).toFixed(3),
+            units: radiusStat[1]
+        });
+    },
+
+    makeOffsetString: function(e) {
+        var tpl = new Ext.Template(
+            '<table class="measure">',
+            '<tr><td>', this.offsetText, '</td><td>{offset} {units} ({side})</td></tr>',
+            '<tr><td>', this.chainageText, '</td><td>{chainage} {chainageUnits}</td></tr>',
+            '</table>'
+        );
+        var offset = this.convertLength([e.offset, e.units]);
+        var chainage = this.convertLength([e.chainage, e.chainageUnits]);
+        return tpl.apply({
+            offset: offset[0].toFixed(3),
+            units: offset[1],
+            side: e.side == 'left' ? this.leftText : this.rightText,
+            chainage: chainage[0].toFixed(3),
+            chainageUnits: chainage[1]
+        });
+    },
+
+    /** private: method[makeElevationString]
+     *  :arg stats: ``Array(Object)`` The elevation stats of a length or
+     *      azimuth measure, see ``getElevationStats``.
+     *  :returns: ``String`` The HTML table of the elevations by raster
+     *      layer, empty without stats.
+     */
+    makeElevationString: function(stats) {
+        var tpl = new Ext.Template(
+            '{layer}',
+            '<tr><td>', this.elevationText, '</td><td>{start} m → {end} m</td></tr>',
+            '<tr><td>', this.heightDifferenceText, '</td><td>{diff} m</td></tr>',
+            '<tr><td>', this.slopeText, '</td><td>{slope} % ({angle}°)</td></tr>',
+            '<tr><td>', this.distance3dText, '</td><td>{distance3d} {units}</td></tr>'
+        );
+        var rows = [];
+        Ext.each(stats, function(stat) {
+            var distance3d = this.convertLength([stat.distance3d, 'm']);
+            rows.push(tpl.apply({
+                layer: stats.length > 1 ?
+                    '<tr><td colspan="2">' + stat.layer + '</td></tr>' : '',
+                start: stat.start.toFixed(1),
+                end: stat.end.toFixed(1),
+                diff: (stat.diff > 0 ? '+' : '') + stat.diff.toFixed(1),
+                slope: stat.slope.toFixed(1),
+                angle: stat.angle.toFixed(1),
+                distance3d: distance3d[0].toFixed(2),
+                units: distance3d[1]
+            }));
+        }, this);
+        return rows.length ?
+            '<table class="measure elevation">' + rows.join('') + '</table>' : '';
+    },
+
     makeString: function(metricData) {
         var metric = metricData.measure;
         var metricUnit = metricData.units;
 
         if (metricData.geometry.CLASS_NAME.indexOf("Point") > -1) {
             return this.makePointString(metric, metricUnit);
+        } else if (metricData.measureType == 'circle') {
+            return this.makeCircleString(metricData);
+        } else if (metricData.offset !== undefined) {
+            return this.makeOffsetString(metricData);
         } else if (metricData.azimuth !== undefined) {
-            return this.makeAzimuthString(metricData);
+            return this.makeAzimuthString(metricData) +
+                this.makeElevationString(metricData.elevation);
         }
 
-        var dim = metricData.order == 2 ?
-            '<sup>2</sup>' : '';
+        var stat = metricData.order == 2 ?
+            this.convertArea([metric, metricUnit]) :
+            this.convertLength([metric, metricUnit]);
+
+        return stat[0].toFixed(2) + " " + stat[1] +
+            this.makeElevationString(metricData.elevation);
+    },
 
-        return metric.toFixed(2) + " " + metricUnit + dim;
+    /** private: method[createSettingsMenu]
+     *  :returns: ``Ext.menu.Menu`` The menu of the units and of the
+     *      coordinate systems.
+     */
+    createSettingsMenu: function() {
+        var lengthTexts = {
+            m: this.metersText,
+            km: this.kilometersText,
+            ft: this.feetText,
+            mi: this.milesText,
+            nmi: this.nauticalMilesText
+        };
+        var areaTexts = {
+            m: this.squareMetersText,
+            ha: this.hectaresText,
+            km: this.squareKilometersText,
+            ac: this.acresText
+        };
+        var createUnitItems = function(units, texts, symbols, current, setter) {
+            var group = Ext.id(null, 'cgxp-measure-unit-');
+            var items = [];
+            Ext.each([null].concat(units), function(unit) {
+                items.push({
+                    text: unit ? texts[unit] + ' (' + (symbols[unit] || unit) + ')' :
+                        this.automaticUnitText,
+                    group: group,
+                    checked: unit == current,
+                    listeners: {
+                        checkchange: function(item, checked) {
+                            if (checked) {
+                                setter.call(this, unit);
+                            }
+                        },
+                        scope: this
+                    }
+                });
+            }, this);
+            return items;
+        };
+        var coordinateItems = [];
+        Ext.each(this.coordinateSystems, function(system) {
+            coordinateItems.push({
+                text: system.name,
+                checked: !!system.checked,
+                hideOnClick: false,
+                listeners: {
+                    checkchange: function(item, checked) {
+                        system.checked = checked;
+                        this.updateAllLabels();
+                    },
+                    scope: this
+                }
+            });
+        }, this);
+        return new Ext.menu.Menu({
+            items: [{
+                text: this.lengthUnitsMenuText,
+                menu: {
+                    items: createUnitItems.call(this, this.lengthUnits,
+                        lengthTexts, {}, this.lengthUnit, this.setLengthUnit)
+                }
+            }, {
+                text: this.areaUnitsMenuText,
+                menu: {
+                    items: createUnitItems.call(this, this.areaUnits,
+                        areaTexts, this.areaSymbols, this.areaUnit,
+                        this.setAreaUnit)
+                }
+            }, {
+                text: this.coordinatesMenuText,
+                menu: {
+                    items: coordinateItems
+                }
+            }]
+        });
     },
 
     /** private: method[addActions]
@@ -596,14 +2614,18 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
                     // toggleGroup should handle this
                     if(!pressed) {
                         button.menu.items.each(function(i) {
-                            i.setChecked(false);
-                        });
+                            if (i instanceof Ext.menu.CheckItem &&
+                                i !== this.snapItem) {
+                                i.setChecked(false);
+                            }
+                        }, this);
                     }
                 },
                 render: function(button) {
                     // toggleGroup should handle this
                     Ext.ButtonToggleMgr.register(button);
-                }
+                },
+                scope: this
             },
             menu: new Ext.menu.Menu({
                 cls: 'cgxp-menu-measure',
@@ -673,11 +2695,120 @@ cgxp.plugins.Measure = Ext.extend(gxp.plugins.Tool, {
                                 this.azimuthTooltip
                             )
                         })
+                    ),
+                    new Ext.menu.CheckItem(
+                        new GeoExt.Action({
+                            text: this.circleMenuText,
+                            iconCls: "cgxp-icon-measure-circle",
+                            toggleGroup: this.toggleGroup,
+                            group: this.toggleGroup,
+                            allowDepress: false,
+                            listeners: {
+                                checkchange: setActiveItem,
+                                scope: this
+                            },
+                            map: this.target.mapPanel.map,
+                            control: this.createSegmentMeasureControl(
+                                this.circleTooltip, 'circle'
+                            )
+                        })
+                    ),
+                    new Ext.menu.CheckItem(
+                        new GeoExt.Action({
+                            text: this.bearingMenuText,
+                            iconCls: "cgxp-icon-measure-bearing",
+                            toggleGroup: this.toggleGroup,
+                            group: this.toggleGroup,
+                            allowDepress: false,
+                            listeners: {
+                                checkchange: setActiveItem,
+                                scope: this
+                            },
+                            map: this.target.mapPanel.map,
+                            control: this.createBearingControl()
+                        })
+                    ),
+                    new Ext.menu.CheckItem(
+                        new GeoExt.Action({
+                            text: this.offsetMenuText,
+                            iconCls: "cgxp-icon-measure-offset",
+                            toggleGroup: this.toggleGroup,
+                            group: this.toggleGroup,
+                            allowDepress: false,
+                            listeners: {
+                                checkchange: setActiveItem,
+                                scope: this
+                            },
+                            map: this.target.mapPanel.map,
+                            control: this.createOffsetMeasureControl()
+                        })
                     )
                 ]
             })
         }, this.actionConfig));
 
+        if (this.snapLayers) {
+            this.snapItem = new Ext.menu.CheckItem({
+                text: this.snapMenuText,
+                checked: this.snapping,
+                hideOnClick: false,
+                listeners: {
+                    checkchange: function(item, checked) {
+                        this.snapping = checked;
+                        this.updateSnapping();
+                    },
+                    scope: this
+                }
+            });
+            this.button.menu.add('-', this.snapItem);
+        }
+
+        if (this.keepMeasures) {
+            this.createMeasureLayer();
+            this.registerSnapping(this.modifyControl);
+            this.button.menu.add(
+                new Ext.menu.CheckItem(
+                    new GeoExt.Action({
+                        text: this.editMenuText,
+                        iconCls: "cgxp-icon-measure-edit",
+                        toggleGroup: this.toggleGroup,
+                        group: this.toggleGroup,
+                        allowDepress: false,
+                        listeners: {
+                            checkchange: setActiveItem,
+                            scope: this
+                        },
+                        map: this.target.mapPanel.map,
+                        control: this.modifyControl
+                    })
+                ),
+                '-',
+                {
+                    text: this.deleteMenuText,
+                    iconCls: "cgxp-icon-measure-delete",
+                    handler: this.removeSelectedMeasure,
+                    scope: this
+                },
+                {
+                    text: this.clearMenuText,
+                    handler: this.clearMeasures,
+                    scope: this
+                }
+            );
+        }
+
+        this.copyItem = new Ext.menu.Item({
+            text: this.copyMenuText,
+            disabled: !this.lastPoint,
+            handler: this.copyLastPoint,
+            scope: this
+        });
+        this.button.menu.add('-', this.copyItem, {
+            text: this.settingsMenuText,
+            iconCls: "cgxp-icon-measure-settings",
+            menu: this.createSettingsMenu()
+        });
+
         return cgxp.plugins.Measure.superclass.addActions.apply(this, [this.button]);
     }
 
@@ -799,10 +2930,10 @@ cgxp.plugins.Measure.SegmentMeasureControl = OpenLayers.Class(OpenLayers.Control
     rasterServiceUrl: null,
 
     /**
-     * private: property[raster]
-     * {Array} Raster service responses
+     * private: config[rasterLayers]
+     * {Array(String)} The raster layers, all the layers by default
      */
-    raster: null,
+    rasterLayers: null,
 
     /** private: property[measuring]
      *  ``Boolean`` Indicate if currently measuring. Measuring
@@ -846,7 +2977,6 @@ cgxp.plugins.Measure.SegmentMeasureControl = OpenLayers.Class(OpenLayers.Control
         if (this.measuring) {
             var geometry = feature.geometry.clone();
             this.measure(geometry);
-            this.raster = new Array(2);
         }
     },
 
@@ -868,12 +2998,6 @@ cgxp.plugins.Measure.SegmentMeasureControl = OpenLayers.Class(OpenLayers.Control
      *  :arg geometry: ``<OpenLayers.Geometry>``
      */
     measure: function(geometry) {
-        function onRasterResponse(index, response) {
-            this.raster[index] = Ext.util.JSON.decode(response.responseText);
-            if (this.raster[0] && this.raster[1]) {
-                onMeasure.call(this, this.raster);
-            }
-        }
         function onMeasure(raster) {
             var stat = this.getBestLength(geometry),
                 azimuth = this.getAzimuth(geometry),
@@ -896,21 +3020,60 @@ cgxp.plugins.Measure.SegmentMeasureControl = OpenLayers.Class(OpenLayers.Control
         }
         onMeasure.call(this);
         if (this.rasterServiceUrl) {
-            for (var i = 0; i <=1; i++) {
-                Ext.Ajax.abort(this.pendingRequests[i]);
-                this.pendingRequests[i] = Ext.Ajax.request({
-                    url: this.rasterServiceUrl,
-                    method: 'GET',
-                    params: {
-                        lon: geometry.components[i].x,
-                        lat: geometry.components[i].y
-                    },
-                    success: OpenLayers.Function.bind(
-                        onRasterResponse, this, i),
-                    scope: this
-                });
-            }
+            Ext.each(this.pendingRequests, function(request) {
+                if (request) {
+                    Ext.Ajax.abort(request);
+                }
+            });
+            this.pendingRequests = this.requestRaster(geometry,
+                function(raster) {
+                    if (raster) {
+                        onMeasure.call(this, raster);
+                    }
+                }, this);
+        }
+    },
+
+    /** private: method[requestRaster]
+     *  Reads the elevations of the ends of a segment from the raster
+     *  service.
+     *
+     *  :arg geometry: ``<OpenLayers.Geometry.LineString>``
+     *  :arg callback: ``Function`` Called with the two responses, or with
+     *     ``null`` if a request fails.
+     *  :arg scope: ``Object``
+     *
+     *  :returns: ``Array(Number)`` The request ids.
+     */
+    requestRaster: function(geometry, callback, scope) {
+        var raster = new Array(2), failed = false, requests = [];
+        for (var i = 0; i <= 1; i++) {
+            requests.push(Ext.Ajax.request({
+                url: this.rasterServiceUrl,
+                method: 'GET',
+                params: Ext.apply({
+                    lon: geometry.components[i].x,
+                    lat: geometry.components[i].y
+                }, this.rasterLayers ? {
+                    layers: this.rasterLayers.join(',')
+                } : {}),
+                index: i,
+                success: function(response, options) {
+                    raster[options.index] =
+                        Ext.util.JSON.decode(response.responseText);
+                    if (raster[0] && raster[1]) {
+                        callback.call(scope, raster);
+                    }
+                },
+                failure: function(response) {
+                    if (!response.isAbort && !failed) {
+                        failed = true;
+                        callback.call(scope, null);
+                    }
+                }
+            }));
         }
+        return requests;
     },
 
     /** private: method[getAzimuth]
@@ -16,7 +16,7 @@
  */
 
 /**
- * @requires GeoExt/state/PermalinkProvider.js
+ * @requires CGXP/state/PermalinkProvider.js
  */
 
 /** api: (define)
@@ -88,6 +88,39 @@ cgxp.plugins.Permalink = Ext.extend(gxp.plugins.Tool, {
      */
     shortenerCreateURL: null,
 
+    /** api: config[version]
+     *  ``Number``
+     *  The version of the permalink schema, to increase when groups or
+     *  layers are renamed, see ``migrations``. Default is the provider
+     *  version.
+     */
+    version: null,
+
+    /** api: config[compress]
+     *  ``Boolean``
+     *  Always write the state as a single compressed parameter. Otherwise
+     *  the state is only compressed when the link is too long for
+     *  Microsoft Internet Explorer. Default is false.
+     */
+    compress: false,
+
+    /** api: config[migrations]
+     *  ``Array(Object)``
+     *  The migrations of the links written with older versions, objects
+     *  with the ``version`` they migrate to, and ``groups`` and ``layers``
+     *  objects that map the old names to the new ones.
+     *
+     *  .. code-block:: javascript
+     *
+     *      version: 2,
+     *      migrations: [{
+     *          version: 2,
+     *          groups: {'transport': 'mobility'},
+     *          layers: {'bus_stops': 'public_transport_stops'}
+     *      }]
+     */
+    migrations: null,
+
     /** private: property[emailField]
      *  ``Ext.form.TextField``
      *  The email text field
@@ -105,9 +138,36 @@ cgxp.plugins.Permalink = Ext.extend(gxp.plugins.Tool, {
     emailText: "E-mail",
     emailSentTxt: "The link has been sent",
 
+    /** private: method[init]
+     */
+    init: function() {
+        cgxp.plugins.Permalink.superclass.init.apply(this, arguments);
+
+        var provider = Ext.state.Manager.getProvider();
+        if (provider instanceof cgxp.state.PermalinkProvider) {
+            if (this.version !== null) {
+                provider.version = this.version;
+            }
+            provider.compress = this.compress;
+            Ext.each(this.migrations, provider.registerMigration, provider);
+        }
+    },
+
+    /** private: method[isTooLong]
+     *  :arg link: ``String``
+     *  :returns: ``Boolean`` The link is too long for Internet Explorer.
+     */
+    isTooLong: function(link) {
+        var splittedURL = link.split(/\/+/g);
+        var path = "/" + splittedURL[splittedURL.length - 1];
+        // IE limits, see: http://support.microsoft.com/kb/208427
+        return link.length > 2083 || path.length > 2048;
+    },
+
     /** private: method[getLink]
+     *  :arg compress: ``Boolean`` Get the compressed link (optional).
      */
-    getLink: function() {
+    getLink: function(compress) {
         // generate a clean url to provide to the PermalinkProvider
         // to avoid recovering unvanted parameters from the url
         var base = window.location.protocol + "//" +
@@ -117,7 +177,7 @@ cgxp.plugins.Permalink = Ext.extend(gxp.plugins.Tool, {
         if (params.debug !== undefined) {
             base = Ext.urlAppend(base, 'debug=' + params.debug);
         }
-        return Ext.state.Manager.getProvider().getLink(base);
+        return Ext.state.Manager.getProvider().getLink(base, compress);
     },
 
     /** private: method[addActions]
@@ -229,13 +289,16 @@ cgxp.plugins.Permalink = Ext.extend(gxp.plugins.Tool, {
             statechange: function(provider) {
                 if (!this.view_short) {
                     link = this.getLink();
+                    if (this.isTooLong(link) && !this.compress) {
+                        var compressed = this.getLink(true);
+                        if (compressed.length < link.length) {
+                            link = compressed;
+                        }
+                    }
                     permalinkTextField.setValue(link);
                     this.permalink = link;
 
-                    var splittedURL = link.split(/\/+/g);
-                    var path = "/" + splittedURL[splittedURL.length - 1];
-                    // IE limits, see: http://support.microsoft.com/kb/208427
-                    if (link.length > 2083 || path.length > 2048) {
+                    if (this.isTooLong(link)) {
                         warningLabel.show();
                     }
                     else {
@@ -271,5 +334,5 @@ Ext.preg(cgxp.plugins.Permalink.prototype.ptype, cgxp.plugins.Permalink);
  * Creates the permalink provider.
  */
 Ext.state.Manager.setProvider(
-    new GeoExt.state.PermalinkProvider({encodeType: false})
+    new cgxp.state.PermalinkProvider({encodeType: false})
 );
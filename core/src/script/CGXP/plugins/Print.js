@@ -27,7 +27,11 @@
  * @include OpenLayers/Renderer/SVG.js
  * @include OpenLayers/Renderer/VML.js
  * @include OpenLayers/Control/TransformFeature.js
+ * @include OpenLayers/Control/DrawFeature.js
+ * @include OpenLayers/Handler/Path.js
+ * @include OpenLayers/Handler/Polygon.js
  * @include CGXP/plugins/ToolActivateMgr.js
+ * @include CGXP/data/PrintVectorEncoder.js
  */
 
 /** api: (define)
@@ -129,6 +133,65 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
      */
     featureProvider: null,
 
+    /** api: config[profileId]
+     *  ``String``
+     *  Id of a :class:`cgxp.plugins.Profile` tool. If set, the first page
+     *  gets the ``showProfile`` parameter and, when a profile is shown, the
+     *  ``profileImage`` and ``profileTable`` parameters, see
+     *  :meth:`cgxp.plugins.Profile.printExport`. The print template can
+     *  show them with an image block and a table block.
+     */
+    profileId: null,
+
+    /** api: config[printProfileImage]
+     *  ``Boolean``
+     *  Send the image of the profile chart. The ``profileImage`` parameter
+     *  is a ``data:`` URL of a PNG image, not a URL the print server can
+     *  download: set it to false if the image block of the print template
+     *  doesn't accept the data URLs, to print the statistics only.
+     *  Default is true.
+     */
+    printProfileImage: true,
+
+    /** api: config[routingId]
+     *  ``String``
+     *  Id of a :class:`cgxp.plugins.Routing` tool. If set and a route is
+     *  computed, the roadbook of the route is printed after the first
+     *  page: an overview page of the route, with the ``showRoadbook`` and
+     *  ``showRoadbookOverview`` parameters, the ``roadbookTable`` of the
+     *  directions and the total ``roadbookDistance`` and ``roadbookTime``,
+     *  and the pages of the directions at the ``roadbookScale``. The
+     *  consecutive directions fitting in a page are printed on the same
+     *  page, with the ``roadbookTable`` of these directions, and the
+     *  ``roadbookDirection`` and the ``roadbookDistance`` and
+     *  ``roadbookTime`` from the source of the first one, see
+     *  :meth:`cgxp.plugins.Routing.printExport`. The pages also get the
+     *  ``pageNumber`` and ``pageCount`` parameters. The predefined
+     *  ``'roadbook'`` field lets the user skip the roadbook.
+     */
+    routingId: null,
+
+    /** api: config[roadbookScale]
+     *  ``Number``
+     *  The scale of the pages of the roadbook directions, the closest
+     *  print scale is used. Default is the scale of the print page.
+     */
+    roadbookScale: null,
+
+    /** api: config[roadbookMaxPages]
+     *  ``Integer``
+     *  The maximum number of pages of the roadbook directions. Beyond it
+     *  only the overview page, with the table of all the directions, is
+     *  printed. Default is 20.
+     */
+    roadbookMaxPages: 20,
+
+    /** private: property[includeRoadbook]
+     *  ``Boolean``
+     *  Whether to print the roadbook of the route.
+     */
+    includeRoadbook: true,
+
     printPanel: null,
 
     /** api: config[mapserverURL]
@@ -226,9 +289,112 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
      *    }]
      *
      *  Default to: ``['title', 'comment', 'legend']``, that are predefined fields.
+     *
+     *  The predefined ``'atlas'`` field adds the atlas controls to the form,
+     *  see ``atlasOverview``, and the ``'roadbook'`` field a checkbox to
+     *  skip the roadbook of the route, see ``routingId``.
      */
     fields: ['title', 'comment', 'legend'],
 
+    /** api: config[atlasOverview]
+     *  ``Boolean``
+     *  In atlas mode, add an overview page that covers all the atlas sheets
+     *  before the sheets themselves (default is true).
+     *
+     *  The atlas mode prints one page per feature of the ``featureProvider``
+     *  results or per grid cell covering a drawn line or polygon, at the
+     *  atlas scale. The pages get the ``pageNumber`` and ``pageCount``
+     *  custom params, the overview page gets ``showOverview: true``.
+     */
+    atlasOverview: true,
+
+    /** api: config[atlasStyle]
+     *  ``Object``
+     *  Style config of the atlas sheets and drawn geometry.
+     */
+    atlasStyle: {},
+
+    /** private: property[atlasMode]
+     *  ``String``
+     *  The current atlas mode, one of ``none``, ``features``, ``line``
+     *  or ``polygon``.
+     */
+    atlasMode: 'none',
+
+    /** private: property[atlasScale]
+     *  ``Ext.data.Record``
+     *  The scale of the atlas sheets, the scale of the print page if null.
+     */
+    atlasScale: null,
+
+    /** private: property[atlasLayer]
+     *  ``OpenLayers.Layer.Vector``
+     *  Layer used to draw the atlas geometry and to show the sheets.
+     */
+    atlasLayer: null,
+
+    /** private: property[atlasFeature]
+     *  ``OpenLayers.Feature.Vector``
+     *  The drawn atlas line or polygon.
+     */
+    atlasFeature: null,
+
+    /** private: property[atlasDrawControls]
+     *  ``Object``
+     *  The draw controls used to draw the atlas line and polygon.
+     */
+    atlasDrawControls: null,
+
+    /** api: config[preview]
+     *  ``Boolean``
+     *  If true, a preview button is added to the print panel. It shows an
+     *  approximation of the pages built from the encoded print spec, with
+     *  warnings about empty legend, layers out of scale and vector features
+     *  that can't be printed. Default is false.
+     */
+    preview: false,
+
+    /** private: property[droppedFeatures]
+     *  ``Array(String)``
+     *  While encoding a preview, the names of the vector layers with
+     *  features removed from the print.
+     */
+    droppedFeatures: null,
+
+    /** api: config[jobManager]
+     *  ``Boolean``
+     *  If true, the print jobs are sent in the background instead of
+     *  blocking the form, and are listed with their status in the print
+     *  panel. Running jobs can be cancelled, failed ones retried and the
+     *  last printed documents downloaded again during the session.
+     *  Default is false.
+     */
+    jobManager: false,
+
+    /** api: config[jobHistorySize]
+     *  ``Number``
+     *  The number of finished jobs kept in the jobs list. Default is 5.
+     */
+    jobHistorySize: 5,
+
+    /** private: property[jobStore]
+     *  ``Ext.data.Store``
+     *  The print jobs, kept on the plugin so they survive the print panel.
+     */
+    jobStore: null,
+
+    /** private: property[jobTransactions]
+     *  ``Object``
+     *  The transactions of the running jobs, by record id.
+     */
+    jobTransactions: null,
+
+    /** private: property[jobTask]
+     *  ``Object``
+     *  The task updating the elapsed time of the running jobs.
+     */
+    jobTask: null,
+
     /* i18n */
     printTitle: "Printing",
     titlefieldText: "Title",
@@ -236,6 +402,7 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
     commentfieldText: "Comment",
     commentfieldvalueText: "Comment on the map",
     includelegendText: "Include legend",
+    includeroadbookText: "Include the roadbook of the route",
     dpifieldText: "Resolution",
     scalefieldText: "Scale",
     rotationfieldText: "Rotation",
@@ -248,6 +415,28 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
     failureTitle: "Printing Failure",
     failureText: "An error occured while printing. Please check the parameters.",
     layoutText: "Layout",
+    atlasText: "Atlas",
+    atlasNoneText: "None",
+    atlasFeaturesText: "One page per query result",
+    atlasLineText: "Along a line",
+    atlasPolygonText: "Over a polygon",
+    atlasScaleText: "Atlas scale",
+    atlasOverviewText: "Include an overview page",
+    atlasSheetsText: "Number of atlas pages: {0}",
+    previewbuttonText: "Preview",
+    previewTitle: "Print preview",
+    previewPageText: "Page {0}",
+    previewWarningsText: "Warnings",
+    previewEmptyLegendText: "The legend is empty.",
+    previewDroppedFeaturesText: "Some features of the layer \"{0}\" can't be printed.",
+    previewOutOfRangeText: "The layer \"{0}\" is not visible at the scale 1:{1}.",
+    jobsTitle: "Print jobs",
+    jobRunningText: "Printing... ({0} s)",
+    jobDoneText: "Ready",
+    jobFailedText: "Failed",
+    jobCancelledText: "Cancelled",
+    jobCancelText: "Cancel",
+    jobRetryText: "Retry",
 
     /** api: property[paramRenderer]
      *  ``Object<String, Function>``
@@ -262,6 +451,55 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
         if (this.activateToggleGroup) {
             cgxp.plugins.ToolActivateMgr.register(this);
         }
+        if (this.jobManager) {
+            this.jobStore = new Ext.data.JsonStore({
+                fields: [
+                    'title', 'status', 'url', 'spec', 'createURL', 'params',
+                    'encoding', {name: 'date', type: 'date'}, 'elapsed'
+                ]
+            });
+            this.jobTransactions = {};
+            this.jobTask = {
+                run: this.updateJobsElapsed,
+                interval: 1000,
+                scope: this
+            };
+        }
+    },
+
+    /** private: method[openDocument]
+     *  Opens a printed document.
+     *  :arg url: ``String`` The URL of the document.
+     */
+    openDocument: function(url) {
+        if (Ext.isIE) {
+            var win = new Ext.Window({
+                width: 200,
+                cls: 'pdf-window',
+                items: [
+                    {
+                        html: this.readyText
+                    },
+                    {
+                        xtype: 'button',
+                        text: this.downloadText,
+                        handler: function() {
+                            window.open(url);
+                            win.hide();
+                        }
+                    }
+                ]
+            });
+            win.show();
+        }
+        else if (Ext.isOpera) {
+            // Make sure that Opera don't replace the content tab
+            // with the pdf
+            window.open(url);
+        } else {
+            // This avoids popup blockers for all other browsers
+            window.location.href = url;
+        }
     },
 
     /** private: method[addOutput]
@@ -376,70 +614,34 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
             }, this.printProviderConfig),
             listeners: {
                 beforedownload: function(pp, url) {
-                    if (Ext.isIE) {
-                        var win = new Ext.Window({
-                            width: 200,
-                            cls: 'pdf-window',
-                            items: [
-                                {
-                                    html: this.readyText
-                                },
-                                {
-                                    xtype: 'button',
-                                    text: this.downloadText,
-                                    handler: function() {
-                                        window.open(url);
-                                        win.hide();
-                                    }
-                                }
-                            ]
-                        });
-                        win.show();
-                    }
-                    else if (Ext.isOpera) {
-                        // Make sure that Opera don't replace the content tab
-                        // with the pdf
-                        window.open(url);
-                    } else {
-                        // This avoids popup blockers for all other browsers
-                        window.location.href = url;
-                    }
+                    this.openDocument(url);
                     return false;
                 },
                 scope: this
             }
         });
-        printProvider.on('beforeencodelayer', function(printProvider, layer) {
-            if (layer instanceof OpenLayers.Layer.Vector) {
-                var features = [];
-                // reviews the layer features to remove the wrong ones
-                // (because they make the print service crash)
-                for (var i = 0, n = layer.features.length; i < n; i++) {
-                    var f = layer.features[i];
-                    var b = f.geometry.bounds;
-
-                    // removes 0-length lines
-                    if (f.geometry instanceof OpenLayers.Geometry.LineString &&
-                        (!b || (b.getWidth() === 0 && b.getHeight() === 0))) {
-                        continue;
+        // encode the vector layers as they are rendered, with their labels
+        // and annotations
+        var vectorEncoder = new cgxp.data.PrintVectorEncoder();
+        var encoders = GeoExt.data.PrintProvider.prototype.encoders;
+        var self = this;
+        printProvider.encoders = {
+            layers: Ext.apply({}, {
+                Vector: function(layer) {
+                    var encoded = vectorEncoder.encode(layer, this);
+                    if (self.droppedFeatures && encoded.dropped > 0) {
+                        self.droppedFeatures.push(layer.name);
                     }
-
-                    // removes flat polygons
-                    if ((f.geometry instanceof OpenLayers.Geometry.Polygon ||
-                        f.geometry instanceof OpenLayers.Geometry.MultiPolygon) &&
-                        f.geometry.getArea() === 0) {
-                        continue;
+                    delete encoded.dropped;
+                    if (!encoded.type) {
+                        return encoded;
                     }
-
-                    features.push(f);
-                }
-                if (features.length === 0) {
-                    return false;
+                    return Ext.apply(encoders.layers.Layer.call(this, layer),
+                        encoded);
                 }
-                layer.features = features;
-            }
-            return true;
-        }, this);
+            }, encoders.layers),
+            legends: encoders.legends
+        };
         printProvider.on('encodelayer', function(printProvider, layer, encodedLayer) {
             var apply = false;
             if (layer.mapserverLayers) {
@@ -501,17 +703,40 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
             pages[0].customParams.showScalevalue = true;
             pages[0].customParams.showMapframe = true;
             pages[0].customParams.showMapframeQueryresult = false;
-            // new blank page, if query results
-            if (this.featureProvider) {
-
-                // clear existing result pages
-                while (pages.length > 1) {
-                    pages.pop();
+            if (this.profileId) {
+                var profile = this.target.tools[this.profileId].printExport();
+                pages[0].customParams.showProfile = profile !== null;
+                if (profile && !this.printProfileImage) {
+                    delete profile.profileImage;
                 }
+                Ext.apply(pages[0].customParams, profile);
+            }
+            if (this.routingId) {
+                pages[0].customParams.showRoadbook = false;
+                pages[0].customParams.showRoadbookOverview = false;
+            }
+
+            // keep the printed labels horizontal
+            vectorEncoder.rotation = pages[0].rotation || 0;
 
+            // clear existing atlas and result pages
+            while (pages.length > 1) {
+                pages.pop();
+            }
+
+            if (this.atlasMode != 'none') {
+                this.addAtlasPages(printProvider, pages);
+            }
+
+            if (this.routingId && this.includeRoadbook) {
+                this.addRoadbookPages(printProvider, pages);
+            }
+
+            // new blank page, if query results
+            if (this.featureProvider) {
                 var printExport = this.target.tools[this.featureProvider].printExport();
                 if (printExport instanceof Array) {
-                    var pageCount = 1;
+                    var pageCount = pages.length;
                     for (dataset in printExport) {
                         if (printExport.hasOwnProperty(dataset)) {
                             // TODO, implement paging in case of too many result to display on only one page
@@ -557,6 +782,14 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
                 }
             }
 
+            if (this.preview && printPanel) {
+                printPanel.addButton({
+                    text: this.previewbuttonText
+                }, function() {
+                    this.showPreview(printProvider, printPanel);
+                }, this);
+            }
+
             // Makes sure the print capabilities are fully loaded before rendering
             // the print interface.
             printProvider.scales.each(translate_name);
@@ -591,6 +824,25 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
                     autoCreate: {tag: "textarea", maxLength: "100"}
                 });
             }
+            else if (field == 'atlas') {
+                items.push(this.createAtlasFieldset(printProvider, function() {
+                    return printPanel.printPage;
+                }));
+            }
+            else if (field == 'roadbook') {
+                items.push({
+                    xtype: 'checkbox',
+                    name: 'roadbook',
+                    hideLabel: true,
+                    boxLabel: this.includeroadbookText,
+                    checked: this.includeRoadbook,
+                    hidden: !this.routingId,
+                    handler: function(cb, checked) {
+                        this.includeRoadbook = checked;
+                    },
+                    scope: this
+                });
+            }
             else if (field == 'legend') {
                 items.push({
                     xtype: 'checkbox',
@@ -690,6 +942,33 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
 
         printPanel = new GeoExt.ux.SimplePrint(options);
 
+        if (this.fields.indexOf('atlas') != -1) {
+            // show the atlas sheets like the print extent
+            printPanel.on({
+                'expand': this.showAtlas,
+                'activate': this.showAtlas,
+                'enable': this.showAtlas,
+                'collapse': this.hideAtlas,
+                'deactivate': this.hideAtlas,
+                'disable': this.hideAtlas,
+                'destroy': this.hideAtlas,
+                scope: this
+            });
+            this.showAtlas();
+        }
+
+        if (this.jobManager) {
+            // jobs are sent in the background, don't block the form
+            printProvider.un('beforeprint', printPanel.busyMask.show,
+                printPanel.busyMask);
+            printProvider.on('loadcapabilities', function() {
+                printPanel.add(this.createJobsGrid());
+                printPanel.doLayout();
+            }, this);
+        }
+        printProvider.print = this.doPrint.createDelegate(this,
+            [printProvider], 0);
+
         printProvider.on('printexception', function(printProvider, response) {
             printPanel.busyMask.hide();
             Ext.Msg.alert(this.failureTitle, this.failureText);
@@ -698,6 +977,925 @@ cgxp.plugins.Print = Ext.extend(gxp.plugins.Tool, {
         printProvider.loadCapabilities();
 
         return printPanel;
+    },
+
+    /** private: method[encodeSpec]
+     *  Encodes the print spec as the print provider would send it, the
+     *  ``beforeprint`` and ``encodelayer`` listeners are called.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg map: ``OpenLayers.Map``
+     *  :arg pages: ``Array(GeoExt.data.PrintPage)``
+     *  :arg options: ``Object`` The print options.
+     *  :returns: ``Object`` The spec, or null if the print is cancelled.
+     */
+    encodeSpec: function(printProvider, map, pages, options) {
+        var spec = null;
+        var method = printProvider.method;
+        // in GET mode the print provider gives the encoded spec as
+        // an URL parameter to its download method
+        printProvider.method = 'GET';
+        printProvider.download = function(url) {
+            var match = /[?&]spec=([^&]*)/.exec(url);
+            spec = Ext.decode(decodeURIComponent(match[1]));
+        };
+        try {
+            GeoExt.data.PrintProvider.prototype.print.call(printProvider,
+                map, pages, options);
+        } finally {
+            printProvider.method = method;
+            delete printProvider.download;
+        }
+        return spec;
+    },
+
+    /** private: method[doPrint]
+     *  Replaces the ``print`` method of the print provider: renders the
+     *  image of the profile chart if needed, then submits a job when the
+     *  job manager is enabled, or prints as the print provider does.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg map: ``OpenLayers.Map``
+     *  :arg pages: ``Array(GeoExt.data.PrintPage)``
+     *  :arg options: ``Object`` The print options.
+     */
+    doPrint: function(printProvider, map, pages, options) {
+        var print = function() {
+            if (this.jobManager) {
+                this.submitJob(printProvider, map, pages, options);
+            } else {
+                GeoExt.data.PrintProvider.prototype.print.call(printProvider,
+                    map, pages, options);
+            }
+        };
+        if (this.profileId && this.printProfileImage) {
+            this.target.tools[this.profileId].preparePrint(print, this);
+        } else {
+            print.call(this);
+        }
+    },
+
+    /** private: method[submitJob]
+     *  Submits a print job when the job manager is enabled.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg map: ``OpenLayers.Map``
+     *  :arg pages: ``Array(GeoExt.data.PrintPage)``
+     *  :arg options: ``Object`` The print options.
+     */
+    submitJob: function(printProvider, map, pages, options) {
+        if (map instanceof GeoExt.MapPanel) {
+            map = map.map;
+        }
+        var spec = this.encodeSpec(printProvider, map,
+            pages instanceof Array ? pages : [pages], options || {});
+        if (!spec) {
+            return;
+        }
+        // the date is rendered in the grid as soon as the job is inserted
+        var record = new this.jobStore.recordType({
+            title: spec.title || OpenLayers.i18n(spec.layout),
+            status: 'running',
+            date: new Date(),
+            spec: spec,
+            createURL: printProvider.capabilities.createURL,
+            params: printProvider.initialConfig.baseParams,
+            encoding: printProvider.encoding
+        });
+        this.jobStore.insert(0, record);
+        this.sendJob(record);
+    },
+
+    /** private: method[sendJob]
+     *  Sends the request of a print job.
+     *  :arg record: ``Ext.data.Record`` The job.
+     */
+    sendJob: function(record) {
+        this.setJobStatus(record, 'running', {
+            date: new Date(),
+            elapsed: 0,
+            url: null
+        });
+        this.jobTransactions[record.id] = Ext.Ajax.request({
+            url: record.get('createURL'),
+            timeout: this.timeout,
+            jsonData: record.get('spec'),
+            headers: {
+                'Content-Type': 'application/json; charset=' +
+                    record.get('encoding')
+            },
+            params: record.get('params'),
+            success: function(response) {
+                delete this.jobTransactions[record.id];
+                var url = Ext.decode(response.responseText).getURL;
+                this.setJobStatus(record, 'done', {url: url});
+                this.openDocument(url);
+            },
+            failure: function(response) {
+                delete this.jobTransactions[record.id];
+                // cancelled jobs are already marked
+                if (record.get('status') == 'running') {
+                    this.setJobStatus(record, 'failed');
+                }
+            },
+            scope: this
+        });
+        if (!this.jobTask.started) {
+            this.jobTask.started = true;
+            Ext.TaskMgr.start(this.jobTask);
+        }
+    },
+
+    /** private: method[cancelJob]
+     *  Cancels a running print job.
+     *  :arg record: ``Ext.data.Record`` The job.
+     */
+    cancelJob: function(record) {
+        this.setJobStatus(record, 'cancelled');
+        Ext.Ajax.abort(this.jobTransactions[record.id]);
+        delete this.jobTransactions[record.id];
+    },
+
+    /** private: method[setJobStatus]
+     *  :arg record: ``Ext.data.Record`` The job.
+     *  :arg status: ``String`` One of ``running``, ``done``, ``failed``
+     *      or ``cancelled``.
+     *  :arg values: ``Object`` Other values to set (optional).
+     *
+     *  The oldest jobs are pruned when a job is finished.
+     */
+    setJobStatus: function(record, status, values) {
+        record.beginEdit();
+        record.set('status', status);
+        Ext.iterate(values || {}, record.set, record);
+        record.endEdit();
+        record.commit();
+        if (status != 'running') {
+            this.pruneJobs();
+        }
+    },
+
+    /** private: method[pruneJobs]
+     *  Removes the oldest finished jobs to keep ``jobHistorySize`` of them.
+     */
+    pruneJobs: function() {
+        var finished = [];
+        this.jobStore.each(function(record) {
+            if (record.get('status') != 'running') {
+                finished.push(record);
+            }
+        });
+        // the jobs are sorted from the newest to the oldest
+        this.jobStore.remove(finished.slice(this.jobHistorySize));
+    },
+
+    /** private: method[updateJobsElapsed]
+     *  Updates the elapsed time of the running jobs, stops the task if
+     *  there is none.
+     */
+    updateJobsElapsed: function() {
+        var running = false;
+        var now = new Date();
+        this.jobStore.each(function(record) {
+            if (record.get('status') == 'running') {
+                running = true;
+                record.set('elapsed',
+                    Math.round((now - record.get('date')) / 1000));
+                record.commit();
+            }
+        });
+        if (!running) {
+            this.jobTask.started = false;
+            Ext.TaskMgr.stop(this.jobTask);
+        }
+    },
+
+    /** private: method[createJobsGrid]
+     *  Creates the grid listing the print jobs.
+     *  :returns: ``Ext.grid.GridPanel``
+     */
+    createJobsGrid: function() {
+        var statusTexts = {
+            done: this.jobDoneText,
+            failed: this.jobFailedText,
+            cancelled: this.jobCancelledText
+        };
+        var actionTexts = {
+            running: this.jobCancelText,
+            done: this.downloadText,
+            failed: this.jobRetryText,
+            cancelled: this.jobRetryText
+        };
+        return new Ext.grid.GridPanel({
+            title: this.jobsTitle,
+            hideLabel: true,
+            anchor: '100%',
+            height: 150,
+            cls: 'print-jobs',
+            store: this.jobStore,
+            hideHeaders: true,
+            disableSelection: true,
+            viewConfig: {
+                forceFit: true
+            },
+            columns: [{
+                dataIndex: 'title',
+                renderer: function(value, metaData, record) {
+                    return record.get('date').format('H:i') + ' ' +
+                        Ext.util.Format.htmlEncode(value);
+                }
+            }, {
+                dataIndex: 'status',
+                renderer: function(value, metaData, record) {
+                    return value == 'running' ?
+                        String.format(this.jobRunningText, record.get('elapsed')) :
+                        statusTexts[value];
+                },
+                scope: this
+            }, {
+                dataIndex: 'status',
+                width: 60,
+                renderer: function(value) {
+                    return '<a href="#" class="print-job-action">' +
+                        actionTexts[value] + '</a>';
+                }
+            }],
+            listeners: {
+                'cellclick': function(grid, rowIndex, columnIndex, e) {
+                    if (!e.getTarget('.print-job-action')) {
+                        return;
+                    }
+                    e.stopEvent();
+                    var record = grid.getStore().getAt(rowIndex);
+                    switch (record.get('status')) {
+                        case 'running':
+                            this.cancelJob(record);
+                            break;
+                        case 'done':
+                            this.openDocument(record.get('url'));
+                            break;
+                        default:
+                            this.sendJob(record);
+                    }
+                },
+                scope: this
+            }
+        });
+    },
+
+    /** private: method[showPreview]
+     *  Shows a preview of the print in a window.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg printPanel: ``GeoExt.ux.SimplePrint``
+     */
+    showPreview: function(printProvider, printPanel) {
+        var spec, dropped;
+        this.droppedFeatures = [];
+        try {
+            spec = this.encodeSpec(printProvider, this.target.mapPanel.map,
+                printPanel.printExtent.pages,
+                Ext.apply({}, printPanel.printOptions));
+        } finally {
+            dropped = this.droppedFeatures;
+            this.droppedFeatures = null;
+            printPanel.busyMask.hide();
+        }
+        if (!spec) {
+            return;
+        }
+
+        var html = [];
+        var warnings = this.getPreviewWarnings(spec, dropped);
+        if (warnings.length > 0) {
+            html.push('<div class="print-preview-warnings"><b>',
+                this.previewWarningsText, '</b><ul>');
+            Ext.each(warnings, function(warning) {
+                html.push('<li>', Ext.util.Format.htmlEncode(warning), '</li>');
+            });
+            html.push('</ul></div>');
+        }
+        var size = printProvider.layout.get('size');
+        Ext.each(spec.pages, function(page, index) {
+            html.push(this.renderPreviewPage(spec, page, index, size));
+        }, this);
+
+        new Ext.Window({
+            title: this.previewTitle,
+            width: 450,
+            height: 550,
+            autoScroll: true,
+            cls: 'print-preview',
+            html: html.join('')
+        }).show();
+    },
+
+    /** private: method[getPreviewWarnings]
+     *  :arg spec: ``Object`` The encoded spec.
+     *  :arg dropped: ``Array(String)`` The names of the vector layers
+     *      with features removed from the print.
+     *  :returns: ``Array(String)`` The warnings about the print.
+     */
+    getPreviewWarnings: function(spec, dropped) {
+        var warnings = [];
+        if (this.includeLegend && (!spec.legends || spec.legends.length === 0)) {
+            warnings.push(this.previewEmptyLegendText);
+        }
+        Ext.each(dropped, function(name) {
+            warnings.push(String.format(this.previewDroppedFeaturesText, name));
+        }, this);
+
+        var map = this.target.mapPanel.map;
+        var scales = {};
+        Ext.each(spec.pages, function(page) {
+            if (page.showMap !== false) {
+                scales[page.scale] = true;
+            }
+        });
+        Ext.iterate(scales, function(scale) {
+            var resolution = OpenLayers.Util.getResolutionFromScale(
+                scale, map.getUnits());
+            Ext.each(map.layers, function(layer) {
+                if (layer.displayInLayerSwitcher && layer.getVisibility() &&
+                    !layer.alwaysInRange &&
+                    (resolution < layer.minResolution ||
+                    resolution > layer.maxResolution)) {
+                    warnings.push(String.format(this.previewOutOfRangeText,
+                        layer.name, scale));
+                }
+            }, this);
+        }, this);
+        return warnings;
+    },
+
+    /** private: method[getPreviewImages]
+     *  Gets the GetMap URLs of the encoded WMS layers for a page.
+     *  :arg spec: ``Object`` The encoded spec.
+     *  :arg page: ``Object`` The encoded page.
+     *  :arg size: ``Object`` The size of the map in the layout, in points.
+     *  :arg width: ``Number`` The width of the images in pixels.
+     *  :arg height: ``Number`` The height of the images in pixels.
+     *  :returns: ``Array(Object)`` Objects with ``url`` and ``opacity``.
+     */
+    getPreviewImages: function(spec, page, size, width, height) {
+        var ratio = page.scale / 72 / OpenLayers.INCHES_PER_UNIT[spec.units];
+        var w = size.width * ratio / 2;
+        var h = size.height * ratio / 2;
+        var bbox = [
+            page.center[0] - w, page.center[1] - h,
+            page.center[0] + w, page.center[1] + h
+        ];
+        var images = [];
+        Ext.each(spec.layers, function(layer) {
+            if (layer.type != 'WMS') {
+                return;
+            }
+            var params = Ext.apply({
+                SERVICE: 'WMS',
+                REQUEST: 'GetMap',
+                VERSION: '1.1.1',
+                LAYERS: layer.layers.join(','),
+                STYLES: (layer.styles || []).join(','),
+                FORMAT: layer.format,
+                TRANSPARENT: true,
+                SRS: spec.srs,
+                BBOX: bbox.join(','),
+                WIDTH: width,
+                HEIGHT: height
+            }, layer.customParams);
+            // the preview is rendered at the screen resolution
+            delete params.map_resolution;
+            images.push({
+                url: Ext.urlAppend(layer.baseURL, Ext.urlEncode(params)),
+                opacity: layer.opacity === undefined ? 1 : layer.opacity
+            });
+        });
+        return images;
+    },
+
+    /** private: method[renderPreviewPage]
+     *  :arg spec: ``Object`` The encoded spec.
+     *  :arg page: ``Object`` The encoded page.
+     *  :arg index: ``Number`` The page index.
+     *  :arg size: ``Object`` The size of the map in the layout, in points.
+     *  :returns: ``String`` The HTML of the page preview.
+     */
+    renderPreviewPage: function(spec, page, index, size) {
+        var encode = Ext.util.Format.htmlEncode;
+        var width = 400;
+        var height = Math.round(size.height * width / size.width);
+        var html = [
+            '<div class="print-preview-page">',
+            '<div class="print-preview-number">',
+            String.format(this.previewPageText, index + 1),
+            '</div>'
+        ];
+        if (spec.title) {
+            html.push('<h1>', encode(spec.title), '</h1>');
+        }
+        if (page.showMap !== false) {
+            html.push('<div class="print-preview-map" style="width: ',
+                width, 'px; height: ', height, 'px;">');
+            Ext.each(this.getPreviewImages(spec, page, size, width, height),
+                function(image) {
+                    html.push('<img src="', encode(image.url),
+                        '" style="opacity: ', image.opacity, ';" />');
+                }
+            );
+            html.push('</div><div class="print-preview-scale">1:',
+                page.scale);
+            if (page.rotation) {
+                html.push(' - ', this.rotationfieldText, ' ',
+                    page.rotation, '°');
+            }
+            html.push('</div>');
+        }
+        if (spec.comment) {
+            html.push('<p>', encode(spec.comment), '</p>');
+        }
+        if (index === 0 && spec.legends) {
+            html.push('<ul class="print-preview-legend">');
+            Ext.each(spec.legends, function(legend) {
+                html.push('<li>', encode(legend.name || ''));
+                Ext.each(legend.classes, function(cls) {
+                    html.push('<div>');
+                    Ext.each(cls.icons, function(icon) {
+                        html.push('<img src="', encode(icon), '" />');
+                    });
+                    html.push(encode(cls.name || ''), '</div>');
+                });
+                html.push('</li>');
+            });
+            html.push('</ul>');
+        }
+        if (page.showAttr && page.table) {
+            html.push('<table class="print-preview-table"><tr>');
+            Ext.each(page.table.columns, function(column) {
+                html.push('<th>', encode(page[column] || ''), '</th>');
+            });
+            html.push('</tr>');
+            Ext.each(page.table.data, function(row) {
+                html.push('<tr>');
+                Ext.each(page.table.columns, function(column) {
+                    var value = row[column];
+                    html.push('<td>', encode(value === null ||
+                        value === undefined ? '' : String(value)), '</td>');
+                });
+                html.push('</tr>');
+            });
+            html.push('</table>');
+        }
+        html.push('</div>');
+        return html.join('');
+    },
+
+    /** private: method[createAtlasFieldset]
+     *  Creates the fieldset used to configure the atlas.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg getPrintPage: ``Function`` Returns the print page of the panel.
+     *  :returns: ``Object`` The fieldset config.
+     */
+    createAtlasFieldset: function(printProvider, getPrintPage) {
+        var map = this.target.mapPanel.map;
+        if (!this.atlasLayer) {
+            this.atlasLayer = new OpenLayers.Layer.Vector(null, {
+                displayInLayerSwitcher: false,
+                styleMap: new OpenLayers.StyleMap(new OpenLayers.Style(Ext.apply({
+                    fillColor: '#0066cc',
+                    fillOpacity: 0.1,
+                    strokeColor: '#0066cc',
+                    strokeWidth: 2,
+                    label: "${label}",
+                    fontColor: '#0066cc',
+                    fontSize: '14px',
+                    fontWeight: 'bold'
+                }, this.atlasStyle), {
+                    context: {
+                        label: function(f) {
+                            return f.attributes.pageNumber || '';
+                        }
+                    }
+                }))
+            });
+            map.addLayer(this.atlasLayer);
+            this.atlasDrawControls = {
+                line: new OpenLayers.Control.DrawFeature(this.atlasLayer,
+                    OpenLayers.Handler.Path),
+                polygon: new OpenLayers.Control.DrawFeature(this.atlasLayer,
+                    OpenLayers.Handler.Polygon)
+            };
+            map.addControls([
+                this.atlasDrawControls.line,
+                this.atlasDrawControls.polygon
+            ]);
+        }
+
+        var sheetsField = new Ext.form.DisplayField({
+            hideLabel: true,
+            hidden: this.atlasMode == 'none'
+        });
+        var updateSheets = function() {
+            var printPage = getPrintPage();
+            var count = this.updateAtlasSheets(printProvider,
+                this.atlasScale || (printPage && printPage.scale)).length;
+            sheetsField.setValue(String.format(this.atlasSheetsText, count));
+            sheetsField.setVisible(this.atlasMode != 'none');
+        };
+
+        var onFeatureAdded = function(e) {
+            if (this.atlasFeature) {
+                this.atlasLayer.removeFeatures([this.atlasFeature]);
+            }
+            this.atlasFeature = e.feature;
+            this.atlasDrawControls[this.atlasMode].deactivate();
+            updateSheets.call(this);
+        };
+        this.atlasDrawControls.line.events.on({
+            'featureadded': onFeatureAdded,
+            scope: this
+        });
+        this.atlasDrawControls.polygon.events.on({
+            'featureadded': onFeatureAdded,
+            scope: this
+        });
+        printProvider.on('layoutchange', updateSheets, this);
+
+        var modes = [['none', this.atlasNoneText]];
+        if (this.featureProvider) {
+            modes.push(['features', this.atlasFeaturesText]);
+        }
+        modes.push(['line', this.atlasLineText]);
+        modes.push(['polygon', this.atlasPolygonText]);
+
+        return {
+            xtype: 'fieldset',
+            title: this.atlasText,
+            autoHeight: true,
+            defaults: {
+                anchor: '100%'
+            },
+            items: [{
+                xtype: 'combo',
+                hideLabel: true,
+                store: modes,
+                value: this.atlasMode,
+                mode: 'local',
+                triggerAction: 'all',
+                editable: false,
+                listeners: {
+                    'select': function(combo, record) {
+                        this.atlasMode = record.get('field1');
+                        this.atlasDrawControls.line.deactivate();
+                        this.atlasDrawControls.polygon.deactivate();
+                        if (this.atlasFeature) {
+                            this.atlasLayer.removeFeatures([this.atlasFeature]);
+                            this.atlasFeature = null;
+                        }
+                        if (this.atlasDrawControls[this.atlasMode]) {
+                            this.atlasDrawControls[this.atlasMode].activate();
+                        }
+                        updateSheets.call(this);
+                    },
+                    scope: this
+                }
+            }, {
+                xtype: 'combo',
+                fieldLabel: this.atlasScaleText,
+                store: printProvider.scales,
+                displayField: 'label',
+                valueField: 'value',
+                value: this.atlasScale ? this.atlasScale.get('value') : undefined,
+                mode: 'local',
+                triggerAction: 'all',
+                editable: false,
+                listeners: {
+                    'select': function(combo, record) {
+                        this.atlasScale = record;
+                        updateSheets.call(this);
+                    },
+                    scope: this
+                }
+            }, {
+                xtype: 'checkbox',
+                hideLabel: true,
+                boxLabel: this.atlasOverviewText,
+                checked: this.atlasOverview,
+                handler: function(cb, checked) {
+                    this.atlasOverview = checked;
+                },
+                scope: this
+            }, sheetsField],
+            listeners: {
+                'destroy': function() {
+                    this.atlasDrawControls.line.events.un({
+                        'featureadded': onFeatureAdded,
+                        scope: this
+                    });
+                    this.atlasDrawControls.polygon.events.un({
+                        'featureadded': onFeatureAdded,
+                        scope: this
+                    });
+                    printProvider.un('layoutchange', updateSheets, this);
+                },
+                scope: this
+            }
+        };
+    },
+
+    /** private: method[showAtlas]
+     *  Shows the atlas layer.
+     */
+    showAtlas: function() {
+        if (this.atlasLayer) {
+            this.atlasLayer.setVisibility(true);
+        }
+    },
+
+    /** private: method[hideAtlas]
+     *  Hides the atlas layer and stops drawing.
+     */
+    hideAtlas: function() {
+        if (this.atlasLayer) {
+            this.atlasLayer.setVisibility(false);
+            this.atlasDrawControls.line.deactivate();
+            this.atlasDrawControls.polygon.deactivate();
+        }
+    },
+
+    /** private: method[getPageSize]
+     *  Gets the size of the map of a page in map units.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg scale: ``Ext.data.Record``
+     *  :returns: ``Object`` An object with ``w`` and ``h`` properties.
+     */
+    getPageSize: function(printProvider, scale) {
+        var size = printProvider.layout.get('size');
+        var unitsRatio = OpenLayers.INCHES_PER_UNIT[
+            this.target.mapPanel.map.getUnits()];
+        return {
+            w: size.width / 72 / unitsRatio * scale.get('value'),
+            h: size.height / 72 / unitsRatio * scale.get('value')
+        };
+    },
+
+    /** private: method[getAtlasExtents]
+     *  Gets the extents of the atlas sheets: one centered on each feature
+     *  of the feature provider or the cells of a grid covering the drawn
+     *  geometry.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg scale: ``Ext.data.Record`` The atlas scale.
+     *  :returns: ``Array(OpenLayers.Bounds)``
+     */
+    getAtlasExtents: function(printProvider, scale) {
+        var size = this.getPageSize(printProvider, scale);
+        var extents = [];
+        var center;
+        if (this.atlasMode == 'features') {
+            var features = this.target.tools[this.featureProvider].printFeatures();
+            Ext.each(features, function(feature) {
+                center = feature.geometry.getBounds().getCenterLonLat();
+                extents.push(new OpenLayers.Bounds(
+                    center.lon - size.w / 2, center.lat - size.h / 2,
+                    center.lon + size.w / 2, center.lat + size.h / 2
+                ));
+            });
+        }
+        else if (this.atlasFeature) {
+            var geometry = this.atlasFeature.geometry;
+            var bounds = geometry.getBounds();
+            var cols = Math.max(1, Math.ceil(bounds.getWidth() / size.w));
+            var rows = Math.max(1, Math.ceil(bounds.getHeight() / size.h));
+            // the grid is centered on the geometry
+            center = bounds.getCenterLonLat();
+            var left = center.lon - cols * size.w / 2;
+            var top = center.lat + rows * size.h / 2;
+            for (var row = 0; row < rows; row++) {
+                for (var col = 0; col < cols; col++) {
+                    var cell = new OpenLayers.Bounds(
+                        left + col * size.w, top - (row + 1) * size.h,
+                        left + (col + 1) * size.w, top - row * size.h
+                    );
+                    if (cell.toGeometry().intersects(geometry)) {
+                        extents.push(cell);
+                    }
+                }
+            }
+        }
+        return extents;
+    },
+
+    /** private: method[updateAtlasSheets]
+     *  Draws the atlas sheets on the atlas layer.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg scale: ``Ext.data.Record`` The atlas scale.
+     *  :returns: ``Array(OpenLayers.Bounds)`` The extents of the sheets.
+     */
+    updateAtlasSheets: function(printProvider, scale) {
+        var sheets = [];
+        Ext.each(this.atlasLayer.features, function(feature) {
+            if (feature.attributes.pageNumber) {
+                sheets.push(feature);
+            }
+        });
+        this.atlasLayer.destroyFeatures(sheets);
+
+        if (this.atlasMode == 'none' || !printProvider.layout || !scale) {
+            return [];
+        }
+        var extents = this.getAtlasExtents(printProvider, scale);
+        sheets = [];
+        Ext.each(extents, function(extent, index) {
+            sheets.push(new OpenLayers.Feature.Vector(extent.toGeometry(), {
+                pageNumber: index + 1
+            }));
+        });
+        this.atlasLayer.addFeatures(sheets);
+        return extents;
+    },
+
+    /** private: method[getAtlasOverviewScale]
+     *  Gets the smallest scale where the given bounds fits in a page.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg bounds: ``OpenLayers.Bounds``
+     *  :returns: ``Ext.data.Record``
+     */
+    getAtlasOverviewScale: function(printProvider, bounds) {
+        var best = null, largest = null;
+        printProvider.scales.each(function(scale) {
+            var value = scale.get('value');
+            var size = this.getPageSize(printProvider, scale);
+            if (size.w >= bounds.getWidth() && size.h >= bounds.getHeight() &&
+                    (!best || value < best.get('value'))) {
+                best = scale;
+            }
+            if (!largest || value > largest.get('value')) {
+                largest = scale;
+            }
+        }, this);
+        return best || largest;
+    },
+
+    /** private: method[createAtlasPage]
+     *  Creates a map page of the atlas.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg center: ``OpenLayers.LonLat``
+     *  :arg scale: ``Ext.data.Record``
+     *  :arg customParams: ``Object`` The page specific custom params.
+     *  :returns: ``GeoExt.data.PrintPage``
+     */
+    createAtlasPage: function(printProvider, center, scale, customParams) {
+        var page = new GeoExt.data.PrintPage({
+            printProvider: printProvider
+        });
+        page.center = center;
+        page.scale = scale;
+        page.rotation = 0;
+        page.customParams = Ext.apply({
+            col0: '',
+            table: {data: [{col0: ''}], columns: ['col0']},
+            showMap: true,
+            showScale: true,
+            showAttr: false,
+            showNorth: true,
+            showScalevalue: true,
+            showMapframe: true,
+            showMapframeQueryresult: false,
+            showOverview: false,
+            showRoadbook: false,
+            showRoadbookOverview: false
+        }, customParams);
+        return page;
+    },
+
+    /** private: method[addAtlasPages]
+     *  Adds the overview and sheet pages of the atlas after the first page.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg pages: ``Array(GeoExt.data.PrintPage)``
+     */
+    addAtlasPages: function(printProvider, pages) {
+        var scale = this.atlasScale || pages[0].scale;
+        var extents = this.updateAtlasSheets(printProvider, scale);
+        if (extents.length === 0) {
+            return;
+        }
+        if (this.atlasOverview) {
+            var bounds = new OpenLayers.Bounds();
+            Ext.each(extents, function(extent) {
+                bounds.extend(extent);
+            });
+            pages.push(this.createAtlasPage(printProvider,
+                bounds.getCenterLonLat(),
+                this.getAtlasOverviewScale(printProvider, bounds), {
+                    showOverview: true,
+                    pageCount: extents.length
+                }
+            ));
+        }
+        Ext.each(extents, function(extent, index) {
+            pages.push(this.createAtlasPage(printProvider,
+                extent.getCenterLonLat(), scale, {
+                    pageNumber: index + 1,
+                    pageCount: extents.length
+                }
+            ));
+        }, this);
+    },
+
+    /** private: method[getClosestScale]
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg value: ``Number`` A scale denominator.
+     *  :returns: ``Ext.data.Record`` The closest print scale.
+     */
+    getClosestScale: function(printProvider, value) {
+        var closest = null;
+        printProvider.scales.each(function(scale) {
+            if (!closest || Math.abs(scale.get('value') - value) <
+                    Math.abs(closest.get('value') - value)) {
+                closest = scale;
+            }
+        });
+        return closest;
+    },
+
+    /** private: method[getRoadbookGroups]
+     *  Groups the consecutive directions of the roadbook fitting in a page.
+     *  :arg steps: ``Array(Object)`` The directions, with their ``center``.
+     *  :arg size: ``Object`` The size of the map of a page, with ``w`` and
+     *      ``h`` properties.
+     *  :returns: ``Array(Object)`` The groups, with the ``bounds`` and the
+     *      ``indexes`` of their directions.
+     */
+    getRoadbookGroups: function(steps, size) {
+        var groups = [], group = null;
+        Ext.each(steps, function(step, index) {
+            var bounds = group && group.bounds.clone();
+            if (bounds) {
+                bounds.extend(step.center);
+            }
+            // keep a margin around the directions
+            if (bounds && bounds.getWidth() <= 0.9 * size.w &&
+                    bounds.getHeight() <= 0.9 * size.h) {
+                group.bounds = bounds;
+                group.indexes.push(index);
+            } else {
+                var center = step.center;
+                group = {
+                    bounds: new OpenLayers.Bounds(center.lon, center.lat,
+                        center.lon, center.lat),
+                    indexes: [index]
+                };
+                groups.push(group);
+            }
+        });
+        return groups;
+    },
+
+    /** private: method[addRoadbookPages]
+     *  Adds the overview page and the direction pages of the roadbook of
+     *  the route.
+     *  :arg printProvider: ``GeoExt.data.PrintProvider``
+     *  :arg pages: ``Array(GeoExt.data.PrintPage)``
+     */
+    addRoadbookPages: function(printProvider, pages) {
+        var roadbook = this.target.tools[this.routingId].printExport();
+        if (!roadbook) {
+            return;
+        }
+        var scale = this.roadbookScale ?
+            this.getClosestScale(printProvider, this.roadbookScale) :
+            pages[0].scale;
+        var groups = this.getRoadbookGroups(roadbook.steps,
+            this.getPageSize(printProvider, scale));
+        if (groups.length > this.roadbookMaxPages) {
+            groups = [];
+        }
+        var pageCount = groups.length;
+        pages.push(this.createAtlasPage(printProvider,
+            roadbook.bounds.getCenterLonLat(),
+            this.getAtlasOverviewScale(printProvider, roadbook.bounds),
+            Ext.apply({
+                showRoadbook: true,
+                showRoadbookOverview: true,
+                pageCount: pageCount
+            }, roadbook.params)
+        ));
+        var table = roadbook.params.roadbookTable;
+        Ext.each(groups, function(group, index) {
+            var params = {
+                showRoadbook: true,
+                showRoadbookOverview: false,
+                pageNumber: index + 1,
+                pageCount: pageCount
+            };
+            if (table) {
+                // the first row is the header
+                var data = [table.data[0]];
+                Ext.each(group.indexes, function(i) {
+                    data.push(table.data[i + 1]);
+                });
+                params.roadbookTable = {columns: table.columns, data: data};
+            }
+            pages.push(this.createAtlasPage(printProvider,
+                group.bounds.getCenterLonLat(), scale, Ext.apply(params,
+                    roadbook.steps[group.indexes[0]].params)
+            ));
+        }, this);
     }
 });
 
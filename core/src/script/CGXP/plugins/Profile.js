@@ -18,9 +18,12 @@
 /**
  * @requires plugins/Tool.js
  * @include dygraphs/dygraph-excanvas.combined.js
+ * @include CGXP/data/ProfileExporter.js
+ * @include CGXP/tools/tools.js
  * @include OpenLayers/StyleMap.js
  * @include OpenLayers/Style.js
  * @include OpenLayers/Rule.js
+ * @include OpenLayers/Geometry/MultiLineString.js
  */
 
 /** api: (define)
@@ -43,7 +46,6 @@ Ext.namespace("cgxp.plugins");
  *              actionTarget: 'center.tbar',
  *              toggleGroup: 'maptools',
  *              serviceUrl: "${request.route_url('profile.json')}",
- *              csvServiceUrl: "${request.route_url('profile.csv')}",
  *              rasterLayers: ['mnt', 'mns']
  *          }]
  *          ...
@@ -62,6 +64,25 @@ Ext.namespace("cgxp.plugins");
  *      <meta http-equiv="X-UA-Compatible" content="IE=EmulateIE7; IE=EmulateIE9">
  *
  *  See http://dygraphs.com/.
+ *
+ *  Drag on the chart to zoom, drag with SHIFT to pan and double-click to
+ *  reset the zoom. A table shows, for each raster layer, the total ascent
+ *  and descent, the minimum, maximum and mean elevation and the maximum
+ *  slope. The number of sample points can be changed, the profile of the
+ *  same line is then requested again.
+ *
+ *  The profile is exported in the browser, in CSV, in JSON with the
+ *  coordinates and the values of all the raster layers, as a 3D line in
+ *  GeoJSON or GPX, and as a PNG or SVG image of the chart. The chart and
+ *  the statistics can be printed, see the ``profileId`` option of
+ *  :class:`cgxp.plugins.Print`.
+ *
+ *  Besides the sketched lines, the profile of an existing line can be shown
+ *  with :meth:`showProfile`. The :class:`cgxp.plugins.FeaturesGrid`,
+ *  :class:`cgxp.plugins.FeaturesWindow`, :class:`cgxp.plugins.Redlining`,
+ *  :class:`cgxp.plugins.Routing` and :class:`cgxp.plugins.AddKMLFile`
+ *  plugins use it when their ``profileId`` option is set to the id of
+ *  this plugin.
  */
 cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
 
@@ -76,10 +97,22 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
 
     /** api: config[csvServiceUrl]
      *  ``String``
-     *  The url to the profile csv export service.
+     *  Deprecated and ignored, the CSV file is now written in the browser.
      */
     csvServiceUrl: null,
 
+    /** api: config[exportFormats]
+     *  ``Array(String)``  The export formats, in ``csv``, ``json``,
+     *  ``geojson``, ``gpx``, ``png`` and ``svg``. Default is all.
+     */
+    exportFormats: ['csv', 'json', 'geojson', 'gpx', 'png', 'svg'],
+
+    /** api: config[exportFilename]
+     *  ``String``  The name of the exported files, without extension.
+     *  Default is ``profile``.
+     */
+    exportFilename: "profile",
+
     /** api: config[valuesProperty]
      *  ``String``
      *  The property in which are stored the elevation values (optional).
@@ -111,11 +144,17 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      */
     yLabelText: "Elevation (m)",
 
+    /** api: config[exportText]
+     *  ``String``
+     *  The translated "export" text (i18n).
+     */
+    exportText: "Export",
+
     /** api: config[exportCsvText]
      *  ``String``
-     *  The translated "export as csv" text (i18n).
+     *  Deprecated, used as ``exportText`` if set.
      */
-    exportCsvText: "Export as CSV",
+    exportCsvText: null,
 
     /** api: config[errorMsg]
      *  ``String``
@@ -142,9 +181,32 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      */
     nbPoints: 100,
 
+    /** api: config[maxNbPoints]
+     *  ``Number``
+     *  The maximum number of points the user can choose (optional).
+     *  Defaults to 1000.
+     */
+    maxNbPoints: 1000,
+
     /** i18n */
     tooltipText: 'Profile',
     menuText: 'Profile',
+    nbPointsText: 'Sample points',
+    updateText: 'Update',
+    resetZoomText: 'Reset zoom',
+    layerText: 'Layer',
+    ascentText: 'Ascent',
+    descentText: 'Descent',
+    minText: 'Min.',
+    maxText: 'Max.',
+    meanText: 'Mean',
+    maxSlopeText: 'Max. slope',
+    csvExportText: 'CSV',
+    jsonExportText: 'JSON',
+    geojsonExportText: 'GeoJSON (3D line)',
+    gpxExportText: 'GPX (3D track)',
+    pngExportText: 'PNG image',
+    svgExportText: 'SVG image',
 
     /** api: config[markerStyle]
      *  ``Object``
@@ -189,6 +251,12 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      */
     data: null,
 
+    /** private: property[nbPointsField]
+     *  ``Ext.form.NumberField``
+     *  The field of the number of sample points.
+     */
+    nbPointsField: null,
+
     /** private: property[marker]
      *  ``OpenLayers.Feature.Vector``
      *  The marker to be shown over the polyline.
@@ -202,16 +270,11 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      */
     firstShow: true,
 
-    /** private: private[dummyForm]
-     *  ``Object`` Fake form used for csv export.
+    /** private: property[chartImage]
+     *  ``String`` The data URL of the PNG image of the chart, to print it,
+     *  rendered by :meth:`preparePrint`.
      */
-    dummyForm: null,
-
-    /** private: property[exportAsCsvLink]
-     *  ``Ext.Element``
-     *  The "export as CSV" link
-     */
-    exportAsCsvLink: null,
+    chartImage: null,
 
     /** private: property[container]
      *  ``Component`` Either the created window or a component set in
@@ -224,6 +287,15 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      *  Configuration object for the action created by this plugin.
      */
 
+    /** private: method[init]
+     */
+    init: function() {
+        cgxp.plugins.Profile.superclass.init.apply(this, arguments);
+        if (this.exportCsvText) {
+            this.exportText = this.exportCsvText;
+        }
+    },
+
     /** private: method[addActions]
      */
     addActions: function() {
@@ -248,7 +320,6 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      *  :arg config: ``Object``
      */
     addOutput: function(config) {
-        this.dummyForm = Ext.DomHelper.append(document.body, {tag : 'form'});
         var card = {
             xtype: 'container',
             layout: 'card',
@@ -275,16 +346,6 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
                     this.control.layer.destroyFeatures();
                     this.clearProfile();
                 },
-                afterrender: function(cmp) {
-                    cmp.getEl().on({
-                        click: function(e) {
-                            if (e.getTarget('.csv')) {
-                                this.exportAsCsv();
-                            }
-                        },
-                        scope: this
-                    });
-                },
                 scope: this
             }
         });
@@ -325,30 +386,8 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
             eventListeners: {
                 featureadded: function(obj) {
                     this.showOutput(cmp);
-                    cmp.getEl().mask(this.waitMsgText);
-
                     this.feature = obj.feature;
-
-                    var format = new OpenLayers.Format.GeoJSON();
-                    var geometry = format.write(this.feature.geometry);
-
-                    Ext.Ajax.request({
-                        url: this.serviceUrl,
-                        method: 'POST',
-                        params: {
-                            layers: this.rasterLayers.join(','),
-                            geom: geometry,
-                            nbPoints: this.nbPoints
-                        },
-                        success: function(result) {
-                            var data = new OpenLayers.Format.JSON().read(result.responseText);
-                            this.drawProfile(data.profile);
-                        },
-                        failure: function() {
-                            this.showError();
-                        },
-                        scope: this
-                    });
+                    this.requestProfile();
                 },
                 startdrawing: function() {
                     this.clearProfile();
@@ -371,25 +410,216 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
         });
     },
 
-    /** private: method[exportAsCsv]
+    /** private: method[requestProfile]
+     *  Requests the profile of the drawn line with ``nbPoints`` points.
      */
-    exportAsCsv: function() {
+    requestProfile: function() {
+        this.output[0].getEl().mask(this.waitMsgText);
+
         var format = new OpenLayers.Format.GeoJSON();
         var geometry = format.write(this.feature.geometry);
 
         Ext.Ajax.request({
-            url: this.csvServiceUrl,
+            url: this.serviceUrl,
             method: 'POST',
-            isUpload: true,
             params: {
                 layers: this.rasterLayers.join(','),
                 geom: geometry,
                 nbPoints: this.nbPoints
             },
-            form: this.dummyForm
+            success: function(result) {
+                var data = new OpenLayers.Format.JSON().read(result.responseText);
+                this.drawProfile(data.profile);
+            },
+            failure: function() {
+                this.showError();
+            },
+            scope: this
         });
     },
 
+    /** api: method[showProfile]
+     *  :arg geometry: ``OpenLayers.Geometry`` A line in the map projection.
+     *  :returns: ``Boolean`` False if the geometry is not a line.
+     *
+     *  Activates the tool and shows the profile of the given line.
+     */
+    showProfile: function(geometry) {
+        var line = this.getProfileLine(geometry);
+        if (line) {
+            this.control.activate();
+            this.control.startDrawing();
+            this.control.drawFeature(line);
+        }
+        return line !== null;
+    },
+
+    /** api: method[getProfileLine]
+     *  :arg geometry: ``OpenLayers.Geometry``
+     *  :returns: ``OpenLayers.Geometry.LineString`` The line to profile,
+     *      ``null`` if the geometry has no line.
+     *
+     *  The parts of a multi line are joined in one line.
+     */
+    getProfileLine: function(geometry) {
+        if (geometry instanceof OpenLayers.Geometry.LineString) {
+            return new OpenLayers.Geometry.LineString(
+                geometry.clone().components);
+        }
+        if (geometry instanceof OpenLayers.Geometry.MultiLineString) {
+            var points = [];
+            Ext.each(geometry.components, function(part) {
+                Ext.each(part.components, function(point) {
+                    var last = points[points.length - 1];
+                    if (!last || !last.equals(point)) {
+                        points.push(point.clone());
+                    }
+                });
+            });
+            if (points.length > 1) {
+                return new OpenLayers.Geometry.LineString(points);
+            }
+        }
+        return null;
+    },
+
+    /** private: method[updateNbPoints]
+     *  Requests the profile again with the chosen number of points.
+     */
+    updateNbPoints: function() {
+        if (this.nbPointsField.isValid() && this.feature) {
+            this.nbPoints = this.nbPointsField.getValue();
+            this.requestProfile();
+        }
+    },
+
+    /** private: method[createExporter]
+     *  :returns: ``cgxp.data.ProfileExporter``
+     */
+    createExporter: function() {
+        return new cgxp.data.ProfileExporter({
+            rasterLayers: this.rasterLayers,
+            valuesProperty: this.valuesProperty,
+            sourceProjection: this.target.mapPanel.map.getProjectionObject(),
+            xLabel: this.xLabelText,
+            yLabel: this.yLabelText
+        });
+    },
+
+    /** private: method[createExportMenu]
+     *  :returns: ``Ext.menu.Menu``
+     */
+    createExportMenu: function() {
+        var items = [];
+        Ext.each(this.exportFormats, function(format) {
+            items.push({
+                text: this[format + 'ExportText'],
+                handler: function() {
+                    this.exportProfile(format);
+                },
+                scope: this
+            });
+        }, this);
+        return new Ext.menu.Menu({items: items});
+    },
+
+    /** api: method[exportProfile]
+     *  :arg format: ``String`` One of the ``exportFormats``.
+     *
+     *  Downloads the current profile.
+     */
+    exportProfile: function(format) {
+        if (!this.data) {
+            return;
+        }
+        var exporter = this.createExporter();
+        var file;
+        if (format == 'png') {
+            file = this.chart &&
+                exporter.writeChartPng(this.chart, this.exportFilename);
+            if (file) {
+                cgxp.tools.download(file.data, file.filename, file.mimeType);
+            } else {
+                exporter.writePng(this.data, this.exportFilename,
+                    function(file) {
+                        if (file) {
+                            cgxp.tools.download(file.data, file.filename,
+                                file.mimeType);
+                        }
+                    });
+            }
+        } else {
+            file = exporter.write(format, this.data, this.exportFilename);
+            cgxp.tools.download(file.data, file.filename, file.mimeType);
+        }
+    },
+
+    /** api: method[preparePrint]
+     *  Renders the PNG image of the chart of the current profile for
+     *  :meth:`printExport`: the displayed chart with its zoom, else the
+     *  SVG image of the whole profile, rendered once by profile.
+     *  :arg callback: ``Function`` Called when the image is rendered, or
+     *      can't be.
+     *  :arg scope: ``Object``
+     */
+    preparePrint: function(callback, scope) {
+        var data = this.data;
+        var exporter = data && this.createExporter();
+        var file = this.chart &&
+            exporter.writeChartPng(this.chart, this.exportFilename);
+        if (file) {
+            this.chartImage = file.url;
+        }
+        if (!data || file || this.chartImage) {
+            callback.call(scope);
+            return;
+        }
+        exporter.writePng(data, this.exportFilename,
+            function(file) {
+                if (file && this.data === data) {
+                    this.chartImage = file.url;
+                }
+                callback.call(scope);
+            }, this);
+    },
+
+    /** api: method[printExport]
+     *  :returns: ``Object`` The print parameters of the current profile,
+     *      ``null`` if there is none: the ``profileImage``, a data URL of
+     *      the PNG image of the chart if :meth:`preparePrint` rendered it,
+     *      and the ``profileTable`` of the statistics, with the ``columns``
+     *      and the ``data``.
+     */
+    printExport: function() {
+        if (!this.data) {
+            return null;
+        }
+        var columns = ['layer', 'ascent', 'descent', 'min', 'max', 'mean',
+            'maxSlope'];
+        var data = [{}];
+        Ext.each(columns, function(column) {
+            data[0][column] = this[column + 'Text'];
+        }, this);
+        Ext.each(this.getStatistics(this.data), function(statistic) {
+            var row = {layer: statistic.layer};
+            Ext.each(columns.slice(1, 6), function(column) {
+                row[column] = statistic[column].toFixed(0) + ' m';
+            });
+            row.maxSlope = statistic.maxSlope.toFixed(1) + ' %';
+            data.push(row);
+        });
+        var params = {
+            profileTable: {
+                columns: columns,
+                data: data
+            }
+        };
+        if (this.chartImage) {
+            params.profileImage = this.chartImage;
+        }
+        return params;
+    },
+
     /** private: method[showOutput]
      *  Shows the output
      */
@@ -408,11 +638,6 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
             this.container.ownerCt.doLayout();
         }
         this.firstShow = false;
-        this.container.body.dom.style.position = 'relative';
-        this.exportAsCsvLink = Ext.DomHelper.append(this.container.body,
-            '<a href="javascript:void(0)" class="csv">' + this.exportCsvText + '</a>',
-            true);
-        this.exportAsCsvLink.hide();
     },
 
     /** private: method[hideOutput]
@@ -446,12 +671,62 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
      *  Draws the profile using the DyGraph library
      */
     drawProfile: function(data) {
+        this.removeChart();
         this.data = data;
+        var statistics = this.getStatistics(data);
+        var chartBox = new Ext.BoxComponent({
+            region: 'center',
+            listeners: {
+                resize: function() {
+                    this.chart && this.chart.resize();
+                },
+                scope: this
+            }
+        });
+        this.nbPointsField = new Ext.form.NumberField({
+            value: this.nbPoints,
+            width: 50,
+            allowBlank: false,
+            allowDecimals: false,
+            minValue: 2,
+            maxValue: this.maxNbPoints,
+            enableKeyEvents: true,
+            listeners: {
+                specialkey: function(field, e) {
+                    if (e.getKey() == e.ENTER) {
+                        this.updateNbPoints();
+                    }
+                },
+                scope: this
+            }
+        });
         var cmp = this.output[0].add({
-            xtype: 'box'
+            xtype: 'panel',
+            layout: 'border',
+            border: false,
+            tbar: [this.nbPointsText, ' ', this.nbPointsField, {
+                text: this.updateText,
+                handler: this.updateNbPoints,
+                scope: this
+            }, '->', {
+                text: this.exportText,
+                menu: this.createExportMenu()
+            }, {
+                text: this.resetZoomText,
+                handler: function() {
+                    this.chart && this.chart.resetZoom();
+                },
+                scope: this
+            }],
+            items: [chartBox, {
+                xtype: 'box',
+                region: 'south',
+                cls: 'profile-statistics',
+                height: 16 * (statistics.length + 1) + 26,
+                html: this.makeStatisticsString(statistics)
+            }]
         });
         this.output[0].getLayout().setActiveItem(cmp);
-        this.exportAsCsvLink.show();
 
         var values = [];
         var layers = this.rasterLayers;
@@ -467,7 +742,7 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
         }
 
         this.chart = new Dygraph(
-            cmp.el.dom,
+            chartBox.el.dom,
             function() {
                 var ret = "X," + layers.join(',') + "\n";
                 for (var i = 0; i < values.length; i++) {
@@ -478,7 +753,8 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
             {
                 ylabel: this.yLabelText,
                 xlabel: this.xLabelText,
-                interactionModel: {},
+                // drag to zoom, SHIFT-drag to pan, double-click to reset
+                interactionModel: Dygraph.Interaction.defaultModel,
                 axes: {
                     x: {
                         valueFormatter: function(d) {
@@ -501,10 +777,86 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
             }
         );
         this.output[0].getEl().unmask();
+    },
+
+    /** api: method[getStatistics]
+     *  :arg data: ``Array(Object)`` The profile.
+     *  :returns: ``Array(Object)`` By raster layer, the ``layer``, the
+     *      total ``ascent`` and ``descent``, the ``min``, ``max`` and
+     *      ``mean`` elevation and the ``maxSlope`` in percent, the points
+     *      without elevation are ignored.
+     */
+    getStatistics: function(data) {
+        var statistics = [];
+        Ext.each(this.rasterLayers, function(layer) {
+            var ascent = 0, descent = 0, sum = 0, count = 0;
+            var min = Infinity, max = -Infinity, maxSlope = 0;
+            var previous = null;
+            Ext.each(data, function(datum) {
+                var elevation = datum[this.valuesProperty][layer];
+                if (elevation === null || elevation === undefined) {
+                    return;
+                }
+                elevation = parseFloat(elevation);
+                var dist = parseFloat(datum.dist);
+                if (previous) {
+                    var diff = elevation - previous.elevation;
+                    if (diff > 0) {
+                        ascent += diff;
+                    } else {
+                        descent -= diff;
+                    }
+                    if (dist > previous.dist) {
+                        maxSlope = Math.max(maxSlope,
+                            Math.abs(diff) / (dist - previous.dist) * 100);
+                    }
+                }
+                min = Math.min(min, elevation);
+                max = Math.max(max, elevation);
+                sum += elevation;
+                count++;
+                previous = {dist: dist, elevation: elevation};
+            }, this);
+            if (count) {
+                statistics.push({
+                    layer: layer,
+                    ascent: ascent,
+                    descent: descent,
+                    min: min,
+                    max: max,
+                    mean: sum / count,
+                    maxSlope: maxSlope
+                });
+            }
+        }, this);
+        return statistics;
+    },
 
-        this.output[0].on('resize', (function() {
-            this.chart && this.chart.resize();
-        }).createDelegate(this));
+    /** private: method[makeStatisticsString]
+     *  :arg statistics: ``Array(Object)`` The result of ``getStatistics``.
+     *  :returns: ``String`` The statistics table.
+     */
+    makeStatisticsString: function(statistics) {
+        var tpl = new Ext.XTemplate(
+            '<table><tr>',
+            '<th>', this.layerText, '</th>',
+            '<th>', this.ascentText, '</th>',
+            '<th>', this.descentText, '</th>',
+            '<th>', this.minText, '</th>',
+            '<th>', this.maxText, '</th>',
+            '<th>', this.meanText, '</th>',
+            '<th>', this.maxSlopeText, '</th>',
+            '</tr><tpl for=".">',
+            '<tr><td>{layer}</td>',
+            '<td>{[values.ascent.toFixed(0)]} m</td>',
+            '<td>{[values.descent.toFixed(0)]} m</td>',
+            '<td>{[values.min.toFixed(0)]} m</td>',
+            '<td>{[values.max.toFixed(0)]} m</td>',
+            '<td>{[values.mean.toFixed(0)]} m</td>',
+            '<td>{[values.maxSlope.toFixed(1)]} %</td></tr>',
+            '</tpl></table>'
+        );
+        return tpl.apply(statistics);
     },
 
     /** private: showSelection
@@ -551,15 +903,23 @@ cgxp.plugins.Profile = Ext.extend(gxp.plugins.Tool, {
         this.control.layer.addFeatures([this.marker]);
     },
 
-    /** private: method[clearProfile]
-     *  Removes the chart.
+    /** private: method[removeChart]
+     *  Removes the chart, or the error message.
      */
-    clearProfile: function() {
+    removeChart: function() {
         this.output[0].getLayout().setActiveItem(0);
         this.output[0].remove(1);
         this.chart = null;
         this.data = null;
-        this.exportAsCsvLink.hide();
+        this.chartImage = null;
+        this.nbPointsField = null;
+    },
+
+    /** private: method[clearProfile]
+     *  Removes the chart.
+     */
+    clearProfile: function() {
+        this.removeChart();
         this.feature = null;
     }
 });
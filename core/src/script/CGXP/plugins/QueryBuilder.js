@@ -27,6 +27,7 @@
  * @include OpenLayers/Util.js
  * @include OpenLayers/StyleMap.js
  * @include OpenLayers/Style.js
+ * @include CGXP/data/WFSPager.js
  */
 
 /** api: (define)
@@ -90,6 +91,22 @@ cgxp.plugins.QueryBuilder = Ext.extend(gxp.plugins.Tool, {
      */
     maxFeatures: 200,
 
+    /** api: config[pagingParam]
+     *  ``String``
+     *  The vendor parameter of the index of the first feature of a page of
+     *  results, e.g. ``STARTINDEX``. See :class:`cgxp.data.WFSPager`.
+     */
+    pagingParam: null,
+
+    /** api: config[useStartIndex]
+     *  ``Boolean``
+     *  Send the index of the first feature of a page of results as the
+     *  WFS 2.0 ``startIndex`` attribute, if the server supports it.
+     *  Without it and ``pagingParam`` the results aren't paged. Default is
+     *  false.
+     */
+    useStartIndex: false,
+
     /** api: config[mapserverproxyURL]
      *  ``String``
      *  url of the mapserver proxy
@@ -296,6 +313,19 @@ cgxp.plugins.QueryBuilder = Ext.extend(gxp.plugins.Tool, {
                 if (response.features && response.features.length) {
                     var fs = response, l = fs.features.length;
                     fs.maxFeatures = this.maxFeatures;
+                    // the total number of features is counted below
+                    fs.enableTotalHits = true;
+                    fs.pager = new cgxp.data.WFSPager({
+                        url: this.mapserverproxyURL,
+                        params: this.target.mapPanel.params,
+                        filter: filter,
+                        featureNS: cgxp.WFS_FEATURE_NS,
+                        geometryName: this.geometryName,
+                        srsName: this.srsName,
+                        pageSize: this.maxFeatures,
+                        pagingParam: this.pagingParam,
+                        useStartIndex: this.useStartIndex
+                    });
                     // required by ResultsPanel:
                     while (l--) {
                         fs.features[l].type = this.protocol.featureType;
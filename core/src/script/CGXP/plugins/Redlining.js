@@ -93,6 +93,13 @@ cgxp.plugins.Redlining = Ext.extend(gxp.plugins.Tool, {
      */
     layerManagerUrl: null,
 
+    /** api: config[profileId]
+     *  ``String``
+     *  The id of a :class:`cgxp.plugins.Profile` plugin. If set, the popup
+     *  of the lines has a button to show their profile.
+     */
+    profileId: null,
+
     /** private: config[autoActivate]
      */
     autoActivate: false,
@@ -158,6 +165,12 @@ cgxp.plugins.Redlining = Ext.extend(gxp.plugins.Tool, {
             bodyStyle: 'display: none',
             border: false
         });
+        if (this.profileId) {
+            var profile = this.target.tools[this.profileId];
+            this.redliningPanel.controler.showProfile = function(geometry) {
+                profile.showProfile(geometry);
+            };
+        }
         /* pushing the RedLiningPanel with all the actions into the existing but
            empty redliningWindow */
         this.redliningWindow.add(this.redliningPanel);
@@ -221,6 +234,7 @@ GeoExt.ux.form.FeaturePanel.prototype.attributesText = "Attributes";
 GeoExt.ux.form.FeaturePanel.prototype.areaFieldText = "Display area";
 GeoExt.ux.form.FeaturePanel.prototype.lengthFieldText = "Display length";
 GeoExt.ux.form.FeaturePanel.prototype.coordsFieldText = "Display coordinates";
+GeoExt.ux.form.FeaturePanel.prototype.profileText = "Show the profile";
 
 // some more redlining patch
 GeoExt.ux.form.FeaturePanel.prototype.initMyItems = function() {
@@ -400,6 +414,19 @@ GeoExt.ux.form.FeaturePanel.prototype.initMyItems = function() {
         });
     }
 
+    if (this.controler.showProfile && (
+            feature.geometry.CLASS_NAME == 'OpenLayers.Geometry.LineString' ||
+            feature.geometry.CLASS_NAME == 'OpenLayers.Geometry.MultiLineString')) {
+        oGroupItems.push({
+            xtype: 'button',
+            text: this.profileText,
+            handler: function() {
+                this.controler.showProfile(feature.geometry);
+            },
+            scope: this
+        });
+    }
+
     oGroup.items = oGroupItems;
 
     oItems.push(oGroup);
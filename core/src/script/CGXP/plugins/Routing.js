@@ -18,8 +18,14 @@
 /**
  * @requires plugins/Tool.js
  * @include CGXP/plugins/FullTextSearch.js
+ * @include CGXP/data/OSRM.js
+ * @include CGXP/data/OSRM5.js
+ * @include CGXP/data/GraphHopper.js
+ * @include CGXP/data/Valhalla.js
  * @include CGXP/widgets/RoutingPanel.js
  * @include GeoExt/widgets/Action.js
+ * @include OpenLayers/Geometry/LineString.js
+ * @include OpenLayers/Projection.js
  * @include OpenLayers/Handler/Point.js
  */
 
@@ -107,8 +113,10 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
      *  will be used in the Method field of the routing panel.  The value of
      *  each key contains the following options:
      *
-     *  * ``type`` - ``String`` Type of the routing service, currently
-     *    only OSRM is supported.
+     *  * ``type`` - ``String`` Type of the routing service: ``OSRM``
+     *    (OSRM version 4), ``OSRM5`` (OSRM HTTP API version 5),
+     *    ``GraphHopper`` or ``Valhalla``. Can also be the constructor of a
+     *    :class:`cgxp.data.RoutingService` subclass.
      *  * ``url`` - ``String`` Base URL of the routing service
      *  * ``dynamic`` - ``Boolean`` If true, update the route dynamically
      *    as points on the route are moved
@@ -120,6 +128,22 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
      *
      *  none.
      *
+     *  OSRM5-specific Properties:
+     *
+     *  * ``profile`` - ``String`` The OSRM profile, default is ``driving``.
+     *
+     *  GraphHopper-specific Properties:
+     *
+     *  * ``profile`` - ``String`` The GraphHopper profile, default is
+     *    ``car``.
+     *  * ``key`` - ``String`` The API key.
+     *  * ``locale`` - ``String`` The language of the instructions.
+     *
+     *  Valhalla-specific Properties:
+     *
+     *  * ``costing`` - ``String`` The costing model, default is ``auto``.
+     *  * ``language`` - ``String`` The language of the instructions.
+     *
      */
     routingService: {
       'ENGINE_0': { // Car (fastest) - see strings below and in locale files
@@ -171,6 +195,32 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
     zoombuttonLabel: 'Zoom',
     resetbuttonLabel: 'Reset',
     reversebuttonLabel: 'Reverse',
+    profilebuttonLabel: 'Profile',
+    avoidbuttonLabel: 'Avoid an area',
+    clearAvoidbuttonLabel: 'Clear the areas',
+    comparebuttonLabel: 'Compare',
+    routesLabel: 'Routes',
+    alternativeLabel: 'Alternative',
+    addStopfieldLabel: 'Add a stop',
+    addStopButtonLabel: 'Set',
+    importStopsbuttonLabel: 'Import CSV',
+    optimizebuttonLabel: 'Optimize the order',
+    stopsLabel: 'Stops',
+    invalidStopsFileText: 'The file contains no coordinates.',
+    isochronesLabel: 'Reachable areas',
+    isochroneTimesfieldLabel: 'Minutes',
+    isochronebuttonLabel: 'Compute',
+    exportIsochronesbuttonLabel: 'Export',
+    queryIsochronebuttonLabel: 'Query',
+    clearIsochronesbuttonLabel: 'Clear',
+    isochroneTimeText: 'Within {0} min',
+    exportRoadbookbuttonLabel: 'Roadbook',
+    geojsonExportText: 'GeoJSON',
+    kmlExportText: 'KML',
+    gpxExportText: 'GPX',
+    csvExportText: 'CSV with WKT geometry',
+    shapefileExportText: 'Shapefile (zip)',
+    xlsxExportText: 'Excel (XLSX)',
     routeDescriptionLabel: "Route Description",
     totalDistanceLabel: 'Total Distance',
     totalTimeLabel: 'Total Time',
@@ -238,6 +288,84 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
      */
     vectorLayerConfig: {},
 
+    /** api: config[profileId]
+     *  ``String``
+     *  The id of a :class:`cgxp.plugins.Profile` plugin. If set, a button
+     *  shows the profile of the computed route.
+     */
+    profileId: null,
+
+    /** api: config[enableAlternatives]
+     *  ``Boolean``
+     *  Whether to request and list the alternative routes. Default false.
+     */
+    enableAlternatives: false,
+
+    /** api: config[enableAvoidAreas]
+     *  ``Boolean``
+     *  Whether the user can draw areas the route should avoid, for the
+     *  routing services supporting them (``GraphHopper`` and
+     *  ``Valhalla``). Default false.
+     */
+    enableAvoidAreas: false,
+
+    /** api: config[enableComparison]
+     *  ``Boolean``
+     *  Whether the user can compare the route computed by all the
+     *  ``routingService`` engines. Default false.
+     */
+    enableComparison: false,
+
+    /** api: config[enableStops]
+     *  ``Boolean``
+     *  Whether to show the list of the route stops, which can be added from
+     *  a search, from the map or from a CSV file of coordinates, and whose
+     *  order can be optimized. The optimization uses the duration table of
+     *  the routing service (``OSRM5``, ``GraphHopper`` and ``Valhalla``),
+     *  or the distances between the stops. Default false.
+     */
+    enableStops: false,
+
+    /** api: config[enableIsochrones]
+     *  ``Boolean``
+     *  Whether the user can compute the areas reachable from the source
+     *  within some travel times (5, 10 and 15 minutes by default). The
+     *  areas come from the isochrone service of ``GraphHopper`` and
+     *  ``Valhalla``, or are derived from the duration table of ``OSRM5``.
+     *  Default false.
+     */
+    enableIsochrones: false,
+
+    /** api: config[isochroneTimes]
+     *  ``Array(Number)``
+     *  The default travel times of the reachable areas, in minutes.
+     */
+    isochroneTimes: [5, 10, 15],
+
+    /** api: config[getFeatureId]
+     *  ``String``
+     *  The id of a :class:`cgxp.plugins.GetFeature` plugin. If set, the
+     *  features in a reachable area can be queried.
+     */
+    getFeatureId: null,
+
+    /** api: config[enableRoadbook]
+     *  ``Boolean``
+     *  Whether the user can export the roadbook of the route in GPX or
+     *  KML: the route line, the stops, and the directions with the
+     *  distance and the time from the source. The roadbook can also be
+     *  printed, see the ``routingId`` option of
+     *  :class:`cgxp.plugins.Print`. Default false.
+     */
+    enableRoadbook: false,
+
+    /** api: config[stateId]
+     *  ``String``
+     *  Used to save the routing engine and the stops in the permalink, the
+     *  route is computed again when the permalink is opened.
+     */
+    stateId: null,
+
     /** private: method[addOutput]
      *  :arg config: ``Object``
      */
@@ -263,6 +391,43 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
             zoombuttonLabel: this.zoombuttonLabel,
             resetbuttonLabel: this.resetbuttonLabel,
             reversebuttonLabel: this.reversebuttonLabel,
+            profilebuttonLabel: this.profilebuttonLabel,
+            enableProfile: !!this.profileId,
+            avoidbuttonLabel: this.avoidbuttonLabel,
+            clearAvoidbuttonLabel: this.clearAvoidbuttonLabel,
+            comparebuttonLabel: this.comparebuttonLabel,
+            routesLabel: this.routesLabel,
+            alternativeLabel: this.alternativeLabel,
+            enableAlternatives: this.enableAlternatives,
+            enableAvoidAreas: this.enableAvoidAreas,
+            enableComparison: this.enableComparison,
+            addStopfieldLabel: this.addStopfieldLabel,
+            addStopButtonLabel: this.addStopButtonLabel,
+            importStopsbuttonLabel: this.importStopsbuttonLabel,
+            optimizebuttonLabel: this.optimizebuttonLabel,
+            stopsLabel: this.stopsLabel,
+            invalidStopsFileText: this.invalidStopsFileText,
+            routeErrorTitle: this.routeErrorTitle,
+            enableStops: this.enableStops,
+            isochronesLabel: this.isochronesLabel,
+            isochroneTimesfieldLabel: this.isochroneTimesfieldLabel,
+            isochronebuttonLabel: this.isochronebuttonLabel,
+            exportIsochronesbuttonLabel: this.exportIsochronesbuttonLabel,
+            queryIsochronebuttonLabel: this.queryIsochronebuttonLabel,
+            clearIsochronesbuttonLabel: this.clearIsochronesbuttonLabel,
+            isochroneTimeText: this.isochroneTimeText,
+            geojsonExportText: this.geojsonExportText,
+            kmlExportText: this.kmlExportText,
+            csvExportText: this.csvExportText,
+            shapefileExportText: this.shapefileExportText,
+            xlsxExportText: this.xlsxExportText,
+            enableIsochrones: this.enableIsochrones,
+            enableIsochroneQuery: !!this.getFeatureId,
+            isochroneTimes: this.isochroneTimes,
+            exportRoadbookbuttonLabel: this.exportRoadbookbuttonLabel,
+            gpxExportText: this.gpxExportText,
+            enableRoadbook: this.enableRoadbook,
+            stateId: this.stateId,
             routeDescriptionLabel: this.routeDescriptionLabel,
             totalDistanceLabel: this.totalDistanceLabel,
             totalTimeLabel: this.totalTimeLabel,
@@ -273,12 +438,85 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
                 'padding': '10px'
             }
         }, this.outputConfig));
+        if (this.profileId) {
+            routingPanel.on('profile', function(geometry) {
+                this.target.tools[this.profileId].showProfile(geometry);
+            }, this);
+        }
+        if (this.getFeatureId) {
+            routingPanel.on('query', function(geometry) {
+                this.target.tools[this.getFeatureId].queryGeometry(geometry);
+            }, this);
+        }
 
         this.routingPanel = cgxp.plugins.Routing.superclass.addOutput.call(this, routingPanel);
 
         return this.routingPanel;
     },
 
+    /** api: method[printExport]
+     *  :returns: ``Object`` The print pages of the roadbook of the current
+     *      route, ``null`` if there is none: the ``bounds`` of the route
+     *      and the ``params`` of the overview page, the ``roadbookTable``
+     *      of the directions, the ``roadbookDistance`` and the
+     *      ``roadbookTime``, and the ``steps``, with the ``center`` and the
+     *      ``params`` of the page of each direction, the
+     *      ``roadbookDirection``, the ``roadbookDistance`` and the
+     *      ``roadbookTime`` from the source.
+     */
+    printExport: function() {
+        var roadbook = this.routingPanel && this.routingPanel.getRoadbook();
+        if (!roadbook) {
+            return null;
+        }
+        var format = Ext.util.Format;
+        var projection = this.target.mapPanel.map.getProjectionObject();
+        var epsg4326 = new OpenLayers.Projection('EPSG:4326');
+        var points = [];
+        Ext.each(roadbook.geometry, function(point) {
+            points.push(point.clone().transform(epsg4326, projection));
+        });
+        var data = [{
+            index: '',
+            direction: this.directionsLabel,
+            distance: this.totalDistanceLabel,
+            time: this.totalTimeLabel
+        }];
+        var steps = [];
+        Ext.each(roadbook.steps, function(step, i) {
+            var distance = format.routeDistance(Math.round(step.distance));
+            var time = format.routeTime(Math.round(step.time));
+            data.push({
+                index: String(i + 1),
+                direction: step.text,
+                distance: distance,
+                time: time
+            });
+            steps.push({
+                center: new OpenLayers.LonLat(step.x, step.y).transform(
+                    epsg4326, projection),
+                params: {
+                    roadbookDirection: step.text,
+                    roadbookDistance: distance,
+                    roadbookTime: time
+                }
+            });
+        });
+        return {
+            bounds: new OpenLayers.Geometry.LineString(points).getBounds(),
+            params: {
+                roadbookTable: {
+                    columns: ['index', 'direction', 'distance', 'time'],
+                    data: data
+                },
+                roadbookDistance: format.routeDistance(
+                    Math.round(roadbook.distance)),
+                roadbookTime: format.routeTime(Math.round(roadbook.time))
+            },
+            steps: steps
+        };
+    },
+
     /** private: method[addActions]
      */
     addActions: function() {
@@ -328,7 +566,11 @@ cgxp.plugins.Routing = Ext.extend(gxp.plugins.Tool, {
     /** private: method[createRoutingService]
      */
     createRoutingService: function(serviceConfig) {
-        return new cgxp.data[serviceConfig.type](serviceConfig);
+        var type = serviceConfig.type;
+        if (!Ext.isFunction(type)) {
+            type = cgxp.data[type];
+        }
+        return new type(serviceConfig);
     }
 });
 
@@ -343,6 +585,7 @@ OpenLayers.Lang['en'] = OpenLayers.Util.applyDefaults({
     "STATUS_3": "Parameter out of range",
     "STATUS_4": "Required parameter missing",
     "STATUS_5": "Service unavailable",
+    "STATUS_6": "Not supported by the routing service",
     "STATUS_202": "Route is blocked",
     "STATUS_205": "DB corrupted",
     "STATUS_206": "DB is not open",
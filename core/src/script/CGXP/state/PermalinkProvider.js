@@ -0,0 +1,293 @@
+/**
+ * Copyright (c) 2011-2014 by Camptocamp SA
+ *
+ * CGXP is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * CGXP is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with CGXP.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * @requires GeoExt/state/PermalinkProvider.js
+ */
+
+/** api: (define)
+ *  module = cgxp.state
+ *  class = PermalinkProvider
+ *  base_link = `GeoExt.state.PermalinkProvider <http://geoext.org/lib/GeoExt/state/PermalinkProvider.html>`_
+ */
+
+Ext.namespace("cgxp.state");
+
+/** api: constructor
+ *  .. class:: PermalinkProvider(config)
+ *
+ *  A permalink provider with a versioned schema. The links have a version
+ *  parameter, and the state can be written as a single compressed
+ *  parameter instead of the flat ``<stateId>_<key>`` parameters.
+ *
+ *  The links written with an older version are migrated with the
+ *  registered migrations, which map the old group and layer names to the
+ *  new ones, see :class:`cgxp.tree.LayerTree`.
+ *
+ *  .. code-block:: javascript
+ *
+ *      Ext.state.Manager.getProvider().registerMigration({
+ *          version: 2,
+ *          groups: {'transport': 'mobility'},
+ *          layers: {'bus_stops': 'public_transport_stops'}
+ *      });
+ */
+cgxp.state.PermalinkProvider = Ext.extend(GeoExt.state.PermalinkProvider, {
+
+    /** api: config[version]
+     *  ``Number``
+     *  The version of the permalink schema, to increase when groups or
+     *  layers are renamed. Default is 1.
+     */
+    version: 1,
+
+    /** api: config[versionParam]
+     *  ``String``
+     *  The name of the version parameter. Default is ``v``.
+     */
+    versionParam: 'v',
+
+    /** api: config[stateParam]
+     *  ``String``
+     *  The name of the compressed state parameter. Default is ``s``.
+     */
+    stateParam: 's',
+
+    /** api: config[compress]
+     *  ``Boolean``
+     *  Write the state as a single compressed parameter. Default is false.
+     */
+    compress: false,
+
+    /** api: property[linkVersion]
+     *  ``Number``
+     *  The version of the read link, 0 for the links without version.
+     */
+    linkVersion: 0,
+
+    /** private: property[migrations]
+     *  ``Array(Object)``
+     *  The registered migrations, sorted by version.
+     */
+    migrations: null,
+
+    /** private: method[constructor]
+     */
+    constructor: function(config) {
+        this.migrations = [];
+        cgxp.state.PermalinkProvider.superclass.constructor.apply(
+            this, arguments);
+    },
+
+    /** private: method[readURL]
+     *  :arg url: ``String`` The URL to read, the current one by default.
+     *  :returns: ``Object`` The state.
+     */
+    readURL: function(url) {
+        var params = OpenLayers.Util.getParameters(url);
+        var version = parseInt(params[this.versionParam], 10);
+        this.linkVersion = isNaN(version) ? 0 : version;
+
+        var state = cgxp.state.PermalinkProvider.superclass.readURL.apply(
+            this, arguments);
+        var packed = params[this.stateParam];
+        if (packed) {
+            var blob = null;
+            try {
+                blob = Ext.decode(this.unpack(packed));
+            } catch (e) {
+                // not a valid compressed state, ignored
+            }
+            for (var id in blob) {
+                if (blob.hasOwnProperty(id)) {
+                    // the flat parameters take precedence
+                    state[id] = Ext.apply({}, state[id], blob[id]);
+                }
+            }
+        }
+        return state;
+    },
+
+    /** api: method[getLink]
+     *  :arg base: ``String`` The base URL, the current one by default.
+     *  :arg compress: ``Boolean`` Write the compressed state, defaults to
+     *      the ``compress`` config.
+     *  :returns: ``String`` The permalink.
+     */
+    getLink: function(base, compress) {
+        base = base || document.location.href;
+        if (compress === undefined) {
+            compress = this.compress;
+        }
+        var params = {};
+        var id, k;
+        var state = this.state;
+        if (compress) {
+            params[this.stateParam] = this.pack(Ext.encode(state));
+        } else {
+            for (id in state) {
+                if (state.hasOwnProperty(id)) {
+                    for (k in state[id]) {
+                        params[id + "_" + k] = this.encodeType ?
+                            unescape(this.encodeValue(state[id][k])) :
+                            state[id][k];
+                    }
+                }
+            }
+        }
+        params[this.versionParam] = this.version;
+
+        // keep the other parameters of the base URL
+        var baseParams = OpenLayers.Util.getParameters(base);
+        for (k in baseParams) {
+            if (baseParams.hasOwnProperty(k) && !(k in params) &&
+                k != this.stateParam && !(k.split("_")[0] in state)) {
+                params[k] = baseParams[k];
+            }
+        }
+        var qMark = base.indexOf("?");
+        if (qMark > 0) {
+            base = base.substring(0, qMark);
+        }
+        return Ext.urlAppend(base, OpenLayers.Util.getParameterString(params));
+    },
+
+    /** api: method[registerMigration]
+     *  Registers a migration of the links older than its version.
+     *  :arg migration: ``Object`` With the ``version`` it migrates to, and
+     *      optional ``groups`` and ``layers`` objects that map the old names
+     *      to the new ones.
+     */
+    registerMigration: function(migration) {
+        this.migrations.push(migration);
+        this.migrations.sort(function(m1, m2) {
+            return m1.version - m2.version;
+        });
+    },
+
+    /** api: method[migrateName]
+     *  Gets the current name of a group or layer of the read link.
+     *  :arg type: ``String`` ``groups`` or ``layers``.
+     *  :arg name: ``String`` The name in the link.
+     *  :arg version: ``Number`` The version the name was written with,
+     *      default is the version of the read link.
+     *  :returns: ``String`` The current name.
+     */
+    migrateName: function(type, name, version) {
+        if (version === undefined || version === null) {
+            version = this.linkVersion;
+        }
+        Ext.each(this.migrations, function(migration) {
+            if (migration.version > version && migration[type] &&
+                migration[type].hasOwnProperty(name)) {
+                name = migration[type][name];
+            }
+        }, this);
+        return name;
+    },
+
+    /** private: method[pack]
+     *  Compresses a string with LZW, encoded in URL safe base64.
+     *  :arg str: ``String``
+     *  :returns: ``String``
+     */
+    pack: function(str) {
+        var bytes = unescape(encodeURIComponent(str));
+        var dict = {}, size = 256, i;
+        for (i = 0; i < 256; i++) {
+            dict[String.fromCharCode(i)] = i;
+        }
+        var codes = [];
+        var w = "";
+        for (i = 0; i < bytes.length; i++) {
+            var wc = w + bytes.charAt(i);
+            if (dict.hasOwnProperty(wc)) {
+                w = wc;
+            } else {
+                codes.push(dict[w]);
+                dict[wc] = size++;
+                w = bytes.charAt(i);
+            }
+        }
+        if (w) {
+            codes.push(dict[w]);
+        }
+
+        // the code width grows with the dictionary
+        var out = [], buffer = 0, bits = 0;
+        for (i = 0; i < codes.length; i++) {
+            var width = (255 + i).toString(2).length;
+            buffer = (buffer << width) | codes[i];
+            bits += width;
+            while (bits >= 8) {
+                bits -= 8;
+                out.push(String.fromCharCode((buffer >> bits) & 0xff));
+            }
+            buffer &= (1 << bits) - 1;
+        }
+        if (bits > 0) {
+            out.push(String.fromCharCode((buffer << (8 - bits)) & 0xff));
+        }
+        return window.btoa(out.join("")).replace(/\+/g, "-")
+            .replace(/\//g, "_").replace(/=+$/, "");
+    },
+
+    /** private: method[unpack]
+     *  :arg packed: ``String`` A string compressed with ``pack``.
+     *  :returns: ``String``
+     */
+    unpack: function(packed) {
+        var base64 = packed.replace(/-/g, "+").replace(/_/g, "/");
+        while (base64.length % 4) {
+            base64 += "=";
+        }
+        var bytes = window.atob(base64);
+        var dict = [], i;
+        for (i = 0; i < 256; i++) {
+            dict.push(String.fromCharCode(i));
+        }
+        var out = [], w = null, buffer = 0, bits = 0, index = 0, pos = 0;
+        while (true) {
+            var width = (255 + index).toString(2).length;
+            while (bits < width && pos < bytes.length) {
+                buffer = ((buffer << 8) | bytes.charCodeAt(pos++)) &
+                    ((1 << (width + 8)) - 1);
+                bits += 8;
+            }
+            if (bits < width) {
+                break;
+            }
+            bits -= width;
+            var code = (buffer >> bits) & ((1 << width) - 1);
+            var entry;
+            if (code < dict.length) {
+                entry = dict[code];
+            } else if (w !== null && code == dict.length) {
+                entry = w + w.charAt(0);
+            } else {
+                throw new Error("Invalid compressed state");
+            }
+            out.push(entry);
+            if (w !== null) {
+                dict.push(w + entry.charAt(0));
+            }
+            w = entry;
+            index++;
+        }
+        return decodeURIComponent(escape(out.join("")));
+    }
+});
@@ -113,3 +113,62 @@ cgxp.tools.notification.close = function(message, timeout, mapPanel) {
 cgxp.tools.modulo = function(dividend, divisor) {
     return (dividend % divisor + divisor) % divisor;
 };
+
+/**
+ * Saves a file generated in the browser.
+ * :arg data: ``String`` or ``Uint8Array`` The file content.
+ * :arg filename: ``String``
+ * :arg mimeType: ``String``
+ */
+cgxp.tools.download = function(data, filename, mimeType) {
+    var blob = new Blob([data], {type: mimeType});
+    if (window.navigator.msSaveBlob) {
+        window.navigator.msSaveBlob(blob, filename);
+        return;
+    }
+    var url = window.URL.createObjectURL(blob);
+    var link = Ext.DomHelper.append(document.body, {
+        tag: 'a',
+        href: url,
+        download: filename,
+        style: 'display: none'
+    });
+    link.click();
+    Ext.removeNode(link);
+    window.setTimeout(function() {
+        window.URL.revokeObjectURL(url);
+    }, 1000);
+};
+
+/**
+ * Copies a text to the clipboard.
+ * :arg text: ``String``
+ * :arg callback: ``Function`` Called with ``true`` if the text is copied.
+ * :arg scope: ``Object``
+ */
+cgxp.tools.copyToClipboard = function(text, callback, scope) {
+    callback = callback || Ext.emptyFn;
+    var clipboard = window.navigator.clipboard;
+    if (clipboard && clipboard.writeText) {
+        clipboard.writeText(text).then(function() {
+            callback.call(scope, true);
+        }, function() {
+            callback.call(scope, false);
+        });
+        return;
+    }
+    var textarea = Ext.DomHelper.append(document.body, {
+        tag: 'textarea',
+        style: 'position: absolute; left: -9999px'
+    });
+    textarea.value = text;
+    textarea.select();
+    var copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (e) {
+        // not supported
+    }
+    Ext.removeNode(textarea);
+    callback.call(scope, copied);
+};
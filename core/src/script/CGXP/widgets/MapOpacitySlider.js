@@ -367,6 +367,22 @@ cgxp.MapOpacitySlider = Ext.extend(Ext.Toolbar, {
         }
     },
 
+    /** api: method[restoreState]
+     *  Applies a state to the displayed map, e.g. a bookmark.
+     *  :arg state: ``Object`` A state returned by ``getState``.
+     */
+    restoreState: function(state) {
+        this.applyState(state);
+        var baseLayer = state.ref &&
+            this.map.getLayersBy('ref', state.ref)[0];
+        if (baseLayer) {
+            this.updateBaseLayer(baseLayer);
+        }
+        if (this.opacitySlider && state.opacity !== undefined) {
+            this.opacitySlider.setValue(parseInt(state.opacity, 10));
+        }
+    },
+
     /** private: method[getBaseLayerFromTheme]
      */
     getBaseLayerFromTheme: function(theme) {
@@ -173,6 +173,17 @@ cgxp.MapPanel = Ext.extend(GeoExt.MapPanel, {
         this.setParams(params);
     },
 
+    /** api: method[restoreState]
+     *  Applies a state to the displayed map, e.g. a bookmark.
+     *  :param state: ``Object`` A state returned by ``getState``.
+     */
+    restoreState: function(state) {
+        this.applyState(state);
+        if (state.x !== undefined && state.y !== undefined) {
+            this.map.setCenter(this.center, this.zoom);
+        }
+    },
+
     /** private: method[applyStateOnChangebaselayer]
      *
      *  Apply the state on usable base layer
@@ -141,6 +141,15 @@ cgxp.RedLiningPanel = Ext.extend(
         };
     },
 
+    /** api: method[restoreState]
+     *  Replaces the drawn features by the ones of a state, e.g. a bookmark.
+     *  :arg state: ``Object`` A state returned by ``getState``.
+     */
+    restoreState: function(state) {
+        this.controler.activeLayer.destroyFeatures();
+        this.applyState(state);
+    },
+
     /** private: method[applyState]
      */
     applyState: function(state) {
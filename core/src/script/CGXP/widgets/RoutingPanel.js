@@ -26,6 +26,12 @@
  * @include OpenLayers/Control/ModifyFeature.js
  * @include OpenLayers/Control/AddViaPoint.js
  * @include OpenLayers/Handler/Point.js
+ * @include OpenLayers/Handler/Polygon.js
+ * @include CGXP/data/RouteOptimizer.js
+ * @include CGXP/data/FeaturesExporter.js
+ * @include CGXP/data/RoadbookExporter.js
+ * @include CGXP/tools/tools.js
+ * @include Ext/examples/ux/fileuploadfield/FileUploadField.js
  */
 
 /** api: (define)
@@ -65,6 +71,108 @@ cgxp.RoutingPanel = Ext.extend(
          */
         vectorLayerConfig: {},
 
+        /** api: config[enableProfile]
+         *  ``Boolean``
+         *  Whether to add a button firing the ``profile`` event with the
+         *  geometry of the route. Default false.
+         */
+        enableProfile: false,
+
+        /** api: config[enableAlternatives]
+         *  ``Boolean``
+         *  Whether to request the alternative routes, they are drawn with
+         *  the ``alternativeStyleConfigs`` and listed with the route.
+         *  Default false.
+         */
+        enableAlternatives: false,
+
+        /** api: config[enableAvoidAreas]
+         *  ``Boolean``
+         *  Whether to add buttons to draw areas the route should avoid, for
+         *  the routing services supporting them. Default false.
+         */
+        enableAvoidAreas: false,
+
+        /** api: config[enableComparison]
+         *  ``Boolean``
+         *  Whether to add a button computing the route with all the routing
+         *  engines, to compare them. Default false.
+         */
+        enableComparison: false,
+
+        /** api: config[enableStops]
+         *  ``Boolean``
+         *  Whether to show the list of the route stops, with the distance
+         *  and the time of each leg. The stops can be added from a search,
+         *  from the map or from a CSV file, and their order optimized,
+         *  keeping the first and the last stops. Default false.
+         */
+        enableStops: false,
+
+        /** api: config[enableIsochrones]
+         *  ``Boolean``
+         *  Whether to add a form computing the areas reachable from the
+         *  source within some travel times, with the current routing
+         *  engine. The areas can be exported. Default false.
+         */
+        enableIsochrones: false,
+
+        /** api: config[enableIsochroneQuery]
+         *  ``Boolean``
+         *  Whether to add a menu firing the ``query`` event with the
+         *  geometry of a reachable area. Default false.
+         */
+        enableIsochroneQuery: false,
+
+        /** api: config[isochroneTimes]
+         *  ``Array(Number)``
+         *  The default travel times of the reachable areas, in minutes.
+         *  Default is ``[5, 10, 15]``.
+         */
+        isochroneTimes: [5, 10, 15],
+
+        /** api: config[isochroneExportFormats]
+         *  ``Array(String)``
+         *  The export formats of the reachable areas, see
+         *  :class:`cgxp.data.FeaturesExporter`. Default is ``geojson``,
+         *  ``kml`` and ``shapefile``.
+         */
+        isochroneExportFormats: ['geojson', 'kml', 'shapefile'],
+
+        /** api: config[enableRoadbook]
+         *  ``Boolean``
+         *  Whether to add a menu exporting the roadbook of the route: the
+         *  route line, the stops and the directions with the distance and
+         *  the time from the source. Default false.
+         */
+        enableRoadbook: false,
+
+        /** api: config[roadbookExportFormats]
+         *  ``Array(String)``
+         *  The export formats of the roadbook, see
+         *  :class:`cgxp.data.RoadbookExporter`. Default is ``gpx`` and
+         *  ``kml``.
+         */
+        roadbookExportFormats: ['gpx', 'kml'],
+
+        /** api: config[roadbookFilename]
+         *  ``String``
+         *  The name of the roadbook files, without extension. Default is
+         *  ``roadbook``.
+         */
+        roadbookFilename: 'roadbook',
+
+        /** api: config[stateId]
+         *  ``String``
+         *  Used to save the routing engine and the stops in the permalink.
+         */
+
+        /** private: property[stateEvents]
+         *  ``Array(String)``
+         *  Array of state events
+         */
+        stateEvents: ['routechange'],
+
         /** api: config[directionsTpl]
          *  ``XTemplate`` used to format driving directions.  There are four
          *  specific formatters added to Ext.util.Format for routing:
@@ -94,6 +202,32 @@ cgxp.RoutingPanel = Ext.extend(
         zoombuttonLabel: '',
         resetbuttonLabel: '',
         reversebuttonLabel: '',
+        profilebuttonLabel: '',
+        avoidbuttonLabel: '',
+        clearAvoidbuttonLabel: '',
+        isochronesLabel: '',
+        isochroneTimesfieldLabel: '',
+        isochronebuttonLabel: '',
+        exportIsochronesbuttonLabel: '',
+        queryIsochronebuttonLabel: '',
+        clearIsochronesbuttonLabel: '',
+        isochroneTimeText: '',
+        exportRoadbookbuttonLabel: '',
+        geojsonExportText: '',
+        kmlExportText: '',
+        gpxExportText: '',
+        csvExportText: '',
+        shapefileExportText: '',
+        xlsxExportText: '',
+        comparebuttonLabel: '',
+        routesLabel: '',
+        alternativeLabel: '',
+        addStopfieldLabel: '',
+        addStopButtonLabel: '',
+        importStopsbuttonLabel: '',
+        optimizebuttonLabel: '',
+        stopsLabel: '',
+        invalidStopsFileText: '',
         routeDescriptionLabel: '',
         totalDistanceLabel: '',
         totalTimeLabel: '',
@@ -122,6 +256,51 @@ cgxp.RoutingPanel = Ext.extend(
             strokeOpacity: 0.6
         },
 
+        /** api: config[alternativeStyleConfigs]
+         *  ``Array(Object)``
+         *  Optional configurations of the alternative route features, used
+         *  in turn.
+         */
+        alternativeStyleConfigs: [{
+            strokeColor: '#ff7f00',
+            strokeWidth: 4,
+            strokeOpacity: 0.6
+        }, {
+            strokeColor: '#00a000',
+            strokeWidth: 4,
+            strokeOpacity: 0.6
+        }, {
+            strokeColor: '#a000a0',
+            strokeWidth: 4,
+            strokeOpacity: 0.6
+        }],
+
+        /** api: config[avoidStyleConfig]
+         *  ``Object``
+         *  Optional configuration of the features of the areas to avoid.
+         */
+        avoidStyleConfig: {
+            strokeColor: '#ff0000',
+            strokeWidth: 2,
+            strokeOpacity: 0.8,
+            fillColor: '#ff0000',
+            fillOpacity: 0.2
+        },
+
+        /** api: config[routesTpl]
+         *  ``XTemplate`` used to format the routes list, with the
+         *  ``label``, the ``distance``, the ``time`` and the ``color`` of
+         *  each route.
+         */
+        routesTpl: '<div style="float: right;">{distance:routeDistance} / {time:routeTime}</div><div><span style="display: inline-block; width: 10px; height: 10px; margin-right: 5px; background-color: {color};"></span>{label}</div>',
+
+        /** api: config[stopsTpl]
+         *  ``XTemplate`` used to format the stops list, with the ``index``
+         *  and the ``name`` of each stop, and the ``distance`` and the
+         *  ``time`` of the leg to the stop.
+         */
+        stopsTpl: '<tpl if="distance !== null"><div style="float: right;">{distance:routeDistance} / {time:routeTime}</div></tpl><div>{index}. {name}<span class="routing-stop-remove">&times;</span></div>',
+
         /** api: config[sourceStyleConfig]
          *  ``Object``
          *  Optional configuration of the source feature.
@@ -154,6 +333,37 @@ cgxp.RoutingPanel = Ext.extend(
          */
         viaStyleConfig: null,
 
+        /** api: config[isochroneStyleConfigs]
+         *  ``Array(Object)``
+         *  Optional configurations of the reachable area features, from
+         *  the shortest travel time, used in turn.
+         */
+        isochroneStyleConfigs: [{
+            strokeColor: '#1a9641',
+            strokeWidth: 1,
+            strokeOpacity: 0.8,
+            fillColor: '#1a9641',
+            fillOpacity: 0.3
+        }, {
+            strokeColor: '#e6c800',
+            strokeWidth: 1,
+            strokeOpacity: 0.8,
+            fillColor: '#ffff40',
+            fillOpacity: 0.3
+        }, {
+            strokeColor: '#fdae61',
+            strokeWidth: 1,
+            strokeOpacity: 0.8,
+            fillColor: '#fdae61',
+            fillOpacity: 0.3
+        }, {
+            strokeColor: '#d7191c',
+            strokeWidth: 1,
+            strokeOpacity: 0.8,
+            fillColor: '#d7191c',
+            fillOpacity: 0.3
+        }],
+
     /** private: method[initComponent]
      */
     initComponent: function() {
@@ -195,6 +405,15 @@ cgxp.RoutingPanel = Ext.extend(
             fields: ['index', 'position', 'directionType', 'roadName', 'distance', 'time', 'compassDirection']
         });
 
+        this.routesStore = new Ext.data.JsonStore({
+            fields: ['index', 'label', 'distance', 'time', 'color']
+        });
+        this.routes = [];
+
+        this.stopsStore = new Ext.data.JsonStore({
+            fields: ['index', 'name', 'distance', 'time']
+        });
+
         this.initVectorLayer();
         this.initControls();
         this.initFormItems();
@@ -202,11 +421,38 @@ cgxp.RoutingPanel = Ext.extend(
         this.map.events.register('addlayer', this, function(event) {
             if (this.vectorLayer) {
                 this.map.raiseLayer(this.vectorLayer, 1);
+                this.map.raiseLayer(this.backgroundLayer, 1);
             }
         });
 
         this.epsg4326 = new OpenLayers.Projection('EPSG:4326');
         cgxp.RoutingPanel.superclass.initComponent.apply(this, arguments);
+        this.addEvents(
+            /** api: event[profile]
+             *  Fired when the profile button is pressed.
+             *
+             *  Listener arguments:
+             *
+             *  * ``OpenLayers.Geometry.LineString`` The route geometry in
+             *    the map projection.
+             */
+            'profile',
+
+            /** api: event[query]
+             *  Fired when a reachable area is chosen in the query menu.
+             *
+             *  Listener arguments:
+             *
+             *  * ``OpenLayers.Geometry`` The area geometry in the map
+             *    projection.
+             */
+            'query',
+
+            /** api: event[routechange]
+             *  Fired when the route is computed or reset.
+             */
+            'routechange'
+        );
 
         this.directionsStore.loadData([]);
     },
@@ -219,6 +465,9 @@ cgxp.RoutingPanel = Ext.extend(
         this.highlightFeature = null;
         this.targetFeature = null;
         this.viaFeatures = [];
+        this.alternativeFeatures = [];
+        this.avoidFeatures = [];
+        this.isochroneFeatures = [];
 
         this.newRouteStyle = OpenLayers.Util.applyDefaults(this.newRouteStyleConfig, OpenLayers.Feature.Vector.style['default']);
         this.routeStyle = OpenLayers.Util.applyDefaults(this.routeStyleConfig, OpenLayers.Feature.Vector.style['default']);
@@ -226,6 +475,24 @@ cgxp.RoutingPanel = Ext.extend(
         this.targetStyle = OpenLayers.Util.applyDefaults(this.targetStyleConfig, OpenLayers.Feature.Vector.style['default']);
         this.highlightStyle = OpenLayers.Util.applyDefaults(this.highlightStyleConfig, OpenLayers.Feature.Vector.style['default']);
         this.viaStyle = OpenLayers.Util.applyDefaults(this.viaStyleConfig, OpenLayers.Feature.Vector.style['default']);
+        this.avoidStyle = OpenLayers.Util.applyDefaults(this.avoidStyleConfig, OpenLayers.Feature.Vector.style['default']);
+        this.alternativeStyles = [];
+        Ext.each(this.alternativeStyleConfigs, function(config) {
+            this.alternativeStyles.push(OpenLayers.Util.applyDefaults(config, OpenLayers.Feature.Vector.style['default']));
+        }, this);
+        this.isochroneStyles = [];
+        Ext.each(this.isochroneStyleConfigs, function(config) {
+            this.isochroneStyles.push(OpenLayers.Util.applyDefaults(config, OpenLayers.Feature.Vector.style['default']));
+        }, this);
+
+        // the alternative routes and the areas to avoid, below the route
+        // to keep them out of the via point and modify controls
+        this.backgroundLayer = new OpenLayers.Layer.Vector(
+            OpenLayers.Util.createUniqueID("cgxp"), Ext.apply({
+                displayInLayerSwitcher: false,
+                alwaysInRange: true
+        }, this.vectorLayerConfig));
+        this.map.addLayer(this.backgroundLayer);
 
         this.vectorLayer = new OpenLayers.Layer.Vector(
             OpenLayers.Util.createUniqueID("cgxp"), Ext.apply({
@@ -285,10 +552,19 @@ cgxp.RoutingPanel = Ext.extend(
             scope: this
         });
 
+        this.avoidControl = new OpenLayers.Control.DrawFeature(this.backgroundLayer,
+            OpenLayers.Handler.Polygon, {
+                eventListeners: {
+                    'featureadded': this.onDrawAvoidArea,
+                    scope: this
+                }
+            });
+
         this.map.addControls([
             this.drawControl,
             this.modifyControl,
-            this.viaPointControl
+            this.viaPointControl,
+            this.avoidControl
         ]);
 
         this.modifyControl.activate();
@@ -421,45 +697,773 @@ cgxp.RoutingPanel = Ext.extend(
      */
     computeRoute: function(routeFeature, withInstructions) {
         routeFeature.style.display = 'yes';
-        if (this.sourceFeature && this.targetFeature && this.routingService[this.currentEngine]) {
-            var mapProj = this.map.projection;
-            var source = this.sourceFeature.geometry.clone();
-            source.transform(mapProj, this.epsg4326);
-            var target = this.targetFeature.geometry.clone();
-            target.transform(mapProj, this.epsg4326);
-            var via = [];
-            for (var i = 0, n = this.viaFeatures.length; i < n; i++) {
-                var point = this.viaFeatures[i].geometry.clone();
-                point.transform(mapProj, this.epsg4326);
-                via.push(point);
-            }
+        // the alternatives are only requested for the final route
+        var main = routeFeature == this.routeFeature && withInstructions;
+        if (main) {
+            this.updateStops(null);
+        }
+        var options = this.getRouteOptions(withInstructions);
+        if (options && this.routingService[this.currentEngine]) {
+            var engine = this.currentEngine;
+            options.alternates = main && this.enableAlternatives;
             this.find('itemId', 'directionsPanel')[0].show();
             this.directionsStore.fireEvent('beforeload');
-            this.routingService[this.currentEngine].getRoute({
-                source: source,
-                target: target,
-                via: via,
-                alternates: false,
-                instructions: withInstructions
-            }, function(err, route) {
+            this.routingService[engine].getRoute(options, function(err, route) {
                 if (err) {
                     this.vectorLayer.removeFeatures([routeFeature], {silent: true});
                 } else {
-                    var geom = new OpenLayers.Geometry.LineString(route.geometry);
-                    geom.transform(this.epsg4326, this.map.projection);
-                    if (routeFeature.layer) {
-                        this.vectorLayer.removeFeatures([routeFeature], {silent: true});
-                    }
-                    routeFeature.geometry = geom;
-                    this.vectorLayer.addFeatures([routeFeature], {silent: true});
+                    this.drawRoute(routeFeature, route);
                     if (withInstructions && route.instructions) {
                         this.updateDirections(route);
                     }
                 }
+                if (main) {
+                    this.showRoutes(err ? [] : this.getRouteItems(engine, route));
+                    this.updateStops(err ? null : route);
+                    this.fireEvent('routechange');
+                }
             }, this);
         }
     },
 
+    /** private: method[getRouteOptions]
+     *  :arg withInstructions: ``Boolean``
+     *  :returns: ``Object`` The options of the routing services ``getRoute``
+     *      method, ``null`` if the source or the target is missing.
+     */
+    getRouteOptions: function(withInstructions) {
+        if (!this.sourceFeature || !this.targetFeature) {
+            return null;
+        }
+        var mapProj = this.map.projection;
+        var source = this.sourceFeature.geometry.clone();
+        source.transform(mapProj, this.epsg4326);
+        var target = this.targetFeature.geometry.clone();
+        target.transform(mapProj, this.epsg4326);
+        var via = [];
+        for (var i = 0, n = this.viaFeatures.length; i < n; i++) {
+            var point = this.viaFeatures[i].geometry.clone();
+            point.transform(mapProj, this.epsg4326);
+            via.push(point);
+        }
+        var avoid = [];
+        for (i = 0, n = this.avoidFeatures.length; i < n; i++) {
+            var polygon = this.avoidFeatures[i].geometry.clone();
+            polygon.transform(mapProj, this.epsg4326);
+            avoid.push(polygon);
+        }
+        return {
+            source: source,
+            target: target,
+            via: via,
+            avoid: avoid,
+            alternates: false,
+            instructions: withInstructions
+        };
+    },
+
+    /** private: method[drawRoute]
+     *  draw the geometry of a route in a route feature
+     */
+    drawRoute: function(routeFeature, route) {
+        var geom = this.getRouteGeometry(route);
+        if (routeFeature.layer) {
+            this.vectorLayer.removeFeatures([routeFeature], {silent: true});
+        }
+        routeFeature.geometry = geom;
+        this.vectorLayer.addFeatures([routeFeature], {silent: true});
+    },
+
+    /** private: method[getRouteGeometry]
+     *  :arg route: ``Object``
+     *  :returns: ``OpenLayers.Geometry.LineString`` The route line in the
+     *      map projection, the route points are kept in EPSG:4326.
+     */
+    getRouteGeometry: function(route) {
+        var points = [];
+        for (var i = 0, n = route.geometry.length; i < n; i++) {
+            points.push(route.geometry[i].clone());
+        }
+        var geom = new OpenLayers.Geometry.LineString(points);
+        return geom.transform(this.epsg4326, this.map.projection);
+    },
+
+    /** private: method[getRouteItems]
+     *  :arg engine: ``String`` The routing engine.
+     *  :arg route: ``Object`` The route, with its alternatives.
+     *  :returns: ``Array(Object)`` The routes for ``showRoutes``.
+     */
+    getRouteItems: function(engine, route) {
+        var items = [{
+            engine: engine,
+            label: OpenLayers.i18n(engine),
+            route: route
+        }];
+        Ext.each(route.alternatives, function(alternative, i) {
+            items.push({
+                engine: engine,
+                label: this.alternativeLabel + ' ' + (i + 1),
+                route: alternative
+            });
+        }, this);
+        return items;
+    },
+
+    /** private: method[showRoutes]
+     *  draw the alternative routes and list them with the route
+     *  :arg routes: ``Array(Object)`` The routes with their ``engine`` and
+     *      ``label``, the first one is the displayed route.
+     */
+    showRoutes: function(routes) {
+        this.backgroundLayer.destroyFeatures(this.alternativeFeatures);
+        this.alternativeFeatures = [];
+        this.routes = routes;
+
+        var data = [];
+        for (var i = 0, n = routes.length; i < n; i++) {
+            var route = routes[i].route;
+            var style = this.routeStyle;
+            if (i > 0) {
+                style = this.alternativeStyles[(i - 1) % this.alternativeStyles.length];
+                var geom = this.getRouteGeometry(route);
+                this.alternativeFeatures.push(
+                    new OpenLayers.Feature.Vector(geom, {}, style));
+            }
+            data.push({
+                index: i,
+                label: routes[i].label,
+                distance: route.distance,
+                time: route.time,
+                color: style.strokeColor
+            });
+        }
+        this.backgroundLayer.addFeatures(this.alternativeFeatures);
+        this.routesStore.loadData(data);
+        this.find('itemId', 'routesList')[0].setVisible(routes.length > 1);
+    },
+
+    /** private: method[selectRoute]
+     *  display one of the listed routes, until the route is computed
+     *  again. Fires ``routechange`` if the engine of the route is another
+     *  one, to keep it in the permalink.
+     */
+    selectRoute: function(index) {
+        var routes = this.routes.slice();
+        var item = routes.splice(index, 1)[0];
+        routes.unshift(item);
+        var engineChanged = item.engine != this.currentEngine;
+        if (engineChanged) {
+            this.currentEngine = item.engine;
+            this.find('name', 'routeEngine')[0].setValue(item.engine);
+            this.updateAvoidButtons();
+        }
+        this.drawRoute(this.routeFeature, item.route);
+        if (item.route.instructions) {
+            this.updateDirections(item.route);
+        }
+        this.showRoutes(routes);
+        this.updateStops(item.route);
+        if (engineChanged) {
+            this.fireEvent('routechange');
+        }
+    },
+
+    /** private: method[compareRoutes]
+     *  compute the route with all the routing engines, and list them.
+     */
+    compareRoutes: function() {
+        var options = this.getRouteOptions(true);
+        if (!options) {
+            return;
+        }
+        var engines = [];
+        for (var engine in this.routingService) {
+            engines.push(engine);
+        }
+        var results = {};
+        var error = null;
+        var count = engines.length;
+        this.find('itemId', 'directionsPanel')[0].show();
+        this.directionsStore.fireEvent('beforeload');
+        Ext.each(engines, function(engine) {
+            this.routingService[engine].getRoute(options, function(err, route) {
+                if (err) {
+                    error = route;
+                } else {
+                    results[engine] = route;
+                }
+                if (--count > 0) {
+                    return;
+                }
+                var routes = [];
+                Ext.each(engines, function(e) {
+                    if (results[e]) {
+                        routes.push({
+                            engine: e,
+                            label: OpenLayers.i18n(e),
+                            route: results[e]
+                        });
+                    }
+                });
+                var index = 0;
+                for (var i = 0, n = routes.length; i < n; i++) {
+                    if (routes[i].engine == this.currentEngine) {
+                        index = i;
+                    }
+                }
+                if (routes.length > 0) {
+                    // show the route of the current engine
+                    this.routes = routes;
+                    this.selectRoute(index);
+                } else {
+                    // every engine failed, end the loading
+                    this.directionsStore.loadData([]);
+                    Ext.Msg.alert(this.routeErrorTitle, error.message);
+                }
+            }, this);
+        }, this);
+    },
+
+    /** api: method[getStops]
+     *  :returns: ``Array(OpenLayers.Feature.Vector)`` The source, the via
+     *      and the target features, in the route order.
+     */
+    getStops: function() {
+        var stops = this.sourceFeature ? [this.sourceFeature] : [];
+        stops = stops.concat(this.viaFeatures);
+        if (this.targetFeature) {
+            stops.push(this.targetFeature);
+        }
+        return stops;
+    },
+
+    /** api: method[setStops]
+     *  Replace the route stops and recalculate the route.
+     *  :arg stops: ``Array(Object)`` The stops with their ``geometry`` in
+     *      the map projection and their ``name``, the first one is the
+     *      source, the last one the target.
+     */
+    setStops: function(stops) {
+        this.vectorLayer.destroyFeatures(this.getStops(), {silent: true});
+        this.sourceFeature = null;
+        this.targetFeature = null;
+        this.viaFeatures = [];
+        var features = [];
+        for (var i = 0, n = stops.length; i < n; i++) {
+            var style;
+            if (i === 0) {
+                style = this.sourceStyle;
+            } else if (i == n - 1) {
+                style = this.targetStyle;
+            } else {
+                style = OpenLayers.Util.extend({}, this.viaStyle);
+                style.label = '' + i;
+            }
+            var feature = new OpenLayers.Feature.Vector(
+                stops[i].geometry, {name: stops[i].name}, style);
+            if (i === 0) {
+                this.sourceFeature = feature;
+            } else if (i == n - 1) {
+                this.targetFeature = feature;
+            } else {
+                this.viaFeatures.push(feature);
+            }
+            features.push(feature);
+        }
+        this.vectorLayer.addFeatures(features);
+        this.find('itemId', 'sourceComposite')[0].items.items[0].setValue(
+            this.sourceFeature && this.sourceFeature.attributes.name || '');
+        this.find('itemId', 'targetComposite')[0].items.items[0].setValue(
+            this.targetFeature && this.targetFeature.attributes.name || '');
+        this.computeRoute(this.routeFeature, true);
+    },
+
+    /** private: method[getStopItems]
+     *  :returns: ``Array(Object)`` The current stops for ``setStops``.
+     */
+    getStopItems: function() {
+        var items = [];
+        Ext.each(this.getStops(), function(feature) {
+            items.push({
+                geometry: feature.geometry.clone(),
+                name: feature.attributes.name
+            });
+        });
+        return items;
+    },
+
+    /** api: method[addStop]
+     *  Add a stop before the target, or as the source or the target if
+     *  they are missing.
+     *  :arg geometry: ``OpenLayers.Geometry.Point`` in the map projection.
+     *  :arg name: ``String`` Optional name of the stop.
+     */
+    addStop: function(geometry, name) {
+        var stops = this.getStopItems();
+        var stop = {geometry: geometry, name: name};
+        if (stops.length < 2) {
+            stops.push(stop);
+        } else {
+            stops.splice(stops.length - 1, 0, stop);
+        }
+        this.setStops(stops);
+    },
+
+    /** private: method[removeStop]
+     */
+    removeStop: function(index) {
+        var stops = this.getStopItems();
+        stops.splice(index, 1);
+        this.setStops(stops);
+    },
+
+    /** api: method[optimizeStops]
+     *  Reorder the via points to get the fastest route, with the duration
+     *  table of the routing service or the distances between the stops.
+     */
+    optimizeStops: function() {
+        var stops = this.getStopItems();
+        if (stops.length < 4) {
+            return;
+        }
+        var points = [];
+        Ext.each(stops, function(stop) {
+            points.push(stop.geometry.clone().transform(
+                this.map.projection, this.epsg4326));
+        }, this);
+        var optimizer = new cgxp.data.RouteOptimizer();
+        this.routingService[this.currentEngine].getTable(points, function(err, table) {
+            var matrix = !err && table ? table.durations :
+                optimizer.getDistanceMatrix(points);
+            var order = optimizer.optimize(matrix);
+            var ordered = [];
+            for (var i = 0, n = order.length; i < n; i++) {
+                ordered.push(stops[order[i]]);
+            }
+            this.setStops(ordered);
+        }, this);
+    },
+
+    /** private: method[updateStops]
+     *  update the stops list with the legs of the route
+     */
+    updateStops: function(route) {
+        if (!this.enableStops) {
+            return;
+        }
+        var stops = this.getStops();
+        var legs = route && route.legs;
+        if (legs && legs.length != stops.length - 1) {
+            legs = null;
+        }
+        var data = [];
+        for (var i = 0, n = stops.length; i < n; i++) {
+            var leg = legs && i > 0 ? legs[i - 1] : null;
+            data.push({
+                index: i + 1,
+                name: stops[i].attributes.name || '',
+                distance: leg ? leg.distance : null,
+                time: leg ? leg.time : null
+            });
+        }
+        this.stopsStore.loadData(data);
+    },
+
+    /** private: method[importStops]
+     *  replace the stops by the ones of a CSV file
+     */
+    importStops: function(text) {
+        var stops = this.readStops(text);
+        if (stops.length > 0) {
+            this.setStops(stops);
+        } else {
+            Ext.Msg.alert(this.routeErrorTitle, this.invalidStopsFileText);
+        }
+    },
+
+    /** private: method[readStops]
+     *  Read the stops of a CSV file. The columns are found by their header,
+     *  ``lon`` and ``lat`` (or ``longitude`` and ``latitude``) in EPSG:4326,
+     *  ``x`` and ``y`` in the map projection, and ``name``. Without
+     *  header, the columns are the longitude, the latitude and the name.
+     *  :arg text: ``String``
+     *  :returns: ``Array(Object)`` The stops for ``setStops``.
+     */
+    readStops: function(text) {
+        var lines = text.replace(/^\ufeff/, '').split(/\r\n|\r|\n/);
+        var separator = /;/.test(lines[0]) ? ';' :
+            (/\t/.test(lines[0]) ? '\t' : ',');
+        var split = function(line) {
+            var cells = line.split(separator);
+            for (var i = 0, n = cells.length; i < n; i++) {
+                cells[i] = Ext.util.Format.trim(cells[i]).replace(/^"|"$/g, '');
+            }
+            return cells;
+        };
+        var toNumber = function(value) {
+            return parseFloat((value || '').replace(',', '.'));
+        };
+        var columns = {x: 0, y: 1, name: 2};
+        var geographic = true;
+        var header = split(lines[0]);
+        if (isNaN(toNumber(header[0])) || isNaN(toNumber(header[1]))) {
+            lines.shift();
+            columns.name = -1;
+            for (var i = 0, n = header.length; i < n; i++) {
+                var column = header[i].toLowerCase();
+                if (/^(lon|lng|long|longitude)$/.test(column)) {
+                    columns.x = i;
+                } else if (/^(lat|latitude)$/.test(column)) {
+                    columns.y = i;
+                } else if (/^(x|easting)$/.test(column)) {
+                    columns.x = i;
+                    geographic = false;
+                } else if (/^(y|northing)$/.test(column)) {
+                    columns.y = i;
+                    geographic = false;
+                } else if (/^(name|label)$/.test(column)) {
+                    columns.name = i;
+                }
+            }
+        }
+        var stops = [];
+        Ext.each(lines, function(line) {
+            var cells = split(line);
+            var x = toNumber(cells[columns.x]), y = toNumber(cells[columns.y]);
+            if (isNaN(x) || isNaN(y)) {
+                return;
+            }
+            var geometry = new OpenLayers.Geometry.Point(x, y);
+            if (geographic) {
+                geometry.transform(this.epsg4326, this.map.projection);
+            }
+            stops.push({
+                geometry: geometry,
+                name: cells[columns.name] || ''
+            });
+        }, this);
+        return stops;
+    },
+
+    /** private: method[onDrawStop]
+     *  handle the user drawing a new stop.
+     */
+    onDrawStop: function(event) {
+        var geometry = event.feature.geometry.clone();
+        this.vectorLayer.destroyFeatures([event.feature], {silent: true});
+        this.drawControl.deactivate();
+        this.addStop(geometry);
+    },
+
+    /** private: method[deactivateDrawStop]
+     *  after drawing a stop, deregister event handlers
+     */
+    deactivateDrawStop: function() {
+        this.drawControl.events.un({
+            'featureadded': this.onDrawStop,
+            'deactivate': this.deactivateDrawStop,
+            scope: this
+        });
+    },
+
+    /** private: method[onDrawAvoidArea]
+     *  handle the user drawing an area to avoid.
+     */
+    onDrawAvoidArea: function(event) {
+        event.feature.style = OpenLayers.Util.extend({}, this.avoidStyle);
+        this.backgroundLayer.drawFeature(event.feature);
+        this.avoidFeatures.push(event.feature);
+        this.avoidControl.deactivate();
+        this.computeRoute(this.routeFeature, true);
+    },
+
+    /** private: method[clearAvoidAreas]
+     *  remove the areas to avoid and recalculate the route.
+     */
+    clearAvoidAreas: function() {
+        if (this.avoidFeatures.length > 0) {
+            this.backgroundLayer.destroyFeatures(this.avoidFeatures);
+            this.avoidFeatures = [];
+            this.computeRoute(this.routeFeature, true);
+        }
+    },
+
+    /** private: method[updateAvoidButtons]
+     *  enable the buttons of the areas to avoid if the current routing
+     *  service supports them.
+     */
+    updateAvoidButtons: function() {
+        var service = this.routingService[this.currentEngine];
+        this.find('itemId', 'avoidContainer')[0].items.each(function(button) {
+            button.setDisabled(!service.avoidAreas);
+        });
+    },
+
+    /** private: method[getIsochroneTimes]
+     *  :returns: ``Array(Number)`` The travel times of the times field in
+     *      seconds, ascending.
+     */
+    getIsochroneTimes: function() {
+        var value = this.find('itemId', 'isochroneTimes')[0].getValue();
+        var times = [];
+        Ext.each(String(value).split(/[\s,;]+/), function(time) {
+            time = parseFloat(time);
+            if (time > 0) {
+                times.push(time * 60);
+            }
+        });
+        return times.sort(function(a, b) {
+            return a - b;
+        });
+    },
+
+    /** private: method[computeIsochrones]
+     *  compute the areas reachable from the source.
+     */
+    computeIsochrones: function() {
+        var times = this.getIsochroneTimes();
+        if (!this.sourceFeature || times.length === 0) {
+            return;
+        }
+        var origin = this.sourceFeature.geometry.clone().transform(
+            this.map.projection, this.epsg4326);
+        this.routingService[this.currentEngine].getIsochrones(origin, times,
+            function(err, result) {
+                if (err) {
+                    Ext.Msg.alert(this.routeErrorTitle, result.message);
+                } else {
+                    this.showIsochrones(result.isochrones);
+                }
+            }, this);
+    },
+
+    /** private: method[showIsochrones]
+     *  draw the reachable areas, the largest first.
+     *  :arg isochrones: ``Array(Object)`` The ``time`` and the
+     *      ``geometry`` in EPSG:4326 of the areas, ascending.
+     */
+    showIsochrones: function(isochrones) {
+        this.clearIsochrones();
+        for (var i = isochrones.length - 1; i >= 0; i--) {
+            var geometry = isochrones[i].geometry.clone().transform(
+                this.epsg4326, this.map.projection);
+            var style = this.isochroneStyles[i % this.isochroneStyles.length];
+            this.isochroneFeatures.unshift(new OpenLayers.Feature.Vector(
+                geometry, {time: Math.round(isochrones[i].time / 60)},
+                OpenLayers.Util.extend({}, style)));
+        }
+        this.backgroundLayer.addFeatures(
+            this.isochroneFeatures.slice().reverse());
+        this.updateIsochroneButtons();
+    },
+
+    /** private: method[clearIsochrones]
+     *  remove the reachable areas.
+     */
+    clearIsochrones: function() {
+        if (this.isochroneFeatures.length > 0) {
+            this.backgroundLayer.destroyFeatures(this.isochroneFeatures);
+            this.isochroneFeatures = [];
+        }
+        this.updateIsochroneButtons();
+    },
+
+    /** private: method[updateIsochroneButtons]
+     *  enable the export and query buttons if there are reachable areas,
+     *  with a query menu item by area.
+     */
+    updateIsochroneButtons: function() {
+        var empty = this.isochroneFeatures.length === 0;
+        var exportButton = this.find('itemId', 'exportIsochrones')[0];
+        var queryButton = this.find('itemId', 'queryIsochrone')[0];
+        exportButton.setDisabled(empty);
+        queryButton.setDisabled(empty);
+        queryButton.menu.removeAll();
+        Ext.each(this.isochroneFeatures, function(feature) {
+            queryButton.menu.add({
+                text: String.format(this.isochroneTimeText,
+                    feature.attributes.time),
+                handler: function() {
+                    this.fireEvent('query', feature.geometry.clone());
+                },
+                scope: this
+            });
+        }, this);
+    },
+
+    /** private: method[createExportMenu]
+     *  :arg formats: ``Array(String)`` The export formats.
+     *  :arg handler: ``Function`` Called with the chosen format.
+     *  :returns: ``Ext.menu.Menu`` The menu of the export formats.
+     */
+    createExportMenu: function(formats, handler) {
+        var items = [];
+        Ext.each(formats, function(format) {
+            items.push({
+                text: this[format + 'ExportText'],
+                handler: function() {
+                    handler.call(this, format);
+                },
+                scope: this
+            });
+        }, this);
+        return new Ext.menu.Menu({items: items});
+    },
+
+    /** private: method[exportIsochrones]
+     *  download the reachable areas.
+     *  :arg format: ``String`` See :class:`cgxp.data.FeaturesExporter`.
+     */
+    exportIsochrones: function(format) {
+        if (this.isochroneFeatures.length === 0) {
+            return;
+        }
+        var exporter = new cgxp.data.FeaturesExporter({
+            sourceProjection: this.map.getProjectionObject()
+        });
+        var file = exporter.write(format, this.isochroneFeatures,
+            [{name: 'time', alias: 'time'}], 'isochrones');
+        cgxp.tools.download(file.data, file.filename, file.mimeType);
+    },
+
+    /** api: method[getRoadbook]
+     *  :returns: ``Object`` The roadbook of the displayed route, see
+     *      :class:`cgxp.data.RoadbookExporter`, ``null`` if there is no
+     *      route. The directions also have the ``distance`` and the
+     *      ``time`` from the source.
+     */
+    getRoadbook: function() {
+        var route = this.routes.length > 0 ? this.routes[0].route : null;
+        if (!route || !route.instructions || !this.routeFeature.geometry) {
+            return null;
+        }
+        var format = Ext.util.Format;
+        var describe = function(distance, time) {
+            return format.routeDistance(Math.round(distance)) + ' / ' +
+                format.routeTime(Math.round(time));
+        };
+        var stops = [];
+        Ext.each(this.getStops(), function(feature) {
+            var point = feature.geometry.clone();
+            point.transform(this.map.projection, this.epsg4326);
+            stops.push({
+                name: feature.attributes.name || '',
+                x: point.x,
+                y: point.y
+            });
+        }, this);
+        var steps = [];
+        var distance = 0, time = 0;
+        Ext.each(route.instructions, function(instruction) {
+            var point = route.geometry[instruction.position];
+            steps.push({
+                text: format.routeDirection(instruction),
+                description: describe(distance, time),
+                distance: distance,
+                time: time,
+                x: point.x,
+                y: point.y
+            });
+            distance += instruction.distance || 0;
+            time += instruction.time || 0;
+        });
+        return {
+            name: stops[0].name + ' - ' + stops[stops.length - 1].name,
+            description: describe(route.distance, route.time),
+            distance: route.distance,
+            time: route.time,
+            geometry: route.geometry,
+            stops: stops,
+            steps: steps
+        };
+    },
+
+    /** private: method[exportRoadbook]
+     *  download the roadbook of the route.
+     *  :arg format: ``String`` See :class:`cgxp.data.RoadbookExporter`.
+     */
+    exportRoadbook: function(format) {
+        var roadbook = this.getRoadbook();
+        if (!roadbook) {
+            return;
+        }
+        var exporter = new cgxp.data.RoadbookExporter({
+            stopsText: this.stopsLabel,
+            directionsText: this.directionsLabel
+        });
+        var file = exporter.write(format, roadbook, this.roadbookFilename);
+        cgxp.tools.download(file.data, file.filename, file.mimeType);
+    },
+
+    /** private: method[getState]
+     *  :returns: ``Object`` The routing engine and the coordinates of the
+     *      stops in the map projection.
+     */
+    getState: function() {
+        var stops = this.getStops();
+        if (stops.length === 0) {
+            return {};
+        }
+        // about 10 cm
+        var factor = this.map.getUnits() == 'degrees' ? 1e6 : 10;
+        var coordinates = [];
+        Ext.each(stops, function(feature) {
+            coordinates.push(
+                Math.round(feature.geometry.x * factor) / factor,
+                Math.round(feature.geometry.y * factor) / factor);
+        });
+        return {
+            engine: this.currentEngine,
+            stops: coordinates.join(',')
+        };
+    },
+
+    /** private: method[applyState]
+     *  :arg state: ``Object`` A state returned by ``getState``.
+     */
+    applyState: function(state) {
+        if (state.engine && this.routingService[state.engine]) {
+            this.currentEngine = state.engine;
+            this.find('name', 'routeEngine')[0].setValue(state.engine);
+            this.updateAvoidButtons();
+        }
+        // the comma separated values are read as an array from the URL
+        var values = Ext.isArray(state.stops) ? state.stops :
+            String(state.stops || '').split(',');
+        var stops = [];
+        for (var i = 0; i + 1 < values.length; i += 2) {
+            var x = parseFloat(values[i]), y = parseFloat(values[i + 1]);
+            if (!isNaN(x) && !isNaN(y)) {
+                stops.push({
+                    geometry: new OpenLayers.Geometry.Point(x, y),
+                    name: ''
+                });
+            }
+        }
+        if (stops.length > 0) {
+            this.setStops(stops);
+            this.updateStopName(this.sourceFeature, 'sourceComposite');
+            if (this.targetFeature) {
+                this.updateStopName(this.targetFeature, 'targetComposite');
+            }
+        }
+    },
+
+    /** private: method[updateStopName]
+     *  name a restored stop with its nearest location.
+     */
+    updateStopName: function(feature, itemId) {
+        var geom = feature.geometry.clone();
+        geom.transform(this.map.projection, this.epsg4326);
+        this.routingService[this.currentEngine].getNearest(geom, function(err, nearest) {
+            if (!err) {
+                var text = nearest.name || nearest.x + ', ' + nearest.y;
+                feature.attributes.name = text;
+                this.find('itemId', itemId)[0].items.items[0].setValue(text);
+            }
+        }, this);
+    },
+
     /** private: method[zoomToNode]
      *  zoom to a point in the routeFeature
      */
@@ -562,6 +1566,7 @@ cgxp.RoutingPanel = Ext.extend(
                 this.sourceFeature.geometry.transform(this.epsg4326, this.map.projection);
                 this.vectorLayer.drawFeature(this.sourceFeature);
                 var text = nearest.name || nearest.x + ', ' + nearest.y;
+                this.sourceFeature.attributes.name = text;
                 this.find('itemId', 'sourceComposite')[0].items.items[0].setValue(text);
                 this.computeRoute(this.routeFeature, true);
             }
@@ -592,6 +1597,7 @@ cgxp.RoutingPanel = Ext.extend(
                 this.targetFeature.geometry.transform(this.epsg4326, this.map.projection);
                 this.vectorLayer.drawFeature(this.targetFeature);
                 var text = nearest.name || nearest.x + ', ' + nearest.y;
+                this.targetFeature.attributes.name = text;
                 this.find('itemId', 'targetComposite')[0].items.items[0].setValue(text);
                 this.computeRoute(this.routeFeature, true);
             }
@@ -609,25 +1615,27 @@ cgxp.RoutingPanel = Ext.extend(
         });
     },
 
-    setSource: function(geom) {
+    setSource: function(geom, name) {
         if (this.sourceFeature) {
             this.sourceFeature.geometry.x = geom.x;
             this.sourceFeature.geometry.y = geom.y;
+            this.sourceFeature.attributes.name = name;
             this.vectorLayer.drawFeature(this.sourceFeature);
         } else {
-            this.sourceFeature = new OpenLayers.Feature.Vector(geom, {}, this.sourceStyle);
+            this.sourceFeature = new OpenLayers.Feature.Vector(geom, {name: name}, this.sourceStyle);
             this.vectorLayer.addFeatures([this.sourceFeature]);
         }
         this.computeRoute(this.routeFeature, true);
     },
 
-    setTarget: function(geom) {
+    setTarget: function(geom, name) {
         if (this.targetFeature) {
             this.targetFeature.geometry.x = geom.x;
             this.targetFeature.geometry.y = geom.y;
+            this.targetFeature.attributes.name = name;
             this.vectorLayer.drawFeature(this.targetFeature);
         } else {
-            this.targetFeature = new OpenLayers.Feature.Vector(geom, {}, this.targetStyle);
+            this.targetFeature = new OpenLayers.Feature.Vector(geom, {name: name}, this.targetStyle);
             this.vectorLayer.addFeatures([this.targetFeature]);
         }
         this.computeRoute(this.routeFeature, true);
@@ -656,7 +1664,7 @@ cgxp.RoutingPanel = Ext.extend(
                             select: {
                                 fn: function(combo, record, index) {
                                     var geom = record.data.feature.geometry.getCentroid();
-                                    this.setSource(geom);
+                                    this.setSource(geom, record.data.label);
                                 },
                                 scope: this
                             }
@@ -696,7 +1704,7 @@ cgxp.RoutingPanel = Ext.extend(
                             select: {
                                 fn: function(combo, record, index) {
                                     var geom = record.data.feature.geometry.getCentroid();
-                                    this.setTarget(geom);
+                                    this.setTarget(geom, record.data.label);
                                 },
                                 scope: this
                             }
@@ -745,6 +1753,7 @@ cgxp.RoutingPanel = Ext.extend(
                         var newValue = combo.getValue();
                         if (this.currentEngine !== newValue) {
                             this.currentEngine = newValue;
+                            this.updateAvoidButtons();
                             this.computeRoute(this.routeFeature, true);
                         }
                     },
@@ -770,6 +1779,12 @@ cgxp.RoutingPanel = Ext.extend(
                 margins: '10px',
                 handler: Ext.createDelegate(function() {
                     this.vectorLayer.removeAllFeatures();
+                    this.showRoutes([]);
+                    this.stopsStore.loadData([]);
+                    this.backgroundLayer.destroyFeatures();
+                    this.avoidFeatures = [];
+                    this.isochroneFeatures = [];
+                    this.updateIsochroneButtons();
                     if (this.sourceFeature) {
                         this.sourceFeature.destroy();
                         this.sourceFeature = null;
@@ -788,7 +1803,7 @@ cgxp.RoutingPanel = Ext.extend(
                     this.find('itemId', 'directionsPanel')[0].hide();
                     this.find('itemId', 'sourceComposite')[0].items.items[0].setValue('');
                     this.find('itemId', 'targetComposite')[0].items.items[0].setValue('');
-
+                    this.fireEvent('routechange');
                 }, this)
             }, {
                 xtype: 'button',
@@ -811,6 +1826,222 @@ cgxp.RoutingPanel = Ext.extend(
                     }
                     this.computeRoute(this.routeFeature, true);
                 }, this)
+            }, {
+                xtype: 'button',
+                text: this.profilebuttonLabel,
+                margins: '10px',
+                hidden: !this.enableProfile,
+                handler: Ext.createDelegate(function() {
+                    if (this.routeFeature.geometry) {
+                        this.fireEvent('profile',
+                            this.routeFeature.geometry.clone());
+                    }
+                }, this)
+            }]
+        }, {
+            xtype: 'container',
+            itemId: 'avoidContainer',
+            layout: 'hbox',
+            hidden: !this.enableAvoidAreas,
+            defaults: {
+                disabled: !this.routingService[this.currentEngine].avoidAreas
+            },
+            items: [{
+                xtype: 'button',
+                text: this.avoidbuttonLabel,
+                margins: '0 10px 10px 10px',
+                handler: Ext.createDelegate(function() {
+                    if (this.drawControl.active) {
+                        this.drawControl.deactivate();
+                    }
+                    this.avoidControl.activate();
+                }, this)
+            }, {
+                xtype: 'button',
+                text: this.clearAvoidbuttonLabel,
+                margins: '0 10px 10px 10px',
+                handler: Ext.createDelegate(this.clearAvoidAreas, this)
+            }]
+        }, {
+            xtype: 'container',
+            layout: 'hbox',
+            hidden: !this.enableComparison,
+            items: [{
+                xtype: 'button',
+                text: this.comparebuttonLabel,
+                margins: '0 10px 10px 10px',
+                handler: Ext.createDelegate(this.compareRoutes, this)
+            }]
+        }, {
+            xtype: 'container',
+            layout: 'hbox',
+            hidden: !this.enableRoadbook,
+            items: [{
+                xtype: 'button',
+                text: this.exportRoadbookbuttonLabel,
+                margins: '0 10px 10px 10px',
+                menu: this.createExportMenu(this.roadbookExportFormats,
+                    this.exportRoadbook)
+            }]
+        }, {
+            xtype: 'compositefield',
+            itemId: 'stopComposite',
+            fieldLabel: this.addStopfieldLabel,
+            hidden: !this.enableStops,
+            items: [new cgxp.FullTextSearch(Ext.apply({
+                        map: this.map,
+                        url: this.searchOptions.url,
+                        listeners: {
+                            'applyposition': {
+                                fn: function(pos) {
+                                    var geom = new OpenLayers.Geometry.Point(pos.lon, pos.lat);
+                                    this.addStop(geom);
+                                },
+                                scope: this
+                            },
+                            select: {
+                                fn: function(combo, record, index) {
+                                    var geom = record.data.feature.geometry.getCentroid();
+                                    this.addStop(geom, record.data.label);
+                                    combo.setValue('');
+                                },
+                                scope: this
+                            }
+                        }
+                }, this.searchOptions.widgetOptions)
+            ), {
+                xtype: 'button',
+                text: this.addStopButtonLabel,
+                handler: Ext.createDelegate(function() {
+                    if (this.drawControl.active) {
+                        this.drawControl.deactivate();
+                    }
+                    this.drawControl.events.on({
+                        'featureadded': this.onDrawStop,
+                        'deactivate': this.deactivateDrawStop,
+                        scope: this
+                    });
+                    this.drawControl.activate();
+                }, this)
+            }]
+        }, {
+            xtype: 'container',
+            layout: 'hbox',
+            hidden: !this.enableStops,
+            items: [new Ext.ux.form.FileUploadField({
+                buttonOnly: true,
+                buttonText: this.importStopsbuttonLabel,
+                margins: '0 10px 10px 10px',
+                listeners: {
+                    fileselected: {
+                        fn: function(field) {
+                            var reader = new FileReader();
+                            reader.onload = Ext.createDelegate(function() {
+                                this.importStops(reader.result);
+                                field.reset();
+                            }, this);
+                            reader.readAsText(field.fileInput.dom.files[0]);
+                        },
+                        scope: this
+                    }
+                }
+            }), {
+                xtype: 'button',
+                text: this.optimizebuttonLabel,
+                margins: '0 10px 10px 10px',
+                handler: Ext.createDelegate(this.optimizeStops, this)
+            }]
+        }, {
+            xtype: 'listview',
+            itemId: 'stopsList',
+            fieldLabel: this.stopsLabel,
+            hidden: !this.enableStops,
+            autoHeight: true,
+            store: this.stopsStore,
+            hideHeaders: true,
+            trackOver: true,
+            singleSelect: true,
+            columns: [{
+                width: 1,
+                tpl: this.stopsTpl
+            }],
+            listeners: {
+                click: {
+                    fn: function(list, index, node, e) {
+                        if (e.getTarget('.routing-stop-remove')) {
+                            this.removeStop(index);
+                        } else {
+                            var geom = this.getStops()[index].geometry;
+                            this.map.setCenter([geom.x, geom.y], this.zoomToRouteLevel);
+                        }
+                    },
+                    scope: this
+                }
+            }
+        }, {
+            xtype: 'listview',
+            itemId: 'routesList',
+            fieldLabel: this.routesLabel,
+            hidden: true,
+            autoHeight: true,
+            store: this.routesStore,
+            hideHeaders: true,
+            trackOver: true,
+            singleSelect: true,
+            columns: [{
+                width: 1,
+                tpl: this.routesTpl
+            }],
+            listeners: {
+                click: {
+                    fn: function(list, index, node, e) {
+                        this.selectRoute(index);
+                    },
+                    scope: this
+                }
+            }
+        }, {
+            xtype: 'fieldset',
+            title: this.isochronesLabel,
+            hidden: !this.enableIsochrones,
+            collapsible: true,
+            autoHeight: true,
+            items: [{
+                xtype: 'textfield',
+                itemId: 'isochroneTimes',
+                fieldLabel: this.isochroneTimesfieldLabel,
+                width: 120,
+                value: this.isochroneTimes.join(', ')
+            }, {
+                xtype: 'container',
+                layout: 'hbox',
+                items: [{
+                    xtype: 'button',
+                    text: this.isochronebuttonLabel,
+                    margins: '0 10px 10px 0',
+                    handler: Ext.createDelegate(this.computeIsochrones, this)
+                }, {
+                    xtype: 'button',
+                    itemId: 'exportIsochrones',
+                    text: this.exportIsochronesbuttonLabel,
+                    margins: '0 10px 10px 0',
+                    disabled: true,
+                    menu: this.createExportMenu(this.isochroneExportFormats,
+                        this.exportIsochrones)
+                }, {
+                    xtype: 'button',
+                    itemId: 'queryIsochrone',
+                    text: this.queryIsochronebuttonLabel,
+                    margins: '0 10px 10px 0',
+                    hidden: !this.enableIsochroneQuery,
+                    disabled: true,
+                    menu: new Ext.menu.Menu()
+                }, {
+                    xtype: 'button',
+                    text: this.clearIsochronesbuttonLabel,
+                    margins: '0 10px 10px 0',
+                    handler: Ext.createDelegate(this.clearIsochrones, this)
+                }]
             }]
         }, {
             xtype: 'panel',
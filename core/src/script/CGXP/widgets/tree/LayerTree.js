@@ -1490,11 +1490,14 @@ cgxp.tree.LayerTree = Ext.extend(Ext.tree.TreePanel, {
     },
 
     /** private: method[delayedApplyState]
+     *  :arg version: ``Number`` The permalink version of the state, the
+     *      version of the read link by default.
      */
-    delayedApplyState: function() {
+    delayedApplyState: function(version) {
         if (!this.initialState) {
             return;
         }
+        this.initialState = this.migrateState(this.initialState, version);
         // handle layer groups from permalinkThemes and initialState
         var groups = [];
         var i, l
@@ -1603,6 +1606,69 @@ cgxp.tree.LayerTree = Ext.extend(Ext.tree.TreePanel, {
         }, this);
     },
 
+    /** api: method[restoreState]
+     *  Replaces the loaded groups by the ones of a state, e.g. a bookmark.
+     *  :arg state: ``Object`` A state returned by ``getState``.
+     *  :arg version: ``Number`` The permalink version of the state.
+     */
+    restoreState: function(state, version) {
+        for (var i = this.root.childNodes.length - 1; i >= 0; i--) {
+            this.removeGroup(this.root.childNodes[i]);
+        }
+        this.initialState = Ext.apply({}, state);
+        this.delayedApplyState(version);
+    },
+
+    /** private: method[migrateState]
+     *  Renames the groups and layers of a permalink written with an older
+     *  version, see :class:`cgxp.state.PermalinkProvider`.
+     *  :arg state: ``Object``
+     *  :arg version: ``Number`` The permalink version of the state.
+     *  :returns: ``Object`` The migrated state.
+     */
+    migrateState: function(state, version) {
+        var provider = Ext.state.Manager.getProvider();
+        if (!provider || !provider.migrateName) {
+            return state;
+        }
+        // the lists are arrays or comma separated strings
+        var migrateList = function(type, value) {
+            var isArray = OpenLayers.Util.isArray(value);
+            if (!isArray && (!Ext.isString(value) || value === '')) {
+                return value;
+            }
+            var names = [];
+            Ext.each(isArray ? value : value.split(','), function(name) {
+                names.push(provider.migrateName(type, name, version));
+            });
+            return isArray ? names : names.join(',');
+        };
+        var migrated = {};
+        for (var key in state) {
+            if (state.hasOwnProperty(key)) {
+                var value = state[key];
+                var match;
+                if (key == 'groups') {
+                    value = migrateList('groups', value);
+                } else if (key == 'layers') {
+                    value = migrateList('layers', value);
+                } else if ((match = /^group_layers_(.*)$/.exec(key))) {
+                    key = 'group_layers_' +
+                        provider.migrateName('groups', match[1], version);
+                    value = migrateList('layers', value);
+                } else if ((match = /^group_opacity_(.*)$/.exec(key))) {
+                    key = 'group_opacity_' +
+                        provider.migrateName('groups', match[1], version);
+                } else if ((match = /^(opacity|enable)_(.*)$/.exec(key))) {
+                    key = match[1] + '_' +
+                        provider.migrateName('layers', match[2], version);
+                }
+                migrated[key] = value;
+            }
+        }
+        return migrated;
+    },
+
     /** private: method[getState]
      *  :returns: ``Object``
      */
@@ -0,0 +1,132 @@
+describe('cgxp.data.EditingSession', function() {
+    var layer, session, feature;
+
+    function move(feature, x, y) {
+        feature.geometry = new OpenLayers.Geometry.Point(x, y);
+        feature.state = feature.state || OpenLayers.State.UPDATE;
+        layer.events.triggerEvent('featuremodified', {feature: feature});
+    }
+
+    beforeEach(function() {
+        layer = new OpenLayers.Layer.Vector('editing');
+        session = new cgxp.data.EditingSession({
+            url: '/layers/',
+            layer: layer
+        });
+        feature = new OpenLayers.Feature.Vector(
+            new OpenLayers.Geometry.Point(0, 0), {__layer_id__: 2});
+        feature.fid = 5;
+        layer.addFeatures([feature]);
+        session.add(feature);
+    });
+
+    afterEach(function() {
+        session.destroy();
+        layer.destroy();
+    });
+
+    it('records the modifications of the features', function() {
+        expect(session.hasChanges()).toBeFalsy();
+        move(feature, 1, 1);
+        move(feature, 2, 2);
+        expect(session.getPendingFeatures()).toEqual([feature]);
+        expect(session.canUndo()).toBeTruthy();
+    });
+
+    it('undoes and redoes the modifications', function() {
+        move(feature, 1, 1);
+        move(feature, 2, 2);
+        session.undo();
+        expect(feature.geometry.x).toEqual(1);
+        session.undo();
+        expect(feature.geometry.x).toEqual(0);
+        expect(feature.state).toBeNull();
+        expect(session.hasChanges()).toBeFalsy();
+        session.redo();
+        expect(feature.geometry.x).toEqual(1);
+        expect(feature.state).toEqual(OpenLayers.State.UPDATE);
+        expect(session.canRedo()).toBeTruthy();
+        move(feature, 3, 3);
+        expect(session.canRedo()).toBeFalsy();
+    });
+
+    it('undoes the creation of a feature', function() {
+        var created = new OpenLayers.Feature.Vector(
+            new OpenLayers.Geometry.Point(1, 1), {__layer_id__: 1});
+        created.state = OpenLayers.State.INSERT;
+        layer.addFeatures([created]);
+        session.add(created);
+        session.undo();
+        expect(created.layer).toBeNull();
+        expect(session.hasChanges()).toBeFalsy();
+        session.redo();
+        expect(created.layer).toBe(layer);
+        expect(session.getPendingFeatures()).toEqual([created]);
+    });
+
+    it('undoes the changes of a transaction at once', function() {
+        var created = new OpenLayers.Feature.Vector(
+            new OpenLayers.Geometry.Point(1, 1), {__layer_id__: 2});
+        session.transaction(function() {
+            move(feature, 2, 2);
+            created.state = OpenLayers.State.INSERT;
+            layer.addFeatures([created]);
+            session.add(created);
+        });
+        expect(session.getPendingFeatures().length).toEqual(2);
+        session.undo();
+        expect(feature.geometry.x).toEqual(0);
+        expect(created.layer).toBeNull();
+        expect(session.canUndo()).toBeFalsy();
+        session.redo();
+        expect(feature.geometry.x).toEqual(2);
+        expect(created.layer).toBe(layer);
+    });
+
+    it('keeps the features with changes on the layer', function() {
+        expect(session.release(feature)).toBeTruthy();
+        session.add(feature);
+        move(feature, 1, 1);
+        expect(session.release(feature)).toBeFalsy();
+        expect(session.getFeature(2, 5)).toBe(feature);
+    });
+
+    it('saves each feature and keeps the validation errors', function() {
+        var created = new OpenLayers.Feature.Vector(
+            new OpenLayers.Geometry.Point(1, 1), {__layer_id__: 1});
+        created.state = OpenLayers.State.INSERT;
+        layer.addFeatures([created]);
+        session.add(created);
+        move(feature, 1, 1);
+
+        spyOn(OpenLayers.Protocol.HTTP.prototype, 'commit').and.callFake(
+            function(features, options) {
+                var status = features[0].fid ? 200 : 400;
+                options[features[0].fid ? 'update' : 'create'].callback({
+                    priv: {
+                        status: status,
+                        responseText: '{"validation_error": "Too small"}'
+                    }
+                });
+                options.callback.call(options.scope, {
+                    code: status == 200 ?
+                        OpenLayers.Protocol.Response.SUCCESS :
+                        OpenLayers.Protocol.Response.FAILURE
+                });
+            });
+        var onCommit = jasmine.createSpy();
+        session.on('commit', onCommit);
+        session.commit();
+
+        expect(OpenLayers.Protocol.HTTP.prototype.commit.calls.count())
+            .toEqual(2);
+        expect(onCommit).toHaveBeenCalledWith(session, [2], [created]);
+        expect(feature.layer).toBeNull();
+        expect(session.getPendingFeatures()).toEqual([created]);
+        expect(session.getError(created)).toEqual({
+            status: 400,
+            validationError: 'Too small'
+        });
+        expect(session.committing).toBeFalsy();
+    });
+});
@@ -0,0 +1,100 @@
+describe('cgxp.data.FeaturesExporter', function() {
+    var exporter, features, columns;
+
+    beforeEach(function() {
+        exporter = new cgxp.data.FeaturesExporter({
+            sourceProjection: new OpenLayers.Projection('EPSG:4326')
+        });
+        features = [
+            new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.Point(7, 46),
+                {name: 'Bern "BE"', population: '130000'}),
+            new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(7, 46),
+                    new OpenLayers.Geometry.Point(8, 47)
+                ]),
+                {name: 'Aare', population: null})
+        ];
+        columns = [
+            {name: 'name', alias: 'Name'},
+            {name: 'population', alias: 'Population'}
+        ];
+    });
+
+    describe('write', function() {
+
+        it('writes CSV with the aliases and WKT', function() {
+            var file = exporter.write('csv', features, columns, 'cities');
+            expect(file.filename).toEqual('cities.csv');
+            var lines = file.data.substr(1).split('\r\n');
+            expect(lines[0]).toEqual('"Name","Population","WKT"');
+            expect(lines[1]).toEqual(
+                '"Bern ""BE""","130000","POINT(7 46)"');
+            expect(lines[2]).toEqual(
+                '"Aare","","LINESTRING(7 46,8 47)"');
+        });
+
+        it('writes GeoJSON with the aliases', function() {
+            var file = exporter.write('geojson', features, columns, 'cities');
+            var collection = Ext.decode(file.data);
+            expect(collection.features.length).toEqual(2);
+            expect(collection.features[0].properties.Name).toEqual('Bern "BE"');
+            expect(collection.crs).toBeUndefined();
+        });
+
+        it('names the CRS of the reprojected GeoJSON', function() {
+            exporter.projection = 'EPSG:900913';
+            var file = exporter.write('geojson', features, columns, 'cities');
+            var collection = Ext.decode(file.data);
+            expect(collection.crs.properties.name).toEqual(
+                'urn:ogc:def:crs:EPSG::900913');
+            expect(collection.features[0].geometry.coordinates[0])
+                .toBeGreaterThan(700000);
+        });
+    });
+
+    describe('writeShapefile', function() {
+
+        it('writes a Shapefile by shape type', function() {
+            var zip = exporter.writeShapefile(features, columns, 'cities');
+            var view = new DataView(zip.buffer);
+            // local file header
+            expect(view.getUint32(0, true)).toEqual(0x04034b50);
+            // end of central directory: 2 shapefiles of 5 files
+            var end = zip.length - 22;
+            expect(view.getUint32(end, true)).toEqual(0x06054b50);
+            expect(view.getUint16(end + 10, true)).toEqual(10);
+        });
+    });
+
+    describe('writeDBF', function() {
+
+        it('writes the fields and the records', function() {
+            var dbf = exporter.writeDBF(['Name', 'Name', 'Ville été'],
+                [['a', 'bb', 'é']]);
+            var view = new DataView(dbf.buffer);
+            expect(view.getUint32(4, true)).toEqual(1);
+            var name = function(i) {
+                var chars = [];
+                for (var j = 0; j < 11 && dbf[32 + 32 * i + j]; j++) {
+                    chars.push(String.fromCharCode(dbf[32 + 32 * i + j]));
+                }
+                return chars.join('');
+            };
+            expect(name(0)).toEqual('Name');
+            expect(name(1)).toEqual('Name1');
+            expect(name(2)).toEqual('Ville__t_');
+            // the UTF-8 length
+            expect(dbf[32 + 64 + 16]).toEqual(2);
+        });
+    });
+
+    describe('crc32', function() {
+
+        it('computes the checksum', function() {
+            expect(exporter.crc32(exporter.toBytes('123456789')))
+                .toEqual(0xcbf43926);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+describe('cgxp.data.GeometryTools', function() {
+    var tools;
+
+    function line(coordinates) {
+        var points = [];
+        Ext.each(coordinates, function(c) {
+            points.push(new OpenLayers.Geometry.Point(c[0], c[1]));
+        });
+        return new OpenLayers.Geometry.LineString(points);
+    }
+
+    function polygon() {
+        var rings = [];
+        Ext.each(arguments, function(coordinates) {
+            rings.push(new OpenLayers.Geometry.LinearRing(
+                line(coordinates).components));
+        });
+        return new OpenLayers.Geometry.Polygon(rings);
+    }
+
+    function square(x, y, size) {
+        return [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+    }
+
+    beforeEach(function() {
+        tools = new cgxp.data.GeometryTools();
+    });
+
+    describe('split', function() {
+
+        it('splits a line at each intersection', function() {
+            var parts = tools.split(line([[0, 0], [10, 0]]),
+                line([[2, -1], [2, 1], [6, 1], [6, -1]]));
+            expect(parts.length).toEqual(3);
+            expect(parts[1].toString()).toEqual('LINESTRING(2 0,6 0)');
+        });
+
+        it('splits a polygon and keeps its holes', function() {
+            var parts = tools.split(
+                polygon(square(0, 0, 10), square(1, 1, 1), square(7, 7, 1)),
+                line([[5, -1], [5, 11]]));
+            expect(parts.length).toEqual(2);
+            expect(parts[0].getArea()).toEqual(49);
+            expect(parts[1].getArea()).toEqual(49);
+            expect(parts[0].components.length).toEqual(2);
+        });
+
+        it('returns null if the line does not cross', function() {
+            expect(tools.split(polygon(square(0, 0, 10)),
+                line([[2, -1], [2, 5]]))).toBeNull();
+        });
+    });
+
+    describe('merge', function() {
+
+        it('merges adjacent polygons', function() {
+            var polygons = tools.merge([polygon(square(0, 0, 10)),
+                polygon([[10, 5], [20, 5], [20, 15], [10, 15]])]);
+            expect(polygons.length).toEqual(1);
+            expect(polygons[0].getArea()).toEqual(200);
+        });
+
+        it('keeps the gap between the polygons as a hole', function() {
+            var polygons = tools.merge([
+                polygon([[0, 0], [30, 0], [30, 10], [0, 10]]),
+                polygon([[0, 20], [30, 20], [30, 30], [0, 30]]),
+                polygon(square(0, 10, 10)),
+                polygon(square(20, 10, 10))
+            ]);
+            expect(polygons.length).toEqual(1);
+            expect(polygons[0].components.length).toEqual(2);
+            expect(polygons[0].getArea()).toEqual(800);
+        });
+
+        it('does not merge distant polygons', function() {
+            expect(tools.merge([polygon(square(0, 0, 10)),
+                polygon(square(30, 0, 10))]).length).toEqual(2);
+        });
+    });
+
+    describe('holes', function() {
+
+        it('adds a hole inside the polygon', function() {
+            var geometry = tools.addHole(polygon(square(0, 0, 10)),
+                polygon(square(4, 4, 2)));
+            expect(geometry.getArea()).toEqual(96);
+            expect(tools.addHole(polygon(square(0, 0, 10)),
+                polygon(square(8, 8, 4)))).toBeNull();
+        });
+
+        it('removes the hole at a point', function() {
+            var geometry = new OpenLayers.Geometry.MultiPolygon([
+                polygon(square(0, 0, 10), square(4, 4, 2))]);
+            var point = new OpenLayers.Geometry.Point(5, 5);
+            expect(tools.removeHole(geometry, point).getArea()).toEqual(100);
+            expect(tools.removeHole(geometry,
+                new OpenLayers.Geometry.Point(1, 1))).toBeNull();
+        });
+    });
+
+    it('offsets a line on both sides', function() {
+        var geometry = line([[0, 0], [10, 0], [10, 10]]);
+        expect(tools.offset(geometry, 1).toString())
+            .toEqual('LINESTRING(0 1,9 1,9 10)');
+        expect(tools.offset(geometry, -1).toString())
+            .toEqual('LINESTRING(0 -1,11 -1,11 10)');
+    });
+
+    it('bevels the sharp corners of the offset line', function() {
+        var geometry = line([[0, 0], [10, 0], [0, 1]]);
+        expect(tools.offset(geometry, -1).components.length).toEqual(4);
+        tools.miterLimit = 100;
+        expect(tools.offset(geometry, -1).components.length).toEqual(3);
+    });
+
+    it('does not offset a line without length', function() {
+        expect(tools.offset(line([[0, 0], [0, 0]]), 1)).toBeNull();
+        var geometry = new OpenLayers.Geometry.MultiLineString([
+            line([[0, 0], [0, 0]]), line([[0, 0], [10, 0]])]);
+        expect(tools.offset(geometry, 1).components.length).toEqual(1);
+    });
+
+    it('converts the geometries to the type of a layer', function() {
+        var geometry = polygon(square(0, 0, 10));
+        expect(tools.convert(geometry, 'MultiPolygon').CLASS_NAME)
+            .toEqual('OpenLayers.Geometry.MultiPolygon');
+        expect(tools.convert(geometry, 'Line')).toBeNull();
+        expect(tools.getType(new OpenLayers.Geometry.MultiLineString()))
+            .toEqual('MultiLine');
+    });
+});
@@ -0,0 +1,81 @@
+describe('cgxp.data.PrintVectorEncoder', function() {
+    var encoder, layer;
+
+    beforeEach(function() {
+        encoder = new cgxp.data.PrintVectorEncoder();
+        layer = new OpenLayers.Layer.Vector('redlining');
+    });
+
+    afterEach(function() {
+        layer.destroy();
+    });
+
+    describe('encode', function() {
+
+        it('encodes the labels as separate point features', function() {
+            var polygon = new OpenLayers.Geometry.Polygon([
+                new OpenLayers.Geometry.LinearRing([
+                    new OpenLayers.Geometry.Point(0, 0),
+                    new OpenLayers.Geometry.Point(10, 0),
+                    new OpenLayers.Geometry.Point(10, 10),
+                    new OpenLayers.Geometry.Point(0, 10)
+                ])
+            ]);
+            layer.addFeatures([new OpenLayers.Feature.Vector(polygon, {}, {
+                strokeColor: '#FF0000',
+                label: '100 m',
+                fontSize: 12
+            })]);
+            var encoded = encoder.encode(layer);
+            var features = encoded.geoJson.features;
+            expect(encoded.type).toEqual('Vector');
+            expect(features.length).toEqual(2);
+            expect(features[0].geometry.type).toEqual('Polygon');
+            expect(encoded.styles[features[0].properties._gx_style].label)
+                .toBeUndefined();
+            expect(features[1].geometry.coordinates).toEqual([5, 5]);
+            var label = encoded.styles[features[1].properties._gx_style];
+            expect(label.label).toEqual('100 m');
+            expect(label.fontSize).toEqual('12px');
+            expect(label.pointRadius).toEqual(0);
+        });
+
+        it('prints only the label of the label features', function() {
+            var feature = new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.Point(1, 2), {name: 'text'},
+                {label: '${name}'});
+            feature.isLabel = true;
+            layer.addFeatures([feature]);
+            var encoded = encoder.encode(layer);
+            var features = encoded.geoJson.features;
+            expect(features.length).toEqual(1);
+            expect(encoded.styles[features[0].properties._gx_style].label)
+                .toEqual('text');
+        });
+
+        it('drops the zero-length lines', function() {
+            layer.addFeatures([new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(0, 0),
+                    new OpenLayers.Geometry.Point(0, 0)
+                ]), {}, {strokeColor: '#FF0000'})]);
+            var encoded = encoder.encode(layer);
+            expect(encoded.type).toBeUndefined();
+            expect(encoded.dropped).toEqual(1);
+        });
+
+        it('encodes the annotations with the page rotation', function() {
+            encoder.rotation = 30;
+            layer.printAnnotations = [{
+                geometry: new OpenLayers.Geometry.Point(3, 4),
+                text: 'Distance: 5 m'
+            }];
+            var encoded = encoder.encode(layer);
+            var features = encoded.geoJson.features;
+            expect(features.length).toEqual(1);
+            var label = encoded.styles[features[0].properties._gx_style];
+            expect(label.label).toEqual('Distance: 5 m');
+            expect(label.labelRotation).toEqual(30);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+describe('cgxp.data.ProfileExporter', function() {
+    var exporter, data;
+
+    beforeEach(function() {
+        exporter = new cgxp.data.ProfileExporter({
+            rasterLayers: ['mnt', 'mns'],
+            sourceProjection: new OpenLayers.Projection('EPSG:900913')
+        });
+        data = [
+            {dist: 0, x: 0, y: 0, values: {mnt: 500, mns: 510}},
+            {dist: 50, x: 50, y: 0, values: {mnt: null, mns: 520}},
+            {dist: 100, x: 100, y: 0, values: {mnt: 530, mns: 540}}
+        ];
+    });
+
+    describe('write', function() {
+
+        it('writes CSV with the values of all the layers', function() {
+            var file = exporter.write('csv', data, 'profile');
+            expect(file.filename).toEqual('profile.csv');
+            var lines = file.data.substr(1).split('\r\n');
+            expect(lines[0]).toEqual('distance,mnt,mns,x,y');
+            expect(lines[2]).toEqual('50,,520,50,0');
+        });
+
+        it('writes JSON with the points of the profile', function() {
+            var file = exporter.write('json', data, 'profile');
+            expect(Ext.decode(file.data).profile[2].values.mns).toEqual(540);
+        });
+
+        it('writes a 3D GeoJSON line in EPSG:4326', function() {
+            var file = exporter.write('geojson', data, 'profile');
+            var geometry = Ext.decode(file.data).features[0].geometry;
+            expect(geometry.type).toEqual('LineString');
+            // the point without elevation is skipped
+            expect(geometry.coordinates.length).toEqual(2);
+            expect(geometry.coordinates[1][0]).toBeCloseTo(0.000898, 6);
+            expect(geometry.coordinates[1][2]).toEqual(530);
+        });
+
+        it('writes a GPX track with the elevations', function() {
+            exporter.elevationLayer = 'mns';
+            var file = exporter.write('gpx', data, 'Tour <1>');
+            expect(file.data).toContain('<name>Tour &lt;1&gt;</name>');
+            expect(file.data.match(/<trkpt /g).length).toEqual(3);
+            expect(file.data).toContain('<ele>520</ele>');
+        });
+
+        it('writes an SVG chart with a line by layer', function() {
+            var file = exporter.write('svg', data, 'profile');
+            expect(file.mimeType).toEqual('image/svg+xml');
+            var doc = new DOMParser().parseFromString(file.data,
+                'image/svg+xml');
+            var paths = doc.getElementsByTagName('path');
+            // the axes and the two layers
+            expect(paths.length).toEqual(3);
+            // the line is broken where there is no elevation
+            expect(paths[1].getAttribute('d').match(/M/g).length).toEqual(2);
+        });
+    });
+
+    describe('getTicks', function() {
+
+        it('returns round values covering the range', function() {
+            expect(exporter.getTicks(0, 1234, 5)).toEqual(
+                [0, 500, 1000, 1500]);
+            expect(exporter.getTicks(432, 448, 6)).toEqual(
+                [430, 435, 440, 445, 450]);
+        });
+    });
+
+    describe('writeCanvas', function() {
+
+        it('returns null if the canvas can\'t be exported', function() {
+            var canvas = {
+                toDataURL: function() {
+                    throw new Error('SecurityError');
+                }
+            };
+            expect(exporter.writeCanvas(canvas, 'profile')).toBeNull();
+            expect(exporter.writeCanvas({}, 'profile')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,60 @@
+describe('cgxp.data.RoadbookExporter', function() {
+    var exporter, roadbook;
+
+    beforeEach(function() {
+        exporter = new cgxp.data.RoadbookExporter({
+            stopsText: 'Stops',
+            directionsText: 'Directions'
+        });
+        roadbook = {
+            name: 'Home - Work & Co',
+            description: '1.5 km / 4m',
+            geometry: [
+                new OpenLayers.Geometry.Point(6.5, 46.5),
+                new OpenLayers.Geometry.Point(6.51, 46.5),
+                new OpenLayers.Geometry.Point(6.51, 46.51)
+            ],
+            stops: [
+                {name: 'Home', x: 6.5, y: 46.5},
+                {name: 'Work & Co', x: 6.51, y: 46.51}
+            ],
+            steps: [
+                {text: 'Head east', description: '0 m / ',
+                    x: 6.5, y: 46.5},
+                {text: 'Turn left', description: '760 m / 2m',
+                    x: 6.51, y: 46.5},
+                {text: 'You have arrived', description: '1.5 km / 4m',
+                    x: 6.51, y: 46.51}
+            ]
+        };
+    });
+
+    it('writes the stops, the directions and the line in GPX', function() {
+        var file = exporter.write('gpx', roadbook, 'roadbook');
+        expect(file.filename).toEqual('roadbook.gpx');
+        var doc = new DOMParser().parseFromString(file.data,
+            'application/xml');
+        expect(doc.getElementsByTagName('wpt').length).toEqual(2);
+        var rtepts = doc.getElementsByTagName('rtept');
+        expect(rtepts.length).toEqual(3);
+        expect(rtepts[1].getAttribute('lon')).toEqual('6.51');
+        expect(rtepts[1].getElementsByTagName('desc')[0].textContent)
+            .toEqual('760 m / 2m');
+        expect(doc.getElementsByTagName('trkpt').length).toEqual(3);
+        expect(file.data).toContain('<name>Home - Work &amp; Co</name>');
+    });
+
+    it('writes the stops and the directions in KML folders', function() {
+        var file = exporter.write('kml', roadbook, 'roadbook');
+        expect(file.mimeType).toEqual(
+            'application/vnd.google-earth.kml+xml');
+        var doc = new DOMParser().parseFromString(file.data,
+            'application/xml');
+        var folders = doc.getElementsByTagName('Folder');
+        expect(folders.length).toEqual(2);
+        expect(folders[1].getElementsByTagName('Placemark').length)
+            .toEqual(3);
+        var line = doc.getElementsByTagName('LineString')[0];
+        expect(line.textContent).toEqual('6.5,46.5 6.51,46.5 6.51,46.51');
+    });
+});
@@ -0,0 +1,57 @@
+describe('cgxp.data.RouteOptimizer', function() {
+    var optimizer;
+
+    beforeEach(function() {
+        optimizer = new cgxp.data.RouteOptimizer();
+    });
+
+    describe('optimize', function() {
+
+        it('keeps the first and the last stops', function() {
+            var points = [];
+            Ext.each([0, 5, 1, 4, 2, 3, 6], function(x) {
+                points.push(new OpenLayers.Geometry.Point(x / 100, 0));
+            });
+            var matrix = optimizer.getDistanceMatrix(points);
+            var order = optimizer.optimize(matrix);
+            expect(order).toEqual([0, 2, 4, 5, 3, 1, 6]);
+            expect(optimizer.getCost(matrix, order)).toBeCloseTo(
+                matrix[0][6], 6);
+        });
+
+        it('uses the asymmetric durations', function() {
+            var matrix = [
+                [0, 10, 1, 50],
+                [10, 0, 10, 1],
+                [1, 1, 0, 50],
+                [50, 1, 50, 0]
+            ];
+            expect(optimizer.optimize(matrix)).toEqual([0, 2, 1, 3]);
+        });
+
+        it('avoids the stops without route', function() {
+            var matrix = [
+                [0, 1, 2, 3, 4],
+                [1, 0, null, 1, 1],
+                [2, 1, 0, 1, 1],
+                [3, 1, 1, 0, 1],
+                [4, 1, 1, 1, 0]
+            ];
+            var order = optimizer.optimize(matrix);
+            expect(optimizer.getCost(matrix, order)).toEqual(4);
+        });
+    });
+
+    describe('getDistanceMatrix', function() {
+
+        it('returns the great circle distances', function() {
+            var matrix = optimizer.getDistanceMatrix([
+                new OpenLayers.Geometry.Point(0, 0),
+                new OpenLayers.Geometry.Point(0, 1)
+            ]);
+            expect(matrix[0][0]).toEqual(0);
+            expect(matrix[0][1]).toBeCloseTo(111195, 0);
+            expect(matrix[1][0]).toEqual(matrix[0][1]);
+        });
+    });
+});
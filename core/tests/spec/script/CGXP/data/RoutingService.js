@@ -0,0 +1,450 @@
+describe('cgxp.data.RoutingService', function() {
+    // (38.5, -120.2), (40.7, -120.95), (43.252, -126.453) at precision 5
+    var POLYLINE = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+    var options, request, response;
+
+    beforeEach(function() {
+        options = {
+            source: new OpenLayers.Geometry.Point(-120.2, 38.5),
+            target: new OpenLayers.Geometry.Point(-126.453, 43.252),
+            instructions: true
+        };
+        request = null;
+        response = null;
+        // local mock of the routing server
+        spyOn(OpenLayers.Request, 'GET').and.callFake(function(config) {
+            request = config;
+            config.success.call(config.scope, {
+                status: 200,
+                responseText: Ext.encode(response)
+            });
+            return {abort: function() {}};
+        });
+    });
+
+    var createPolygon = function() {
+        return new OpenLayers.Geometry.Polygon([
+            new OpenLayers.Geometry.LinearRing([
+                new OpenLayers.Geometry.Point(6, 46),
+                new OpenLayers.Geometry.Point(7, 46),
+                new OpenLayers.Geometry.Point(7, 47)
+            ])
+        ]);
+    };
+
+    var polygonFeature = function(properties) {
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: {type: 'Polygon', coordinates: [
+                [[6, 46], [7, 46], [7, 47], [6, 46]]]}
+        };
+    };
+
+    var getIsochrones = function(service, origin, times) {
+        var isochrones;
+        service.getIsochrones(origin, times, function(status, result) {
+            isochrones = result;
+        });
+        return isochrones;
+    };
+
+    var getRoute = function(service) {
+        var route;
+        service.getRoute(options, function(status, result) {
+            route = result;
+        });
+        return route;
+    };
+
+    describe('decodePolyline', function() {
+
+        it('decodes the points', function() {
+            var points = new cgxp.data.RoutingService()
+                .decodePolyline(POLYLINE, 5);
+            expect(points.length).toEqual(3);
+            expect(points[1].x).toBeCloseTo(-120.95, 5);
+            expect(points[1].y).toBeCloseTo(40.7, 5);
+            expect(points[2].x).toBeCloseTo(-126.453, 5);
+        });
+    });
+
+    describe('with a custom service', function() {
+
+        it('queues the route requests', function() {
+            var callbacks = [];
+            var Service = Ext.extend(cgxp.data.RoutingService, {
+                read: function(request, callback) {
+                    callbacks.push(OpenLayers.Function.bind(callback, this));
+                    return {abort: function() {}};
+                },
+                getRouteRequest: function() {
+                    return {};
+                },
+                readRoute: function(data) {
+                    return this.createStatus(0, data);
+                }
+            });
+            var service = new Service();
+            var messages = [];
+            var callback = function(status, route) {
+                messages.push(route.message);
+            };
+            service.getRoute(options, callback);
+            service.getRoute(options, callback);
+            service.getRoute(options, callback);
+            expect(callbacks.length).toEqual(1);
+            callbacks[0]('first');
+            // only the last waiting request is sent
+            expect(callbacks.length).toEqual(2);
+            callbacks[1]('last');
+            expect(messages).toEqual(['first', 'last']);
+        });
+
+        it('reports the network errors', function() {
+            OpenLayers.Request.GET.and.callFake(function(config) {
+                config.failure.call(config.scope, {status: 0});
+                return {abort: function() {}};
+            });
+            var service = new cgxp.data.RoutingService({
+                getRouteRequest: function() {
+                    return {};
+                }
+            });
+            var statuses = [];
+            var callback = function(status) {
+                statuses.push(status);
+            };
+            service.getRoute(options, callback);
+            service.getRoute(options, callback);
+            expect(statuses).toEqual([5, 5]);
+        });
+
+        it('cancels the route request and the waiting one', function() {
+            var failure;
+            OpenLayers.Request.GET.and.callFake(function(config) {
+                var handle = {abort: function() {
+                    failure.call(config.scope, handle);
+                }};
+                failure = config.failure;
+                return handle;
+            });
+            var service = new cgxp.data.RoutingService({
+                getRouteRequest: function() {
+                    return {};
+                }
+            });
+            var callback = jasmine.createSpy();
+            var handle = service.getRoute(options, callback);
+            service.getRoute(options, callback);
+            service.cancel(handle);
+            expect(callback).not.toHaveBeenCalled();
+            expect(OpenLayers.Request.GET.calls.count()).toEqual(1);
+            expect(service.getRoute(options, callback)).not.toBeNull();
+        });
+
+        it('returns no table when there is no table request', function() {
+            var table = {};
+            new cgxp.data.RoutingService().getTable([options.source],
+                function(status, result) {
+                    table = result;
+                });
+            expect(table).toBeNull();
+        });
+
+        it('returns the location when there is no nearest request', function() {
+            var location;
+            new cgxp.data.RoutingService().getNearest(options.source,
+                function(status, result) {
+                    location = result;
+                });
+            expect(location.status).toEqual(0);
+            expect(location.x).toEqual(-120.2);
+        });
+
+        it('does not support the isochrones without table request', function() {
+            var result = getIsochrones(new cgxp.data.RoutingService(),
+                options.source, [300]);
+            expect(result.status).toEqual(6);
+        });
+    });
+
+    describe('OSRM5', function() {
+        var service;
+
+        beforeEach(function() {
+            service = new cgxp.data.OSRM5({url: 'http://osrm/'});
+        });
+
+        it('reads the route', function() {
+            response = {
+                code: 'Ok',
+                routes: [{
+                    geometry: POLYLINE,
+                    distance: 1000,
+                    duration: 60,
+                    legs: [{steps: [{
+                        name: 'Main Street',
+                        distance: 600,
+                        duration: 40,
+                        maneuver: {type: 'depart', location: [-120.2, 38.5],
+                            bearing_after: 10}
+                    }, {
+                        name: '',
+                        distance: 400,
+                        duration: 20,
+                        maneuver: {type: 'roundabout', exit: 2,
+                            location: [-120.95, 40.7], bearing_after: 270}
+                    }, {
+                        name: '',
+                        distance: 0,
+                        duration: 0,
+                        maneuver: {type: 'arrive',
+                            location: [-126.453, 43.252], bearing_after: 0}
+                    }]}]
+                }]
+            };
+            var route = getRoute(service);
+            expect(request.url).toEqual('http://osrm/route/v1/driving/' +
+                '-120.2,38.5;-126.453,43.252');
+            expect(route.status).toEqual(0);
+            expect(route.geometry.length).toEqual(3);
+            expect(route.time).toEqual(60);
+            var types = Ext.pluck(route.instructions, 'directionType');
+            expect(types).toEqual(
+                ['DIRECTION_10', 'DIRECTION_11-2', 'DIRECTION_15']);
+            expect(route.instructions[1].position).toEqual(1);
+            expect(route.instructions[1].compassDirection).toEqual('W');
+        });
+
+        it('reads the alternative routes', function() {
+            options.alternates = true;
+            options.instructions = false;
+            response = {code: 'Ok', routes: [
+                {geometry: POLYLINE, distance: 1000, duration: 60},
+                {geometry: POLYLINE, distance: 1200, duration: 50}
+            ]};
+            var route = getRoute(service);
+            expect(request.params.alternatives).toBe(true);
+            expect(route.distance).toEqual(1000);
+            expect(route.alternatives.length).toEqual(1);
+            expect(route.alternatives[0].time).toEqual(50);
+            expect(route.alternatives[0].geometry.length).toEqual(3);
+        });
+
+        it('reads the errors', function() {
+            response = {code: 'NoRoute', message: 'Impossible route'};
+            var route = getRoute(service);
+            expect(route.status).toEqual(207);
+            expect(route.message).toEqual('Impossible route');
+        });
+
+        it('reads the legs and the duration table', function() {
+            options.instructions = false;
+            response = {code: 'Ok', routes: [{geometry: POLYLINE,
+                distance: 1000, duration: 60, legs: [
+                    {distance: 600, duration: 40},
+                    {distance: 400, duration: 20}
+                ]}]};
+            var route = getRoute(service);
+            expect(route.legs[1]).toEqual({distance: 400, time: 20});
+
+            response = {code: 'Ok', durations: [[0, 60], [50, 0]]};
+            var table;
+            service.getTable([options.source, options.target],
+                function(status, result) {
+                    table = result;
+                });
+            expect(request.url).toEqual('http://osrm/table/v1/driving/' +
+                '-120.2,38.5;-126.453,43.252');
+            expect(table.durations[1][0]).toEqual(50);
+        });
+
+        it('reads the nearest location', function() {
+            response = {code: 'Ok', waypoints: [{
+                location: [-120.3, 38.6], name: 'Main Street'}]};
+            var location;
+            service.getNearest(options.source, function(status, result) {
+                location = result;
+            });
+            expect(location.x).toEqual(-120.3);
+            expect(location.name).toEqual('Main Street');
+        });
+
+        it('derives the isochrones from the duration table', function() {
+            service.isochroneRays = 4;
+            service.isochroneRings = 2;
+            // the samples are at 900 and 1800 m, to the north, the east,
+            // the south and the west
+            response = {code: 'Ok', durations: [
+                [0, 30, 30, 120, null, 90, 50, 120, 40]]};
+            var result = getIsochrones(service,
+                new OpenLayers.Geometry.Point(0, 0), [60]);
+            expect(request.url.split(';').length).toEqual(9);
+            expect(result.isochrones[0].time).toEqual(60);
+            var points = result.isochrones[0].geometry.components[0]
+                .components;
+            // interpolated between the samples
+            expect(points[0].y * 111320).toBeCloseTo(1350, 3);
+            expect(points[1].x * 111320).toBeCloseTo(1800, 3);
+            // interpolated from the origin
+            expect(points[2].y * 111320).toBeCloseTo(-450, 3);
+            // the unknown duration is skipped
+            expect(points[3].x * 111320).toBeCloseTo(-1800, 3);
+        });
+    });
+
+    describe('GraphHopper', function() {
+
+        it('reads the route', function() {
+            var service = new cgxp.data.GraphHopper({url: 'http://gh'});
+            response = {paths: [{
+                points: POLYLINE,
+                distance: 1000,
+                time: 60000,
+                instructions: [
+                    {sign: 0, street_name: 'Main Street', distance: 600,
+                        time: 40000, interval: [0, 1]},
+                    {sign: -2, street_name: '', distance: 400,
+                        time: 20000, interval: [1, 2]},
+                    {sign: 4, street_name: '', distance: 0,
+                        time: 0, interval: [2, 2]}
+                ]
+            }]};
+            var route = getRoute(service);
+            // one point parameter by waypoint
+            expect(OpenLayers.Util.urlAppend(request.url,
+                OpenLayers.Util.getParameterString(request.params))).toEqual(
+                'http://gh/route?point=38.5%2C-120.2&point=43.252%2C-126.453' +
+                '&profile=car&locale=en&instructions=true&points_encoded=true');
+            expect(route.time).toEqual(60);
+            expect(route.geometry[2].y).toBeCloseTo(43.252, 5);
+            var types = Ext.pluck(route.instructions, 'directionType');
+            expect(types).toEqual(
+                ['DIRECTION_10', 'DIRECTION_7', 'DIRECTION_15']);
+            expect(route.instructions[1].time).toEqual(20);
+            expect(route.legs).toEqual([{distance: 1000, time: 60}]);
+        });
+
+        it('reads the duration table', function() {
+            var service = new cgxp.data.GraphHopper({url: 'http://gh'});
+            response = {times: [[0, 60], [50, 0]], distances: [[0, 1000],
+                [900, 0]]};
+            var table;
+            service.getTable([options.source, options.target],
+                function(status, result) {
+                    table = result;
+                });
+            expect(request.url).toEqual('http://gh/matrix?' +
+                'point=38.5%2C-120.2&point=43.252%2C-126.453' +
+                '&out_array=times&out_array=distances');
+            expect(table.durations[0][1]).toEqual(60);
+            expect(table.distances[1][0]).toEqual(900);
+        });
+
+        it('sends the areas to avoid', function() {
+            var service = new cgxp.data.GraphHopper({url: 'http://gh'});
+            options.avoid = [createPolygon()];
+            response = {paths: []};
+            var route = getRoute(service);
+            expect(request.params.block_area).toEqual(
+                '46,6,46,7,47,7,46,6');
+            expect(request.params['ch.disable']).toBe(true);
+            expect(route.status).toEqual(207);
+        });
+
+        it('reads the isochrones', function() {
+            var service = new cgxp.data.GraphHopper({url: 'http://gh'});
+            response = {polygons: [
+                polygonFeature({bucket: 1}), polygonFeature({bucket: 0})]};
+            var result = getIsochrones(service, options.source, [300, 600]);
+            expect(request.url).toEqual(
+                'http://gh/isochrone?point=38.5%2C-120.2');
+            expect(request.params.time_limit).toEqual(600);
+            expect(request.params.buckets).toEqual(2);
+            expect(Ext.pluck(result.isochrones, 'time')).toEqual([300, 600]);
+            expect(result.isochrones[0].geometry.CLASS_NAME).toEqual(
+                'OpenLayers.Geometry.Polygon');
+        });
+    });
+
+    describe('Valhalla', function() {
+
+        it('reads the route', function() {
+            var service = new cgxp.data.Valhalla({url: 'http://valhalla'});
+            options.via = [new OpenLayers.Geometry.Point(-12.095, 4.07)];
+            // the polyline at precision 6
+            response = {trip: {
+                status: 0,
+                summary: {length: 1, time: 60},
+                legs: [{
+                    shape: POLYLINE,
+                    summary: {length: 0.6, time: 40},
+                    maneuvers: [
+                        {type: 1, street_names: ['Main Street'],
+                            length: 0.6, time: 40, begin_shape_index: 0,
+                            begin_cardinal_direction: 'north'},
+                        {type: 4, length: 0, time: 0, begin_shape_index: 2}
+                    ]
+                }, {
+                    shape: POLYLINE,
+                    summary: {length: 0.4, time: 20},
+                    maneuvers: [
+                        {type: 3, length: 0.4, time: 20,
+                            begin_shape_index: 0},
+                        {type: 26, roundabout_exit_count: 3, length: 0,
+                            time: 0, begin_shape_index: 1,
+                            begin_cardinal_direction: 'south_west'},
+                        {type: 4, length: 0, time: 0, begin_shape_index: 2}
+                    ]
+                }]
+            }};
+            var route = getRoute(service);
+            expect(Ext.decode(request.params.json).locations.length)
+                .toEqual(3);
+            expect(route.distance).toEqual(1000);
+            // the shared point of the legs is not duplicated
+            expect(route.geometry.length).toEqual(5);
+            expect(route.geometry[1].x).toBeCloseTo(-12.095, 6);
+            var types = Ext.pluck(route.instructions, 'directionType');
+            expect(types).toEqual(
+                ['DIRECTION_10', 'DIRECTION_11-3', 'DIRECTION_15']);
+            expect(route.instructions[0].roadName).toEqual('Main Street');
+            expect(route.instructions[1].position).toEqual(3);
+            expect(route.instructions[1].compassDirection).toEqual('SW');
+            expect(route.legs).toEqual([
+                {distance: 600, time: 40}, {distance: 400, time: 20}]);
+        });
+
+        it('reads the alternative routes', function() {
+            var service = new cgxp.data.Valhalla({url: 'http://valhalla'});
+            options.alternates = true;
+            options.instructions = false;
+            options.avoid = [createPolygon()];
+            var trip = {
+                status: 0,
+                summary: {length: 1, time: 60},
+                legs: [{shape: POLYLINE, summary: {length: 1, time: 60}}]
+            };
+            response = {trip: trip, alternates: [{trip: trip}]};
+            var route = getRoute(service);
+            var json = Ext.decode(request.params.json);
+            expect(json.alternates).toEqual(2);
+            expect(json.exclude_polygons[0][1]).toEqual([7, 46]);
+            expect(route.alternatives.length).toEqual(1);
+            expect(route.alternatives[0].distance).toEqual(1000);
+        });
+
+        it('reads the isochrones', function() {
+            var service = new cgxp.data.Valhalla({url: 'http://valhalla'});
+            response = {type: 'FeatureCollection', features: [
+                polygonFeature({contour: 10}), polygonFeature({contour: 5})]};
+            var result = getIsochrones(service, options.source, [300, 600]);
+            expect(request.url).toEqual('http://valhalla/isochrone');
+            var json = Ext.decode(request.params.json);
+            expect(json.contours).toEqual([{time: 5}, {time: 10}]);
+            expect(json.polygons).toBe(true);
+            expect(Ext.pluck(result.isochrones, 'time')).toEqual([300, 600]);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+describe('cgxp.data.Snapping', function() {
+    var control, target;
+    beforeEach(function() {
+        var layer = new OpenLayers.Layer.Vector();
+        layer.addFeatures([
+            new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(0, -100),
+                    new OpenLayers.Geometry.Point(0, 100)
+                ])),
+            new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(-100, 0),
+                    new OpenLayers.Geometry.Point(100, 0)
+                ]))
+        ]);
+        control = new cgxp.data.Snapping({
+            targets: [{layer: layer}]
+        });
+        control.layer = {map: {getResolution: function() {
+            return 1;
+        }}};
+        target = control.targets[0];
+    });
+    it('snaps to the intersections', function() {
+        var result = control.testTarget(target,
+            new OpenLayers.Geometry.Point(2, 3));
+        expect(control.precedence[result.rank]).toEqual('intersection');
+        expect(result.x).toEqual(0);
+        expect(result.y).toEqual(0);
+    });
+    it('snaps to the edges without intersection', function() {
+        target.intersection = false;
+        var result = control.testTarget(target,
+            new OpenLayers.Geometry.Point(2, 3));
+        expect(control.precedence[result.rank]).toEqual('edge');
+    });
+});
@@ -0,0 +1,82 @@
+describe('cgxp.data.WFSPager', function() {
+    var pager;
+
+    function getFeatureXML(protocol) {
+        return OpenLayers.Format.XML.prototype.write.apply(protocol.format,
+            [protocol.format.writeNode("wfs:GetFeature", {maxFeatures: 20})]);
+    }
+
+    beforeEach(function() {
+        pager = new cgxp.data.WFSPager({
+            url: 'wfs',
+            params: {FOO: 'bar'},
+            pageSize: 20
+        });
+    });
+
+    describe('createProtocol', function() {
+
+        it('writes the start index of the page', function() {
+            pager.useStartIndex = true;
+            var xml = getFeatureXML(pager.createProtocol('buildings', 40));
+            expect(xml).toContain('startIndex="40"');
+        });
+
+        it('does not write the start index by default', function() {
+            var xml = getFeatureXML(pager.createProtocol('buildings', 40));
+            expect(xml).not.toContain('startIndex');
+            expect(pager.canPage()).toBeFalsy();
+        });
+
+        it('does not write the start index of the first page', function() {
+            pager.useStartIndex = true;
+            var xml = getFeatureXML(pager.createProtocol('buildings', 0));
+            expect(xml).not.toContain('startIndex');
+        });
+
+        it('does not write the start index with a vendor parameter', function() {
+            pager.pagingParam = 'STARTINDEX';
+            pager.useStartIndex = true;
+            var xml = getFeatureXML(pager.createProtocol('buildings', 40));
+            expect(xml).not.toContain('startIndex');
+            expect(pager.canPage()).toBeTruthy();
+        });
+    });
+
+    describe('read', function() {
+
+        it('sends the vendor parameter', function() {
+            pager.pagingParam = 'STARTINDEX';
+            spyOn(OpenLayers.Request, 'POST');
+            pager.read('buildings', 40, null, function() {});
+            var options = OpenLayers.Request.POST.calls.mostRecent().args[0];
+            expect(options.params.STARTINDEX).toEqual(40);
+            expect(options.params.FOO).toEqual('bar');
+            expect(pager.params.STARTINDEX).toBeUndefined();
+        });
+    });
+
+    describe('readAll', function() {
+
+        it('reads the pages until the last one', function() {
+            pager.pagingParam = 'STARTINDEX';
+            var starts = [];
+            spyOn(pager, 'read').and.callFake(
+                function(featureType, start, limit, callback, scope) {
+                    starts.push(start);
+                    var features = [];
+                    var n = start < 40 ? 20 : 5;
+                    for (var i = 0; i < n; i++) {
+                        features.push(new OpenLayers.Feature.Vector());
+                    }
+                    callback.call(scope, features);
+                });
+            var result;
+            pager.readAll('buildings', function(features) {
+                result = features;
+            });
+            expect(starts).toEqual([0, 20, 40]);
+            expect(result.length).toEqual(45);
+        });
+    });
+});
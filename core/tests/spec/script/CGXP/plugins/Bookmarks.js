@@ -0,0 +1,48 @@
+describe('plugins.Bookmarks', function() {
+    var p;
+    describe('when calling constructor', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Bookmarks();
+        });
+        it('creates a gxp tool', function() {
+            expect(p).toBeInstanceOf(gxp.plugins.Tool);
+        });
+        it('creates a Bookmarks plugin', function() {
+            expect(p).toBeInstanceOf(cgxp.plugins.Bookmarks);
+        });
+    });
+
+    describe('parse', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Bookmarks();
+        });
+        it('reads the exported bookmarks', function() {
+            var bookmarks = p.parse(
+                '[{"name": "home", "state": {"map": {"x": 1}}}]');
+            expect(bookmarks.length).toEqual(1);
+            expect(bookmarks[0].state.map.x).toEqual(1);
+        });
+        it('rejects the invalid bookmarks', function() {
+            expect(p.parse('{"name": "home"}')).toBeNull();
+            expect(p.parse('[{"name": "home"}]')).toBeNull();
+            expect(p.parse('not json')).toBeNull();
+        });
+    });
+
+    describe('merge', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Bookmarks();
+            p.bookmarks = [{name: 'home', state: {}}];
+            spyOn(p, 'write');
+        });
+        it('replaces the bookmarks with the same name', function() {
+            p.merge([
+                {name: 'home', state: {map: {x: 2}}},
+                {name: 'work', state: {}}
+            ]);
+            expect(p.bookmarks.length).toEqual(2);
+            expect(p.bookmarks[0].state.map.x).toEqual(2);
+            expect(p.write).toHaveBeenCalled();
+        });
+    });
+});
@@ -11,4 +11,49 @@ describe('plugins.FeaturesGrid', function() {
             expect(p).toBeInstanceOf(cgxp.plugins.FeaturesGrid);
         });
     });
+
+    describe('mergeFeatures', function() {
+        var displayed;
+        beforeEach(function() {
+            p = new cgxp.plugins.FeaturesGrid();
+            p.createVectorLayer({});
+            displayed = new OpenLayers.Feature.Vector(null, {name: 'a'});
+            displayed.type = 'buildings';
+            displayed.fid = 'buildings.1';
+            p.vectorLayer.addFeatures([displayed]);
+        });
+        afterEach(function() {
+            p.vectorLayer.destroy();
+        });
+        function feature(type, fid) {
+            var f = new OpenLayers.Feature.Vector(null, {name: 'a'});
+            f.type = type;
+            f.fid = fid;
+            return f;
+        }
+        it('adds the features that are not displayed', function() {
+            var added = p.mergeFeatures([
+                feature('buildings', 'buildings.1'),
+                feature('buildings', 'buildings.2'),
+                feature('parcels', 'buildings.1')
+            ], 'add');
+            expect(added.length).toEqual(2);
+            expect(added[0].fid).toEqual('buildings.2');
+            expect(added[1].type).toEqual('parcels');
+        });
+        it('removes the displayed features', function() {
+            var added = p.mergeFeatures([
+                feature('buildings', 'buildings.1'),
+                feature('buildings', 'buildings.2')
+            ], 'remove');
+            expect(added.length).toEqual(0);
+            expect(p.vectorLayer.features.length).toEqual(0);
+        });
+        it('de-duplicates the features without id by attributes', function() {
+            var added = p.mergeFeatures([
+                feature('roads'), feature('roads')
+            ], 'replace');
+            expect(added.length).toEqual(1);
+        });
+    });
 });
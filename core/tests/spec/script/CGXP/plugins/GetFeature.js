@@ -0,0 +1,59 @@
+describe('plugins.GetFeature', function() {
+    var p;
+    describe('when calling constructor', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.GetFeature();
+        });
+        it('creates a gxp tool', function() {
+            expect(p).toBeInstanceOf(gxp.plugins.Tool);
+        });
+        it('creates a GetFeature plugin', function() {
+            expect(p).toBeInstanceOf(cgxp.plugins.GetFeature);
+        });
+    });
+
+    describe('getSelectionFilter', function() {
+        var point = new OpenLayers.Geometry.Point(600000, 200000);
+        beforeEach(function() {
+            p = new cgxp.plugins.GetFeature({
+                bufferDistance: 30,
+                corridorWidth: 20
+            });
+        });
+        it('intersects the drawn polygons', function() {
+            var circle = OpenLayers.Geometry.Polygon.createRegularPolygon(
+                point, 10, 40);
+            var filter = p.getSelectionFilter('circle', circle);
+            expect(filter.type).toEqual(OpenLayers.Filter.Spatial.INTERSECTS);
+            expect(filter.value).toBe(circle);
+        });
+        it('selects the features around the clicked point', function() {
+            var filter = p.getSelectionFilter('buffer', point);
+            expect(filter.type).toEqual(OpenLayers.Filter.Spatial.DWITHIN);
+            expect(filter.distance).toEqual(30);
+            expect(filter.distanceUnits).toEqual('m');
+        });
+        it('selects the features in the corridor', function() {
+            var line = new OpenLayers.Geometry.LineString([
+                point, new OpenLayers.Geometry.Point(600100, 200000)]);
+            var filter = p.getSelectionFilter('corridor', line);
+            expect(filter.type).toEqual(OpenLayers.Filter.Spatial.DWITHIN);
+            expect(filter.distance).toEqual(10);
+        });
+    });
+
+    describe('getSelectionMode', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.GetFeature();
+        });
+        it('adds to the selection with shift', function() {
+            expect(p.getSelectionMode({shiftKey: true})).toEqual('add');
+        });
+        it('removes from the selection with alt', function() {
+            expect(p.getSelectionMode({altKey: true})).toEqual('remove');
+        });
+        it('replaces the selection by default', function() {
+            expect(p.getSelectionMode({ctrlKey: true})).toEqual('replace');
+        });
+    });
+});
@@ -11,4 +11,288 @@ describe('plugins.Measure', function() {
             expect(p).toBeInstanceOf(cgxp.plugins.Measure);
         });
     });
+
+    describe('when placing a point at bearing and distance', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Measure();
+        });
+        it('places the point clockwise from the north', function() {
+            var origin = new OpenLayers.Geometry.Point(100, 100);
+            var point = p.getPointAtBearing(origin, 90, 50);
+            expect(point.x).toBeCloseTo(150, 6);
+            expect(point.y).toBeCloseTo(100, 6);
+            point = p.getPointAtBearing(origin, 180, 50);
+            expect(point.x).toBeCloseTo(100, 6);
+            expect(point.y).toBeCloseTo(50, 6);
+        });
+    });
+
+    describe('when measuring a perpendicular offset', function() {
+        var getOffset = function(x, y) {
+            return cgxp.data.OffsetMeasureControl.prototype
+                .getOffset(new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(0, 0),
+                    new OpenLayers.Geometry.Point(100, 0),
+                    new OpenLayers.Geometry.Point(x, y)
+                ]));
+        };
+        it('gets the foot of the perpendicular', function() {
+            var offset = getOffset(30, 40);
+            expect(offset.foot.x).toEqual(30);
+            expect(offset.foot.y).toEqual(0);
+            expect(offset.side).toEqual('left');
+            expect(offset.chainageSign).toEqual(1);
+        });
+        it('gets the side and the direction', function() {
+            var offset = getOffset(-30, -40);
+            expect(offset.foot.x).toEqual(-30);
+            expect(offset.side).toEqual('right');
+            expect(offset.chainageSign).toEqual(-1);
+        });
+    });
+
+    describe('when keeping measures', function() {
+        var layer;
+        beforeEach(function() {
+            var map = new OpenLayers.Map({
+                projection: 'EPSG:900913',
+                units: 'm'
+            });
+            p = new cgxp.plugins.Measure({
+                keepMeasures: true,
+                controlOptions: {geodesic: false}
+            });
+            p.target = {mapPanel: {map: map}};
+            p.createMeasureLayer();
+            layer = p.measureLayer;
+        });
+        it('labels the segments and the total length', function() {
+            var feature = p.addMeasure(new OpenLayers.Geometry.LineString([
+                new OpenLayers.Geometry.Point(0, 0),
+                new OpenLayers.Geometry.Point(300, 400),
+                new OpenLayers.Geometry.Point(300, 1400)
+            ]), 'length');
+            var labels = feature.labels;
+            expect(labels.length).toEqual(3);
+            expect(labels[0].attributes.label).toEqual('500.00 m');
+            expect(labels[0].geometry.x).toEqual(150);
+            expect(labels[1].attributes.label).toEqual('1000.00 m');
+            expect(labels[2].attributes.label).toEqual('Total: 1.50 km');
+        });
+        it('labels the area and the perimeter', function() {
+            var feature = p.addMeasure(new OpenLayers.Bounds(
+                0, 0, 2000, 2000).toGeometry(), 'area');
+            expect(feature.labels.length).toEqual(1);
+            expect(feature.labels[0].attributes.label).toEqual(
+                'Area: 4.00 km²\nPerimeter: 8.00 km');
+        });
+        it('recomputes the labels when modified', function() {
+            var feature = p.addMeasure(new OpenLayers.Geometry.LineString([
+                new OpenLayers.Geometry.Point(0, 0),
+                new OpenLayers.Geometry.Point(300, 400)
+            ]), 'length');
+            feature.geometry.components[1].x = 600;
+            feature.geometry.components[1].y = 800;
+            layer.events.triggerEvent('vertexmodified', {feature: feature});
+            expect(feature.labels[0].attributes.label).toEqual(
+                'Total: 1000.00 m');
+            expect(layer.features.length).toEqual(2);
+        });
+        it('does not modify the labels', function() {
+            var feature = p.addMeasure(
+                new OpenLayers.Geometry.Point(0, 0), 'point');
+            expect(layer.events.triggerEvent('beforefeaturemodified', {
+                feature: feature.labels[0]
+            })).toBe(false);
+        });
+        it('removes the measures with their labels', function() {
+            p.addMeasure(new OpenLayers.Geometry.Point(0, 0), 'point');
+            p.clearMeasures();
+            expect(layer.features.length).toEqual(0);
+        });
+        it('labels the radius, the area and the circumference', function() {
+            var feature = p.addMeasure(
+                OpenLayers.Geometry.Polygon.createRegularPolygon(
+                    new OpenLayers.Geometry.Point(0, 0), 100, 40), 'circle');
+            var label = feature.labels[1].attributes.label.split('\n');
+            expect(label[0]).toEqual('Radius: 100.000 m');
+            expect(label[1]).toEqual('Area: 31415.927 m²');
+            expect(label[2]).toEqual('Circumference: 628.319 m');
+            expect(feature.labels[0].attributes.measureGraphic).toBe(true);
+        });
+        it('labels the perpendicular offset', function() {
+            var feature = p.addMeasure(new OpenLayers.Geometry.LineString([
+                new OpenLayers.Geometry.Point(0, 0),
+                new OpenLayers.Geometry.Point(100, 0),
+                new OpenLayers.Geometry.Point(30, -40)
+            ]), 'offset');
+            var label = feature.labels[2].attributes.label.split('\n');
+            expect(label[0]).toEqual('Offset: 40.000 m (right)');
+            expect(label[1]).toEqual('Chainage: 30.000 m');
+        });
+        it('restores the measures from the state', function() {
+            p.addMeasure(new OpenLayers.Bounds(
+                0, 0, 2000, 2000).toGeometry(), 'area');
+            var state = p.getState();
+            p.clearMeasures();
+            p.applyState(state);
+            var measures = p.getMeasures();
+            expect(measures.length).toEqual(1);
+            expect(measures[0].attributes.measureType).toEqual('area');
+            expect(measures[0].geometry.getArea()).toEqual(4000000);
+        });
+    });
+
+    describe('when choosing the units', function() {
+        beforeEach(function() {
+            var map = new OpenLayers.Map({
+                projection: 'EPSG:900913',
+                units: 'm'
+            });
+            p = new cgxp.plugins.Measure({
+                controlOptions: {geodesic: false}
+            });
+            p.target = {mapPanel: {map: map}};
+            p.createMeasureLayer();
+        });
+        it('converts the lengths', function() {
+            expect(p.convertLength([1.5, 'km'])).toEqual([1.5, 'km']);
+            p.lengthUnit = 'ft';
+            expect(p.convertLength([3.048, 'm'])[0]).toBeCloseTo(10, 6);
+            p.lengthUnit = 'nmi';
+            expect(p.convertLength([3.704, 'km'])).toEqual([2, 'nmi']);
+        });
+        it('converts the areas', function() {
+            expect(p.convertArea([2, 'km'])).toEqual([2, 'km²']);
+            p.areaUnit = 'ha';
+            expect(p.convertArea([2, 'km'])).toEqual([200, 'ha']);
+        });
+        it('labels the measures in the chosen units', function() {
+            var feature = p.addMeasure(new OpenLayers.Bounds(
+                0, 0, 200, 100).toGeometry(), 'area');
+            p.setAreaUnit('ha');
+            p.setLengthUnit('m');
+            var label = feature.labels[0].attributes.label.split('\n');
+            expect(label[0]).toEqual('Area: 2.00 ha');
+            expect(label[1]).toEqual('Perimeter: 600.00 m');
+        });
+    });
+
+    describe('when displaying the coordinates', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Measure({});
+            p.target = {mapPanel: {map: new OpenLayers.Map({
+                projection: 'EPSG:900913',
+                units: 'm'
+            })}};
+        });
+        it('formats the degrees', function() {
+            expect(p.formatDegrees(46.952256, 'lat', 'dms'))
+                .toEqual('46°57\'08.12"N');
+            expect(p.formatDegrees(-7.5, 'lon', 'dms'))
+                .toEqual('7°30\'00.00"W');
+            expect(p.formatDegrees(46.952256, 'lat', 'dm'))
+                .toEqual('46°57.1354\'N');
+        });
+        it('computes the UTM and MGRS coordinates', function() {
+            var utm = p.getUTM(2.2945, 48.8583);
+            expect(utm.zone).toEqual(31);
+            expect(utm.band).toEqual('U');
+            expect(Math.floor(utm.easting)).toEqual(448251);
+            expect(Math.floor(utm.northing)).toEqual(5411943);
+            expect(p.getMGRS(2.2945, 48.8583)).toEqual('31U DQ 48251 11943');
+            expect(p.getMGRS(151.2153, -33.8568)).toEqual('56H LH 34900 52288');
+            expect(p.getMGRS(0, 85)).toBeNull();
+        });
+        it('displays the checked coordinate systems', function() {
+            var html = p.makePointString({x: 0, y: 0}, 'm');
+            expect(p.htmlToText(html)).toEqual(
+                'Coordinate: 0.0 0.0 m\nWGS 84: 0.00000 0.00000°');
+            p.coordinateSystems[0].checked = false;
+            p.coordinateSystems[4].checked = true;
+            html = p.makePointString({x: 0, y: 0}, 'm');
+            expect(p.htmlToText(html)).toEqual(
+                'Coordinate: 0.0 0.0 m\nMGRS: 31N AA 66021 00000');
+        });
+        it('gives the WGS 84 coordinates to the custom templates', function() {
+            p.pointMeterTemplate = new Ext.Template('{lond} {latd}');
+            expect(p.makePointString({x: 0, y: 0}, 'm'))
+                .toEqual('0.00000 0.00000');
+        });
+    });
+
+    describe('when reading the elevations', function() {
+        var profile;
+        beforeEach(function() {
+            p = new cgxp.plugins.Measure({
+                profileServiceUrl: 'profile.json',
+                rasterLayers: ['mnt', 'mns']
+            });
+            profile = [
+                {dist: 0, values: {mnt: 500, mns: null}},
+                {dist: 30, values: {mnt: 540, mns: 560}},
+                {dist: 60, values: {mnt: 530, mns: 570}}
+            ];
+        });
+        it('computes the elevation stats by raster layer', function() {
+            var stats = p.getElevationStats(profile);
+            expect(stats.length).toEqual(2);
+            expect(stats[0].layer).toEqual('mnt');
+            expect(stats[0].diff).toEqual(30);
+            expect(stats[0].slope).toEqual(50);
+            expect(stats[0].distance3d).toBeCloseTo(50 + Math.sqrt(1000), 6);
+            // the points without elevation are ignored
+            expect(stats[1].start).toEqual(560);
+            expect(stats[1].slope).toBeCloseTo(100 / 3, 6);
+        });
+        it('displays the elevations', function() {
+            var text = p.htmlToText(p.makeElevationString(
+                p.getElevationStats(profile))).split('\n');
+            expect(text[0]).toEqual('mnt');
+            expect(text[1]).toEqual('Elevation: 500.0 m → 530.0 m');
+            expect(text[2]).toEqual('Height difference: +30.0 m');
+            expect(text[3]).toEqual('Slope: 50.0 % (26.6°)');
+            expect(text[4]).toEqual('3D distance: 81.62 m');
+        });
+        it('requests the profile of the raster layers', function() {
+            spyOn(Ext.Ajax, 'request');
+            p.requestElevation(new OpenLayers.Geometry.LineString([
+                new OpenLayers.Geometry.Point(0, 0),
+                new OpenLayers.Geometry.Point(60, 0)
+            ]), function() {});
+            var options = Ext.Ajax.request.calls.mostRecent().args[0];
+            expect(options.url).toEqual('profile.json');
+            expect(options.params.layers).toEqual('mnt,mns');
+            expect(options.params.nbPoints).toEqual(100);
+        });
+        it('computes the elevation stats of a segment', function() {
+            var stats = p.getRasterElevationStats(
+                [{mnt: 500, mns: 510}, {mnt: 530, mns: 520}], [60, 'm']);
+            expect(stats[0].slope).toEqual(50);
+            expect(stats[0].distance3d).toBeCloseTo(Math.sqrt(4500), 6);
+            expect(stats[1].diff).toEqual(10);
+        });
+        it('keeps the elevations of the last geometry', function() {
+            p.target = {mapPanel: {map: new OpenLayers.Map({
+                projection: 'EPSG:900913',
+                units: 'm'
+            })}};
+            p.createMeasureLayer();
+            spyOn(Ext.Ajax, 'request');
+            var feature = p.addMeasure(new OpenLayers.Geometry.LineString([
+                new OpenLayers.Geometry.Point(0, 0),
+                new OpenLayers.Geometry.Point(60, 0)
+            ]), 'length');
+            var first = Ext.Ajax.request.calls.mostRecent().args[0];
+            // modified before the response
+            p.updateElevation(feature);
+            var second = Ext.Ajax.request.calls.mostRecent().args[0];
+            first.success.call(first.scope, {
+                responseText: Ext.encode({profile: profile})
+            });
+            expect(feature.elevation).toBeNull();
+            second.failure.call(second.scope, {status: 500});
+            expect(feature.elevation).toEqual([]);
+        });
+    });
 });
@@ -11,4 +11,255 @@ describe('plugins.Print', function() {
             expect(p).toBeInstanceOf(cgxp.plugins.Print);
         });
     });
+
+    describe('when computing the atlas sheets', function() {
+        var printProvider, scale;
+        beforeEach(function() {
+            p = new cgxp.plugins.Print();
+            p.target = {
+                mapPanel: {
+                    map: {
+                        getUnits: function() {
+                            return 'm';
+                        }
+                    }
+                }
+            };
+            // a 100 x 50 m page
+            printProvider = {
+                layout: new Ext.data.Record({size: {width: 72, height: 36}})
+            };
+            scale = new Ext.data.Record({value: 3937});
+        });
+        it('covers a drawn line with a grid', function() {
+            p.atlasMode = 'line';
+            p.atlasFeature = new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(0, 0),
+                    new OpenLayers.Geometry.Point(250, 0)
+                ]));
+            var extents = p.getAtlasExtents(printProvider, scale);
+            expect(extents.length).toEqual(3);
+            expect(extents[0].toArray()).toEqual([-25, -25, 75, 25]);
+            expect(extents[2].toArray()).toEqual([175, -25, 275, 25]);
+        });
+        it('skips the cells outside of a drawn polygon', function() {
+            p.atlasMode = 'polygon';
+            p.atlasFeature = new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.Polygon([
+                    new OpenLayers.Geometry.LinearRing([
+                        new OpenLayers.Geometry.Point(0, 0),
+                        new OpenLayers.Geometry.Point(270, 0),
+                        new OpenLayers.Geometry.Point(0, 120)
+                    ])
+                ]));
+            var extents = p.getAtlasExtents(printProvider, scale);
+            expect(extents.length).toEqual(7);
+        });
+        it('centers a sheet on each result feature', function() {
+            p.atlasMode = 'features';
+            p.featureProvider = 'results';
+            p.target.tools = {
+                results: {
+                    printFeatures: function() {
+                        return [new OpenLayers.Feature.Vector(
+                            new OpenLayers.Geometry.Point(10, 20))];
+                    }
+                }
+            };
+            var extents = p.getAtlasExtents(printProvider, scale);
+            expect(extents.length).toEqual(1);
+            expect(extents[0].toArray()).toEqual([-40, -5, 60, 45]);
+        });
+    });
+
+    describe('when using the job manager', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Print({
+                jobManager: true,
+                jobHistorySize: 2,
+                activateToggleGroup: null
+            });
+            p.init({
+                tools: {},
+                on: function() {}
+            });
+        });
+        it('keeps the last finished jobs', function() {
+            var statuses = ['running', 'done', 'failed', 'done', 'cancelled'];
+            Ext.each(statuses, function(status) {
+                p.jobStore.add(new p.jobStore.recordType({status: status}));
+            });
+            p.pruneJobs();
+            expect(p.jobStore.collect('status')).toEqual(['running', 'done', 'failed']);
+        });
+        it('sets the job status', function() {
+            var record = new p.jobStore.recordType({status: 'running'});
+            p.jobStore.add(record);
+            p.setJobStatus(record, 'done', {url: 'http://example.com/doc.pdf'});
+            expect(record.get('status')).toEqual('done');
+            expect(record.get('url')).toEqual('http://example.com/doc.pdf');
+            expect(record.dirty).toBeFalsy();
+        });
+        it('prunes the jobs when one fails or is cancelled', function() {
+            Ext.each(['done', 'failed', 'running'], function(status) {
+                p.jobStore.add(new p.jobStore.recordType({status: status}));
+            });
+            p.setJobStatus(p.jobStore.getAt(2), 'cancelled');
+            expect(p.jobStore.collect('status')).toEqual(['done', 'failed']);
+        });
+        it('renders the profile image once before submitting', function() {
+            var profile = jasmine.createSpyObj('profile', ['preparePrint']);
+            profile.preparePrint.and.callFake(function(callback, scope) {
+                callback.call(scope);
+            });
+            p.target.tools.profile = profile;
+            p.profileId = 'profile';
+            spyOn(p, 'submitJob');
+            p.doPrint('printProvider', 'map', 'pages', 'options');
+            expect(profile.preparePrint.calls.count()).toEqual(1);
+            expect(p.submitJob).toHaveBeenCalledWith('printProvider', 'map',
+                'pages', 'options');
+        });
+    });
+
+    describe('when rendering a preview', function() {
+        var spec;
+        beforeEach(function() {
+            p = new cgxp.plugins.Print();
+            spec = {
+                units: 'm',
+                srs: 'EPSG:21781',
+                layers: [{
+                    type: 'WMS',
+                    baseURL: 'http://example.com/wms',
+                    layers: ['a', 'b'],
+                    format: 'image/png',
+                    customParams: {map_resolution: 254}
+                }, {
+                    type: 'Vector'
+                }],
+                pages: [{
+                    center: [600000, 200000],
+                    scale: 3937,
+                    rotation: 0
+                }]
+            };
+        });
+        it('builds the GetMap URLs of the WMS layers', function() {
+            var images = p.getPreviewImages(spec, spec.pages[0],
+                {width: 72, height: 36}, 400, 200);
+            expect(images.length).toEqual(1);
+            var params = OpenLayers.Util.getParameters(images[0].url);
+            expect(params.LAYERS).toEqual(['a', 'b']);
+            expect(params.BBOX).toEqual(['599950', '199975', '600050', '200025']);
+            expect(params.map_resolution).toBeUndefined();
+        });
+        it('renders the attributes table', function() {
+            var html = p.renderPreviewPage(spec, {
+                showMap: false,
+                showAttr: true,
+                col0: 'Name',
+                table: {columns: ['col0'], data: [{col0: '<b>'}]}
+            }, 1, {width: 72, height: 36});
+            expect(html).toContain('<th>Name</th>');
+            expect(html).toContain('<td>&lt;b&gt;</td>');
+        });
+    });
+
+    describe('when adding the roadbook pages', function() {
+        var printProvider, pages;
+        beforeEach(function() {
+            p = new cgxp.plugins.Print({routingId: 'routing'});
+            p.target = {
+                tools: {
+                    routing: {
+                        printExport: function() {
+                            return {
+                                bounds: new OpenLayers.Bounds(0, 0, 100, 50),
+                                params: {
+                                    roadbookDistance: '100 m',
+                                    roadbookTable: {
+                                        columns: ['index', 'direction'],
+                                        data: [
+                                            {index: '', direction: 'Dir.'},
+                                            {index: '1', direction: 'Go'},
+                                            {index: '2', direction: 'Arrive'}
+                                        ]
+                                    }
+                                },
+                                steps: [{
+                                    center: new OpenLayers.LonLat(0, 0),
+                                    params: {roadbookDirection: 'Go'}
+                                }, {
+                                    center: new OpenLayers.LonLat(100, 50),
+                                    params: {roadbookDirection: 'Arrive'}
+                                }]
+                            };
+                        }
+                    }
+                }
+            };
+            printProvider = {
+                scales: new Ext.data.ArrayStore({
+                    fields: ['value'],
+                    data: [[1000], [5000], [25000]]
+                })
+            };
+            pages = [{scale: printProvider.scales.getAt(2)}];
+            spyOn(p, 'getAtlasOverviewScale').and.returnValue(
+                printProvider.scales.getAt(1));
+            spyOn(p, 'getPageSize').and.returnValue({w: 50, h: 50});
+            spyOn(p, 'createAtlasPage').and.callFake(
+                function(printProvider, center, scale, customParams) {
+                    return {
+                        center: center,
+                        scale: scale,
+                        customParams: customParams
+                    };
+                });
+        });
+        it('adds an overview page and a page by direction', function() {
+            p.addRoadbookPages(printProvider, pages);
+            expect(pages.length).toEqual(4);
+            expect(pages[1].center.lon).toEqual(50);
+            expect(pages[1].customParams.showRoadbookOverview).toBe(true);
+            expect(pages[1].customParams.roadbookDistance).toEqual('100 m');
+            expect(pages[3].center.lat).toEqual(50);
+            expect(pages[3].scale.get('value')).toEqual(25000);
+            expect(pages[3].customParams.roadbookDirection).toEqual('Arrive');
+            expect(pages[3].customParams.pageNumber).toEqual(2);
+            expect(pages[3].customParams.pageCount).toEqual(2);
+            expect(pages[3].customParams.roadbookTable.data.length)
+                .toEqual(2);
+        });
+        it('prints the close directions on the same page', function() {
+            p.getPageSize.and.returnValue({w: 200, h: 200});
+            p.addRoadbookPages(printProvider, pages);
+            expect(pages.length).toEqual(3);
+            expect(pages[2].center.lon).toEqual(50);
+            expect(pages[2].customParams.roadbookDirection).toEqual('Go');
+            expect(pages[2].customParams.roadbookTable.data.length)
+                .toEqual(3);
+            expect(pages[2].customParams.pageCount).toEqual(1);
+        });
+        it('prints only the overview with too many pages', function() {
+            p.roadbookMaxPages = 1;
+            p.addRoadbookPages(printProvider, pages);
+            expect(pages.length).toEqual(2);
+            expect(pages[1].customParams.pageCount).toEqual(0);
+        });
+        it('prints the directions at the closest scale', function() {
+            p.roadbookScale = 4000;
+            p.addRoadbookPages(printProvider, pages);
+            expect(pages[2].scale.get('value')).toEqual(5000);
+        });
+        it('adds no page without route', function() {
+            p.target.tools.routing.printExport = function() {
+                return null;
+            };
+            p.addRoadbookPages(printProvider, pages);
+            expect(pages.length).toEqual(1);
+        });
+    });
 });
@@ -11,4 +11,166 @@ describe('plugins.Profile', function() {
             expect(p).toBeInstanceOf(cgxp.plugins.Profile);
         });
     });
+    describe('when computing the statistics', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Profile({
+                rasterLayers: ['mnt', 'mns']
+            });
+        });
+        it('computes the statistics by raster layer', function() {
+            var statistics = p.getStatistics([
+                {dist: 0, values: {mnt: 500, mns: null}},
+                {dist: 10, values: {mnt: 520, mns: 530}},
+                {dist: 20, values: {mnt: 510, mns: 530}},
+                {dist: 40, values: {mnt: 530, mns: 535}}
+            ]);
+            expect(statistics.length).toEqual(2);
+            var mnt = statistics[0];
+            expect(mnt.layer).toEqual('mnt');
+            expect(mnt.ascent).toEqual(40);
+            expect(mnt.descent).toEqual(10);
+            expect(mnt.min).toEqual(500);
+            expect(mnt.max).toEqual(530);
+            expect(mnt.mean).toEqual(515);
+            expect(mnt.maxSlope).toEqual(200);
+            // the points without elevation are ignored
+            expect(statistics[1].min).toEqual(530);
+            expect(statistics[1].maxSlope).toEqual(25);
+        });
+    });
+    describe('when changing the number of points', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Profile({
+                serviceUrl: 'profile.json',
+                rasterLayers: ['mnt']
+            });
+            p.output = [{getEl: function() {
+                return {mask: function() {}};
+            }}];
+            p.feature = new OpenLayers.Feature.Vector(
+                new OpenLayers.Geometry.LineString([
+                    new OpenLayers.Geometry.Point(0, 0),
+                    new OpenLayers.Geometry.Point(100, 0)
+                ]));
+            p.nbPointsField = new Ext.form.NumberField({
+                value: 300,
+                minValue: 2,
+                maxValue: 1000
+            });
+        });
+        it('requests the profile of the same line again', function() {
+            spyOn(Ext.Ajax, 'request');
+            p.updateNbPoints();
+            var options = Ext.Ajax.request.calls.mostRecent().args[0];
+            expect(options.params.nbPoints).toEqual(300);
+            expect(options.params.geom).toContain('LineString');
+            expect(p.feature).not.toBeNull();
+        });
+    });
+    describe('when showing the profile of an existing line', function() {
+        var P = OpenLayers.Geometry.Point;
+        beforeEach(function() {
+            p = new cgxp.plugins.Profile();
+            p.control = jasmine.createSpyObj('control',
+                ['activate', 'startDrawing', 'drawFeature']);
+        });
+        it('joins the parts of a multi line', function() {
+            var line = p.getProfileLine(new OpenLayers.Geometry.MultiLineString([
+                new OpenLayers.Geometry.LineString([new P(0, 0), new P(1, 0)]),
+                new OpenLayers.Geometry.LineString([new P(1, 0), new P(1, 1)]),
+                new OpenLayers.Geometry.LineString([new P(2, 1), new P(2, 2)])
+            ]));
+            expect(line.CLASS_NAME).toEqual('OpenLayers.Geometry.LineString');
+            expect(line.toString()).toEqual('LINESTRING(0 0,1 0,1 1,2 1,2 2)');
+        });
+        it('draws a copy of the line', function() {
+            var geometry = new OpenLayers.Geometry.LineString([
+                new P(0, 0), new P(100, 0)]);
+            expect(p.showProfile(geometry)).toBeTruthy();
+            expect(p.control.activate).toHaveBeenCalled();
+            expect(p.control.startDrawing).toHaveBeenCalled();
+            var line = p.control.drawFeature.calls.mostRecent().args[0];
+            expect(line.equals(geometry)).toBeTruthy();
+            expect(line).not.toBe(geometry);
+        });
+        it('ignores the points and the polygons', function() {
+            expect(p.showProfile(new P(0, 0))).toBeFalsy();
+            expect(p.showProfile(OpenLayers.Geometry.Polygon.createRegularPolygon(
+                new P(0, 0), 10, 4))).toBeFalsy();
+            expect(p.control.drawFeature).not.toHaveBeenCalled();
+        });
+    });
+    describe('when printing', function() {
+        beforeEach(function() {
+            p = new cgxp.plugins.Profile({
+                rasterLayers: ['mnt']
+            });
+        });
+        it('returns nothing without profile', function() {
+            expect(p.printExport()).toBeNull();
+        });
+        it('returns the image and the statistics', function() {
+            p.data = [
+                {dist: 0, values: {mnt: 500}},
+                {dist: 100, values: {mnt: 530}}
+            ];
+            p.chartImage = 'data:image/png;base64,AAAA';
+            var params = p.printExport();
+            expect(params.profileImage).toEqual(p.chartImage);
+            var table = params.profileTable;
+            expect(table.columns.length).toEqual(7);
+            expect(table.data[0].layer).toEqual(p.layerText);
+            expect(table.data[1].ascent).toEqual('30 m');
+            expect(table.data[1].maxSlope).toEqual('30.0 %');
+        });
+        it('returns the statistics without image', function() {
+            p.data = [
+                {dist: 0, values: {mnt: 500}},
+                {dist: 100, values: {mnt: 530}}
+            ];
+            var params = p.printExport();
+            expect(params.profileImage).toBeUndefined();
+            expect(params.profileTable.data.length).toEqual(2);
+        });
+        it('renders the SVG image once by profile', function() {
+            p.data = [
+                {dist: 0, values: {mnt: 500}},
+                {dist: 100, values: {mnt: 530}}
+            ];
+            var exporter = jasmine.createSpyObj('exporter', ['writePng']);
+            exporter.writePng.and.callFake(
+                function(data, name, callback, scope) {
+                    callback.call(scope, {url: 'data:image/png;base64,AAAA'});
+                });
+            spyOn(p, 'createExporter').and.returnValue(exporter);
+            var callback = jasmine.createSpy();
+            p.preparePrint(callback);
+            p.preparePrint(callback);
+            expect(callback.calls.count()).toEqual(2);
+            expect(exporter.writePng.calls.count()).toEqual(1);
+            expect(p.printExport().profileImage).toEqual(
+                'data:image/png;base64,AAAA');
+        });
+        it('renders the displayed chart', function() {
+            p.data = [
+                {dist: 0, values: {mnt: 500}},
+                {dist: 100, values: {mnt: 530}}
+            ];
+            p.chart = {};
+            var exporter = jasmine.createSpyObj('exporter',
+                ['writeChartPng', 'writePng']);
+            exporter.writeChartPng.and.returnValue(
+                {url: 'data:image/png;base64,BBBB'});
+            spyOn(p, 'createExporter').and.returnValue(exporter);
+            var callback = jasmine.createSpy();
+            p.preparePrint(callback);
+            expect(callback).toHaveBeenCalled();
+            expect(exporter.writeChartPng).toHaveBeenCalledWith(p.chart,
+                p.exportFilename);
+            expect(exporter.writePng).not.toHaveBeenCalled();
+            expect(p.printExport().profileImage).toEqual(
+                'data:image/png;base64,BBBB');
+            p.chart = null;
+        });
+    });
 });
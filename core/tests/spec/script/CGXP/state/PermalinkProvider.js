@@ -0,0 +1,77 @@
+describe('cgxp.state.PermalinkProvider', function() {
+    var provider;
+
+    beforeEach(function() {
+        provider = new cgxp.state.PermalinkProvider({
+            encodeType: false,
+            url: 'http://example.com/?tree_groups=a,b&map_x=600000'
+        });
+    });
+
+    describe('readURL', function() {
+
+        it('reads the links without version', function() {
+            expect(provider.linkVersion).toEqual(0);
+            expect(provider.get('tree').groups).toEqual(['a', 'b']);
+        });
+
+        it('reads the compressed state', function() {
+            var packed = provider.pack(Ext.encode({
+                tree: {groups: 'c'},
+                map: {x: '600000', y: '200000'}
+            }));
+            var state = provider.readURL(
+                'http://example.com/?v=2&s=' + packed + '&map_y=100000');
+            expect(provider.linkVersion).toEqual(2);
+            expect(state.tree.groups).toEqual('c');
+            expect(state.map.x).toEqual('600000');
+            expect(state.map.y).toEqual('100000');
+        });
+    });
+
+    describe('getLink', function() {
+
+        it('writes the version', function() {
+            var link = provider.getLink('http://example.com/');
+            var params = OpenLayers.Util.getParameters(link);
+            expect(params.v).toEqual('1');
+            expect(params.tree_groups).toEqual(['a', 'b']);
+        });
+
+        it('writes the compressed state', function() {
+            var link = provider.getLink('http://example.com/?debug=1', true);
+            var params = OpenLayers.Util.getParameters(link);
+            expect(params.tree_groups).toBeUndefined();
+            expect(params.debug).toEqual('1');
+            expect(Ext.decode(provider.unpack(params.s)).tree.groups)
+                .toEqual(['a', 'b']);
+        });
+    });
+
+    describe('pack', function() {
+
+        it('is reverted by unpack', function() {
+            var str = 'éàü, ' + new Array(50).join('group_layers_');
+            expect(provider.unpack(provider.pack(str))).toEqual(str);
+        });
+    });
+
+    describe('migrateName', function() {
+
+        it('applies the migrations newer than the link', function() {
+            provider.registerMigration({
+                version: 3,
+                layers: {'stops': 'bus_stops'}
+            });
+            provider.registerMigration({
+                version: 2,
+                layers: {'halts': 'stops'}
+            });
+            expect(provider.migrateName('layers', 'halts'))
+                .toEqual('bus_stops');
+            expect(provider.migrateName('groups', 'halts')).toEqual('halts');
+            provider.linkVersion = 3;
+            expect(provider.migrateName('layers', 'halts')).toEqual('halts');
+        });
+    });
+});